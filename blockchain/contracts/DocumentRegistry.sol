@@ -9,15 +9,45 @@ pragma solidity ^0.8.28;
  *   - Files are NEVER stored on-chain.
  *   - The primary key is a bytes32 documentHash = keccak256(metadata).
  *   - The CID is stored as a reference to IPFS content only.
- *   - Every write must be signed by the document owner's wallet.
+ *   - Each version may also anchor a contentHash — the SHA-256 of the
+ *     plaintext — in its event. Stored content is encrypted, so its CID
+ *     can't be recomputed from the original file; the contentHash can, which
+ *     lets a third party holding the original verify it. Zero = not anchored.
+ *   - Every write must be signed by the document owner's wallet, except
+ *     updateDocument, which the owner may delegate to editors.
+ *   - A signature can stand in for the transaction: the *BySig functions
+ *     take an EIP-712 intent signed off-chain, so a relayer pays the gas.
+ *     Intents carry a per-signer nonce and a deadline, so each is usable
+ *     once and only until it expires.
  *   - Access control lives entirely on-chain.
+ *   - Documents can be shared with groups of wallets. Membership is read at
+ *     access time, so adding a member grants them every document already
+ *     shared with the group, and removing one takes it away.
+ *   - Ownership moves in two steps: the owner offers, the recipient
+ *     accepts. Nothing changes hands until the recipient signs.
+ *   - Archiving is permanent: an archived document is frozen and readable
+ *     by its owner only.
  */
 contract DocumentRegistry {
 
     // -------------------------------------------------------------------------
-    // Structs
+    // Types
     // -------------------------------------------------------------------------
 
+    /// Per-document roles, ordered by privilege. Viewers can read, editors can
+    /// also publish new versions. Owner is implicit and never stored.
+    enum Role { None, Viewer, Editor, Owner }
+
+    struct Grant {
+        Role    role;
+        uint256 expiresAt;      // unix seconds; NO_EXPIRY = permanent
+    }
+
+    struct GroupInfo {
+        address owner;          // Wallet that created the group (address(0) = none)
+        bool    disbanded;      // Members no longer inherit any grant
+    }
+
     struct DocumentMetadata {
         address owner;          // Wallet that registered the document
         string  cid;            // Latest IPFS CID
@@ -25,6 +55,7 @@ contract DocumentRegistry {
         uint256 updatedAt;      // Block timestamp of latest update
         uint256 versionCount;   // Number of versions (starts at 1)
         bool    exists;
+        bool    archived;       // Retired by the owner — no further writes
     }
 
     // -------------------------------------------------------------------------
@@ -37,8 +68,60 @@ contract DocumentRegistry {
     /// documentHash => ordered CID history (index 0 = v1)
     mapping(bytes32 => string[]) private _versions;
 
-    /// documentHash => user address => granted?
-    mapping(bytes32 => mapping(address => bool)) private _access;
+    /// Expiry recorded for grants that never lapse
+    uint256 public constant NO_EXPIRY = type(uint256).max;
+
+    /// Upper bound on documents × users in one batch call, keeping a full
+    /// batch (~50k gas per pair) well inside the block gas limit
+    uint256 public constant MAX_BATCH_PAIRS = 200;
+
+    /// documentHash => user address => grant (zeroed = no access)
+    mapping(bytes32 => mapping(address => Grant)) private _grants;
+
+    /// documentHash => wallet offered ownership (address(0) = no offer)
+    mapping(bytes32 => address) private _pendingOwner;
+
+    /// Upper bound on groups sharing one document, keeping roleOf's
+    /// membership scan cheap
+    uint256 public constant MAX_GROUPS_PER_DOCUMENT = 16;
+
+    /// Upper bound on members added or removed in one call
+    uint256 public constant MAX_GROUP_MEMBERS_PER_CALL = 100;
+
+    /// groupId => group
+    mapping(bytes32 => GroupInfo) private _groups;
+
+    /// groupId => member address => is member
+    mapping(bytes32 => mapping(address => bool)) private _groupMembers;
+
+    /// documentHash => groupId => grant (zeroed = no access)
+    mapping(bytes32 => mapping(bytes32 => Grant)) private _groupGrants;
+
+    /// documentHash => groups holding a grant on it
+    mapping(bytes32 => bytes32[]) private _documentGroups;
+
+    /// signer => next EIP-712 intent nonce (bumped by every *BySig call)
+    mapping(address => uint256) public nonces;
+
+    bytes32 private constant _DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant REGISTER_DOCUMENT_TYPEHASH = keccak256(
+        "RegisterDocument(address owner,bytes32 documentHash,string cid,bytes32 contentHash,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant UPDATE_DOCUMENT_TYPEHASH = keccak256(
+        "UpdateDocument(address editor,bytes32 documentHash,string newCid,bytes32 contentHash,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant GRANT_ACCESS_TYPEHASH = keccak256(
+        "GrantAccess(address owner,bytes32 documentHash,address user,uint8 role,uint256 expiresAt,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant REVOKE_ACCESS_TYPEHASH = keccak256(
+        "RevokeAccess(address owner,bytes32 documentHash,address user,uint256 nonce,uint256 deadline)"
+    );
+
+    /// Domain separator for the deployment chain, rebuilt if the chain forks
+    uint256 private immutable _cachedChainId;
+    bytes32 private immutable _cachedDomainSeparator;
 
     // -------------------------------------------------------------------------
     // Events
@@ -47,20 +130,25 @@ contract DocumentRegistry {
     event DocumentRegistered(
         bytes32 indexed documentHash,
         address indexed owner,
-        string  cid
+        string  cid,
+        bytes32 contentHash         // SHA-256 of the plaintext (0 = not anchored)
     );
 
     event DocumentUpdated(
         bytes32 indexed documentHash,
         address indexed owner,
+        address indexed editor,     // signer — the owner or an editor
         uint256         version,
-        string          newCid
+        string          newCid,
+        bytes32         contentHash // SHA-256 of the plaintext (0 = not anchored)
     );
 
     event AccessGranted(
         bytes32 indexed documentHash,
         address indexed owner,
-        address indexed user
+        address indexed user,
+        Role            role,
+        uint256         expiresAt   // NO_EXPIRY for permanent grants
     );
 
     event AccessRevoked(
@@ -69,16 +157,102 @@ contract DocumentRegistry {
         address indexed user
     );
 
+    event DocumentArchived(
+        bytes32 indexed documentHash,
+        address indexed owner
+    );
+
+    event OwnershipTransferOffered(
+        bytes32 indexed documentHash,
+        address indexed owner,
+        address indexed newOwner
+    );
+
+    event OwnershipTransferCancelled(
+        bytes32 indexed documentHash,
+        address indexed owner,
+        address indexed newOwner
+    );
+
+    event OwnershipTransferred(
+        bytes32 indexed documentHash,
+        address indexed owner,      // previous owner
+        address indexed newOwner
+    );
+
+    event GroupCreated(
+        bytes32 indexed groupId,
+        address indexed owner
+    );
+
+    event GroupMemberAdded(
+        bytes32 indexed groupId,
+        address indexed owner,
+        address indexed member
+    );
+
+    event GroupMemberRemoved(
+        bytes32 indexed groupId,
+        address indexed owner,
+        address indexed member
+    );
+
+    event GroupDisbanded(
+        bytes32 indexed groupId,
+        address indexed owner
+    );
+
+    event GroupAccessGranted(
+        bytes32 indexed documentHash,
+        address indexed owner,
+        bytes32 indexed groupId,
+        Role            role,
+        uint256         expiresAt   // NO_EXPIRY for permanent grants
+    );
+
+    event GroupAccessRevoked(
+        bytes32 indexed documentHash,
+        address indexed owner,
+        bytes32 indexed groupId
+    );
+
+    constructor() {
+        _cachedChainId = block.chainid;
+        _cachedDomainSeparator = _buildDomainSeparator();
+    }
+
     // -------------------------------------------------------------------------
     // Modifiers
     // -------------------------------------------------------------------------
 
     modifier onlyOwner(bytes32 documentHash) {
-        require(_docs[documentHash].exists, "Document not found");
-        require(_docs[documentHash].owner == msg.sender, "Not the document owner");
+        _checkOwner(documentHash, msg.sender);
         _;
     }
 
+    modifier notArchived(bytes32 documentHash) {
+        _checkNotArchived(documentHash);
+        _;
+    }
+
+    modifier onlyGroupOwner(bytes32 groupId) {
+        require(_groups[groupId].owner != address(0), "Group not found");
+        require(_groups[groupId].owner == msg.sender, "Not the group owner");
+        require(!_groups[groupId].disbanded, "Group disbanded");
+        _;
+    }
+
+    // Shared by the modifiers, the batch loops, which check per document, and
+    // the *BySig functions, which check the signer rather than msg.sender
+    function _checkOwner(bytes32 documentHash, address account) private view {
+        require(_docs[documentHash].exists, "Document not found");
+        require(_docs[documentHash].owner == account, "Not the document owner");
+    }
+
+    function _checkNotArchived(bytes32 documentHash) private view {
+        require(!_docs[documentHash].archived, "Document archived");
+    }
+
     // -------------------------------------------------------------------------
     // Core: Register & Update
     // -------------------------------------------------------------------------
@@ -89,35 +263,50 @@ contract DocumentRegistry {
      *                       computed off-chain by the server before returning
      *                       to the client.
      * @param  cid           IPFS Content Identifier of the file.
+     * @param  contentHash   SHA-256 of the plaintext, for public
+     *                       verification; bytes32(0) to anchor none.
      */
-    function registerDocument(bytes32 documentHash, string calldata cid) external {
+    function registerDocument(bytes32 documentHash, string calldata cid, bytes32 contentHash) external {
+        _register(msg.sender, documentHash, cid, contentHash);
+    }
+
+    /**
+     * @notice Push a new version CID under an existing document.
+     *         Callable by the owner or any wallet holding an unexpired
+     *         Editor grant.
+     * @param  documentHash  Stable identifier (same bytes32 as registration).
+     * @param  newCid        IPFS CID of the updated file content.
+     * @param  contentHash   SHA-256 of the new version's plaintext, or
+     *                       bytes32(0).
+     */
+    function updateDocument(bytes32 documentHash, string calldata newCid, bytes32 contentHash) external {
+        _update(msg.sender, documentHash, newCid, contentHash);
+    }
+
+    function _register(address owner, bytes32 documentHash, string calldata cid, bytes32 contentHash) private {
         require(documentHash != bytes32(0),     "documentHash required");
         require(bytes(cid).length > 0,          "CID required");
         require(!_docs[documentHash].exists,    "Document already registered");
 
         _docs[documentHash] = DocumentMetadata({
-            owner:        msg.sender,
+            owner:        owner,
             cid:          cid,
             createdAt:    block.timestamp,
             updatedAt:    block.timestamp,
             versionCount: 1,
-            exists:       true
+            exists:       true,
+            archived:     false
         });
 
         _versions[documentHash].push(cid);
 
-        emit DocumentRegistered(documentHash, msg.sender, cid);
+        emit DocumentRegistered(documentHash, owner, cid, contentHash);
     }
 
-    /**
-     * @notice Push a new version CID under an existing document.
-     * @param  documentHash  Stable identifier (same bytes32 as registration).
-     * @param  newCid        IPFS CID of the updated file content.
-     */
-    function updateDocument(bytes32 documentHash, string calldata newCid)
-        external
-        onlyOwner(documentHash)
-    {
+    function _update(address editor, bytes32 documentHash, string calldata newCid, bytes32 contentHash) private {
+        require(_docs[documentHash].exists, "Document not found");
+        require(roleOf(documentHash, editor) >= Role.Editor, "Not a document editor");
+        _checkNotArchived(documentHash);
         require(bytes(newCid).length > 0, "New CID required");
 
         _docs[documentHash].cid          = newCid;
@@ -128,9 +317,11 @@ contract DocumentRegistry {
 
         emit DocumentUpdated(
             documentHash,
-            msg.sender,
+            _docs[documentHash].owner,
+            editor,
             _docs[documentHash].versionCount,
-            newCid
+            newCid,
+            contentHash
         );
     }
 
@@ -138,34 +329,534 @@ contract DocumentRegistry {
     // Access Control
     // -------------------------------------------------------------------------
 
+    /**
+     * @notice Grant `user` permanent read access (Viewer).
+     */
     function grantAccess(bytes32 documentHash, address user)
         external
         onlyOwner(documentHash)
+        notArchived(documentHash)
     {
-        require(user != address(0), "Invalid address");
-        _access[documentHash][user] = true;
-        emit AccessGranted(documentHash, msg.sender, user);
+        _grant(documentHash, msg.sender, user, Role.Viewer, NO_EXPIRY);
+    }
+
+    /**
+     * @notice Grant `user` read access (Viewer) until `expiresAt` (unix seconds).
+     *         Re-granting replaces the previous grant, so this also extends
+     *         or shortens an existing one.
+     */
+    function grantAccessUntil(bytes32 documentHash, address user, uint256 expiresAt)
+        external
+        onlyOwner(documentHash)
+        notArchived(documentHash)
+    {
+        _grant(documentHash, msg.sender, user, Role.Viewer, expiresAt);
+    }
+
+    /**
+     * @notice Grant `user` a Viewer or Editor role until `expiresAt`
+     *         (NO_EXPIRY for a permanent grant). Replaces any previous grant,
+     *         so this also promotes or demotes an existing grantee.
+     */
+    function grantRole(bytes32 documentHash, address user, Role role, uint256 expiresAt)
+        external
+        onlyOwner(documentHash)
+        notArchived(documentHash)
+    {
+        require(role == Role.Viewer || role == Role.Editor, "Invalid role");
+        _grant(documentHash, msg.sender, user, role, expiresAt);
     }
 
     function revokeAccess(bytes32 documentHash, address user)
         external
         onlyOwner(documentHash)
     {
-        _access[documentHash][user] = false;
+        delete _grants[documentHash][user];
         emit AccessRevoked(documentHash, msg.sender, user);
     }
 
     /**
-     * @notice Returns true if `user` is the owner OR has been granted access.
+     * @notice Grant every wallet in `users` the same role and expiry on every
+     *         document in `documentHashes`, in one transaction. The caller
+     *         must own all of them. Emits one AccessGranted per pair, exactly
+     *         as the single-pair functions do.
+     */
+    function grantRoleBatch(
+        bytes32[] calldata documentHashes,
+        address[] calldata users,
+        Role role,
+        uint256 expiresAt
+    ) external {
+        _checkBatchSize(documentHashes.length, users.length);
+        require(role == Role.Viewer || role == Role.Editor, "Invalid role");
+
+        for (uint256 i = 0; i < documentHashes.length; i++) {
+            _checkOwner(documentHashes[i], msg.sender);
+            _checkNotArchived(documentHashes[i]);
+            for (uint256 j = 0; j < users.length; j++) {
+                _grant(documentHashes[i], msg.sender, users[j], role, expiresAt);
+            }
+        }
+    }
+
+    /**
+     * @notice Revoke every wallet in `users` from every document in
+     *         `documentHashes`. Emits one AccessRevoked per pair.
+     */
+    function revokeAccessBatch(bytes32[] calldata documentHashes, address[] calldata users) external {
+        _checkBatchSize(documentHashes.length, users.length);
+
+        for (uint256 i = 0; i < documentHashes.length; i++) {
+            _checkOwner(documentHashes[i], msg.sender);
+            for (uint256 j = 0; j < users.length; j++) {
+                delete _grants[documentHashes[i]][users[j]];
+                emit AccessRevoked(documentHashes[i], msg.sender, users[j]);
+            }
+        }
+    }
+
+    function _checkBatchSize(uint256 documentCount, uint256 userCount) private pure {
+        require(documentCount > 0 && userCount > 0, "Empty batch");
+        require(documentCount * userCount <= MAX_BATCH_PAIRS, "Batch too large");
+    }
+
+    function _grant(bytes32 documentHash, address owner, address user, Role role, uint256 expiresAt) private {
+        require(user != address(0), "Invalid address");
+        require(expiresAt > block.timestamp, "Expiry must be in the future");
+        _grants[documentHash][user] = Grant({ role: role, expiresAt: expiresAt });
+        emit AccessGranted(documentHash, owner, user, role, expiresAt);
+    }
+
+    /**
+     * @notice Expiry of `user`'s grant: 0 if none, NO_EXPIRY if permanent.
+     *         A past timestamp means the grant has lapsed.
+     */
+    function accessExpiry(bytes32 documentHash, address user)
+        external
+        view
+        returns (uint256)
+    {
+        return _grants[documentHash][user].expiresAt;
+    }
+
+    /**
+     * @notice Role and expiry granted to `user` directly (None / 0 when
+     *         there is no grant). A past expiresAt means the grant has lapsed.
+     */
+    function grantOf(bytes32 documentHash, address user)
+        external
+        view
+        returns (Role role, uint256 expiresAt)
+    {
+        Grant storage g = _grants[documentHash][user];
+        return (g.role, g.expiresAt);
+    }
+
+    /**
+     * @notice Effective role of `user`: Owner for the owner, otherwise the
+     *         highest unexpired role granted to the user directly or to any
+     *         group they belong to, None if there is none. Archived documents
+     *         are visible to their owner only.
+     */
+    function roleOf(bytes32 documentHash, address user)
+        public
+        view
+        returns (Role)
+    {
+        DocumentMetadata storage d = _docs[documentHash];
+        if (!d.exists) return Role.None;
+        if (d.owner == user) return Role.Owner;
+        if (d.archived) return Role.None;
+
+        Grant storage g = _grants[documentHash][user];
+        Role role = g.expiresAt > block.timestamp ? g.role : Role.None;
+
+        bytes32[] storage groups = _documentGroups[documentHash];
+        for (uint256 i = 0; i < groups.length && role < Role.Editor; i++) {
+            Grant storage gg = _groupGrants[documentHash][groups[i]];
+            if (gg.role > role && gg.expiresAt > block.timestamp && isGroupMember(groups[i], user)) {
+                role = gg.role;
+            }
+        }
+        return role;
+    }
+
+    // -------------------------------------------------------------------------
+    // Signed Intents (EIP-712)
+    // -------------------------------------------------------------------------
+
+    /**
+     * @notice Signed counterparts of registerDocument, updateDocument,
+     *         grantRole and revokeAccess. The wallet named in the intent
+     *         signs it off-chain with eth_signTypedData_v4; anyone may submit
+     *         it, and events name the signer, never the submitter.
+     *
+     *         Each intent embeds the signer's current nonce, so it works once
+     *         and is voided by any other intent the signer submits first,
+     *         and a deadline (unix seconds) after which it is refused.
+     */
+    function registerDocumentBySig(
+        address owner,
+        bytes32 documentHash,
+        string calldata cid,
+        bytes32 contentHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(abi.encode(
+            REGISTER_DOCUMENT_TYPEHASH, owner, documentHash, keccak256(bytes(cid)), contentHash, nonces[owner], deadline
+        ));
+        _useSignature(owner, structHash, deadline, signature);
+        _register(owner, documentHash, cid, contentHash);
+    }
+
+    function updateDocumentBySig(
+        address editor,
+        bytes32 documentHash,
+        string calldata newCid,
+        bytes32 contentHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(abi.encode(
+            UPDATE_DOCUMENT_TYPEHASH, editor, documentHash, keccak256(bytes(newCid)), contentHash, nonces[editor], deadline
+        ));
+        _useSignature(editor, structHash, deadline, signature);
+        _update(editor, documentHash, newCid, contentHash);
+    }
+
+    /**
+     * @notice Covers grantAccess and grantRole alike: grantAccess is a
+     *         Viewer role with NO_EXPIRY.
+     */
+    function grantAccessBySig(
+        address owner,
+        bytes32 documentHash,
+        address user,
+        Role role,
+        uint256 expiresAt,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useSignature(owner, _grantStructHash(owner, documentHash, user, role, expiresAt, deadline), deadline, signature);
+        _checkOwner(documentHash, owner);
+        _checkNotArchived(documentHash);
+        require(role == Role.Viewer || role == Role.Editor, "Invalid role");
+        _grant(documentHash, owner, user, role, expiresAt);
+    }
+
+    function revokeAccessBySig(
+        address owner,
+        bytes32 documentHash,
+        address user,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(abi.encode(
+            REVOKE_ACCESS_TYPEHASH, owner, documentHash, user, nonces[owner], deadline
+        ));
+        _useSignature(owner, structHash, deadline, signature);
+        _checkOwner(documentHash, owner);
+        delete _grants[documentHash][user];
+        emit AccessRevoked(documentHash, owner, user);
+    }
+
+    /// EIP-712 domain: name "DocumentRegistry", version "1", this chain and contract
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return block.chainid == _cachedChainId ? _cachedDomainSeparator : _buildDomainSeparator();
+    }
+
+    function _buildDomainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(
+            _DOMAIN_TYPEHASH,
+            keccak256("DocumentRegistry"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function _grantStructHash(
+        address owner,
+        bytes32 documentHash,
+        address user,
+        Role role,
+        uint256 expiresAt,
+        uint256 deadline
+    ) private view returns (bytes32) {
+        return keccak256(abi.encode(
+            GRANT_ACCESS_TYPEHASH, owner, documentHash, user, role, expiresAt, nonces[owner], deadline
+        ));
+    }
+
+    /// Checks the deadline and that `signer` signed `structHash`, then spends
+    /// the signer's nonce
+    function _useSignature(
+        address signer,
+        bytes32 structHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) private {
+        require(block.timestamp <= deadline, "Signature expired");
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(signer != address(0) && _recover(digest, signature) == signer, "Invalid signature");
+        nonces[signer] += 1;
+    }
+
+    /// ecrecover over a 65-byte r‖s‖v signature; address(0) when invalid
+    function _recover(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        if (signature.length != 65) return address(0);
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        // Reject the high-s twin of every signature, so none is malleable
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) return address(0);
+        return ecrecover(digest, v, r, s);
+    }
+
+    // -------------------------------------------------------------------------
+    // Groups
+    // -------------------------------------------------------------------------
+
+    /**
+     * @notice Create a group owned by the caller, with an initial member list.
+     * @param  groupId  keccak256(owner, name, timestamp) computed off-chain by
+     *                  the server, like documentHash.
+     */
+    function createGroup(bytes32 groupId, address[] calldata members) external {
+        require(groupId != bytes32(0), "groupId required");
+        require(_groups[groupId].owner == address(0), "Group already exists");
+
+        _groups[groupId] = GroupInfo({ owner: msg.sender, disbanded: false });
+        emit GroupCreated(groupId, msg.sender);
+
+        _addMembers(groupId, members);
+    }
+
+    /**
+     * @notice Add wallets to a group. They immediately inherit every grant
+     *         the group holds. Existing members are skipped.
+     */
+    function addGroupMembers(bytes32 groupId, address[] calldata members)
+        external
+        onlyGroupOwner(groupId)
+    {
+        _addMembers(groupId, members);
+    }
+
+    /**
+     * @notice Remove wallets from a group. They immediately lose every grant
+     *         they held only through the group. Non-members are skipped.
+     */
+    function removeGroupMembers(bytes32 groupId, address[] calldata members)
+        external
+        onlyGroupOwner(groupId)
+    {
+        require(members.length <= MAX_GROUP_MEMBERS_PER_CALL, "Too many members");
+
+        for (uint256 i = 0; i < members.length; i++) {
+            if (!_groupMembers[groupId][members[i]]) continue;
+            delete _groupMembers[groupId][members[i]];
+            emit GroupMemberRemoved(groupId, msg.sender, members[i]);
+        }
+    }
+
+    /**
+     * @notice Permanently disband a group. Members lose every grant they held
+     *         through it; documents keep the (now inert) group grant until
+     *         their owner revokes it. Irreversible.
+     */
+    function disbandGroup(bytes32 groupId) external onlyGroupOwner(groupId) {
+        _groups[groupId].disbanded = true;
+        emit GroupDisbanded(groupId, msg.sender);
+    }
+
+    /**
+     * @notice Grant every member of `groupId` a Viewer or Editor role until
+     *         `expiresAt` (NO_EXPIRY for a permanent grant). Replaces any
+     *         previous grant to the same group. Any existing group can be
+     *         targeted — its owner, not the document owner, controls who
+     *         the members are.
+     */
+    function grantGroupRole(bytes32 documentHash, bytes32 groupId, Role role, uint256 expiresAt)
+        external
+        onlyOwner(documentHash)
+        notArchived(documentHash)
+    {
+        require(_groups[groupId].owner != address(0), "Group not found");
+        require(!_groups[groupId].disbanded, "Group disbanded");
+        require(role == Role.Viewer || role == Role.Editor, "Invalid role");
+        require(expiresAt > block.timestamp, "Expiry must be in the future");
+
+        if (_groupGrants[documentHash][groupId].role == Role.None) {
+            require(_documentGroups[documentHash].length < MAX_GROUPS_PER_DOCUMENT, "Too many groups");
+            _documentGroups[documentHash].push(groupId);
+        }
+        _groupGrants[documentHash][groupId] = Grant({ role: role, expiresAt: expiresAt });
+        emit GroupAccessGranted(documentHash, msg.sender, groupId, role, expiresAt);
+    }
+
+    function revokeGroupAccess(bytes32 documentHash, bytes32 groupId)
+        external
+        onlyOwner(documentHash)
+    {
+        if (_groupGrants[documentHash][groupId].role != Role.None) {
+            bytes32[] storage groups = _documentGroups[documentHash];
+            for (uint256 i = 0; i < groups.length; i++) {
+                if (groups[i] == groupId) {
+                    groups[i] = groups[groups.length - 1];
+                    groups.pop();
+                    break;
+                }
+            }
+            delete _groupGrants[documentHash][groupId];
+        }
+        emit GroupAccessRevoked(documentHash, msg.sender, groupId);
+    }
+
+    function _addMembers(bytes32 groupId, address[] calldata members) private {
+        require(members.length <= MAX_GROUP_MEMBERS_PER_CALL, "Too many members");
+
+        for (uint256 i = 0; i < members.length; i++) {
+            require(members[i] != address(0), "Invalid address");
+            if (_groupMembers[groupId][members[i]]) continue;
+            _groupMembers[groupId][members[i]] = true;
+            emit GroupMemberAdded(groupId, msg.sender, members[i]);
+        }
+    }
+
+    /**
+     * @notice True while `user` belongs to `groupId` and the group has not
+     *         been disbanded.
+     */
+    function isGroupMember(bytes32 groupId, address user) public view returns (bool) {
+        return !_groups[groupId].disbanded && _groupMembers[groupId][user];
+    }
+
+    /**
+     * @notice Owner of `groupId` (address(0) if it does not exist) and
+     *         whether it has been disbanded.
+     */
+    function getGroup(bytes32 groupId) external view returns (address owner, bool disbanded) {
+        GroupInfo storage g = _groups[groupId];
+        return (g.owner, g.disbanded);
+    }
+
+    /**
+     * @notice Role and expiry granted to `groupId` on the document
+     *         (None / 0 when there is no grant).
+     */
+    function groupGrantOf(bytes32 documentHash, bytes32 groupId)
+        external
+        view
+        returns (Role role, uint256 expiresAt)
+    {
+        Grant storage g = _groupGrants[documentHash][groupId];
+        return (g.role, g.expiresAt);
+    }
+
+    /**
+     * @notice Groups currently holding a grant (possibly expired) on the document.
+     */
+    function groupsOf(bytes32 documentHash) external view returns (bytes32[] memory) {
+        return _documentGroups[documentHash];
+    }
+
+    // -------------------------------------------------------------------------
+    // Ownership Transfer
+    // -------------------------------------------------------------------------
+
+    /**
+     * @notice Offer ownership to `newOwner`. Replaces any earlier offer.
+     *         The current owner stays in control until the offer is accepted.
+     */
+    function offerOwnership(bytes32 documentHash, address newOwner)
+        external
+        onlyOwner(documentHash)
+        notArchived(documentHash)
+    {
+        require(newOwner != address(0), "Invalid address");
+        require(newOwner != msg.sender, "Already the owner");
+
+        _pendingOwner[documentHash] = newOwner;
+        emit OwnershipTransferOffered(documentHash, msg.sender, newOwner);
+    }
+
+    /**
+     * @notice Withdraw a pending ownership offer.
+     */
+    function cancelOwnershipOffer(bytes32 documentHash)
+        external
+        onlyOwner(documentHash)
+    {
+        address pending = _pendingOwner[documentHash];
+        require(pending != address(0), "No pending transfer");
+
+        delete _pendingOwner[documentHash];
+        emit OwnershipTransferCancelled(documentHash, msg.sender, pending);
+    }
+
+    /**
+     * @notice Accept a pending offer. The caller becomes the owner; any grant
+     *         the caller held is dropped (ownership supersedes it) and the
+     *         previous owner keeps no access unless the new owner grants it.
+     */
+    function acceptOwnership(bytes32 documentHash)
+        external
+        notArchived(documentHash)
+    {
+        require(_docs[documentHash].exists, "Document not found");
+        require(_pendingOwner[documentHash] == msg.sender, "Not the pending owner");
+
+        address previousOwner = _docs[documentHash].owner;
+        _docs[documentHash].owner     = msg.sender;
+        _docs[documentHash].updatedAt = block.timestamp;
+        delete _pendingOwner[documentHash];
+        delete _grants[documentHash][msg.sender];
+
+        emit OwnershipTransferred(documentHash, previousOwner, msg.sender);
+    }
+
+    /**
+     * @notice Wallet currently offered ownership, or address(0).
+     */
+    function pendingOwnerOf(bytes32 documentHash)
+        external
+        view
+        returns (address)
+    {
+        return _pendingOwner[documentHash];
+    }
+
+    // -------------------------------------------------------------------------
+    // Archival
+    // -------------------------------------------------------------------------
+
+    /**
+     * @notice Permanently retire a document. Grantees lose access, and no
+     *         further versions or grants can be written. Irreversible.
+     */
+    function archiveDocument(bytes32 documentHash)
+        external
+        onlyOwner(documentHash)
+        notArchived(documentHash)
+    {
+        _docs[documentHash].archived  = true;
+        _docs[documentHash].updatedAt = block.timestamp;
+        emit DocumentArchived(documentHash, msg.sender);
+    }
+
+    /**
+     * @notice Returns true if `user` is the owner OR holds an unexpired grant
+     *         of any role, directly or through a group. Archived documents are
+     *         visible to their owner only.
      */
     function hasAccess(bytes32 documentHash, address user)
         external
         view
         returns (bool)
     {
-        if (!_docs[documentHash].exists) return false;
-        if (_docs[documentHash].owner == user) return true;
-        return _access[documentHash][user];
+        return roleOf(documentHash, user) != Role.None;
     }
 
     // -------------------------------------------------------------------------
@@ -188,6 +879,15 @@ contract DocumentRegistry {
         return (d.owner, d.cid, d.createdAt, d.updatedAt, d.versionCount);
     }
 
+    function isArchived(bytes32 documentHash)
+        external
+        view
+        returns (bool)
+    {
+        require(_docs[documentHash].exists, "Document not found");
+        return _docs[documentHash].archived;
+    }
+
     function getVersionCount(bytes32 documentHash)
         external
         view
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IERC1271 } from "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title  MockERC1271Wallet
+ * @notice Test-only smart-contract wallet standing in for a Safe or other
+ *         smart account.
+ *
+ *   - EIP-1271: a signature is valid when it is the controlling EOA's
+ *     signature over the hash, or when the hash was approved on-chain with
+ *     approveHash (the signature is then ignored, as with Safe's
+ *     pre-approved messages).
+ *   - execute() forwards calls from the controller, so the wallet itself is
+ *     msg.sender — e.g. it can register and own registry documents.
+ *   - setMode() makes isValidSignature misbehave, for testing verifiers:
+ *     WrongMagic answers a value other than the magic value, Reverting
+ *     reverts.
+ */
+contract MockERC1271Wallet is IERC1271 {
+    enum Mode { Honest, WrongMagic, Reverting }
+
+    address public immutable controller;
+
+    mapping(bytes32 => bool) public approvedHashes;
+
+    Mode public mode;
+
+    constructor(address controller_) {
+        controller = controller_;
+    }
+
+    modifier onlyController() {
+        require(msg.sender == controller, "Not the controller");
+        _;
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        if (mode == Mode.Reverting) revert("Wallet is reverting");
+        if (mode == Mode.WrongMagic) return 0x12345678;
+        if (approvedHashes[hash]) return IERC1271.isValidSignature.selector;
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && recovered == controller) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+
+    function approveHash(bytes32 hash) external onlyController {
+        approvedHashes[hash] = true;
+    }
+
+    function setMode(Mode mode_) external onlyController {
+        mode = mode_;
+    }
+
+    function execute(address target, bytes calldata data) external onlyController returns (bytes memory) {
+        (bool ok, bytes memory result) = target.call(data);
+        if (!ok) {
+            // Bubble up the revert reason
+            assembly { revert(add(result, 32), mload(result)) }
+        }
+        return result;
+    }
+}
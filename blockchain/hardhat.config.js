@@ -3,7 +3,11 @@ require("dotenv").config();
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    // The registry outgrew the 24 KB contract size limit unoptimized
+    settings: { optimizer: { enabled: true, runs: 200 } },
+  },
   networks: {
     // ── Local development (kept for offline testing) ──────────────────────
     hardhat: {
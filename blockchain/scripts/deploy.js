@@ -31,16 +31,16 @@ async function main() {
     console.log(`✅  server/.env updated with REGISTRY_CONTRACT_ADDRESS=${address}`);
   }
 
-  // --- Auto-update client/src/blockchain/config.js ---
-  const clientConfigPath = path.resolve(__dirname, "../../client/src/blockchain/config.js");
-  if (fs.existsSync(clientConfigPath)) {
-    let configContent = fs.readFileSync(clientConfigPath, "utf8");
-    configContent = configContent.replace(
+  // --- Auto-update shared/src/env.js (read by the web client and the CLI) ---
+  const sharedEnvPath = path.resolve(__dirname, "../../shared/src/env.js");
+  if (fs.existsSync(sharedEnvPath)) {
+    let envModule = fs.readFileSync(sharedEnvPath, "utf8");
+    envModule = envModule.replace(
       /REGISTRY_ADDRESS\s*=\s*"0x[0-9a-fA-F]{40}"/,
       `REGISTRY_ADDRESS = "${address}"`
     );
-    fs.writeFileSync(clientConfigPath, configContent);
-    console.log(`✅  client/src/blockchain/config.js updated with address=${address}`);
+    fs.writeFileSync(sharedEnvPath, envModule);
+    console.log(`✅  shared/src/env.js updated with address=${address}`);
   }
 }
 
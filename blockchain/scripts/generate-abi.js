@@ -0,0 +1,108 @@
+/**
+ * generate-abi.js
+ *
+ * Copies DocumentRegistry's ABI from the Hardhat artifacts into the shared
+ * package, with TypeScript declarations for its functions and events, so
+ * the client, server and CLI all build contracts from one generated ABI.
+ *
+ *   npm run compile --workspace blockchain   (runs this after compiling)
+ *   node scripts/generate-abi.js             (artifacts already built)
+ *
+ * Writes shared/src/abi/DocumentRegistry.json and DocumentRegistry.d.ts.
+ * Both are committed; re-run after changing the contract.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONTRACT = "DocumentRegistry";
+const ARTIFACT_PATH = path.resolve(__dirname, `../artifacts/contracts/${CONTRACT}.sol/${CONTRACT}.json`);
+const OUT_DIR = path.resolve(__dirname, "../../shared/src/abi");
+
+// Solidity → TypeScript. Inputs accept anything ethers can coerce; outputs
+// are what ethers v6 decodes to.
+function tsType(param, isInput) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) return `${tsType({ ...param, type: array[1] }, isInput)}[]`;
+  if (param.type === "tuple") {
+    const fields = param.components.map((c) => `${c.name}: ${tsType(c, isInput)}`);
+    return `{ ${fields.join("; ")} }`;
+  }
+  if (/^u?int\d*$/.test(param.type)) return isInput ? "BigNumberish" : "bigint";
+  if (param.type === "bool") return "boolean";
+  if (/^bytes\d*$/.test(param.type)) return isInput ? "BytesLike" : "string";
+  if (param.type === "address") return isInput ? "AddressLike" : "string";
+  return "string";
+}
+
+const argName = (param, i) => param.name || `arg${i}`;
+
+function outputType(outputs) {
+  if (outputs.length === 0) return "void";
+  if (outputs.length === 1) return tsType(outputs[0], false);
+  // ethers returns a Result: positional, and by name where names are set
+  const named = outputs.filter((o) => o.name).map((o) => `${o.name}: ${tsType(o, false)}`);
+  const tuple = `[${outputs.map((o) => tsType(o, false)).join(", ")}]`;
+  return named.length ? `${tuple} & { ${named.join("; ")} }` : tuple;
+}
+
+function declareFunction(fragment) {
+  const args = fragment.inputs.map((p, i) => `${argName(p, i)}: ${tsType(p, true)}`);
+  const view = fragment.stateMutability === "view" || fragment.stateMutability === "pure";
+  args.push(fragment.stateMutability === "payable"
+    ? "overrides?: Overrides & { value?: BigNumberish }"
+    : "overrides?: Overrides");
+  const returns = view ? `Promise<${outputType(fragment.outputs)}>` : "Promise<ContractTransactionResponse>";
+  return `  ${fragment.name}(${args.join(", ")}): ${returns};`;
+}
+
+function declareEvent(fragment) {
+  const fields = fragment.inputs.map((p, i) => `${argName(p, i)}: ${tsType(p, false)}`);
+  return `  ${fragment.name}: { ${fields.join("; ")} };`;
+}
+
+function main() {
+  if (!fs.existsSync(ARTIFACT_PATH)) {
+    console.error(`No artifact at ${ARTIFACT_PATH} — run "npx hardhat compile" first.`);
+    process.exit(1);
+  }
+  const { contractName, sourceName, abi } = JSON.parse(fs.readFileSync(ARTIFACT_PATH, "utf8"));
+
+  const functions = abi.filter((f) => f.type === "function").map(declareFunction);
+  const events = abi.filter((f) => f.type === "event").map(declareEvent);
+
+  const declarations = `// Generated by blockchain/scripts/generate-abi.js from ${sourceName} — do not edit.
+
+import type {
+  AddressLike,
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  ContractTransactionResponse,
+  Overrides
+} from "ethers";
+
+export interface ${contractName}Functions {
+${functions.join("\n")}
+}
+
+/** Decoded arguments of each event, by event name. */
+export interface ${contractName}Events {
+${events.join("\n")}
+}
+
+export type ${contractName}EventName = keyof ${contractName}Events;
+
+export type ${contractName} = BaseContract & ${contractName}Functions;
+`;
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  fs.writeFileSync(
+    path.join(OUT_DIR, `${contractName}.json`),
+    `${JSON.stringify({ contractName, sourceName, abi }, null, 2)}\n`
+  );
+  fs.writeFileSync(path.join(OUT_DIR, `${contractName}.d.ts`), declarations);
+  console.log(`✅  shared/src/abi/${contractName}.json and .d.ts generated (${abi.length} entries)`);
+}
+
+main();
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("DocumentRegistry", function () {
   let documentRegistry;
@@ -7,6 +8,15 @@ describe("DocumentRegistry", function () {
   let addr1;
   let addr2;
 
+  // bytes32 documentHash, as computed off-chain by the server
+  const hashOf = (label) => ethers.id(label);
+
+  // Versions that don't anchor a plaintext hash
+  const NO_CONTENT_HASH = ethers.ZeroHash;
+
+  // DocumentRegistry.Role
+  const [NONE, VIEWER, EDITOR, OWNER] = [0, 1, 2, 3];
+
   beforeEach(async function () {
     [owner, addr1, addr2] = await ethers.getSigners();
     const DocumentRegistry = await ethers.getContractFactory("DocumentRegistry");
@@ -15,95 +25,877 @@ describe("DocumentRegistry", function () {
 
   describe("Registration", function () {
     it("Should register a new document", async function () {
-      const ipfsHash = "QmTest123456789";
-      const name = "Test Document";
+      const documentHash = hashOf("Test Document");
+      const cid = "QmTest123456789";
 
-      await expect(documentRegistry.connect(addr1).registerDocument(ipfsHash, name))
+      await expect(documentRegistry.connect(addr1).registerDocument(documentHash, cid, NO_CONTENT_HASH))
         .to.emit(documentRegistry, "DocumentRegistered")
-        .withArgs(ipfsHash, addr1.address, name);
+        .withArgs(documentHash, addr1.address, cid, NO_CONTENT_HASH);
 
-      const doc = await documentRegistry.getDocument(ipfsHash);
-      expect(doc.ipfsHash).to.equal(ipfsHash);
-      expect(doc.name).to.equal(name);
+      const doc = await documentRegistry.getDocument(documentHash);
+      expect(doc.cid).to.equal(cid);
       expect(doc.owner).to.equal(addr1.address);
-      expect(doc.version).to.equal(1);
+      expect(doc.versionCount).to.equal(1);
     });
 
-    it("Should fail if IPFS hash is empty", async function () {
-      await expect(documentRegistry.registerDocument("", "Empty Hash"))
-        .to.be.revertedWith("IPFS hash is required");
+    it("Should fail if CID is empty", async function () {
+      await expect(documentRegistry.registerDocument(hashOf("Empty CID"), "", NO_CONTENT_HASH))
+        .to.be.revertedWith("CID required");
+    });
+
+    it("Should anchor the plaintext hash in the event", async function () {
+      const documentHash = hashOf("Anchored");
+      const contentHash = ethers.sha256(ethers.toUtf8Bytes("the original file"));
+
+      await expect(documentRegistry.connect(addr1).registerDocument(documentHash, "QmCiphertext", contentHash))
+        .to.emit(documentRegistry, "DocumentRegistered")
+        .withArgs(documentHash, addr1.address, "QmCiphertext", contentHash);
     });
 
     it("Should fail if document is already registered", async function () {
-      const ipfsHash = "QmDuplicate123";
-      await documentRegistry.registerDocument(ipfsHash, "Original");
-      await expect(documentRegistry.registerDocument(ipfsHash, "Duplicate"))
+      const documentHash = hashOf("Duplicate");
+      await documentRegistry.registerDocument(documentHash, "QmOriginal", NO_CONTENT_HASH);
+      await expect(documentRegistry.registerDocument(documentHash, "QmDuplicate", NO_CONTENT_HASH))
         .to.be.revertedWith("Document already registered");
     });
   });
 
   describe("Updates", function () {
     it("Should allow the owner to update a document", async function () {
-      const ipfsHash = "QmUpdateTest";
-      await documentRegistry.connect(addr1).registerDocument(ipfsHash, "Initial");
-      
-      await expect(documentRegistry.connect(addr1).updateDocument(ipfsHash))
+      const documentHash = hashOf("Update Test");
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmInitial", NO_CONTENT_HASH);
+
+      await expect(documentRegistry.connect(addr1).updateDocument(documentHash, "QmSecond", NO_CONTENT_HASH))
         .to.emit(documentRegistry, "DocumentUpdated")
-        .withArgs(ipfsHash, addr1.address, 2);
+        .withArgs(documentHash, addr1.address, addr1.address, 2, "QmSecond", NO_CONTENT_HASH);
 
-      const doc = await documentRegistry.getDocument(ipfsHash);
-      expect(doc.version).to.equal(2);
+      const doc = await documentRegistry.getDocument(documentHash);
+      expect(doc.versionCount).to.equal(2);
+      expect(doc.cid).to.equal("QmSecond");
+    });
+
+    it("Should anchor each version's plaintext hash", async function () {
+      const documentHash = hashOf("Anchored Update");
+      const contentHash = ethers.sha256(ethers.toUtf8Bytes("the second draft"));
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmInitial", NO_CONTENT_HASH);
+
+      await expect(documentRegistry.connect(addr1).updateDocument(documentHash, "QmSecond", contentHash))
+        .to.emit(documentRegistry, "DocumentUpdated")
+        .withArgs(documentHash, addr1.address, addr1.address, 2, "QmSecond", contentHash);
     });
 
     it("Should prevent non-owners from updating", async function () {
-      const ipfsHash = "QmNonOwnerTest";
-      await documentRegistry.connect(addr1).registerDocument(ipfsHash, "Initial");
-      
-      await expect(documentRegistry.connect(addr2).updateDocument(ipfsHash))
-        .to.be.revertedWith("Not the document owner");
+      const documentHash = hashOf("Non Owner Test");
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmInitial", NO_CONTENT_HASH);
+
+      await expect(documentRegistry.connect(addr2).updateDocument(documentHash, "QmHijack", NO_CONTENT_HASH))
+        .to.be.revertedWith("Not a document editor");
     });
   });
 
   describe("Access Control", function () {
-    const ipfsHash = "QmAccessTest";
+    const documentHash = hashOf("Access Controlled Doc");
 
     beforeEach(async function () {
-      await documentRegistry.connect(addr1).registerDocument(ipfsHash, "Access Controlled Doc");
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmAccessTest", NO_CONTENT_HASH);
     });
 
     it("Should allow the owner to grant and revoke access", async function () {
       // Initially no access for addr2
-      expect(await documentRegistry.hasAccess(ipfsHash, addr2.address)).to.be.false;
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
 
       // Grant access
-      await expect(documentRegistry.connect(addr1).grantAccess(ipfsHash, addr2.address))
+      await expect(documentRegistry.connect(addr1).grantAccess(documentHash, addr2.address))
         .to.emit(documentRegistry, "AccessGranted")
-        .withArgs(ipfsHash, addr1.address, addr2.address);
+        .withArgs(documentHash, addr1.address, addr2.address, VIEWER, ethers.MaxUint256);
 
-      expect(await documentRegistry.hasAccess(ipfsHash, addr2.address)).to.be.true;
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.true;
 
       // Revoke access
-      await expect(documentRegistry.connect(addr1).revokeAccess(ipfsHash, addr2.address))
+      await expect(documentRegistry.connect(addr1).revokeAccess(documentHash, addr2.address))
         .to.emit(documentRegistry, "AccessRevoked")
-        .withArgs(ipfsHash, addr1.address, addr2.address);
+        .withArgs(documentHash, addr1.address, addr2.address);
 
-      expect(await documentRegistry.hasAccess(ipfsHash, addr2.address)).to.be.false;
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
     });
 
     it("Should confirm the owner always has access", async function () {
-      expect(await documentRegistry.hasAccess(ipfsHash, addr1.address)).to.be.true;
+      expect(await documentRegistry.hasAccess(documentHash, addr1.address)).to.be.true;
     });
 
     it("Should prevent non-owners from granting or revoking access", async function () {
-      await expect(documentRegistry.connect(addr2).grantAccess(ipfsHash, addr2.address))
+      await expect(documentRegistry.connect(addr2).grantAccess(documentHash, addr2.address))
         .to.be.revertedWith("Not the document owner");
 
-      await expect(documentRegistry.connect(addr2).revokeAccess(ipfsHash, addr1.address))
+      await expect(documentRegistry.connect(addr2).revokeAccess(documentHash, addr1.address))
         .to.be.revertedWith("Not the document owner");
     });
 
     it("Should return false for non-existent documents", async function () {
-      expect(await documentRegistry.hasAccess("QmDoesNotExist", addr1.address)).to.be.false;
+      expect(await documentRegistry.hasAccess(hashOf("Does Not Exist"), addr1.address)).to.be.false;
+    });
+  });
+
+  describe("Time-limited Access", function () {
+    const documentHash = hashOf("Expiring Doc");
+    const ONE_DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmExpiring", NO_CONTENT_HASH);
+    });
+
+    it("Should emit the expiry and grant access until it passes", async function () {
+      const expiresAt = (await time.latest()) + ONE_DAY;
+
+      await expect(documentRegistry.connect(addr1).grantAccessUntil(documentHash, addr2.address, expiresAt))
+        .to.emit(documentRegistry, "AccessGranted")
+        .withArgs(documentHash, addr1.address, addr2.address, VIEWER, expiresAt);
+
+      expect(await documentRegistry.accessExpiry(documentHash, addr2.address)).to.equal(expiresAt);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.true;
+
+      // One second before expiry — still valid
+      await time.increaseTo(expiresAt - 1);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.true;
+
+      // At expiry — lapsed without any revoke transaction
+      await time.increaseTo(expiresAt);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+    });
+
+    it("Should keep permanent grants valid indefinitely", async function () {
+      await documentRegistry.connect(addr1).grantAccess(documentHash, addr2.address);
+      expect(await documentRegistry.accessExpiry(documentHash, addr2.address))
+        .to.equal(await documentRegistry.NO_EXPIRY());
+
+      await time.increase(10 * 365 * ONE_DAY);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.true;
+    });
+
+    it("Should let the owner extend a grant before or after it lapses", async function () {
+      await documentRegistry.connect(addr1).grantAccessUntil(documentHash, addr2.address, (await time.latest()) + ONE_DAY);
+      await time.increase(2 * ONE_DAY);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+
+      await documentRegistry.connect(addr1).grantAccessUntil(documentHash, addr2.address, (await time.latest()) + ONE_DAY);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.true;
+    });
+
+    it("Should let the owner revoke before expiry", async function () {
+      await documentRegistry.connect(addr1).grantAccessUntil(documentHash, addr2.address, (await time.latest()) + ONE_DAY);
+      await documentRegistry.connect(addr1).revokeAccess(documentHash, addr2.address);
+
+      expect(await documentRegistry.accessExpiry(documentHash, addr2.address)).to.equal(0);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+    });
+
+    it("Should reject expiries that are not in the future", async function () {
+      const now = await time.latest();
+      await expect(documentRegistry.connect(addr1).grantAccessUntil(documentHash, addr2.address, now))
+        .to.be.revertedWith("Expiry must be in the future");
+    });
+
+    it("Should prevent non-owners from granting time-limited access", async function () {
+      const expiresAt = (await time.latest()) + ONE_DAY;
+      await expect(documentRegistry.connect(addr2).grantAccessUntil(documentHash, addr2.address, expiresAt))
+        .to.be.revertedWith("Not the document owner");
+    });
+  });
+
+  describe("Roles", function () {
+    const documentHash = hashOf("Team Doc");
+
+    beforeEach(async function () {
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmTeam", NO_CONTENT_HASH);
+    });
+
+    it("Should report the effective role of each wallet", async function () {
+      await documentRegistry.connect(addr1).grantAccess(documentHash, addr2.address);
+
+      expect(await documentRegistry.roleOf(documentHash, addr1.address)).to.equal(OWNER);
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(VIEWER);
+      expect(await documentRegistry.roleOf(documentHash, owner.address)).to.equal(NONE);
+    });
+
+    it("Should emit the role and let editors publish versions", async function () {
+      await expect(documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, EDITOR, ethers.MaxUint256))
+        .to.emit(documentRegistry, "AccessGranted")
+        .withArgs(documentHash, addr1.address, addr2.address, EDITOR, ethers.MaxUint256);
+
+      await expect(documentRegistry.connect(addr2).updateDocument(documentHash, "QmEdited", NO_CONTENT_HASH))
+        .to.emit(documentRegistry, "DocumentUpdated")
+        .withArgs(documentHash, addr1.address, addr2.address, 2, "QmEdited", NO_CONTENT_HASH);
+
+      const doc = await documentRegistry.getDocument(documentHash);
+      expect(doc.owner).to.equal(addr1.address);
+      expect(doc.cid).to.equal("QmEdited");
+    });
+
+    it("Should prevent viewers from publishing versions", async function () {
+      await documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, VIEWER, ethers.MaxUint256);
+      await expect(documentRegistry.connect(addr2).updateDocument(documentHash, "QmViewer", NO_CONTENT_HASH))
+        .to.be.revertedWith("Not a document editor");
+    });
+
+    it("Should stop honouring an editor grant once it expires", async function () {
+      const expiresAt = (await time.latest()) + 60 * 60;
+      await documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, EDITOR, expiresAt);
+
+      await time.increaseTo(expiresAt);
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(NONE);
+      await expect(documentRegistry.connect(addr2).updateDocument(documentHash, "QmLate", NO_CONTENT_HASH))
+        .to.be.revertedWith("Not a document editor");
+    });
+
+    it("Should let the owner demote or revoke an editor", async function () {
+      await documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, EDITOR, ethers.MaxUint256);
+      await documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, VIEWER, ethers.MaxUint256);
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(VIEWER);
+
+      await documentRegistry.connect(addr1).revokeAccess(documentHash, addr2.address);
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(NONE);
+    });
+
+    it("Should report a wallet's direct grant", async function () {
+      const expiresAt = (await time.latest()) + 60 * 60;
+      await documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, EDITOR, expiresAt);
+
+      const grant = await documentRegistry.grantOf(documentHash, addr2.address);
+      expect(grant.role).to.equal(EDITOR);
+      expect(grant.expiresAt).to.equal(expiresAt);
+
+      await documentRegistry.connect(addr1).revokeAccess(documentHash, addr2.address);
+      const revoked = await documentRegistry.grantOf(documentHash, addr2.address);
+      expect(revoked.role).to.equal(NONE);
+      expect(revoked.expiresAt).to.equal(0);
+    });
+
+    it("Should reject roles that cannot be granted", async function () {
+      await expect(documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, NONE, ethers.MaxUint256))
+        .to.be.revertedWith("Invalid role");
+      await expect(documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, OWNER, ethers.MaxUint256))
+        .to.be.revertedWith("Invalid role");
+    });
+
+    it("Should prevent editors from managing access or archiving", async function () {
+      await documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, EDITOR, ethers.MaxUint256);
+
+      await expect(documentRegistry.connect(addr2).grantRole(documentHash, owner.address, EDITOR, ethers.MaxUint256))
+        .to.be.revertedWith("Not the document owner");
+      await expect(documentRegistry.connect(addr2).archiveDocument(documentHash))
+        .to.be.revertedWith("Not the document owner");
+    });
+  });
+
+  describe("Batch Access", function () {
+    const docA = hashOf("Batch Doc A");
+    const docB = hashOf("Batch Doc B");
+    let users;
+
+    beforeEach(async function () {
+      await documentRegistry.connect(addr1).registerDocument(docA, "QmBatchA", NO_CONTENT_HASH);
+      await documentRegistry.connect(addr1).registerDocument(docB, "QmBatchB", NO_CONTENT_HASH);
+      users = [addr2.address, owner.address];
+    });
+
+    it("Should grant every user on every document with per-pair events", async function () {
+      const tx = documentRegistry.connect(addr1).grantRoleBatch([docA, docB], users, EDITOR, ethers.MaxUint256);
+
+      for (const doc of [docA, docB]) {
+        for (const user of users) {
+          await expect(tx)
+            .to.emit(documentRegistry, "AccessGranted")
+            .withArgs(doc, addr1.address, user, EDITOR, ethers.MaxUint256);
+          expect(await documentRegistry.roleOf(doc, user)).to.equal(EDITOR);
+        }
+      }
+    });
+
+    it("Should apply the expiry to every pair", async function () {
+      const expiresAt = (await time.latest()) + 60 * 60;
+      await documentRegistry.connect(addr1).grantRoleBatch([docA, docB], users, VIEWER, expiresAt);
+
+      await time.increaseTo(expiresAt);
+      for (const doc of [docA, docB]) {
+        for (const user of users) {
+          expect(await documentRegistry.hasAccess(doc, user)).to.be.false;
+        }
+      }
+    });
+
+    it("Should revoke every user on every document with per-pair events", async function () {
+      await documentRegistry.connect(addr1).grantRoleBatch([docA, docB], users, VIEWER, ethers.MaxUint256);
+
+      const tx = documentRegistry.connect(addr1).revokeAccessBatch([docA, docB], users);
+      for (const doc of [docA, docB]) {
+        for (const user of users) {
+          await expect(tx)
+            .to.emit(documentRegistry, "AccessRevoked")
+            .withArgs(doc, addr1.address, user);
+          expect(await documentRegistry.hasAccess(doc, user)).to.be.false;
+        }
+      }
+    });
+
+    it("Should revert the whole batch if any document is not the caller's", async function () {
+      const foreign = hashOf("Someone Else's Doc");
+      await documentRegistry.connect(addr2).registerDocument(foreign, "QmForeign", NO_CONTENT_HASH);
+
+      await expect(documentRegistry.connect(addr1).grantRoleBatch([docA, foreign], users, VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Not the document owner");
+      expect(await documentRegistry.hasAccess(docA, owner.address)).to.be.false;
+
+      await expect(documentRegistry.connect(addr1).revokeAccessBatch([docA, foreign], users))
+        .to.be.revertedWith("Not the document owner");
+    });
+
+    it("Should refuse to grant on archived documents", async function () {
+      await documentRegistry.connect(addr1).archiveDocument(docB);
+      await expect(documentRegistry.connect(addr1).grantRoleBatch([docA, docB], users, VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Document archived");
+    });
+
+    it("Should validate the batch shape, role and expiry", async function () {
+      await expect(documentRegistry.connect(addr1).grantRoleBatch([], users, VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Empty batch");
+      await expect(documentRegistry.connect(addr1).revokeAccessBatch([docA], []))
+        .to.be.revertedWith("Empty batch");
+      await expect(documentRegistry.connect(addr1).grantRoleBatch([docA], users, NONE, ethers.MaxUint256))
+        .to.be.revertedWith("Invalid role");
+      await expect(documentRegistry.connect(addr1).grantRoleBatch([docA], users, VIEWER, await time.latest()))
+        .to.be.revertedWith("Expiry must be in the future");
+      await expect(documentRegistry.connect(addr1).grantRoleBatch([docA], [ethers.ZeroAddress], VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Invalid address");
+    });
+
+    it("Should cap the number of pairs per call", async function () {
+      const max = Number(await documentRegistry.MAX_BATCH_PAIRS());
+      const tooMany = Array.from({ length: max + 1 }, (_, i) => ethers.getAddress(ethers.toBeHex(i + 1, 20)));
+
+      await expect(documentRegistry.connect(addr1).grantRoleBatch([docA], tooMany, VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Batch too large");
+    });
+  });
+
+  describe("Groups", function () {
+    const documentHash = hashOf("Legal Doc");
+    const groupId = hashOf("Legal");
+
+    beforeEach(async function () {
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmLegal", NO_CONTENT_HASH);
+      await documentRegistry.connect(addr1).createGroup(groupId, [addr2.address]);
+    });
+
+    it("Should create a group with its initial members", async function () {
+      const otherGroup = hashOf("Finance");
+      await expect(documentRegistry.connect(owner).createGroup(otherGroup, [addr1.address]))
+        .to.emit(documentRegistry, "GroupCreated")
+        .withArgs(otherGroup, owner.address)
+        .and.to.emit(documentRegistry, "GroupMemberAdded")
+        .withArgs(otherGroup, owner.address, addr1.address);
+
+      const group = await documentRegistry.getGroup(otherGroup);
+      expect(group.owner).to.equal(owner.address);
+      expect(await documentRegistry.isGroupMember(otherGroup, addr1.address)).to.be.true;
+      await expect(documentRegistry.connect(addr2).createGroup(otherGroup, []))
+        .to.be.revertedWith("Group already exists");
+    });
+
+    it("Should give members the role granted to the group", async function () {
+      await expect(documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, EDITOR, ethers.MaxUint256))
+        .to.emit(documentRegistry, "GroupAccessGranted")
+        .withArgs(documentHash, addr1.address, groupId, EDITOR, ethers.MaxUint256);
+
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.true;
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(EDITOR);
+      expect(await documentRegistry.hasAccess(documentHash, owner.address)).to.be.false;
+      await documentRegistry.connect(addr2).updateDocument(documentHash, "QmLegalV2", NO_CONTENT_HASH);
+    });
+
+    it("Should follow membership changes immediately", async function () {
+      await documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, VIEWER, ethers.MaxUint256);
+
+      await documentRegistry.connect(addr1).addGroupMembers(groupId, [owner.address]);
+      expect(await documentRegistry.hasAccess(documentHash, owner.address)).to.be.true;
+
+      await expect(documentRegistry.connect(addr1).removeGroupMembers(groupId, [addr2.address]))
+        .to.emit(documentRegistry, "GroupMemberRemoved")
+        .withArgs(groupId, addr1.address, addr2.address);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+    });
+
+    it("Should use the higher of a direct and a group role", async function () {
+      await documentRegistry.connect(addr1).grantAccess(documentHash, addr2.address);
+      await documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, EDITOR, ethers.MaxUint256);
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(EDITOR);
+
+      await documentRegistry.connect(addr1).revokeGroupAccess(documentHash, groupId);
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(VIEWER);
+      expect(await documentRegistry.groupsOf(documentHash)).to.deep.equal([]);
+    });
+
+    it("Should stop honouring an expired group grant", async function () {
+      const expiresAt = (await time.latest()) + 60 * 60;
+      await documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, VIEWER, expiresAt);
+
+      const grant = await documentRegistry.groupGrantOf(documentHash, groupId);
+      expect(grant.role).to.equal(VIEWER);
+      expect(grant.expiresAt).to.equal(expiresAt);
+
+      await time.increaseTo(expiresAt);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+    });
+
+    it("Should revoke group access when the group is disbanded", async function () {
+      await documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, VIEWER, ethers.MaxUint256);
+
+      await expect(documentRegistry.connect(addr1).disbandGroup(groupId))
+        .to.emit(documentRegistry, "GroupDisbanded")
+        .withArgs(groupId, addr1.address);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+      await expect(documentRegistry.connect(addr1).addGroupMembers(groupId, [owner.address]))
+        .to.be.revertedWith("Group disbanded");
+      await expect(documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Group disbanded");
+    });
+
+    it("Should restrict membership changes to the group owner", async function () {
+      await expect(documentRegistry.connect(addr2).addGroupMembers(groupId, [addr2.address]))
+        .to.be.revertedWith("Not the group owner");
+      await expect(documentRegistry.connect(addr2).disbandGroup(groupId))
+        .to.be.revertedWith("Not the group owner");
+      await expect(documentRegistry.connect(addr1).addGroupMembers(hashOf("Missing"), [addr2.address]))
+        .to.be.revertedWith("Group not found");
+    });
+
+    it("Should only let the document owner share with a group", async function () {
+      await expect(documentRegistry.connect(addr2).grantGroupRole(documentHash, groupId, VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Not the document owner");
+      await expect(documentRegistry.connect(addr1).grantGroupRole(documentHash, hashOf("Missing"), VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Group not found");
+      await expect(documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, OWNER, ethers.MaxUint256))
+        .to.be.revertedWith("Invalid role");
+    });
+
+    it("Should cap the number of groups per document", async function () {
+      const max = Number(await documentRegistry.MAX_GROUPS_PER_DOCUMENT());
+      for (let i = 0; i < max; i++) {
+        const id = hashOf(`Group ${i}`);
+        await documentRegistry.connect(addr1).createGroup(id, []);
+        await documentRegistry.connect(addr1).grantGroupRole(documentHash, id, VIEWER, ethers.MaxUint256);
+      }
+
+      await expect(documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, VIEWER, ethers.MaxUint256))
+        .to.be.revertedWith("Too many groups");
+      // Re-granting to a group already on the document does not count again
+      await documentRegistry.connect(addr1).grantGroupRole(documentHash, hashOf("Group 0"), EDITOR, ethers.MaxUint256);
+    });
+
+    it("Should hide archived documents from group members", async function () {
+      await documentRegistry.connect(addr1).grantGroupRole(documentHash, groupId, VIEWER, ethers.MaxUint256);
+      await documentRegistry.connect(addr1).archiveDocument(documentHash);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+    });
+  });
+
+  describe("Ownership Transfer", function () {
+    const documentHash = hashOf("Transferred Doc");
+
+    beforeEach(async function () {
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmTransfer", NO_CONTENT_HASH);
+    });
+
+    it("Should transfer ownership once the recipient accepts", async function () {
+      await expect(documentRegistry.connect(addr1).offerOwnership(documentHash, addr2.address))
+        .to.emit(documentRegistry, "OwnershipTransferOffered")
+        .withArgs(documentHash, addr1.address, addr2.address);
+
+      // Nothing changes hands until the recipient signs
+      expect(await documentRegistry.pendingOwnerOf(documentHash)).to.equal(addr2.address);
+      expect((await documentRegistry.getDocument(documentHash)).owner).to.equal(addr1.address);
+
+      await expect(documentRegistry.connect(addr2).acceptOwnership(documentHash))
+        .to.emit(documentRegistry, "OwnershipTransferred")
+        .withArgs(documentHash, addr1.address, addr2.address);
+
+      expect((await documentRegistry.getDocument(documentHash)).owner).to.equal(addr2.address);
+      expect(await documentRegistry.pendingOwnerOf(documentHash)).to.equal(ethers.ZeroAddress);
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(OWNER);
+      expect(await documentRegistry.hasAccess(documentHash, addr1.address)).to.be.false;
+    });
+
+    it("Should hand owner-only actions to the new owner", async function () {
+      await documentRegistry.connect(addr1).offerOwnership(documentHash, addr2.address);
+      await documentRegistry.connect(addr2).acceptOwnership(documentHash);
+
+      await expect(documentRegistry.connect(addr1).updateDocument(documentHash, "QmOld", NO_CONTENT_HASH))
+        .to.be.revertedWith("Not a document editor");
+      await expect(documentRegistry.connect(addr1).grantAccess(documentHash, addr1.address))
+        .to.be.revertedWith("Not the document owner");
+
+      await documentRegistry.connect(addr2).updateDocument(documentHash, "QmNew", NO_CONTENT_HASH);
+      await documentRegistry.connect(addr2).grantAccess(documentHash, addr1.address);
+      expect(await documentRegistry.hasAccess(documentHash, addr1.address)).to.be.true;
+    });
+
+    it("Should drop the grant a grantee held before becoming owner", async function () {
+      await documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, EDITOR, ethers.MaxUint256);
+      await documentRegistry.connect(addr1).offerOwnership(documentHash, addr2.address);
+      await documentRegistry.connect(addr2).acceptOwnership(documentHash);
+
+      expect(await documentRegistry.accessExpiry(documentHash, addr2.address)).to.equal(0);
+    });
+
+    it("Should only let the pending owner accept", async function () {
+      await documentRegistry.connect(addr1).offerOwnership(documentHash, addr2.address);
+
+      await expect(documentRegistry.connect(owner).acceptOwnership(documentHash))
+        .to.be.revertedWith("Not the pending owner");
+      await expect(documentRegistry.connect(addr2).acceptOwnership(hashOf("Missing")))
+        .to.be.revertedWith("Document not found");
+    });
+
+    it("Should let the owner cancel or replace an offer", async function () {
+      await documentRegistry.connect(addr1).offerOwnership(documentHash, addr2.address);
+      await documentRegistry.connect(addr1).offerOwnership(documentHash, owner.address);
+      await expect(documentRegistry.connect(addr2).acceptOwnership(documentHash))
+        .to.be.revertedWith("Not the pending owner");
+
+      await expect(documentRegistry.connect(addr1).cancelOwnershipOffer(documentHash))
+        .to.emit(documentRegistry, "OwnershipTransferCancelled")
+        .withArgs(documentHash, addr1.address, owner.address);
+      await expect(documentRegistry.connect(owner).acceptOwnership(documentHash))
+        .to.be.revertedWith("Not the pending owner");
+      await expect(documentRegistry.connect(addr1).cancelOwnershipOffer(documentHash))
+        .to.be.revertedWith("No pending transfer");
+    });
+
+    it("Should reject invalid offers", async function () {
+      await expect(documentRegistry.connect(addr2).offerOwnership(documentHash, addr2.address))
+        .to.be.revertedWith("Not the document owner");
+      await expect(documentRegistry.connect(addr1).offerOwnership(documentHash, addr1.address))
+        .to.be.revertedWith("Already the owner");
+      await expect(documentRegistry.connect(addr1).offerOwnership(documentHash, ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid address");
+    });
+
+    it("Should not complete a transfer after archival", async function () {
+      await documentRegistry.connect(addr1).offerOwnership(documentHash, addr2.address);
+      await documentRegistry.connect(addr1).archiveDocument(documentHash);
+
+      await expect(documentRegistry.connect(addr2).acceptOwnership(documentHash))
+        .to.be.revertedWith("Document archived");
+    });
+  });
+
+  describe("Archival", function () {
+    const documentHash = hashOf("Archived Doc");
+
+    beforeEach(async function () {
+      await documentRegistry.connect(addr1).registerDocument(documentHash, "QmArchive", NO_CONTENT_HASH);
+      await documentRegistry.connect(addr1).grantAccess(documentHash, addr2.address);
+    });
+
+    it("Should let the owner archive a document", async function () {
+      await expect(documentRegistry.connect(addr1).archiveDocument(documentHash))
+        .to.emit(documentRegistry, "DocumentArchived")
+        .withArgs(documentHash, addr1.address);
+
+      expect(await documentRegistry.isArchived(documentHash)).to.be.true;
+    });
+
+    it("Should revoke grantee access but keep the owner's", async function () {
+      await documentRegistry.connect(addr1).archiveDocument(documentHash);
+
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+      expect(await documentRegistry.hasAccess(documentHash, addr1.address)).to.be.true;
+    });
+
+    it("Should freeze the document after archival", async function () {
+      await documentRegistry.connect(addr1).archiveDocument(documentHash);
+
+      await expect(documentRegistry.connect(addr1).updateDocument(documentHash, "QmLate", NO_CONTENT_HASH))
+        .to.be.revertedWith("Document archived");
+      await expect(documentRegistry.connect(addr1).grantAccess(documentHash, owner.address))
+        .to.be.revertedWith("Document archived");
+      await expect(documentRegistry.connect(addr1).archiveDocument(documentHash))
+        .to.be.revertedWith("Document archived");
+    });
+
+    it("Should prevent non-owners from archiving", async function () {
+      await expect(documentRegistry.connect(addr2).archiveDocument(documentHash))
+        .to.be.revertedWith("Not the document owner");
+    });
+  });
+
+  describe("Signed Intents", function () {
+    // addr1 signs, owner relays and pays the gas
+    const documentHash = hashOf("Relayed Doc");
+    const TYPES = {
+      RegisterDocument: [
+        { name: "owner", type: "address" },
+        { name: "documentHash", type: "bytes32" },
+        { name: "cid", type: "string" },
+        { name: "contentHash", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      UpdateDocument: [
+        { name: "editor", type: "address" },
+        { name: "documentHash", type: "bytes32" },
+        { name: "newCid", type: "string" },
+        { name: "contentHash", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      GrantAccess: [
+        { name: "owner", type: "address" },
+        { name: "documentHash", type: "bytes32" },
+        { name: "user", type: "address" },
+        { name: "role", type: "uint8" },
+        { name: "expiresAt", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      RevokeAccess: [
+        { name: "owner", type: "address" },
+        { name: "documentHash", type: "bytes32" },
+        { name: "user", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+
+    let deadline;
+
+    async function sign(wallet, type, message) {
+      const domain = {
+        name: "DocumentRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await documentRegistry.getAddress(),
+      };
+      const nonce = await documentRegistry.nonces(wallet.address);
+      // Register and update intents anchor no plaintext hash unless given one
+      const fields = TYPES[type].some((f) => f.name === "contentHash") ? { contentHash: NO_CONTENT_HASH, ...message } : message;
+      return wallet.signTypedData(domain, { [type]: TYPES[type] }, { ...fields, nonce, deadline });
+    }
+
+    async function registerBySig(wallet, hash, cid) {
+      const signature = await sign(wallet, "RegisterDocument", { owner: wallet.address, documentHash: hash, cid });
+      return documentRegistry.registerDocumentBySig(wallet.address, hash, cid, NO_CONTENT_HASH, deadline, signature);
+    }
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should expose the EIP-712 domain separator", async function () {
+      const expected = ethers.TypedDataEncoder.hashDomain({
+        name: "DocumentRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await documentRegistry.getAddress(),
+      });
+      expect(await documentRegistry.DOMAIN_SEPARATOR()).to.equal(expected);
+    });
+
+    it("Should register for the signer, not the relayer", async function () {
+      await expect(registerBySig(addr1, documentHash, "QmRelayed"))
+        .to.emit(documentRegistry, "DocumentRegistered")
+        .withArgs(documentHash, addr1.address, "QmRelayed", NO_CONTENT_HASH);
+
+      expect((await documentRegistry.getDocument(documentHash)).owner).to.equal(addr1.address);
+      expect(await documentRegistry.nonces(addr1.address)).to.equal(1);
+      expect(await documentRegistry.nonces(owner.address)).to.equal(0);
+    });
+
+    it("Should publish versions signed by the owner or an editor", async function () {
+      await registerBySig(addr1, documentHash, "QmV1");
+      await documentRegistry.connect(addr1).grantRole(documentHash, addr2.address, EDITOR, ethers.MaxUint256);
+
+      const signature = await sign(addr2, "UpdateDocument", { editor: addr2.address, documentHash, newCid: "QmV2" });
+      await expect(documentRegistry.updateDocumentBySig(addr2.address, documentHash, "QmV2", NO_CONTENT_HASH, deadline, signature))
+        .to.emit(documentRegistry, "DocumentUpdated")
+        .withArgs(documentHash, addr1.address, addr2.address, 2, "QmV2", NO_CONTENT_HASH);
+
+      const outsider = await sign(owner, "UpdateDocument", { editor: owner.address, documentHash, newCid: "QmV3" });
+      await expect(documentRegistry.updateDocumentBySig(owner.address, documentHash, "QmV3", NO_CONTENT_HASH, deadline, outsider))
+        .to.be.revertedWith("Not a document editor");
+    });
+
+    it("Should grant and revoke on the owner's signature", async function () {
+      await registerBySig(addr1, documentHash, "QmShare");
+      const expiresAt = deadline + 86400;
+
+      let signature = await sign(addr1, "GrantAccess", {
+        owner: addr1.address, documentHash, user: addr2.address, role: EDITOR, expiresAt,
+      });
+      await expect(documentRegistry.grantAccessBySig(addr1.address, documentHash, addr2.address, EDITOR, expiresAt, deadline, signature))
+        .to.emit(documentRegistry, "AccessGranted")
+        .withArgs(documentHash, addr1.address, addr2.address, EDITOR, expiresAt);
+      expect(await documentRegistry.roleOf(documentHash, addr2.address)).to.equal(EDITOR);
+
+      signature = await sign(addr1, "RevokeAccess", { owner: addr1.address, documentHash, user: addr2.address });
+      await expect(documentRegistry.revokeAccessBySig(addr1.address, documentHash, addr2.address, deadline, signature))
+        .to.emit(documentRegistry, "AccessRevoked")
+        .withArgs(documentHash, addr1.address, addr2.address);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.false;
+    });
+
+    it("Should only honour grants signed by the document owner", async function () {
+      await registerBySig(addr1, documentHash, "QmOwned");
+
+      const signature = await sign(addr2, "GrantAccess", {
+        owner: addr2.address, documentHash, user: addr2.address, role: EDITOR, expiresAt: ethers.MaxUint256,
+      });
+      await expect(documentRegistry.grantAccessBySig(addr2.address, documentHash, addr2.address, EDITOR, ethers.MaxUint256, deadline, signature))
+        .to.be.revertedWith("Not the document owner");
+    });
+
+    it("Should reject a signature from anyone but the named signer", async function () {
+      const signature = await sign(addr2, "RegisterDocument", { owner: addr1.address, documentHash, cid: "QmForged" });
+      await expect(documentRegistry.registerDocumentBySig(addr1.address, documentHash, "QmForged", NO_CONTENT_HASH, deadline, signature))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject intents whose fields were altered", async function () {
+      const signature = await sign(addr1, "RegisterDocument", { owner: addr1.address, documentHash, cid: "QmSigned" });
+      await expect(documentRegistry.registerDocumentBySig(addr1.address, documentHash, "QmSwapped", NO_CONTENT_HASH, deadline, signature))
+        .to.be.revertedWith("Invalid signature");
+
+      const contentHash = ethers.sha256(ethers.toUtf8Bytes("a different file"));
+      await expect(documentRegistry.registerDocumentBySig(addr1.address, documentHash, "QmSigned", contentHash, deadline, signature))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should anchor the plaintext hash the signer signed", async function () {
+      const contentHash = ethers.sha256(ethers.toUtf8Bytes("the relayed file"));
+      const signature = await sign(addr1, "RegisterDocument", { owner: addr1.address, documentHash, cid: "QmSigned", contentHash });
+      await expect(documentRegistry.registerDocumentBySig(addr1.address, documentHash, "QmSigned", contentHash, deadline, signature))
+        .to.emit(documentRegistry, "DocumentRegistered")
+        .withArgs(documentHash, addr1.address, "QmSigned", contentHash);
+    });
+
+    it("Should not accept the same intent twice", async function () {
+      await registerBySig(addr1, documentHash, "QmOnce");
+      const signature = await sign(addr1, "GrantAccess", {
+        owner: addr1.address, documentHash, user: addr2.address, role: VIEWER, expiresAt: ethers.MaxUint256,
+      });
+      const relay = () => documentRegistry.grantAccessBySig(
+        addr1.address, documentHash, addr2.address, VIEWER, ethers.MaxUint256, deadline, signature
+      );
+
+      await relay();
+      await documentRegistry.connect(addr1).revokeAccess(documentHash, addr2.address);
+      await expect(relay()).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should void pending intents once a newer one is used", async function () {
+      const first = await sign(addr1, "RegisterDocument", { owner: addr1.address, documentHash, cid: "QmFirst" });
+      const second = await sign(addr1, "RegisterDocument", { owner: addr1.address, documentHash: hashOf("Other"), cid: "QmSecond" });
+
+      await documentRegistry.registerDocumentBySig(addr1.address, hashOf("Other"), "QmSecond", NO_CONTENT_HASH, deadline, second);
+      await expect(documentRegistry.registerDocumentBySig(addr1.address, documentHash, "QmFirst", NO_CONTENT_HASH, deadline, first))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should refuse intents past their deadline", async function () {
+      const signature = await sign(addr1, "RegisterDocument", { owner: addr1.address, documentHash, cid: "QmLate" });
+      await time.increaseTo(deadline + 1);
+
+      await expect(documentRegistry.registerDocumentBySig(addr1.address, documentHash, "QmLate", NO_CONTENT_HASH, deadline, signature))
+        .to.be.revertedWith("Signature expired");
+    });
+
+    it("Should reject malformed and high-s signatures", async function () {
+      const signature = await sign(addr1, "RegisterDocument", { owner: addr1.address, documentHash, cid: "QmMalleable" });
+      const sig = ethers.Signature.from(signature);
+      const n = BigInt("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+      const twin = ethers.concat([sig.r, ethers.toBeHex(n - BigInt(sig.s), 32), sig.v === 27 ? "0x1c" : "0x1b"]);
+
+      await expect(documentRegistry.registerDocumentBySig(addr1.address, documentHash, "QmMalleable", NO_CONTENT_HASH, deadline, twin))
+        .to.be.revertedWith("Invalid signature");
+      await expect(documentRegistry.registerDocumentBySig(addr1.address, documentHash, "QmMalleable", NO_CONTENT_HASH, deadline, "0x1234"))
+        .to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("Smart-Contract Wallets (EIP-1271)", function () {
+    // addr1 controls the vault; the server checks sign-ins with isValidSignature
+    const MAGIC_VALUE = "0x1626ba7e";
+    const message = "localhost:5173 wants you to sign in with your Ethereum account:\n…\nNonce: abc123def456";
+    let vault;
+
+    beforeEach(async function () {
+      const MockERC1271Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      vault = await MockERC1271Wallet.deploy(addr1.address);
+    });
+
+    it("Should accept the controller's signature over a sign-in message", async function () {
+      const signature = await addr1.signMessage(message);
+      expect(await vault.isValidSignature(ethers.hashMessage(message), signature)).to.equal(MAGIC_VALUE);
+    });
+
+    it("Should reject signatures from other wallets and malformed signatures", async function () {
+      const signature = await addr2.signMessage(message);
+      expect(await vault.isValidSignature(ethers.hashMessage(message), signature)).to.not.equal(MAGIC_VALUE);
+      expect(await vault.isValidSignature(ethers.hashMessage(message), "0x1234")).to.not.equal(MAGIC_VALUE);
+      expect(await vault.isValidSignature(ethers.hashMessage(message), "0x")).to.not.equal(MAGIC_VALUE);
+    });
+
+    it("Should accept a message approved on-chain without a signature", async function () {
+      const hash = ethers.hashMessage(message);
+      await expect(vault.connect(addr2).approveHash(hash)).to.be.revertedWith("Not the controller");
+      await vault.connect(addr1).approveHash(hash);
+      expect(await vault.isValidSignature(hash, "0x")).to.equal(MAGIC_VALUE);
+    });
+
+    it("Should answer a wrong magic value or revert when told to", async function () {
+      const hash = ethers.hashMessage(message);
+      const signature = await addr1.signMessage(message);
+      await expect(vault.connect(addr2).setMode(1)).to.be.revertedWith("Not the controller");
+
+      await vault.connect(addr1).setMode(1); // WrongMagic
+      expect(await vault.isValidSignature(hash, signature)).to.equal("0x12345678");
+
+      await vault.connect(addr1).setMode(2); // Reverting
+      await expect(vault.isValidSignature(hash, signature)).to.be.revertedWith("Wallet is reverting");
+
+      await vault.connect(addr1).setMode(0); // Honest
+      expect(await vault.isValidSignature(hash, signature)).to.equal(MAGIC_VALUE);
+    });
+
+    it("Should let the vault own, share and update documents", async function () {
+      const documentHash = hashOf("Vault Doc");
+      const vaultAddress = await vault.getAddress();
+      const call = (fn, args) => vault.connect(addr1).execute(
+        documentRegistry.target, documentRegistry.interface.encodeFunctionData(fn, args)
+      );
+
+      await expect(call("registerDocument", [documentHash, "QmVault", NO_CONTENT_HASH]))
+        .to.emit(documentRegistry, "DocumentRegistered")
+        .withArgs(documentHash, vaultAddress, "QmVault", NO_CONTENT_HASH);
+      expect((await documentRegistry.getDocument(documentHash)).owner).to.equal(vaultAddress);
+
+      await call("grantRole", [documentHash, addr2.address, VIEWER, await documentRegistry.NO_EXPIRY()]);
+      expect(await documentRegistry.hasAccess(documentHash, addr2.address)).to.be.true;
+
+      await call("updateDocument", [documentHash, "QmVault2", NO_CONTENT_HASH]);
+      expect((await documentRegistry.getDocument(documentHash)).versionCount).to.equal(2);
+
+      // The controlling EOA is not the owner itself
+      await expect(documentRegistry.connect(addr1).updateDocument(documentHash, "QmDirect", NO_CONTENT_HASH)).to.be.reverted;
+    });
+
+    it("Should only execute calls from the controller", async function () {
+      const data = documentRegistry.interface.encodeFunctionData("registerDocument", [hashOf("Stolen"), "QmStolen", NO_CONTENT_HASH]);
+      await expect(vault.connect(addr2).execute(documentRegistry.target, data)).to.be.revertedWith("Not the controller");
+    });
+
+    it("Should surface registry reverts through execute", async function () {
+      const data = documentRegistry.interface.encodeFunctionData("registerDocument", [hashOf("Empty"), "", NO_CONTENT_HASH]);
+      await expect(vault.connect(addr1).execute(documentRegistry.target, data)).to.be.revertedWith("CID required");
     });
   });
 });
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * bsd.js  —  Phase 33
+ *
+ * `bsd` — command-line client for scripted use. Signs in with the same
+ * SIWE flow as the browser, encrypts and decrypts with the same scheme,
+ * and sends its own registry transactions.
+ *
+ *   bsd <command> [arguments] [--json] [--api <url>] [--rpc <url>]
+ *       [--origin <url>] [--keystore <file>]
+ *
+ * Exit status: 0 on success, 1 on failure (and for `verify` when the file
+ * is not anchored), 2 on a usage error.
+ */
+
+import { parseArgs } from "node:util";
+import { COMMANDS } from "../src/commands/index.js";
+import { createContext } from "../src/context.js";
+import { CliError } from "../src/errors.js";
+
+const GLOBAL_OPTIONS = {
+  api: { type: "string" },
+  rpc: { type: "string" },
+  origin: { type: "string" },
+  keystore: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const HELP = `Usage: bsd <command> [arguments] [options]
+
+Commands:
+${COMMANDS.map((c) => `  ${c.name.padEnd(10)}${c.summary}`).join("\n")}
+
+Options:
+  --json              Print machine-readable JSON on stdout
+  --api <url>         API server         (BSD_API_URL,  default http://localhost:4000)
+  --rpc <url>         JSON-RPC endpoint  (BSD_RPC_URL,  default http://127.0.0.1:8545)
+  --origin <url>      Web app origin sign-in is bound to
+                                         (BSD_ORIGIN,   default http://localhost:5173)
+  --keystore <file>   Encrypted JSON keystore (BSD_KEYSTORE; password from
+                      BSD_KEYSTORE_PASSWORD or a prompt). Without one, the
+                      key is read from BSD_PRIVATE_KEY.
+  -h, --help          Show help; "bsd <command> --help" for one command`;
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    console.log(HELP);
+    return;
+  }
+
+  const command = COMMANDS.find((c) => c.name === name);
+  if (!command) throw new CliError(`Unknown command "${name}". Run "bsd --help".`, { usage: true });
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+  } catch (err) {
+    throw new CliError(err.message, { usage: true });
+  }
+  if (parsed.values.help) {
+    console.log(`Usage: bsd ${command.usage}\n\n${command.summary}.`);
+    return;
+  }
+
+  const ctx = createContext(parsed.values, parsed.positionals);
+  try {
+    await command.run(ctx);
+  } catch (err) {
+    if (err.usage) err.command = command;
+    throw err;
+  } finally {
+    await ctx.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err instanceof CliError) {
+    console.error(`bsd: ${err.message}`);
+    if (err.command) console.error(`Usage: bsd ${err.command.usage}`);
+    process.exitCode = err.usage ? 2 : 1;
+    return;
+  }
+  // Contract reverts and RPC failures — ethers' short form is the useful part
+  console.error(`bsd: ${err.reason ?? err.shortMessage ?? err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,82 @@
+/**
+ * api.js
+ *
+ * The shared SDK's API client, plus sign-in. Signs in exactly as the web
+ * client does:
+ *
+ *   1. POST /api/auth/nonce   → current nonce for the wallet
+ *   2. Sign a SIWE message bound to the web app origin (config.origin)
+ *   3. POST /api/auth/verify  → access token for this run
+ *
+ * Each run is its own session; logout() revokes it so CLI runs don't pile
+ * up in the wallet's Devices list.
+ */
+
+import { createRequire } from "node:module";
+import { SIWE_STATEMENT, buildSiweMessage, createApiClient } from "shared";
+import { CliError } from "./errors.js";
+
+const { version } = createRequire(import.meta.url)("../package.json");
+
+// Same validity window the web client gives its sign-in messages
+const SIWE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * createApi(apiBase)
+ *
+ * An SDK client (see shared/src/api.js) with login() and logout() for this
+ * run's session. API failures throw the SDK's ApiError; an unreachable
+ * server throws CliError.
+ */
+export function createApi(apiBase) {
+  let session = null;
+
+  const api = createApiClient({
+    baseUrl: apiBase,
+    headers: { "User-Agent": `bsd-cli/${version}` },
+    getCredentials: () => session,
+    fetch: async (url, init) => {
+      try {
+        return await fetch(url, init);
+      } catch (err) {
+        throw new CliError(`Cannot reach the API at ${apiBase} (${err.cause?.code ?? err.message}).`);
+      }
+    },
+  });
+
+  /** Sign in with `signer` on `chainId`; the message is bound to `origin`. */
+  api.login = async (signer, chainId, origin) => {
+    const address = await signer.getAddress();
+    const { nonce } = await api.auth.nonce(address);
+
+    const issuedAt = new Date();
+    const message = buildSiweMessage({
+      domain: new URL(origin).host,
+      address,
+      statement: SIWE_STATEMENT,
+      uri: origin,
+      chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: new Date(issuedAt.getTime() + SIWE_TTL_MS).toISOString(),
+    });
+    const signature = await signer.signMessage(message);
+
+    const { address: signedIn, accessToken } = await api.auth.verify(message, signature);
+    session = { address: signedIn, accessToken };
+    return signedIn;
+  };
+
+  /** Revoke this run's session — best effort. */
+  api.logout = async () => {
+    if (!session) return;
+    try {
+      await api.auth.logout();
+    } catch {
+      // Expires on its own
+    }
+    session = null;
+  };
+
+  return api;
+}
@@ -0,0 +1,58 @@
+/**
+ * bsd download <documentId> [--version <n>] [--output <path>]
+ *
+ * Streams a version through the API (which re-checks on-chain access) and
+ * decrypts it with the caller's wrapped content key. Writes to the
+ * document's name in the current directory unless --output is given, and
+ * never overwrites an existing file without --force.
+ */
+
+import { writeFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { formatBytes } from "../context.js";
+import { CliError, usageError } from "../errors.js";
+import { decryptBytes, loadContentKey } from "shared";
+
+export default {
+  name: "download",
+  usage: "download <documentId> [--version <n>] [--output <path>] [--force]",
+  summary: "Download and decrypt a document",
+  options: {
+    version: { type: "string" },
+    output: { type: "string", short: "o" },
+    force: { type: "boolean" },
+  },
+
+  async run(ctx) {
+    const [documentId] = ctx.positionals;
+    if (!documentId) throw usageError("Missing <documentId>.");
+    const version = ctx.values.version ? Number(ctx.values.version) : null;
+    if (version !== null && !(Number.isInteger(version) && version > 0)) {
+      throw usageError(`Invalid --version "${ctx.values.version}".`);
+    }
+
+    const { api, signer } = await ctx.connect();
+    const document = await api.documents.get(documentId);
+
+    ctx.progress("Downloading…");
+    let bytes = new Uint8Array(await api.documents.content(documentId, version));
+
+    if (document.encrypted) {
+      ctx.progress("Decrypting…");
+      const contentKey = await loadContentKey(api, signer, documentId);
+      bytes = await decryptBytes(bytes, contentKey);
+    }
+
+    const path = ctx.values.output ?? basename(document.name);
+    try {
+      await writeFile(path, bytes, { flag: ctx.values.force ? "w" : "wx" });
+    } catch (err) {
+      if (err.code === "EEXIST") throw new CliError(`${path} already exists — pass --force to overwrite.`);
+      throw err;
+    }
+
+    ctx.print({ documentId, version: version ?? document.currentVersion, path, size: bytes.length }, (r) =>
+      `Saved ${document.name} v${r.version} to ${r.path} (${formatBytes(r.size)})`
+    );
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * commands/index.js
+ *
+ * Every `bsd` command, in the order `bsd --help` lists them. A command is
+ * { name, usage, summary, options (util.parseArgs), run(ctx) }.
+ */
+
+import upload from "./upload.js";
+import list from "./list.js";
+import versions from "./versions.js";
+import { share, revoke } from "./share.js";
+import verify from "./verify.js";
+import download from "./download.js";
+
+export const COMMANDS = [upload, list, versions, share, revoke, verify, download];
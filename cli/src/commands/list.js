@@ -0,0 +1,45 @@
+/**
+ * bsd list [--shared] [--search <text>]
+ *
+ * The caller's documents (GET /api/documents/my), or those shared with it
+ * (GET /api/documents/shared) with the caller's role on each.
+ */
+
+import { ROLE_LABELS } from "shared";
+import { formatBytes, formatTable } from "../context.js";
+
+export default {
+  name: "list",
+  usage: "list [--shared] [--search <text>]",
+  summary: "List your documents, or those shared with you",
+  options: {
+    shared: { type: "boolean" },
+    search: { type: "string" },
+  },
+
+  async run(ctx) {
+    const { api } = await ctx.connect();
+    const documents = await api.documents.list({
+      scope: ctx.values.shared ? "shared" : "my",
+      search: ctx.values.search,
+    });
+
+    ctx.print(documents, (docs) => {
+      if (docs.length === 0) return ctx.values.shared ? "Nothing has been shared with you." : "No documents yet.";
+      const rows = docs.map((d) => ({
+        id: d._id,
+        name: d.name,
+        version: `v${d.currentVersion}`,
+        size: formatBytes(d.size),
+        status: d.registeredOnChain ? "registered" : "pending",
+        role: ROLE_LABELS[d.role],
+        owner: d.owner,
+        updated: new Date(d.updatedAt).toLocaleString(),
+      }));
+      const columns = ctx.values.shared
+        ? [["id", "ID"], ["name", "NAME"], ["version", "VER"], ["role", "ROLE"], ["owner", "OWNER"], ["updated", "UPDATED"]]
+        : [["id", "ID"], ["name", "NAME"], ["version", "VER"], ["size", "SIZE"], ["status", "STATUS"], ["updated", "UPDATED"]];
+      return formatTable(rows, columns);
+    });
+  },
+};
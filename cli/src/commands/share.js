@@ -0,0 +1,120 @@
+/**
+ * bsd share <documentId> <address>  /  bsd revoke <documentId> <address>
+ *
+ * The ShareModal flow for a single wallet, signed with the CLI wallet:
+ * grantRole() / revokeAccess() on-chain, then the recipient's wrapped
+ * content key is stored (share) or removed once it has no access left
+ * through another grant (revoke). Owner only.
+ */
+
+import { ethers } from "ethers";
+import { ROLES, ROLE_LABELS, loadContentKey, wrapContentKey } from "shared";
+import { CliError, usageError } from "../errors.js";
+
+const ROLE_NAMES = { viewer: ROLES.VIEWER, editor: ROLES.EDITOR };
+const DURATION_UNITS = { m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/** "7d" / "12h" / "30m", or an ISO date → unix seconds in the future. */
+function parseExpiry(value) {
+  const now = Math.floor(Date.now() / 1000);
+  const duration = /^(\d+)([mhd])$/.exec(value);
+  if (duration) return now + Number(duration[1]) * DURATION_UNITS[duration[2]];
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw usageError(`Invalid --expires "${value}". Use e.g. 7d, 12h or an ISO date.`);
+  if (ms <= Date.now()) throw usageError("--expires must be in the future.");
+  return Math.floor(ms / 1000);
+}
+
+function parseTarget(ctx) {
+  const [documentId, rawRecipient] = ctx.positionals;
+  if (!documentId || !rawRecipient) throw usageError("Missing <documentId> or <address>.");
+  if (!ethers.isAddress(rawRecipient)) throw usageError(`"${rawRecipient}" is not an Ethereum address.`);
+  return { documentId, recipient: ethers.getAddress(rawRecipient) };
+}
+
+/** The document, checked to be owned by the signed-in wallet. */
+async function loadOwnedDocument(api, documentId, address) {
+  const document = await api.documents.get(documentId);
+  if (document.owner.toLowerCase() !== address.toLowerCase()) {
+    throw new CliError("Only the document owner can change who has access.");
+  }
+  return document;
+}
+
+export const share = {
+  name: "share",
+  usage: "share <documentId> <address> [--role viewer|editor] [--expires <7d|12h|date>]",
+  summary: "Grant a wallet access to a document",
+  options: {
+    role: { type: "string", default: "viewer" },
+    expires: { type: "string" },
+  },
+
+  async run(ctx) {
+    const { documentId, recipient } = parseTarget(ctx);
+    const role = ROLE_NAMES[ctx.values.role.toLowerCase()];
+    if (!role) throw usageError(`Invalid --role "${ctx.values.role}". Use viewer or editor.`);
+    const expiresAt = ctx.values.expires ? parseExpiry(ctx.values.expires) : null;
+
+    const { api, signer, address, registry } = await ctx.connect();
+    const document = await loadOwnedDocument(api, documentId, address);
+    if (recipient === document.owner) throw usageError("You already own this document.");
+
+    // Fail before spending gas if the recipient can't decrypt anyway
+    let recipientPublicKey = null;
+    if (document.encrypted) {
+      recipientPublicKey = await api.users.encryptionKey(recipient);
+      if (!recipientPublicKey) {
+        throw new CliError("Recipient has not set up an encryption key yet. Ask them to sign in and unlock their vault once.");
+      }
+    }
+
+    ctx.progress("Granting access on-chain…");
+    const tx = await registry.grantRole(document.documentHash, recipient, role, expiresAt ?? ethers.MaxUint256);
+    const { hash: txHash } = await tx.wait();
+
+    if (document.encrypted) {
+      ctx.progress("Sharing decryption key…");
+      const contentKey = await loadContentKey(api, signer, documentId);
+      const wrapped = await wrapContentKey(contentKey, recipientPublicKey);
+      await api.documents.keys.put(documentId, recipient, wrapped);
+    }
+
+    ctx.print({ documentId, recipient, role: ROLE_LABELS[role], expiresAt, txHash }, (r) => [
+      `${r.role} access to ${document.name} granted to ${r.recipient}` +
+        (r.expiresAt ? ` until ${new Date(r.expiresAt * 1000).toLocaleString()}` : ""),
+      `  tx  ${r.txHash}`,
+    ].join("\n"));
+  },
+};
+
+export const revoke = {
+  name: "revoke",
+  usage: "revoke <documentId> <address>",
+  summary: "Revoke a wallet's access to a document",
+  options: {},
+
+  async run(ctx) {
+    const { documentId, recipient } = parseTarget(ctx);
+    const { api, address, registry } = await ctx.connect();
+    const document = await loadOwnedDocument(api, documentId, address);
+
+    ctx.progress("Revoking access on-chain…");
+    const tx = await registry.revokeAccess(document.documentHash, recipient);
+    const { hash: txHash } = await tx.wait();
+
+    // A wallet may still have access through a group grant
+    const stillHasAccess = await registry.hasAccess(document.documentHash, recipient);
+    if (document.encrypted && !stillHasAccess) {
+      ctx.progress("Removing decryption key…");
+      await api.documents.keys.remove(documentId, recipient);
+    }
+
+    ctx.print({ documentId, recipient, txHash, stillHasAccess }, (r) => [
+      `Access to ${document.name} revoked for ${r.recipient}`,
+      ...(r.stillHasAccess ? ["  note  the wallet still has access through a group"] : []),
+      `  tx    ${r.txHash}`,
+    ].join("\n"));
+  },
+};
@@ -0,0 +1,97 @@
+/**
+ * bsd upload <file>
+ *
+ * The web client's upload flow (Dashboard.jsx), signed with the CLI wallet:
+ *   1. Encrypt the file with a fresh content key, wrap it for the owner
+ *   2. POST /api/documents/upload → { cid, documentHash, documentId }
+ *   3. Send registerDocument(documentHash, cid, contentHash) — contentHash
+ *      being the plaintext's SHA-256 — and wait for the receipt
+ *   4. POST /api/documents/:id/confirm { txHash }
+ */
+
+import { readFile } from "node:fs/promises";
+import { basename, extname } from "node:path";
+import {
+  computeContentHash,
+  encryptBytes,
+  generateContentKey,
+  getEncryptionKeyPair,
+  wrapContentKey,
+} from "shared";
+import { formatBytes } from "../context.js";
+import { usageError } from "../errors.js";
+
+// Browsers send the MIME type with the file; here it comes from the extension
+const MIME_TYPES = {
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+  ".json": "application/json",
+  ".html": "text/html",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".zip": "application/zip",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+export default {
+  name: "upload",
+  usage: "upload <file> [--name <name>] [--description <text>]",
+  summary: "Encrypt a file, pin it and register it on-chain",
+  options: {
+    name: { type: "string" },
+    description: { type: "string" },
+  },
+
+  async run(ctx) {
+    const [path] = ctx.positionals;
+    if (!path) throw usageError("Missing <file>.");
+
+    const bytes = await readFile(path);
+    const name = ctx.values.name ?? basename(path);
+    const mimeType = MIME_TYPES[extname(path).toLowerCase()] ?? "application/octet-stream";
+    const { api, signer, address, registry } = await ctx.connect();
+
+    // ── Step 1: encrypt + wrap the content key for the owner ─────────────────
+    ctx.progress("Encrypting…");
+    const { publicKey } = await getEncryptionKeyPair(signer, api);
+    const contentKey = generateContentKey();
+    const ciphertext = await encryptBytes(bytes, contentKey);
+    const ownerKey = await wrapContentKey(contentKey, publicKey);
+
+    // ── Step 2: pin ciphertext + compute documentHash ───────────────────────
+    ctx.progress("Pinning to IPFS…");
+    const { cid, documentHash, documentId } = await api.documents.upload({
+      file: new Blob([ciphertext], { type: mimeType }),
+      name,
+      description: ctx.values.description,
+      wrappedKey: ownerKey,
+    });
+
+    // ── Step 3: register on-chain ───────────────────────────────────────────
+    ctx.progress("Registering on-chain…");
+    const tx = await registry.registerDocument(documentHash, cid, computeContentHash(bytes));
+    const { hash: txHash } = await tx.wait();
+
+    // ── Step 4: server verifies the receipt ─────────────────────────────────
+    await api.documents.confirm(documentId, txHash);
+
+    ctx.print({ documentId, name, owner: address, size: bytes.length, cid, documentHash, txHash }, (r) => [
+      `Uploaded ${r.name} (${formatBytes(r.size)})`,
+      `  document  ${r.documentId}`,
+      `  hash      ${r.documentHash}`,
+      `  cid       ${r.cid}`,
+      `  tx        ${r.txHash}`,
+    ].join("\n"));
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * bsd verify <file>
+ *
+ * Public verification (POST /api/verify) — no wallet needed. Exits 1 when
+ * the file is not anchored, so scripts can branch on it. Either the original
+ * file or the bytes stored on IPFS (the ciphertext, for an encrypted
+ * document) verify, as long as its version was anchored with a plaintext hash.
+ */
+
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { usageError } from "../errors.js";
+
+export default {
+  name: "verify",
+  usage: "verify <file>",
+  summary: "Check whether a file is anchored on-chain",
+  options: {},
+
+  async run(ctx) {
+    const [path] = ctx.positionals;
+    if (!path) throw usageError("Missing <file>.");
+
+    const file = new Blob([await readFile(path)]);
+    const result = await ctx.api().verify(file, basename(path));
+
+    ctx.print(result, (r) => {
+      if (!r.verified) return `Not found on-chain — ${basename(path)} (cid ${r.cid})`;
+      return [
+        `Verified — ${basename(path)} (cid ${r.cid})`,
+        ...r.matches.map((m) =>
+          `  v${m.version}  ${m.event}  by ${m.matchedBy === "cid" ? "cid" : "plaintext hash"}  owner ${m.owner}  ${new Date(m.timestamp * 1000).toLocaleString()}  tx ${m.txHash}`
+        ),
+      ].join("\n");
+    });
+    if (!result.verified) process.exitCode = 1;
+  },
+};
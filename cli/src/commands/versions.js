@@ -0,0 +1,38 @@
+/**
+ * bsd versions <documentId>
+ *
+ * Version history of a document the caller owns or can read
+ * (GET /api/documents/:id/versions).
+ */
+
+import { formatBytes, formatTable } from "../context.js";
+import { usageError } from "../errors.js";
+
+export default {
+  name: "versions",
+  usage: "versions <documentId>",
+  summary: "Show a document's version history",
+  options: {},
+
+  async run(ctx) {
+    const [documentId] = ctx.positionals;
+    if (!documentId) throw usageError("Missing <documentId>.");
+
+    const { api } = await ctx.connect();
+    const history = await api.versions.list(documentId);
+
+    ctx.print(history, (h) => {
+      const rows = h.versions.map((v) => ({
+        version: `v${v.version}${v.version === h.currentVersion ? " (current)" : ""}`,
+        cid: v.ipfsHash,
+        size: formatBytes(v.size),
+        created: new Date(v.createdAt).toLocaleString(),
+      }));
+      return [
+        `${h.name}  ${h.documentHash}`,
+        "",
+        formatTable(rows, [["version", "VERSION"], ["cid", "CID"], ["size", "SIZE"], ["created", "CREATED"]]),
+      ].join("\n");
+    });
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * config.js
+ *
+ * Where the CLI points: the API server, a JSON-RPC node for transactions,
+ * and the web app origin sign-in messages are bound to (the server only
+ * accepts SIWE messages for its CLIENT_ORIGIN). Flags win over BSD_*
+ * environment variables, which win over the local-development defaults.
+ *
+ * The registry address comes from the shared package (shared/src/env.js),
+ * which a redeploy updates for the web client and the CLI alike.
+ */
+
+import { usageError } from "./errors.js";
+
+export function resolveConfig(values) {
+  let origin;
+  try {
+    origin = new URL(values.origin ?? process.env.BSD_ORIGIN ?? "http://localhost:5173").origin;
+  } catch {
+    throw usageError("--origin must be a URL such as https://docs.example.com.");
+  }
+  return {
+    apiBase: (values.api ?? process.env.BSD_API_URL ?? "http://localhost:4000").replace(/\/+$/, ""),
+    rpcUrl: values.rpc ?? process.env.BSD_RPC_URL ?? "http://127.0.0.1:8545",
+    origin,
+    keystore: values.keystore ?? process.env.BSD_KEYSTORE ?? null,
+    json: !!values.json,
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * context.js
+ *
+ * What a command's run() receives: parsed flags and arguments, a lazily
+ * signed-in connection, and output helpers. Human-readable output goes to
+ * stdout and progress to stderr; with --json, stdout carries exactly one
+ * JSON document and progress is silent, so the output can be piped.
+ */
+
+import { ethers } from "ethers";
+import { REGISTRY_ADDRESS, getRegistryContract, checkRegistryDeployment } from "shared";
+import { resolveConfig } from "./config.js";
+import { createApi } from "./api.js";
+import { loadSigner } from "./wallet.js";
+
+/** JSON.stringify replacer — on-chain values come back as bigint. */
+const jsonReplacer = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+/** Fixed-width columns for a list of row objects. */
+export function formatTable(rows, columns) {
+  const cells = rows.map((row) => columns.map(([key]) => String(row[key] ?? "—")));
+  const widths = columns.map(([, label], i) => Math.max(label.length, ...cells.map((c) => c[i].length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(columns.map(([, label]) => label)), ...cells.map(line)].join("\n");
+}
+
+export function formatBytes(size) {
+  if (!size) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const i = Math.min(Math.floor(Math.log(size) / Math.log(1024)), units.length - 1);
+  return `${(size / 1024 ** i).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+export function createContext(values, positionals) {
+  const config = resolveConfig(values);
+  let connection = null;
+
+  return {
+    config,
+    values,
+    positionals,
+
+    /** Unauthenticated API client, for public endpoints. */
+    api: () => createApi(config.apiBase),
+
+    /**
+     * Load the wallet and sign in (once per run).
+     * Returns { api, signer, address, provider, registry }.
+     */
+    async connect() {
+      if (connection) return connection;
+      const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+      try {
+        const signer = await loadSigner(config, provider);
+        const { chainId } = await provider.getNetwork();
+        // Fail before signing in rather than at the first registry call
+        await checkRegistryDeployment(REGISTRY_ADDRESS, provider);
+        const api = createApi(config.apiBase);
+        const address = await api.login(signer, Number(chainId), config.origin);
+        connection = {
+          api,
+          signer,
+          address,
+          provider,
+          registry: getRegistryContract(REGISTRY_ADDRESS, signer),
+        };
+        return connection;
+      } catch (err) {
+        provider.destroy();
+        throw err;
+      }
+    },
+
+    progress(message) {
+      if (!config.json) process.stderr.write(`${message}\n`);
+    },
+
+    /** Print `data` as JSON, or whatever `human(data)` returns. */
+    print(data, human) {
+      process.stdout.write(
+        config.json ? `${JSON.stringify(data, jsonReplacer, 2)}\n` : `${human(data)}\n`
+      );
+    },
+
+    /** Sign out and release the RPC provider. */
+    async close() {
+      if (!connection) return;
+      await connection.api.logout();
+      connection.provider.destroy();
+      connection = null;
+    },
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * errors.js
+ *
+ * CliError — an expected failure: printed as a one-line message, no stack.
+ * `usage: true` also prints the command's usage line. API refusals arrive
+ * as the shared SDK's ApiError and are printed the same way.
+ */
+
+export class CliError extends Error {
+  constructor(message, { usage = false } = {}) {
+    super(message);
+    this.name = "CliError";
+    this.usage = usage;
+  }
+}
+
+export const usageError = (message) => new CliError(message, { usage: true });
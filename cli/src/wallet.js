@@ -0,0 +1,80 @@
+/**
+ * wallet.js
+ *
+ * The wallet the CLI signs with: an encrypted JSON keystore (--keystore or
+ * BSD_KEYSTORE, password from BSD_KEYSTORE_PASSWORD or a hidden prompt), or
+ * a raw key in BSD_PRIVATE_KEY. Keys are never accepted as flags, where they
+ * would end up in shell history and the process list.
+ */
+
+import { readFile } from "node:fs/promises";
+import { ethers } from "ethers";
+import { CliError } from "./errors.js";
+
+/** Read a line from the terminal without echoing it. */
+function promptHidden(question) {
+  const { stdin, stderr } = process;
+  if (!stdin.isTTY) {
+    return Promise.reject(new CliError("No terminal to prompt on — set BSD_KEYSTORE_PASSWORD."));
+  }
+  stderr.write(question);
+  return new Promise((resolve, reject) => {
+    let input = "";
+    const onData = (chunk) => {
+      for (const char of chunk.toString("utf8")) {
+        if (char === "\r" || char === "\n") {
+          done();
+          return resolve(input);
+        }
+        if (char === "\u0003") {
+          done();
+          return reject(new CliError("Cancelled."));
+        }
+        if (char === "\u007f" || char === "\b") input = input.slice(0, -1);
+        else input += char;
+      }
+    };
+    const done = () => {
+      stdin.off("data", onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write("\n");
+    };
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on("data", onData);
+  });
+}
+
+/**
+ * loadSigner(config, provider)
+ *
+ * Returns an ethers Wallet connected to `provider`.
+ */
+export async function loadSigner(config, provider) {
+  if (config.keystore) {
+    let json;
+    try {
+      json = await readFile(config.keystore, "utf8");
+    } catch (err) {
+      throw new CliError(`Cannot read keystore ${config.keystore}: ${err.message}`);
+    }
+    const password = process.env.BSD_KEYSTORE_PASSWORD ?? (await promptHidden("Keystore password: "));
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+      return wallet.connect(provider);
+    } catch {
+      throw new CliError("Could not decrypt the keystore — wrong password or not a keystore file.");
+    }
+  }
+
+  const privateKey = process.env.BSD_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new CliError("No wallet configured. Pass --keystore <file> or set BSD_PRIVATE_KEY.");
+  }
+  try {
+    return new ethers.Wallet(privateKey, provider);
+  } catch {
+    throw new CliError("BSD_PRIVATE_KEY is not a valid private key.");
+  }
+}
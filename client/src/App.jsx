@@ -7,6 +7,8 @@
  *   - WalletBadge (header, shown when connected)
  *   - WalletModal (overlay, shown when user initiates connection)
  *   - Conditional rendering between Landing Page and Dashboard
+ *   - Public "Verify a document" page (Phase 19) — reachable without a wallet
+ *   - Public share-link page at /s/:token (Phase 27) — no wallet either
  */
 
 import React, { useState, useCallback } from "react";
@@ -14,13 +16,21 @@ import { useWallet } from "./wallet";
 import WalletModal from "./WalletModal";
 import WalletBadge from "./WalletBadge";
 import Dashboard from "./components/Dashboard";
+import VerifyPage from "./components/VerifyPage";
+import SharedLinkPage from "./components/SharedLinkPage";
+
+// /s/:token — a share link; the #fragment (decryption key) stays client-side
+const shareToken = window.location.pathname.match(/^\/s\/([A-Za-z0-9_-]+)\/?$/)?.[1] ?? null;
 
 export const App = () => {
   const { status, address } = useWallet();
   const [modalOpen, setModalOpen] = useState(false);
+  const [verifyOpen, setVerifyOpen] = useState(false);
 
   const openModal = useCallback(() => setModalOpen(true), []);
   const closeModal = useCallback(() => setModalOpen(false), []);
+  const openVerify = useCallback(() => setVerifyOpen(true), []);
+  const closeVerify = useCallback(() => setVerifyOpen(false), []);
 
   const isConnected = status === "connected";
 
@@ -49,6 +59,16 @@ export const App = () => {
           {/* Right side — wallet */}
           <div className="flex items-center gap-4 text-[0.7rem] text-slate-400">
 
+            {/* Public verification — no wallet needed */}
+            <button
+              type="button"
+              id="header-verify-btn"
+              onClick={openVerify}
+              className="min-h-[44px] px-2 text-[0.75rem] font-semibold tracking-wide text-slate-400 transition-colors hover:text-primary-200"
+            >
+              Verify
+            </button>
+
             {/* Wallet control — badge when connected, button otherwise */}
             {isConnected ? (
               <WalletBadge />
@@ -76,7 +96,11 @@ export const App = () => {
         {/* Main Content                                                     */}
         {/* ---------------------------------------------------------------- */}
         <main className="relative z-10 pt-20">
-          {isConnected ? (
+          {shareToken ? (
+            <SharedLinkPage token={shareToken} />
+          ) : verifyOpen ? (
+            <VerifyPage onBack={closeVerify} />
+          ) : isConnected ? (
             <Dashboard />
           ) : (
             <>
@@ -114,6 +138,14 @@ export const App = () => {
                   >
                     Connect Wallet
                   </button>
+                  <button
+                    type="button"
+                    id="landing-verify-btn"
+                    onClick={openVerify}
+                    className="flex min-h-[48px] w-full items-center justify-center rounded-full border border-primary-500/40 bg-slate-900/50 px-8 py-3 text-sm font-bold text-primary-200 backdrop-blur-sm transition-all duration-300 hover:border-primary-400/80 hover:bg-primary-500/10 sm:w-auto"
+                  >
+                    Verify a Document
+                  </button>
                   <button
                     type="button"
                     className="flex min-h-[48px] w-full items-center justify-center rounded-full border border-slate-700 bg-slate-900/50 px-8 py-3 text-sm font-bold text-slate-300 backdrop-blur-sm transition-all duration-300 hover:border-slate-500 hover:bg-slate-800 sm:w-auto"
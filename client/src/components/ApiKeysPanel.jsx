@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { API_KEY_SCOPES } from "shared";
+import { useWallet } from "../wallet";
+
+/**
+ * ApiKeysPanel.jsx  —  Phase 32
+ *
+ * "API Keys" dashboard tab — keys for scripts and CI that act as this wallet
+ * (GET/POST/DELETE /api/user/api-keys).
+ *
+ * Each key is limited to the scopes picked here (shared API_KEY_SCOPES) and
+ * is sent as `Authorization: Bearer bsd_…`. The key is shown once, right
+ * after creation; afterwards only its prefix is known. Actions performed
+ * with a key name it in the Activity Log.
+ */
+
+const EXPIRY_OPTIONS = [
+  { label: "30 days", days: 30 },
+  { label: "90 days", days: 90 },
+  { label: "1 year", days: 365 },
+  { label: "Never", days: null },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "—");
+
+const ApiKeysPanel = () => {
+  const { address, accessToken, api: client } = useWallet();
+  const signedIn = !!accessToken;
+  const [apiKeys, setApiKeys] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["documents:read"]);
+  const [expiryDays, setExpiryDays] = useState(90);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // The SDK client reads the current access token on every call
+  const api = client.request;
+
+  const load = useCallback(async () => {
+    if (!address || !signedIn) return;
+    try {
+      const { apiKeys: list } = await api("/api/user/api-keys");
+      setApiKeys(list);
+      setError(null);
+    } catch (err) {
+      console.error("[api-keys] load error:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [address, signedIn, api]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const toggleScope = (scope) =>
+    setScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setError(null);
+    setNewKey(null);
+    setCopied(false);
+    try {
+      const expiresAt = expiryDays ? Math.floor(Date.now() / 1000) + expiryDays * 24 * 60 * 60 : null;
+      const { apiKey, key } = await api("/api/user/api-keys", {
+        method: "POST",
+        body: { name, scopes, expiresAt },
+      });
+      setNewKey({ name: apiKey.name, key });
+      setName("");
+      setApiKeys((prev) => [apiKey, ...prev]);
+    } catch (err) {
+      console.error("[api-keys] create error:", err);
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) return;
+    try {
+      setError(null);
+      await api(`/api/user/api-keys/${apiKey._id}`, { method: "DELETE" });
+      setApiKeys((prev) => prev.filter((k) => k._id !== apiKey._id));
+    } catch (err) {
+      console.error("[api-keys] revoke error:", err);
+      setError(err.message);
+    }
+  };
+
+  const copyKey = async () => {
+    await navigator.clipboard.writeText(newKey.key);
+    setCopied(true);
+  };
+
+  return (
+    <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
+      {/* ── Create ─────────────────────────────────────────────────────────── */}
+      <form
+        onSubmit={handleCreate}
+        className="h-fit space-y-4 rounded-2xl border border-slate-800/80 bg-slate-900/40 p-6 shadow-lg backdrop-blur-md lg:col-span-1"
+      >
+        <h2 className="text-lg font-bold tracking-tight text-slate-200">New API Key</h2>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="CI pipeline"
+          maxLength={100}
+          className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+          required
+        />
+
+        <fieldset className="space-y-2">
+          <legend className="mb-2 text-xs font-semibold uppercase tracking-wider text-slate-500">Scopes</legend>
+          {Object.entries(API_KEY_SCOPES).map(([scope, description]) => (
+            <label key={scope} className="flex cursor-pointer items-start gap-3 text-sm">
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+                className="mt-0.5 accent-primary-500"
+              />
+              <span>
+                <span className="font-mono text-xs text-slate-200">{scope}</span>
+                <span className="block text-[11px] text-slate-500">{description}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        <label className="block text-xs font-semibold uppercase tracking-wider text-slate-500">
+          Expires
+          <select
+            value={expiryDays ?? ""}
+            onChange={(e) => setExpiryDays(e.target.value ? Number(e.target.value) : null)}
+            className="mt-2 w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm font-normal normal-case tracking-normal text-slate-200 focus:border-primary-500 focus:outline-none"
+          >
+            {EXPIRY_OPTIONS.map((o) => (
+              <option key={o.label} value={o.days ?? ""}>{o.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          type="submit"
+          disabled={isCreating || !name.trim() || scopes.length === 0}
+          className="w-full rounded-xl bg-primary-600 py-3 text-sm font-bold text-white shadow-lg shadow-primary-900/20 transition-all hover:bg-primary-500 active:scale-95 disabled:opacity-50 disabled:active:scale-100"
+        >
+          {isCreating ? "Creating..." : "Create Key"}
+        </button>
+      </form>
+
+      {/* ── Keys ───────────────────────────────────────────────────────────── */}
+      <div className="space-y-4 lg:col-span-2">
+        {newKey && (
+          <div className="space-y-3 rounded-2xl border border-emerald-500/30 bg-emerald-500/5 p-5">
+            <p className="text-sm font-semibold text-emerald-300">
+              "{newKey.name}" created — copy it now, it won't be shown again.
+            </p>
+            <div className="flex gap-2">
+              <code className="min-w-0 flex-1 truncate rounded-lg border border-slate-800 bg-slate-950 px-3 py-2 font-mono text-xs text-slate-200">
+                {newKey.key}
+              </code>
+              <button
+                onClick={copyKey}
+                className="shrink-0 rounded-lg border border-emerald-500/30 bg-emerald-500/10 px-3 py-2 text-xs font-bold text-emerald-300 hover:bg-emerald-500/20"
+              >
+                {copied ? "Copied" : "Copy"}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="rounded-lg border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <p className="text-sm text-slate-500">Loading API keys...</p>
+        ) : apiKeys.length === 0 ? (
+          <div className="rounded-2xl border border-dashed border-slate-700/60 bg-slate-900/20 p-12 text-center text-sm text-slate-500">
+            No API keys yet.
+          </div>
+        ) : (
+          <ul className="space-y-2">
+            {apiKeys.map((apiKey) => {
+              const expired = apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date();
+              return (
+                <li
+                  key={apiKey._id}
+                  className="flex flex-col gap-3 rounded-xl border border-slate-800/80 bg-slate-900/60 p-4 sm:flex-row sm:items-center sm:justify-between"
+                >
+                  <div className="min-w-0 space-y-1">
+                    <p className="truncate text-sm font-medium text-slate-200">
+                      {apiKey.name}{" "}
+                      <span className="font-mono text-xs text-slate-500">{apiKey.prefix}…</span>
+                      {expired && (
+                        <span className="ml-2 rounded-full border border-amber-500/30 bg-amber-500/10 px-2 py-0.5 text-[10px] font-bold uppercase tracking-wider text-amber-300">
+                          Expired
+                        </span>
+                      )}
+                    </p>
+                    <p className="flex flex-wrap gap-1">
+                      {apiKey.scopes.map((scope) => (
+                        <span key={scope} className="rounded bg-slate-800 px-1.5 py-0.5 font-mono text-[10px] text-slate-300">
+                          {scope}
+                        </span>
+                      ))}
+                    </p>
+                    <p className="text-[10px] text-slate-500">
+                      created {formatDate(apiKey.createdAt)} · last used{" "}
+                      {apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : "never"} · expires{" "}
+                      {apiKey.expiresAt ? formatDate(apiKey.expiresAt) : "never"}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(apiKey)}
+                    className="shrink-0 rounded-lg border border-red-500/30 bg-red-500/10 px-4 py-2 text-xs font-bold text-red-300 transition-colors hover:bg-red-500/20"
+                  >
+                    Revoke
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeysPanel;
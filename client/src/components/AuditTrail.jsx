@@ -2,7 +2,7 @@ import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
 import { useWallet } from "../wallet";
 import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
-import { getViewerUrl } from "../utils/viewer";
+import { ROLE_LABELS } from "shared";
 
 /**
  * AuditTrail.jsx
@@ -10,49 +10,55 @@ import { getViewerUrl } from "../utils/viewer";
  * Phase 8/13 — Audit Trails (Event-Sourced)
  * 
  * Fetches and merges:
- *  1. Backend logs (for off-chain actions like FILE_VIEW)
+ *  1. Backend logs (off-chain actions like FILE_VIEW, plus on-chain events
+ *     recorded by the server indexer)
  *  2. Smart Contract Events (for on-chain actions: Register, Update, Grant, Revoke)
+ *     — skipped when the indexer has already logged the same tx/log.
  * 
  * Displays Block Number, Tx Hash, and IPFS CIDs where applicable.
+ *
+ * Phase 26: with `orgId`, shows an organization's trail instead (admins
+ * only) — server logs for every wallet, each attributed to its actor.
+ *
+ * Phase 32: actions performed with an API key name the key.
  */
-const AuditTrail = () => {
-  const { address, signature } = useWallet();
+const AuditTrail = ({ orgId = null }) => {
+  const { address, accessToken, api } = useWallet();
+  const signedIn = !!accessToken;
   const [logs, setLogs] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "http://localhost:4000";
-
   const fetchLogs = async () => {
-    if (!address || !signature) return;
+    if (!address || !signedIn) return;
     
     setIsLoading(true);
     setError(null);
 
     try {
       // 1. Fetch Backend Logs (FILE_VIEW, etc)
-      const response = await fetch(`${API_BASE}/api/audits/my`, {
-        headers: {
-          "x-wallet-address": address,
-          "x-wallet-signature": signature,
-        },
-      });
-
-      const data = await response.json();
-      if (!data.success) throw new Error(data.error ?? "Failed to fetch backend logs");
+      const audits = orgId ? await api.audits.org(orgId) : await api.audits.mine();
       
-      let allLogs = data.audits.map(log => ({
-        id: log._id,
-        action: log.action,
+      let allLogs = audits.map(log => ({
+        // Indexed chain events share the id scheme of live events below
+        id: log.txHash ? `${log.txHash}-${log.logIndex}` : log._id,
+        // DELETE covers both stages; show a purge as its own action, and a
+        // failed integrity check apart from a passed one
+        action: log.action === "DELETE" && log.metadata?.stage === "purge" ? "PURGE"
+          : log.action === "INTEGRITY_CHECK" && log.metadata?.verified === false ? "INTEGRITY_FAILED"
+          : log.action,
         timestamp: new Date(log.createdAt).getTime(),
         documentName: log.documentId?.name || log.metadata?.name || "System event",
         metadata: log.metadata || {},
+        actor: log.walletAddress,
+        apiKey: log.apiKey ?? null,
         source: "backend"
       }));
+      const indexedIds = new Set(allLogs.map(log => log.id));
 
       // 2. Fetch Blockchain Events
       try {
-        if (window.ethereum) {
+        if (window.ethereum && !orgId) {
           const provider = new ethers.BrowserProvider(window.ethereum);
           const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, provider);
 
@@ -61,18 +67,23 @@ const AuditTrail = () => {
           const updatedFilter    = contract.filters.DocumentUpdated(null, address);
           const grantedFilter    = contract.filters.AccessGranted(null, address);
           const revokedFilter    = contract.filters.AccessRevoked(null, address);
+          // Transfers concern both parties — as previous and as new owner
+          const transferOutFilter = contract.filters.OwnershipTransferred(null, address);
+          const transferInFilter  = contract.filters.OwnershipTransferred(null, null, address);
 
-          const [regEvents, updEvents, graEvents, revEvents] = await Promise.all([
+          const [regEvents, updEvents, graEvents, revEvents, outEvents, inEvents] = await Promise.all([
             contract.queryFilter(registeredFilter, -50000),
             contract.queryFilter(updatedFilter, -50000),
             contract.queryFilter(grantedFilter, -50000),
             contract.queryFilter(revokedFilter, -50000),
+            contract.queryFilter(transferOutFilter, -50000),
+            contract.queryFilter(transferInFilter, -50000),
           ]);
 
           const processEvent = async (e, actionType) => {
             const block = await e.getBlock();
             return {
-              id: `${e.transactionHash}-${e.logIndex}`,
+              id: `${e.transactionHash}-${e.index}`,
               action: actionType,
               timestamp: block.timestamp * 1000,
               documentName: `Doc: ${e.args.documentHash.slice(0, 10)}...`, // We don't have the string name off-chain easily, fallback string
@@ -83,16 +94,26 @@ const AuditTrail = () => {
                 cid: e.args.cid || e.args.newCid, // from registered/updated
                 version: e.args.version ? Number(e.args.version) : undefined,
                 recipient: e.args.user, // from granted/revoked
+                role: e.args.role !== undefined ? Number(e.args.role) : undefined, // from granted
+                editor: e.args.editor, // from updated — differs from the owner for editor versions
+                from: e.args.newOwner ? e.args.owner : undefined, // from transferred
+                to: e.args.newOwner,
+                // from granted — uint256 max means "no expiry"
+                expiresAt: e.args.expiresAt !== undefined && e.args.expiresAt !== ethers.MaxUint256
+                  ? Number(e.args.expiresAt)
+                  : undefined,
               },
               source: "blockchain"
             };
           };
 
+          const notIndexed = e => !indexedIds.has(`${e.transactionHash}-${e.index}`);
           const eventPromises = [
-            ...regEvents.map(e => processEvent(e, "ONCHAIN_REGISTER")),
-            ...updEvents.map(e => processEvent(e, "ONCHAIN_UPDATE")),
-            ...graEvents.map(e => processEvent(e, "ONCHAIN_GRANT")),
-            ...revEvents.map(e => processEvent(e, "ONCHAIN_REVOKE")),
+            ...regEvents.filter(notIndexed).map(e => processEvent(e, "ONCHAIN_REGISTER")),
+            ...updEvents.filter(notIndexed).map(e => processEvent(e, "ONCHAIN_UPDATE")),
+            ...graEvents.filter(notIndexed).map(e => processEvent(e, "ONCHAIN_GRANT")),
+            ...revEvents.filter(notIndexed).map(e => processEvent(e, "ONCHAIN_REVOKE")),
+            ...[...outEvents, ...inEvents].filter(notIndexed).map(e => processEvent(e, "ONCHAIN_TRANSFER")),
           ];
 
           const chainLogs = await Promise.all(eventPromises);
@@ -117,7 +138,7 @@ const AuditTrail = () => {
 
   useEffect(() => {
     fetchLogs();
-  }, [address, signature]);
+  }, [address, signedIn, api, orgId]);
 
   // UI Helpers
   const getActionIcon = (action) => {
@@ -150,8 +171,26 @@ const AuditTrail = () => {
             </svg>
           </div>
         );
+      case "INTEGRITY_CHECK":
+        return (
+          <div className="flex h-8 w-8 items-center justify-center rounded-full bg-emerald-500/10 text-emerald-400">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+            </svg>
+          </div>
+        );
+      case "INTEGRITY_FAILED":
+        return (
+          <div className="flex h-8 w-8 items-center justify-center rounded-full bg-red-500/10 text-red-400">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+            </svg>
+          </div>
+        );
       case "ACCESS_GRANT":
       case "ONCHAIN_GRANT":
+      case "ONCHAIN_GROUP_GRANT":
+      case "ONCHAIN_GROUP_MEMBER_ADD":
         return (
           <div className="flex h-8 w-8 items-center justify-center rounded-full bg-purple-500/10 text-purple-400">
             <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -159,8 +198,21 @@ const AuditTrail = () => {
             </svg>
           </div>
         );
+      case "OWNERSHIP_OFFER":
+      case "OWNERSHIP_OFFER_CANCEL":
+      case "OWNERSHIP_TRANSFER":
+      case "ONCHAIN_TRANSFER":
+        return (
+          <div className="flex h-8 w-8 items-center justify-center rounded-full bg-cyan-500/10 text-cyan-400">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+            </svg>
+          </div>
+        );
       case "ACCESS_REVOKE":
       case "ONCHAIN_REVOKE":
+      case "ONCHAIN_GROUP_REVOKE":
+      case "ONCHAIN_GROUP_MEMBER_REMOVE":
         return (
           <div className="flex h-8 w-8 items-center justify-center rounded-full bg-red-500/10 text-red-400">
             <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -185,12 +237,42 @@ const AuditTrail = () => {
       UPLOAD: "Upload Prepared (Off-chain)",
       VERSION_UPDATE: "Update Prepared (Off-chain)",
       FILE_VIEW: "File Viewed",
+      INTEGRITY_CHECK: "Content Verified Against Chain",
+      INTEGRITY_FAILED: "Content Failed Integrity Check",
       ACCESS_GRANT: "Access Granted",
       ACCESS_REVOKE: "Access Revoked",
       ONCHAIN_REGISTER: "Registered On-Chain",
       ONCHAIN_UPDATE: "Updated On-Chain",
       ONCHAIN_GRANT: "Access Granted On-Chain",
       ONCHAIN_REVOKE: "Access Revoked On-Chain",
+      ONCHAIN_ARCHIVE: "Archived On-Chain",
+      ONCHAIN_TRANSFER: "Ownership Transferred On-Chain",
+      OWNERSHIP_OFFER: "Ownership Offered",
+      OWNERSHIP_OFFER_CANCEL: "Ownership Offer Cancelled",
+      OWNERSHIP_TRANSFER: "Ownership Transferred",
+      ORG_CREATE: "Organization Created",
+      ORG_INVITE: "Member Invited",
+      ORG_JOIN: "Joined Organization",
+      ORG_ROLE_CHANGE: "Member Role Changed",
+      ORG_MEMBER_REMOVE: "Member Removed",
+      ORG_DOCUMENT_ADD: "Filed Under Organization",
+      ORG_DOCUMENT_REMOVE: "Removed From Organization",
+      LINK_CREATE: "Share Link Created",
+      LINK_REVOKE: "Share Link Revoked",
+      LINK_REDEEM: "Opened via Share Link",
+      LINK_DENIED: "Share Link Refused",
+      API_KEY_CREATE: "API Key Created",
+      API_KEY_REVOKE: "API Key Revoked",
+      GROUP_CREATE: "Group Created",
+      GROUP_UPDATE: "Group Renamed",
+      GROUP_DELETE: "Group Disbanded",
+      ONCHAIN_GROUP_GRANT: "Group Access Granted On-Chain",
+      ONCHAIN_GROUP_REVOKE: "Group Access Revoked On-Chain",
+      ONCHAIN_GROUP_MEMBER_ADD: "Group Member Added On-Chain",
+      ONCHAIN_GROUP_MEMBER_REMOVE: "Group Member Removed On-Chain",
+      DELETE: "Moved to Trash",
+      RESTORE: "Restored from Trash",
+      PURGE: "Deleted Permanently",
     };
     return labels[action] ?? action.replace(/_/g, " ").toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
   };
@@ -217,7 +299,7 @@ const AuditTrail = () => {
   return (
     <div className="space-y-6">
       <div className="flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-center">
-        <h2 className="text-lg font-bold tracking-tight text-slate-200">Activity Log</h2>
+        <h2 className="text-lg font-bold tracking-tight text-slate-200">{orgId ? "Organization Activity" : "Activity Log"}</h2>
         <button 
           onClick={fetchLogs}
           className="rounded-full border border-slate-700/60 bg-slate-900/50 px-3 py-1.5 text-xs font-medium tracking-wide text-primary-400 shadow-inner backdrop-blur-sm transition-all duration-300 hover:border-primary-500/40 hover:bg-slate-800 hover:text-primary-300 hover:shadow-[0_0_10px_rgba(34,211,238,0.15)]"
@@ -264,6 +346,95 @@ const AuditTrail = () => {
                   </div>
                 )}
                 
+                {log.metadata.groupId && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">Group:</span>
+                    <span className="min-w-0 break-all text-slate-300" title={log.metadata.groupId}>
+                      {log.metadata.groupName ?? log.metadata.name ?? `${log.metadata.groupId.slice(0, 10)}…`}
+                    </span>
+                  </div>
+                )}
+
+                {orgId && log.actor && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">Wallet:</span>
+                    <span className="min-w-0 break-all font-mono text-slate-400">{log.actor}</span>
+                  </div>
+                )}
+
+                {log.apiKey && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">API key:</span>
+                    <span className="min-w-0 break-all text-slate-300">
+                      {log.apiKey.name} <span className="font-mono text-slate-500">{log.apiKey.prefix}…</span>
+                    </span>
+                  </div>
+                )}
+
+                {!orgId && log.metadata.organizationName && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">Org:</span>
+                    <span className="min-w-0 break-all text-slate-300">{log.metadata.organizationName}</span>
+                  </div>
+                )}
+
+                {log.metadata.linkId && (log.metadata.ip || log.metadata.reason) && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">Link use:</span>
+                    <span className="min-w-0 break-all text-slate-400">
+                      {log.metadata.reason === "password" ? "wrong password" : log.metadata.reason === "view-limit" ? "view limit reached" : `view ${log.metadata.viewCount}${log.metadata.maxViews ? ` of ${log.metadata.maxViews}` : ""}`}
+                      {log.metadata.ip && <span className="font-mono text-slate-500"> · {log.metadata.ip}</span>}
+                    </span>
+                  </div>
+                )}
+
+                {log.metadata.member && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">Member:</span>
+                    <span className="min-w-0 break-all font-mono text-slate-400">{log.metadata.member}</span>
+                  </div>
+                )}
+
+                {log.metadata.from && log.metadata.to && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">Transfer:</span>
+                    <span className="min-w-0 break-all font-mono text-slate-400">
+                      {log.metadata.from} → {log.metadata.to}
+                    </span>
+                  </div>
+                )}
+
+                {log.metadata.role !== undefined && ROLE_LABELS[log.metadata.role] && (
+                  <div className="flex items-start gap-2">
+                    <span className="w-20 font-semibold text-slate-500">Role:</span>
+                    <span className="text-slate-300">{ROLE_LABELS[log.metadata.role]}</span>
+                  </div>
+                )}
+
+                {/* Organization roles are strings ("admin" / "member") */}
+                {typeof log.metadata.role === "string" && (
+                  <div className="flex items-start gap-2">
+                    <span className="w-20 font-semibold text-slate-500">Role:</span>
+                    <span className="capitalize text-slate-300">
+                      {log.metadata.previousRole && `${log.metadata.previousRole} → `}{log.metadata.role}
+                    </span>
+                  </div>
+                )}
+
+                {log.metadata.editor && log.metadata.editor.toLowerCase() !== address?.toLowerCase() && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">Editor:</span>
+                    <span className="min-w-0 break-all font-mono text-slate-400">{log.metadata.editor}</span>
+                  </div>
+                )}
+
+                {log.metadata.expiresAt && (
+                  <div className="flex items-start gap-2">
+                    <span className="w-20 font-semibold text-slate-500">Expires:</span>
+                    <span className="text-amber-400">{new Date(log.metadata.expiresAt * 1000).toLocaleString()}</span>
+                  </div>
+                )}
+
                 {log.metadata.version && (
                   <div className="flex items-start gap-2">
                     <span className="w-20 font-semibold text-slate-500">Version:</span>
@@ -283,18 +454,20 @@ const AuditTrail = () => {
                 {log.metadata.cid && (
                   <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
                     <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">IPFS CID:</span>
-                    <a
-                      href={getViewerUrl(log.metadata.cid, log.documentName)}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="min-w-0 break-all font-mono text-primary-400/80 transition-colors hover:text-primary-300 hover:underline"
-                      title={log.metadata.cid}
-                    >
+                    {/* Plain text — a gateway link would expose the CID to a third party */}
+                    <span className="min-w-0 break-all font-mono text-primary-400/80" title={log.metadata.cid}>
                       {log.metadata.cid}
-                    </a>
+                    </span>
                   </div>
                 )}
                 
+                {log.metadata.computedCid && (
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-2">
+                    <span className="w-20 shrink-0 font-semibold tracking-wide text-slate-500 uppercase">Received:</span>
+                    <span className="min-w-0 break-all font-mono text-red-400/80">{log.metadata.computedCid}</span>
+                  </div>
+                )}
+
                 {log.source === "blockchain" && log.metadata.blockNumber && (
                   <div className="flex items-start gap-2">
                     <span className="w-20 font-semibold text-slate-500">Block:</span>
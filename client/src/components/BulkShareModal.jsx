@@ -0,0 +1,339 @@
+import React, { useState } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../wallet";
+import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
+import { ROLES, GRANTABLE_ROLES, ROLE_LABELS } from "shared";
+import {
+  fetchEncryptionPublicKey,
+  loadContentKey,
+  wrapContentKey,
+  storeWrappedKey,
+  deleteWrappedKey,
+} from "../utils/crypto";
+import { ROLE_HINTS, DURATIONS, resolveExpiry, parseAddressList } from "../utils/grants";
+
+/**
+ * BulkShareModal.jsx  —  Phase 24
+ *
+ * Grants or revokes a pasted list of wallets across every selected document
+ * with contract.grantRoleBatch / revokeAccessBatch. The contract caps
+ * documents × wallets per call (MAX_BATCH_PAIRS), so larger selections are
+ * split into several transactions. The contract emits the usual per-pair
+ * AccessGranted / AccessRevoked events, so the indexer and audit trail need
+ * no batch-specific handling.
+ *
+ * Encrypted documents: every recipient's encryption key is fetched before any
+ * gas is spent, and content keys are wrapped (or removed) per pair once each
+ * transaction confirms.
+ */
+
+/**
+ * Split documents × users into calls of at most `cap` pairs. Whole user
+ * lists are kept together where possible so each document needs as few
+ * transactions as possible.
+ */
+const chunkPairs = (docs, users, cap) => {
+  const chunks = [];
+  if (users.length > cap) {
+    for (const doc of docs) {
+      for (let i = 0; i < users.length; i += cap) {
+        chunks.push({ docs: [doc], users: users.slice(i, i + cap) });
+      }
+    }
+    return chunks;
+  }
+  const docsPerCall = Math.floor(cap / users.length);
+  for (let i = 0; i < docs.length; i += docsPerCall) {
+    chunks.push({ docs: docs.slice(i, i + docsPerCall), users });
+  }
+  return chunks;
+};
+
+const BulkShareModal = ({ isOpen, onClose, documents = [], onShared }) => {
+  const { address, api } = useWallet();
+  const [activeTab, setActiveTab] = useState("grant"); // "grant" | "revoke"
+  const [addressText, setAddressText] = useState("");
+  const [role, setRole] = useState(ROLES.VIEWER);
+  const [duration, setDuration] = useState("none");
+  const [customUntil, setCustomUntil] = useState(""); // datetime-local value
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [status, setStatus] = useState(null); // { type: 'success'|'error'|'info', msg: string }
+
+  const { addresses, invalid } = parseAddressList(addressText, address);
+  const isGrant = activeTab === "grant";
+  const pairCount = addresses.length * documents.length;
+
+  const reset = () => {
+    setAddressText("");
+    setRole(ROLES.VIEWER);
+    setDuration("none");
+    setCustomUntil("");
+    setStatus(null);
+  };
+
+  const close = () => {
+    reset();
+    onClose();
+  };
+
+  /** Wrap (grant) or remove (revoke) content keys for every encrypted pair in a chunk. */
+  const syncKeys = async (chunk, signer, publicKeys) => {
+    for (const doc of chunk.docs.filter((d) => d.encrypted)) {
+      const contentKey = isGrant
+        ? await loadContentKey(api, signer, doc._id)
+        : null;
+      for (const user of chunk.users) {
+        if (isGrant) {
+          const wrapped = await wrapContentKey(contentKey, publicKeys.get(user));
+          await storeWrappedKey(api, doc._id, user, wrapped);
+        } else {
+          await deleteWrappedKey(api, doc._id, user);
+        }
+      }
+    }
+  };
+
+  const handleAction = async (e) => {
+    e.preventDefault();
+    if (addresses.length === 0 || documents.length === 0) return;
+
+    setIsProcessing(true);
+
+    try {
+      if (!window.ethereum) throw new Error("MetaMask not found");
+      if (invalid.length > 0) throw new Error(`Not a wallet address: ${invalid.join(", ")}`);
+
+      const expiresAt = isGrant ? resolveExpiry(duration, customUntil) : null;
+
+      // Fail before spending gas if any recipient can't decrypt anyway
+      const publicKeys = new Map();
+      if (isGrant && documents.some((d) => d.encrypted)) {
+        setStatus({ type: "info", msg: "Checking recipients' encryption keys..." });
+        const missing = [];
+        for (const user of addresses) {
+          const key = await fetchEncryptionPublicKey(api, user);
+          if (key) publicKeys.set(user, key);
+          else missing.push(user);
+        }
+        if (missing.length > 0) {
+          throw new Error(
+            `${missing.length} recipient(s) have not set up an encryption key yet: ${missing.join(", ")}`
+          );
+        }
+      }
+
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, signer);
+
+      const cap = Number(await contract.MAX_BATCH_PAIRS());
+      const chunks = chunkPairs(documents, addresses, cap);
+
+      for (const [i, chunk] of chunks.entries()) {
+        const step = chunks.length > 1 ? ` (${i + 1} of ${chunks.length})` : "";
+        const hashes = chunk.docs.map((d) => d.documentHash);
+        const args = isGrant
+          ? [hashes, chunk.users, role, expiresAt ?? ethers.MaxUint256]
+          : [hashes, chunk.users];
+        const method = isGrant ? "grantRoleBatch" : "revokeAccessBatch";
+
+        setStatus({ type: "info", msg: `Requesting signature${step}...` });
+        // Gas grows with the number of pairs, so estimate rather than use a flat limit
+        const gas = await contract[method].estimateGas(...args);
+        const tx = await contract[method](...args, { gasLimit: (gas * 12n) / 10n });
+
+        setStatus({ type: "info", msg: `Waiting for confirmation${step}...` });
+        await tx.wait();
+
+        if (chunk.docs.some((d) => d.encrypted)) {
+          setStatus({
+            type: "info",
+            msg: `${isGrant ? "Sharing" : "Removing"} decryption keys${step}...`,
+          });
+          await syncKeys(chunk, signer, publicKeys);
+        }
+      }
+
+      const pairs = `${addresses.length} wallet(s) on ${documents.length} document(s)`;
+      setStatus({
+        type: "success",
+        msg: isGrant
+          ? expiresAt
+            ? `${ROLE_LABELS[role]} access granted to ${pairs} until ${new Date(expiresAt * 1000).toLocaleString()}`
+            : `${ROLE_LABELS[role]} access granted to ${pairs}`
+          : `Access revoked for ${pairs}`,
+      });
+
+      setTimeout(() => {
+        reset();
+        onShared?.();
+      }, 2000);
+    } catch (err) {
+      console.error("[bulk-share-modal] error:", err);
+      if (err.code === "ACTION_REJECTED" || err.code === 4001) {
+        setStatus({ type: "error", msg: "Transaction rejected in MetaMask" });
+      } else {
+        setStatus({ type: "error", msg: err.reason || err.message || "Transaction failed" });
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 backdrop-blur-sm bg-slate-950/60">
+      <div className="w-full max-w-md overflow-hidden rounded-3xl border border-slate-800 bg-slate-900 shadow-2xl">
+        <div className="p-6">
+          <div className="mb-6 flex items-center justify-between">
+            <h3 className="text-xl font-bold text-slate-100">Bulk Access</h3>
+            <button onClick={close} className="rounded-full p-2 text-slate-500 hover:bg-slate-800 hover:text-slate-300">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="mb-6 rounded-xl bg-slate-950/50 p-4 border border-slate-800/50">
+            <p className="text-xs text-slate-500 uppercase tracking-wider font-semibold">
+              {documents.length} Document{documents.length !== 1 ? "s" : ""}
+            </p>
+            <ul className="mt-1 max-h-24 space-y-0.5 overflow-y-auto">
+              {documents.map((d) => (
+                <li key={d._id} className="truncate text-sm text-slate-300">{d.name}</li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="flex bg-slate-800 p-1 rounded-xl items-center mb-6">
+            <button
+              type="button"
+              className={`flex-1 py-1.5 text-sm font-medium rounded-lg transition-all ${activeTab === 'grant' ? 'bg-slate-700 text-slate-100 shadow-sm' : 'text-slate-400 hover:text-slate-300'}`}
+              onClick={() => { setActiveTab('grant'); setStatus(null); }}
+            >
+              Grant Access
+            </button>
+            <button
+              type="button"
+              className={`flex-1 py-1.5 text-sm font-medium rounded-lg transition-all ${activeTab === 'revoke' ? 'bg-slate-700 text-slate-100 shadow-sm' : 'text-slate-400 hover:text-slate-300'}`}
+              onClick={() => { setActiveTab('revoke'); setStatus(null); }}
+            >
+              Revoke Access
+            </button>
+          </div>
+
+          <form onSubmit={handleAction} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-400 mb-2">
+                Wallet Addresses
+              </label>
+              <textarea
+                value={addressText}
+                onChange={(e) => setAddressText(e.target.value)}
+                placeholder={"0x...\n0x..."}
+                rows={4}
+                className="w-full resize-y rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 font-mono text-xs text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+                required
+              />
+              <p className="mt-1 text-[11px] text-slate-500">
+                One per line, or separated by commas or spaces.{" "}
+                {addresses.length > 0 && `${addresses.length} wallet(s).`}
+                {invalid.length > 0 && (
+                  <span className="text-red-400"> {invalid.length} invalid.</span>
+                )}
+              </p>
+            </div>
+
+            {isGrant && (
+              <div>
+                <label className="block text-sm font-medium text-slate-400 mb-2">
+                  Role
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  {GRANTABLE_ROLES.map((r) => (
+                    <button
+                      key={r}
+                      type="button"
+                      onClick={() => setRole(r)}
+                      className={`rounded-lg border px-2 py-1.5 text-xs font-medium transition-all ${
+                        role === r
+                          ? "border-primary-500 bg-primary-500/10 text-primary-300"
+                          : "border-slate-800 bg-slate-950 text-slate-400 hover:border-slate-700 hover:text-slate-300"
+                      }`}
+                    >
+                      {ROLE_LABELS[r]}
+                    </button>
+                  ))}
+                </div>
+                <p className="mt-2 text-[11px] text-slate-500">{ROLE_HINTS[role]}</p>
+              </div>
+            )}
+
+            {isGrant && (
+              <div>
+                <label className="block text-sm font-medium text-slate-400 mb-2">
+                  Access Duration
+                </label>
+                <div className="grid grid-cols-3 gap-2">
+                  {DURATIONS.map((d) => (
+                    <button
+                      key={d.value}
+                      type="button"
+                      onClick={() => setDuration(d.value)}
+                      className={`rounded-lg border px-2 py-1.5 text-xs font-medium transition-all ${
+                        duration === d.value
+                          ? "border-primary-500 bg-primary-500/10 text-primary-300"
+                          : "border-slate-800 bg-slate-950 text-slate-400 hover:border-slate-700 hover:text-slate-300"
+                      }`}
+                    >
+                      {d.label}
+                    </button>
+                  ))}
+                </div>
+                {duration === "custom" && (
+                  <input
+                    type="datetime-local"
+                    value={customUntil}
+                    onChange={(e) => setCustomUntil(e.target.value)}
+                    className="mt-2 w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500 [color-scheme:dark]"
+                    required
+                  />
+                )}
+              </div>
+            )}
+
+            {status && (
+              <div className={`rounded-xl p-3 text-xs border break-words ${
+                status.type === 'error' ? 'bg-red-500/10 text-red-400 border-red-500/20' :
+                status.type === 'success' ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20' :
+                'bg-primary-500/10 text-primary-400 border-primary-500/20'
+              }`}>
+                {status.msg}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isProcessing || addresses.length === 0 || invalid.length > 0}
+              className={`w-full rounded-xl py-3 text-sm font-bold text-white transition-all active:scale-95 disabled:opacity-50 disabled:active:scale-100 shadow-lg ${
+                isGrant ? "bg-primary-600 hover:bg-primary-500 shadow-primary-900/20" : "bg-red-600 hover:bg-red-500 shadow-red-900/20"
+              }`}
+            >
+              {isProcessing ? "Processing..." : isGrant ? "Grant On-Chain Access" : "Revoke On-Chain Access"}
+              {!isProcessing && pairCount > 0 && ` (${pairCount})`}
+            </button>
+          </form>
+        </div>
+
+        <div className="bg-slate-950/40 p-4 border-t border-slate-800">
+          <p className="text-[10px] text-center text-slate-600 leading-relaxed">
+            Each batch is a single transaction; very large selections are split into several.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkShareModal;
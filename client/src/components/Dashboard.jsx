@@ -1,109 +1,131 @@
-import React, { useState, useCallback } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { ethers } from "ethers";
 import { useWallet } from "../wallet";
-import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
+import { getRegistryContract, checkRegistryDeployment, RegistryDeploymentError, computeContentHash } from "shared";
+import { REGISTRY_ADDRESS } from "../blockchain/config";
+import {
+  getEncryptionKeyPair,
+  generateContentKey,
+  encryptFile,
+  wrapContentKey,
+} from "../utils/crypto";
+import { relayIntent } from "../utils/relayer";
+import { assertCid, assertDocumentHash } from "../utils/integrity";
 import DocumentList from "./DocumentList";
 import AuditTrail from "./AuditTrail";
+import IncomingTransfers from "./IncomingTransfers";
+import PendingKeysNotice from "./PendingKeysNotice";
+import GroupsPanel from "./GroupsPanel";
+import OrgsPanel from "./OrgsPanel";
+import SessionsPanel from "./SessionsPanel";
+import ApiKeysPanel from "./ApiKeysPanel";
 
 /**
  * Dashboard.jsx
  *
  * Phase 6 — Canonical upload flow:
  *
- *   Step 1 — Server: Pin to IPFS, compute keccak256 → { cid, documentHash }
- *   Step 2 — Client: MetaMask signs registerDocument(documentHash, cid)
- *   Step 3 — Server: POST /confirm → mark registeredOnChain:true in index
+ *   Step 1 — Client: Hash the plaintext (SHA-256, anchored so the original file
+ *            verifies), encrypt it with a fresh content key, wrap key for owner
+ *   Step 2 — Server: Pin ciphertext to IPFS, compute keccak256 → { cid, documentHash }
+ *   Step 3 — Client: Recompute the CID and documentHash (utils/integrity),
+ *            refuse on a mismatch; then MetaMask signs a RegisterDocument intent for the relayer
+ *            (Phase 28), or sends registerDocument(documentHash, cid, contentHash) itself
+ *            when the server has no relayer
+ *   Step 4 — Server: POST /confirm → verify receipt, mark registeredOnChain:true
  */
 
 const AMOY_CHAIN_ID = 80002;
-const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "http://localhost:4000";
 
 // Upload step labels shown in the UI
 const STEPS = [
-  { id: 1, label: "Pinning to IPFS…"            },
-  { id: 2, label: "Awaiting wallet signature…"  },
-  { id: 3, label: "Confirming on-chain…"        },
+  { id: 1, label: "Encrypting in browser…"      },
+  { id: 2, label: "Pinning to IPFS…"            },
+  { id: 3, label: "Awaiting wallet signature…"  },
+  { id: 4, label: "Confirming on-chain…"        },
 ];
 
+const TAB_LABELS = {
+  vault:    "My Vault",
+  shared:   "Shared with me",
+  groups:   "Groups",
+  orgs:     "Organizations",
+  trash:    "Trash",
+  activity: "Activity Log",
+  devices:  "Devices",
+  apiKeys:  "API Keys",
+};
+
 const Dashboard = () => {
-  const { address, signature, network, switchNetwork, disconnect } = useWallet();
+  const { address, accessToken, api, network, switchNetwork, disconnect } = useWallet();
 
-  const [uploadStep,    setUploadStep]    = useState(0);   // 0 = idle, 1-3 = active step
+  const [uploadStep,    setUploadStep]    = useState(0);   // 0 = idle, 1-4 = active step
   const [uploadError,   setUploadError]   = useState(null);
   const [refreshTrigger, setRefreshTrigger] = useState(0);
   const [activeTab,     setActiveTab]     = useState("vault");
   const [searchQuery,   setSearchQuery]   = useState("");
   const [sortBy,        setSortBy]        = useState("date");
+  const [registryError, setRegistryError] = useState(null);
 
   const isUploading = uploadStep > 0;
 
   // ---------------------------------------------------------------------------
-  // Canonical 3-step upload handler
+  // Canonical 4-step upload handler
   // ---------------------------------------------------------------------------
   const handleFileUpload = useCallback(async (file) => {
-    if (!file || !address || !signature) return;
+    if (!file || !address || !accessToken) return;
 
     setUploadStep(1);
     setUploadError(null);
 
     try {
-      // ── STEP 1: Server — pin to IPFS + compute keccak256 ──────────────────
-      const formData = new FormData();
-      formData.append("file", file);
-      formData.append("name", file.name);
-
-      const uploadRes = await fetch(`${API_BASE}/api/documents/upload`, {
-        method: "POST",
-        headers: {
-          "x-wallet-address": address,
-          "x-wallet-signature": signature,
-        },
-        body: formData,
-      });
-
-      const uploadData = await uploadRes.json();
-
-      if (!uploadData.success) {
-        if (uploadRes.status === 401) disconnect();
-        throw new Error(uploadData.error ?? "Upload failed");
-      }
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer   = await provider.getSigner();
 
-      const { cid, documentHash, documentId } = uploadData;
+      // ── STEP 1: Client — hash, encrypt + wrap the content key for the owner
+      const contentHash   = computeContentHash(new Uint8Array(await file.arrayBuffer()));
+      const { publicKey } = await getEncryptionKeyPair(signer, api);
+      const contentKey    = generateContentKey();
+      const encrypted     = await encryptFile(file, contentKey);
+      const ownerKey      = await wrapContentKey(contentKey, publicKey);
 
-      // ── STEP 2: Client — MetaMask signs the on-chain registration tx ───────
+      // ── STEP 2: Server — pin ciphertext to IPFS + compute keccak256 ───────
       setUploadStep(2);
+      let uploaded;
+      try {
+        uploaded = await api.documents.upload({ file: encrypted, name: file.name, wrappedKey: ownerKey });
+      } catch (err) {
+        if (err.status === 401) disconnect();
+        throw err;
+      }
 
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer   = await provider.getSigner();
-      const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, signer);
+      const { cid, documentHash, documentId } = uploaded;
 
-      const tx = await contract.registerDocument(documentHash, cid, {
-        maxPriorityFeePerGas: ethers.parseUnits("30", "gwei"),
-        maxFeePerGas: ethers.parseUnits("60", "gwei"),
-        gasLimit: 500000,
+      // Never sign values the server made up — recompute both from what we sent
+      await assertCid(encrypted, cid);
+      assertDocumentHash(uploaded, {
+        owner: address,
+        name: file.name,
+        mimeType: encrypted.type || "application/octet-stream",
       });
+
+      // ── STEP 3: Client — MetaMask signs the registration (gasless if relayed)
       setUploadStep(3);
-      const receipt = await tx.wait();
-
-      // ── STEP 3: Server — confirm index entry ───────────────────────────────
-      await fetch(`${API_BASE}/api/documents/${documentId}/confirm`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-wallet-address": address,
-          "x-wallet-signature": signature,
-        },
-        body: JSON.stringify({ txHash: receipt.hash }),
-      });
+
+      let txHash = await relayIntent(api, "RegisterDocument", { owner: address, documentHash, cid, contentHash },
+        signer, address, () => setUploadStep(4));
+      if (!txHash) {
+        const contract = getRegistryContract(REGISTRY_ADDRESS, signer);
+        const tx = await contract.registerDocument(documentHash, cid, contentHash);
+        setUploadStep(4);
+        txHash = (await tx.wait()).hash;
+      }
+
+      // ── STEP 4: Server — verify receipt + confirm index entry ──────────────
+      await api.documents.confirm(documentId, txHash);
 
       setRefreshTrigger((n) => n + 1);
     } catch (err) {
-      console.error("[dashboard] upload error:", err);
-      console.error("[dashboard] error code:", err.code);
-      console.error("[dashboard] error reason:", err.reason);
-      console.error("[dashboard] error message:", err.message);
-      if (err.data) console.error("[dashboard] error data:", err.data);
-
       // User rejection from MetaMask is not an error we want to show as red
       if (err.code === 4001 || err.code === "ACTION_REJECTED") {
         setUploadError("Transaction cancelled. The file was pinned to IPFS but not registered on-chain.");
@@ -113,7 +135,7 @@ const Dashboard = () => {
     } finally {
       setUploadStep(0);
     }
-  }, [address, signature, disconnect]);
+  }, [address, accessToken, api, disconnect]);
 
   const onFileSelect = (e) => {
     const file = e.target.files?.[0];
@@ -130,6 +152,42 @@ const Dashboard = () => {
 
   const isWrongNetwork = network?.id !== AMOY_CHAIN_ID;
 
+  // A registry address from an older deployment can't take this build's
+  // calls — say so before the user signs anything, not after
+  useEffect(() => {
+    setRegistryError(null);
+    if (isWrongNetwork || !window.ethereum) return;
+    checkRegistryDeployment(REGISTRY_ADDRESS, new ethers.BrowserProvider(window.ethereum)).catch((err) => {
+      if (err instanceof RegistryDeploymentError) setRegistryError(err.message);
+    });
+  }, [isWrongNetwork]);
+
+  // Search & Sort — shared by the document tabs (vault, shared, trash)
+  const searchBar = (
+    <div className="mb-6 flex flex-col items-stretch gap-3 sm:flex-row sm:items-center">
+      <div className="relative flex-1">
+        <svg xmlns="http://www.w3.org/2000/svg" className="absolute left-3 top-1/2 h-5 w-5 -translate-y-1/2 text-slate-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+        <input
+          type="text"
+          placeholder="Search documents…"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          className="w-full rounded-xl border border-slate-700/60 bg-slate-900/50 py-3 pl-10 pr-4 text-sm text-slate-200 placeholder-slate-500 shadow-inner backdrop-blur-sm focus:border-primary-500/50 focus:bg-slate-900/80 focus:outline-none focus:ring-2 focus:ring-primary-500/20"
+        />
+      </div>
+      <select
+        value={sortBy}
+        onChange={(e) => setSortBy(e.target.value)}
+        className="w-full rounded-xl border border-slate-700/60 bg-slate-900/50 px-4 py-3 text-sm font-medium text-slate-300 shadow-inner backdrop-blur-sm focus:border-primary-500/50 focus:outline-none focus:ring-2 focus:ring-primary-500/20 sm:w-auto"
+      >
+        <option value="date">Newest First</option>
+        <option value="name">By Name</option>
+      </select>
+    </div>
+  );
+
   // ---------------------------------------------------------------------------
   // Render
   // ---------------------------------------------------------------------------
@@ -157,6 +215,14 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Registry Guard */}
+      {registryError && (
+        <div className="mb-8 rounded-2xl border border-red-500/20 bg-red-500/5 p-4 text-sm text-red-400">
+          <p className="font-bold">This app's contract isn't deployed at the configured address.</p>
+          <p className="mt-1 text-xs text-red-300/80">{registryError}</p>
+        </div>
+      )}
+
       {/* Header */}
       <div className="mb-10 flex flex-col items-start gap-6 md:flex-row md:items-end justify-between">
         <div className="space-y-2">
@@ -175,9 +241,18 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Incoming ownership offers */}
+      <IncomingTransfers
+        refreshTrigger={refreshTrigger}
+        onAccepted={() => setRefreshTrigger((n) => n + 1)}
+      />
+
+      {/* Group members waiting for this wallet's content keys */}
+      <PendingKeysNotice refreshTrigger={refreshTrigger} />
+
       {/* Tabs */}
       <div className="mb-8 flex gap-6 overflow-x-auto border-b border-slate-800/60 pb-1 scrollbar-hide">
-        {["vault", "activity"].map((tab) => (
+        {["vault", "shared", "groups", "orgs", "trash", "activity", "devices", "apiKeys"].map((tab) => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
@@ -187,7 +262,7 @@ const Dashboard = () => {
                 : "border-b-2 border-transparent text-slate-500 hover:text-slate-300"
             }`}
           >
-            {tab === "vault" ? "My Vault" : "Activity Log"}
+            {TAB_LABELS[tab]}
           </button>
         ))}
       </div>
@@ -237,7 +312,7 @@ const Dashboard = () => {
                         type="file"
                         id="file-upload"
                         onChange={onFileSelect}
-                        disabled={isWrongNetwork}
+                        disabled={isWrongNetwork || !!registryError}
                         className="absolute inset-0 z-10 w-full cursor-pointer opacity-0 disabled:cursor-not-allowed"
                       />
                       <div className="flex flex-col items-center text-center p-4">
@@ -264,7 +339,7 @@ const Dashboard = () => {
                 <ul className="mt-5 space-y-2 text-xs text-slate-500">
                   <li className="flex items-start gap-2">
                     <span className="mt-1 h-1.5 w-1.5 shrink-0 rounded-full bg-primary-500" />
-                    File pinned to IPFS — content-addressed, immutable.
+                    Encrypted in your browser — only ciphertext reaches IPFS.
                   </li>
                   <li className="flex items-start gap-2">
                     <span className="mt-1 h-1.5 w-1.5 shrink-0 rounded-full bg-primary-500" />
@@ -280,29 +355,7 @@ const Dashboard = () => {
 
             {/* ── Document List ──────────────────────────────────────────────── */}
             <div className="order-2 lg:col-span-2">
-              {/* Search & Sort */}
-              <div className="mb-6 flex flex-col items-stretch gap-3 sm:flex-row sm:items-center">
-                <div className="relative flex-1">
-                  <svg xmlns="http://www.w3.org/2000/svg" className="absolute left-3 top-1/2 h-5 w-5 -translate-y-1/2 text-slate-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                  </svg>
-                  <input
-                    type="text"
-                    placeholder="Search documents…"
-                    value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
-                    className="w-full rounded-xl border border-slate-700/60 bg-slate-900/50 py-3 pl-10 pr-4 text-sm text-slate-200 placeholder-slate-500 shadow-inner backdrop-blur-sm focus:border-primary-500/50 focus:bg-slate-900/80 focus:outline-none focus:ring-2 focus:ring-primary-500/20"
-                  />
-                </div>
-                <select
-                  value={sortBy}
-                  onChange={(e) => setSortBy(e.target.value)}
-                  className="w-full rounded-xl border border-slate-700/60 bg-slate-900/50 px-4 py-3 text-sm font-medium text-slate-300 shadow-inner backdrop-blur-sm focus:border-primary-500/50 focus:outline-none focus:ring-2 focus:ring-primary-500/20 sm:w-auto"
-                >
-                  <option value="date">Newest First</option>
-                  <option value="name">By Name</option>
-                </select>
-              </div>
+              {searchBar}
 
               <DocumentList
                 refreshTrigger={refreshTrigger}
@@ -311,6 +364,34 @@ const Dashboard = () => {
               />
             </div>
           </>
+        ) : activeTab === "shared" || activeTab === "trash" ? (
+          <div className="lg:col-span-3">
+            {searchBar}
+
+            <DocumentList
+              key={activeTab}
+              refreshTrigger={refreshTrigger}
+              searchQuery={searchQuery}
+              sortBy={sortBy}
+              scope={activeTab}
+            />
+          </div>
+        ) : activeTab === "groups" ? (
+          <div className="lg:col-span-3">
+            <GroupsPanel />
+          </div>
+        ) : activeTab === "orgs" ? (
+          <div className="lg:col-span-3">
+            <OrgsPanel />
+          </div>
+        ) : activeTab === "devices" ? (
+          <div className="lg:col-span-3">
+            <SessionsPanel />
+          </div>
+        ) : activeTab === "apiKeys" ? (
+          <div className="lg:col-span-3">
+            <ApiKeysPanel />
+          </div>
         ) : (
           <div className="lg:col-span-3">
             <AuditTrail />
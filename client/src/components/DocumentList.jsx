@@ -5,18 +5,39 @@ import ShareModal from "./ShareModal";
 import VersionHistoryModal from "./VersionHistoryModal";
 import UpdateVersionModal from "./UpdateVersionModal";
 import ViewDocumentModal from "./ViewDocumentModal";
+import PurgeDocumentModal from "./PurgeDocumentModal";
+import TransferOwnershipModal from "./TransferOwnershipModal";
+import BulkShareModal from "./BulkShareModal";
+import { ROLES, ROLE_LABELS } from "shared";
 
 /**
  * DocumentList.jsx  —  Phase 7
  *
  * Sourced from contract events (via useDocuments hook).
  * Shows on-chain registration status per document.
+ *
+ * scope="shared" lists documents granted to this wallet: owner-only actions
+ * (share, trash) are hidden and the owner's address and the caller's role are
+ * shown instead. Editors keep the new-version action. Access that comes
+ * through a group is badged with the group's name.
+ *
+ * Owned documents can be handed to another wallet (Transfer ownership); a
+ * pending offer is badged until the recipient accepts or it is cancelled.
+ *
+ * On-chain owned documents can be multi-selected and shared with (or revoked
+ * from) a pasted list of wallets in batched transactions (BulkShareModal).
+ *
+ * scope="trash" lists the owner's soft-deleted documents with Restore and
+ * Delete Forever (on-chain archive + IPFS unpin) instead of the usual actions.
  */
-const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
-  const { address, signature, disconnect } = useWallet();
+const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date", scope = "my" }) => {
+  const { address, accessToken, api, disconnect } = useWallet();
   const { documents, isLoading, error, refresh } = useDocuments(
-    address, signature, searchQuery, sortBy
+    address, !!accessToken, searchQuery, sortBy, scope
   );
+  const isShared = scope === "shared";
+  const isTrash  = scope === "trash";
+  const isMine   = scope === "my";
 
   // Re-fetch whenever parent increments refreshTrigger
   React.useEffect(() => { if (refreshTrigger > 0) refresh(); }, [refreshTrigger]);
@@ -25,6 +46,48 @@ const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
   const [historyDoc, setHistoryDoc] = useState(null);
   const [updateDoc,  setUpdateDoc]  = useState(null);
   const [viewDoc,    setViewDoc]    = useState(null);
+  const [purgeDoc,   setPurgeDoc]   = useState(null);
+  const [transferDoc, setTransferDoc] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkOpen,   setBulkOpen]   = useState(false);
+  const [busyId,     setBusyId]     = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  // Move to trash (DELETE) or back out of it (POST /restore) — both reversible
+  const setTrashed = async (doc, trashed) => {
+    setBusyId(doc._id);
+    setActionError(null);
+    try {
+      if (trashed) await api.documents.remove(doc._id);
+      else await api.documents.restore(doc._id);
+      refresh();
+    } catch (err) {
+      console.error("[document-list] trash error:", err);
+      setActionError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Only documents registered on-chain (and not archived) can be batch-shared
+  const selectable = isMine
+    ? documents.filter((d) => d.registeredOnChain && !d.archivedOnChain)
+    : [];
+  const selectedDocs = selectable.filter((d) => selectedIds.has(d._id));
+  const allSelected = selectable.length > 0 && selectedDocs.length === selectable.length;
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(selectable.map((d) => d._id)));
+  };
 
   const getFileIcon = (mimeType = "") => {
     if (mimeType.startsWith("image/"))   return "🖼️";
@@ -66,9 +129,19 @@ const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
           </svg>
         </div>
         <p className="text-sm font-medium text-slate-400">
-          {searchQuery ? `No documents matching "${searchQuery}"` : "No documents yet."}
+          {searchQuery
+            ? `No documents matching "${searchQuery}"`
+            : isShared ? "Nothing has been shared with you yet."
+            : isTrash ? "Trash is empty."
+            : "No documents yet."}
         </p>
-        {!searchQuery && <p className="mt-1 text-xs text-slate-500">Upload a file to get started.</p>}
+        {!searchQuery && (
+          <p className="mt-1 text-xs text-slate-500">
+            {isShared ? "Documents appear here once an owner grants your wallet access."
+              : isTrash ? "Deleted documents stay here until you restore or purge them."
+              : "Upload a file to get started."}
+          </p>
+        )}
       </div>
     );
   }
@@ -78,11 +151,32 @@ const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
     <div className="space-y-4">
       <div className="flex items-center justify-between">
         <h2 className="text-sm font-semibold uppercase tracking-wider text-slate-500">
-          Documents
+          {isShared ? "Shared with me" : isTrash ? "Trash" : "Documents"}
         </h2>
-        <span className="text-xs text-slate-600">{documents.length} file{documents.length !== 1 ? "s" : ""}</span>
+        <div className="flex items-center gap-3">
+          {selectable.length > 0 && (
+            <button onClick={toggleAll} className="text-xs text-slate-500 transition-colors hover:text-slate-300">
+              {allSelected ? "Clear selection" : "Select all"}
+            </button>
+          )}
+          {selectedDocs.length > 0 && (
+            <button
+              onClick={() => setBulkOpen(true)}
+              className="rounded-lg border border-primary-500/30 bg-primary-500/10 px-3 py-1.5 text-[0.7rem] font-bold tracking-wide text-primary-400 transition-colors hover:bg-primary-500/20 hover:text-primary-300"
+            >
+              Share {selectedDocs.length} selected
+            </button>
+          )}
+          <span className="text-xs text-slate-600">{documents.length} file{documents.length !== 1 ? "s" : ""}</span>
+        </div>
       </div>
 
+      {actionError && (
+        <div className="rounded-lg border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">
+          {actionError}
+        </div>
+      )}
+
       <div className="grid gap-3">
         {documents.map((doc) => {
           const latestCid = doc.versions?.length
@@ -90,6 +184,7 @@ const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
             : doc.cid;
           const isMockCid   = !latestCid || latestCid.startsWith("mock-");
           const isOnChain   = doc.registeredOnChain;
+          const canSelect   = selectable.includes(doc);
 
           return (
             <div
@@ -98,6 +193,16 @@ const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
             >
               {/* Left — icon + metadata */}
               <div className="flex min-w-0 flex-1 items-start gap-4 sm:items-center">
+                {isMine && (
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.has(doc._id)}
+                    onChange={() => toggleSelected(doc._id)}
+                    disabled={!canSelect}
+                    title={canSelect ? "Select for bulk sharing" : "Only on-chain documents can be shared"}
+                    className="mt-4 h-4 w-4 shrink-0 cursor-pointer accent-primary-500 disabled:cursor-not-allowed disabled:opacity-30 sm:mt-0"
+                  />
+                )}
                 <div className="flex h-12 w-12 shrink-0 items-center justify-center rounded-xl bg-primary-500/10 text-2xl shadow-[0_0_10px_rgba(34,211,238,0.1)] ring-1 ring-primary-500/20 transition-all duration-300 group-hover:bg-primary-500/20 group-hover:shadow-[0_0_15px_rgba(34,211,238,0.2)]">
                   {getFileIcon(doc.mimeType)}
                 </div>
@@ -114,12 +219,52 @@ const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
                         pending
                       </span>
                     )}
+                    {!isShared && doc.pendingOwner && (
+                      <span
+                        className="shrink-0 rounded-full bg-cyan-500/10 px-1.5 py-0.5 text-[10px] font-semibold text-cyan-400"
+                        title={`Ownership offered to ${doc.pendingOwner}`}
+                      >
+                        transfer pending
+                      </span>
+                    )}
                   </div>
 
                   <div className="mt-1 flex flex-wrap items-center gap-2 text-[10px] text-slate-500">
+                    {isShared && doc.owner && (
+                      <>
+                        <span className="font-mono text-slate-400" title={`Owner: ${doc.owner}`}>
+                          from {doc.owner.slice(0, 6)}…{doc.owner.slice(-4)}
+                        </span>
+                        <span>·</span>
+                      </>
+                    )}
+                    {isShared && doc.role !== undefined && (
+                      <>
+                        <span
+                          className={doc.role >= ROLES.EDITOR ? "font-semibold text-primary-400" : "text-slate-400"}
+                          title={doc.accessExpiresAt ? `Until ${new Date(doc.accessExpiresAt * 1000).toLocaleString()}` : "No expiry"}
+                        >
+                          {ROLE_LABELS[doc.role]}
+                          {doc.accessExpiresAt && ` · until ${new Date(doc.accessExpiresAt * 1000).toLocaleDateString()}`}
+                        </span>
+                        <span>·</span>
+                      </>
+                    )}
+                    {isShared && doc.group && (
+                      <>
+                        <span className="rounded-full bg-indigo-500/10 px-1.5 py-0.5 font-semibold text-indigo-300" title={`Shared with group ${doc.group.name}`}>
+                          via {doc.group.name}
+                        </span>
+                        <span>·</span>
+                      </>
+                    )}
                     <span>{((doc.size ?? 0) / 1024).toFixed(1)} KB</span>
                     <span>·</span>
-                    <span>{doc.createdAt ? new Date(doc.createdAt).toLocaleDateString() : "—"}</span>
+                    <span>
+                      {isTrash && doc.deletedAt
+                        ? `deleted ${new Date(doc.deletedAt).toLocaleDateString()}`
+                        : doc.createdAt ? new Date(doc.createdAt).toLocaleDateString() : "—"}
+                    </span>
                     {latestCid && !isMockCid && (
                       <>
                         <span>·</span>
@@ -152,57 +297,111 @@ const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
 
               {/* Right — actions */}
               <div className="flex shrink-0 items-center gap-2 border-t border-slate-800/60 pt-4 sm:ml-3 sm:border-0 sm:pt-0">
-                {/* View on IPFS */}
-                {isMockCid ? (
-                  <span
-                    title="This file has a mock CID — re-upload to pin to real IPFS."
-                    className="cursor-not-allowed rounded-lg bg-slate-800/40 px-2.5 py-1.5 text-xs font-medium text-slate-600"
-                  >
-                    No IPFS
-                  </span>
+                {isTrash ? (
+                  <>
+                    {/* Restore */}
+                    <button
+                      onClick={() => setTrashed(doc, false)}
+                      disabled={busyId === doc._id}
+                      className="rounded-lg bg-slate-800 px-2.5 py-1.5 text-xs font-medium text-slate-300 transition-colors hover:bg-slate-700 disabled:cursor-not-allowed disabled:opacity-40"
+                    >
+                      Restore
+                    </button>
+
+                    {/* Delete forever */}
+                    <button
+                      onClick={() => setPurgeDoc(doc)}
+                      disabled={busyId === doc._id}
+                      className="rounded-lg border border-red-500/30 bg-red-500/10 px-2.5 py-1.5 text-xs font-medium text-red-400 transition-colors hover:bg-red-500/20 disabled:cursor-not-allowed disabled:opacity-40"
+                    >
+                      Delete Forever
+                    </button>
+                  </>
                 ) : (
-                  <button
-                    onClick={() => setViewDoc(doc)}
-                    title={`View document`}
-                    disabled={!isOnChain}
-                    className="rounded-lg bg-slate-800 px-2.5 py-1.5 text-xs font-medium text-slate-300 transition-colors hover:bg-slate-700 disabled:cursor-not-allowed disabled:opacity-40"
-                  >
-                    View
-                  </button>
-                )}
+                  <>
+                    {/* View on IPFS */}
+                    {isMockCid ? (
+                      <span
+                        title="This file has a mock CID from storage dev mode — re-upload it to store it for real."
+                        className="cursor-not-allowed rounded-lg bg-slate-800/40 px-2.5 py-1.5 text-xs font-medium text-slate-600"
+                      >
+                        No IPFS
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => setViewDoc(doc)}
+                        title={`View document`}
+                        disabled={!isOnChain}
+                        className="rounded-lg bg-slate-800 px-2.5 py-1.5 text-xs font-medium text-slate-300 transition-colors hover:bg-slate-700 disabled:cursor-not-allowed disabled:opacity-40"
+                      >
+                        View
+                      </button>
+                    )}
+
+                    {/* Version History */}
+                    <button
+                      onClick={() => setHistoryDoc(doc)}
+                      title="Version history"
+                      className="rounded-lg bg-slate-800/50 p-1.5 text-slate-400 transition-colors hover:bg-slate-700 hover:text-slate-200"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                      </svg>
+                    </button>
 
-                {/* Version History */}
-                <button
-                  onClick={() => setHistoryDoc(doc)}
-                  title="Version history"
-                  className="rounded-lg bg-slate-800/50 p-1.5 text-slate-400 transition-colors hover:bg-slate-700 hover:text-slate-200"
-                >
-                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                </button>
-
-                {/* Upload New Version */}
-                <button
-                  onClick={() => setUpdateDoc(doc)}
-                  title="Upload new version"
-                  disabled={!isOnChain}
-                  className="rounded-lg bg-slate-800/50 p-1.5 text-slate-400 transition-colors hover:bg-slate-700 hover:text-emerald-400 disabled:cursor-not-allowed disabled:opacity-40"
-                >
-                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
-                  </svg>
-                </button>
-
-                {/* Share */}
-                <button
-                  onClick={() => setShareDoc(doc)}
-                  title="Share on-chain"
-                  disabled={!isOnChain}
-                  className="rounded-lg border border-primary-500/30 bg-primary-500/10 px-4 py-2 text-[0.7rem] font-bold tracking-wide text-primary-400 shadow-[0_0_10px_rgba(34,211,238,0.1)] backdrop-blur-sm transition-all duration-300 hover:border-primary-400/80 hover:bg-primary-500/20 hover:text-primary-300 hover:shadow-[0_0_15px_rgba(34,211,238,0.2)] disabled:cursor-not-allowed disabled:opacity-40 disabled:hover:border-primary-500/30 disabled:hover:bg-primary-500/10 disabled:hover:shadow-[0_0_10px_rgba(34,211,238,0.1)]"
-                >
-                  Share
-                </button>
+                    {/* Upload New Version — owner, or an editor on shared documents */}
+                    {(!isShared || doc.role >= ROLES.EDITOR) && (
+                      <button
+                        onClick={() => setUpdateDoc(doc)}
+                        title="Upload new version"
+                        disabled={!isOnChain}
+                        className="rounded-lg bg-slate-800/50 p-1.5 text-slate-400 transition-colors hover:bg-slate-700 hover:text-emerald-400 disabled:cursor-not-allowed disabled:opacity-40"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                        </svg>
+                      </button>
+                    )}
+
+                    {!isShared && (
+                      <>
+                        {/* Share */}
+                        <button
+                          onClick={() => setShareDoc(doc)}
+                          title="Share on-chain"
+                          disabled={!isOnChain}
+                          className="rounded-lg border border-primary-500/30 bg-primary-500/10 px-4 py-2 text-[0.7rem] font-bold tracking-wide text-primary-400 shadow-[0_0_10px_rgba(34,211,238,0.1)] backdrop-blur-sm transition-all duration-300 hover:border-primary-400/80 hover:bg-primary-500/20 hover:text-primary-300 hover:shadow-[0_0_15px_rgba(34,211,238,0.2)] disabled:cursor-not-allowed disabled:opacity-40 disabled:hover:border-primary-500/30 disabled:hover:bg-primary-500/10 disabled:hover:shadow-[0_0_10px_rgba(34,211,238,0.1)]"
+                        >
+                          Share
+                        </button>
+
+                        {/* Transfer ownership */}
+                        <button
+                          onClick={() => setTransferDoc(doc)}
+                          title={doc.pendingOwner ? "Pending ownership transfer" : "Transfer ownership"}
+                          disabled={!isOnChain}
+                          className="rounded-lg bg-slate-800/50 p-1.5 text-slate-400 transition-colors hover:bg-slate-700 hover:text-cyan-400 disabled:cursor-not-allowed disabled:opacity-40"
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                          </svg>
+                        </button>
+
+                        {/* Move to trash */}
+                        <button
+                          onClick={() => setTrashed(doc, true)}
+                          title="Move to trash"
+                          disabled={busyId === doc._id}
+                          className="rounded-lg bg-slate-800/50 p-1.5 text-slate-400 transition-colors hover:bg-slate-700 hover:text-red-400 disabled:cursor-not-allowed disabled:opacity-40"
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      </>
+                    )}
+                  </>
+                )}
               </div>
             </div>
           );
@@ -233,6 +432,24 @@ const DocumentList = ({ refreshTrigger, searchQuery, sortBy = "date" }) => {
         document={viewDoc}
         walletAddress={address}
       />
+      <PurgeDocumentModal
+        isOpen={!!purgeDoc}
+        onClose={() => setPurgeDoc(null)}
+        document={purgeDoc}
+        onPurged={() => { setPurgeDoc(null); refresh(); }}
+      />
+      <TransferOwnershipModal
+        isOpen={!!transferDoc}
+        onClose={() => setTransferDoc(null)}
+        document={transferDoc}
+        onChanged={() => { setTransferDoc(null); refresh(); }}
+      />
+      <BulkShareModal
+        isOpen={bulkOpen}
+        onClose={() => setBulkOpen(false)}
+        documents={selectedDocs}
+        onShared={() => { setBulkOpen(false); setSelectedIds(new Set()); refresh(); }}
+      />
     </div>
   );
 };
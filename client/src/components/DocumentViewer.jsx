@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  detectViewerKind,
+  convertToPages,
+  openPdf,
+  loadPdfJs,
+  highlightMatches,
+  downloadBytes,
+} from "../utils/viewer";
+
+/**
+ * DocumentViewer.jsx  —  Phase 37
+ *
+ * Embedded viewer for bytes already in the browser: PDF (pdf.js), images,
+ * plain text, Markdown, CSV, DOCX and XLSX (converted in the browser, see
+ * utils/viewer.js). Zoom, page navigation (PDF pages, XLSX sheets) and
+ * search across every page. Nothing is sent anywhere — the host component
+ * fetches and decrypts, this only renders.
+ */
+
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+const DEFAULT_ZOOM = ZOOM_STEPS.indexOf(1);
+
+/** Occurrences of `query` in each string — the same units highlightMatches marks. */
+function countMatches(strings, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return 0;
+  let count = 0;
+  for (const value of strings) {
+    const lower = value.toLowerCase();
+    for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + needle.length)) count++;
+  }
+  return count;
+}
+
+/** Text node values of an HTML fragment, as highlightMatches will see them. */
+function htmlTexts(html) {
+  const template = window.document.createElement("template");
+  template.innerHTML = html;
+  const walker = window.document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+  const texts = [];
+  while (walker.nextNode()) texts.push(walker.currentNode.nodeValue);
+  return texts;
+}
+
+/** Mark the active match and bring it into view. */
+function focusMatch(marks, index) {
+  marks.forEach((mark, i) => mark.classList.toggle("current", i === index));
+  marks[index]?.scrollIntoView({ block: "center", inline: "nearest" });
+}
+
+// ---------------------------------------------------------------------------
+// Page renderers
+// ---------------------------------------------------------------------------
+
+const PdfPage = ({ pdf, pageNumber, zoom, query, activeMatch }) => {
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const [size, setSize] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+    let textLayer = null;
+
+    (async () => {
+      const [pdfjs, page] = await Promise.all([loadPdfJs(), pdf.getPage(pageNumber)]);
+      if (cancelled) return;
+      const viewport = page.getViewport({ scale: zoom });
+      const ratio = window.devicePixelRatio || 1;
+      setSize({ width: viewport.width, height: viewport.height });
+
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      renderTask = page.render({
+        canvas,
+        canvasContext: canvas.getContext("2d"),
+        viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : undefined,
+      });
+
+      const container = textLayerRef.current;
+      container.replaceChildren();
+      textLayer = new pdfjs.TextLayer({
+        textContentSource: page.streamTextContent(),
+        container,
+        viewport,
+      });
+      await Promise.all([renderTask.promise, textLayer.render()]);
+      if (cancelled) return;
+      focusMatch(highlightMatches(container, query), activeMatch);
+    })().catch((err) => {
+      if (err?.name !== "RenderingCancelledException" && !cancelled) console.error("[viewer] pdf render failed:", err);
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+      textLayer?.cancel();
+    };
+  }, [pdf, pageNumber, zoom, query, activeMatch]);
+
+  return (
+    <div
+      className="relative mx-auto bg-white shadow-lg"
+      style={{ width: size?.width, height: size?.height, "--total-scale-factor": zoom }}
+    >
+      <canvas ref={canvasRef} className="block h-full w-full" />
+      <div ref={textLayerRef} className="textLayer" />
+    </div>
+  );
+};
+
+const HtmlPage = ({ html, kind, zoom, query, activeMatch }) => {
+  const ref = useRef(null);
+
+  // Rendered outside React so search can wrap text nodes in <mark>
+  useEffect(() => {
+    ref.current.innerHTML = html;
+    focusMatch(highlightMatches(ref.current, query), activeMatch);
+  }, [html, query, activeMatch]);
+
+  return <div ref={ref} className={`doc-viewer-html doc-viewer-${kind}`} style={{ zoom }} />;
+};
+
+// ---------------------------------------------------------------------------
+// Viewer
+// ---------------------------------------------------------------------------
+
+const DocumentViewer = ({ bytes, mimeType, name, badge, onClose }) => {
+  const kind = useMemo(() => detectViewerKind(mimeType, name), [mimeType, name]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [zoomIndex, setZoomIndex] = useState(DEFAULT_ZOOM);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [query, setQuery] = useState("");
+  const [matchIndex, setMatchIndex] = useState(0);
+
+  const [pdf, setPdf] = useState(null);
+  const [htmlPages, setHtmlPages] = useState(null); // [{ label, html }]
+  const [imageUrl, setImageUrl] = useState(null);
+  const [pageTexts, setPageTexts] = useState([]);   // per page, for search
+
+  const zoom = ZOOM_STEPS[zoomIndex];
+  const pageCount = pdf?.numPages ?? htmlPages?.length ?? 1;
+
+  // ── Load / convert ────────────────────────────────────────────────────────
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = null;
+    let url = null;
+
+    setIsLoading(true);
+    setError(null);
+    setPdf(null);
+    setHtmlPages(null);
+    setImageUrl(null);
+    setPageTexts([]);
+    setPageIndex(0);
+
+    (async () => {
+      if (!kind) return;
+      if (kind === "pdf") {
+        loaded = await openPdf(bytes);
+        const texts = [];
+        for (let n = 1; n <= loaded.numPages; n++) {
+          const { items } = await (await loaded.getPage(n)).getTextContent();
+          texts.push(items.map((item) => item.str ?? ""));
+        }
+        if (cancelled) return;
+        setPdf(loaded);
+        setPageTexts(texts);
+      } else if (kind === "image") {
+        url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+        setImageUrl(url);
+      } else {
+        const pages = await convertToPages(kind, bytes, name);
+        if (cancelled) return;
+        setHtmlPages(pages);
+        setPageTexts(pages.map((page) => htmlTexts(page.html)));
+      }
+    })()
+      .catch((err) => {
+        console.error("[viewer] could not render document:", err);
+        if (!cancelled) setError(err.message || "This file could not be rendered.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      loaded?.destroy();
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [bytes, kind, mimeType, name]);
+
+  // ── Search ────────────────────────────────────────────────────────────────
+  // Every match in document order, as { page, index within that page }
+  const matches = useMemo(() => {
+    const all = [];
+    pageTexts.forEach((texts, page) => {
+      const count = countMatches(texts, query);
+      for (let index = 0; index < count; index++) all.push({ page, index });
+    });
+    return all;
+  }, [pageTexts, query]);
+
+  useEffect(() => {
+    setMatchIndex(0);
+  }, [query]);
+
+  const activeMatch = matches[matchIndex] ?? null;
+  useEffect(() => {
+    if (activeMatch) setPageIndex(activeMatch.page);
+  }, [activeMatch]);
+
+  const stepMatch = (delta) => {
+    if (matches.length === 0) return;
+    setMatchIndex((i) => (i + delta + matches.length) % matches.length);
+  };
+
+  const activeOnPage = activeMatch?.page === pageIndex ? activeMatch.index : -1;
+  const searchable = kind && kind !== "image";
+
+  // ── Render ────────────────────────────────────────────────────────────────
+  const toolbarButton =
+    "rounded-lg px-2 py-1 text-sm text-slate-300 transition-colors hover:bg-slate-800 hover:text-slate-100 disabled:opacity-40 disabled:hover:bg-transparent";
+
+  return (
+    <div className="flex h-full min-h-0 flex-col">
+      {/* Header */}
+      <div className="flex items-center gap-3 border-b border-slate-800 px-4 py-3">
+        <h2 className="min-w-0 flex-1 truncate text-sm font-bold text-slate-100" title={name}>{name}</h2>
+        {badge}
+        <button
+          onClick={() => downloadBytes(bytes, name, mimeType)}
+          className="rounded-lg bg-slate-800 px-3 py-1.5 text-xs font-semibold text-slate-200 transition-colors hover:bg-slate-700"
+        >
+          Download
+        </button>
+        {onClose && (
+          <button
+            onClick={onClose}
+            aria-label="Close viewer"
+            className="rounded-lg p-1.5 text-slate-500 transition-colors hover:bg-slate-800 hover:text-slate-200"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        )}
+      </div>
+
+      {/* Toolbar */}
+      {kind && !error && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 border-b border-slate-800 bg-slate-900/80 px-4 py-2">
+          <div className="flex items-center gap-1">
+            <button onClick={() => setZoomIndex((i) => i - 1)} disabled={zoomIndex === 0} className={toolbarButton} aria-label="Zoom out">−</button>
+            <button onClick={() => setZoomIndex(DEFAULT_ZOOM)} className={`${toolbarButton} w-14 text-xs tabular-nums`} title="Reset zoom">
+              {Math.round(zoom * 100)}%
+            </button>
+            <button onClick={() => setZoomIndex((i) => i + 1)} disabled={zoomIndex === ZOOM_STEPS.length - 1} className={toolbarButton} aria-label="Zoom in">+</button>
+          </div>
+
+          {pageCount > 1 && (
+            <div className="flex items-center gap-1">
+              <button onClick={() => setPageIndex((p) => p - 1)} disabled={pageIndex === 0} className={toolbarButton} aria-label="Previous page">‹</button>
+              {htmlPages?.[0]?.label ? (
+                <select
+                  value={pageIndex}
+                  onChange={(e) => setPageIndex(Number(e.target.value))}
+                  className="max-w-40 rounded-lg border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-200 focus:border-primary-500 focus:outline-none"
+                >
+                  {htmlPages.map((page, i) => <option key={i} value={i}>{page.label}</option>)}
+                </select>
+              ) : (
+                <span className="px-1 text-xs tabular-nums text-slate-400">{pageIndex + 1} / {pageCount}</span>
+              )}
+              <button onClick={() => setPageIndex((p) => p + 1)} disabled={pageIndex >= pageCount - 1} className={toolbarButton} aria-label="Next page">›</button>
+            </div>
+          )}
+
+          {searchable && (
+            <div className="ml-auto flex items-center gap-1">
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    stepMatch(e.shiftKey ? -1 : 1);
+                  }
+                }}
+                placeholder="Search…"
+                className="w-44 rounded-lg border border-slate-700 bg-slate-950 px-3 py-1 text-xs text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none"
+              />
+              <span className="w-14 text-center text-[11px] tabular-nums text-slate-500">
+                {query.trim() ? (matches.length ? `${matchIndex + 1} / ${matches.length}` : "0 / 0") : ""}
+              </span>
+              <button onClick={() => stepMatch(-1)} disabled={matches.length === 0} className={toolbarButton} aria-label="Previous match">↑</button>
+              <button onClick={() => stepMatch(1)} disabled={matches.length === 0} className={toolbarButton} aria-label="Next match">↓</button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Content */}
+      <div className="doc-viewer min-h-0 flex-1 overflow-auto bg-slate-950 p-6">
+        {!kind ? (
+          <div className="flex h-full flex-col items-center justify-center text-center">
+            <p className="text-sm font-semibold text-slate-300">No preview for this file type</p>
+            <p className="mt-1 text-xs text-slate-500">Download it to open it in a local application.</p>
+          </div>
+        ) : error ? (
+          <div className="flex h-full flex-col items-center justify-center text-center">
+            <p className="text-sm font-semibold text-slate-300">This file could not be rendered</p>
+            <p className="mt-1 max-w-md text-xs text-slate-500">{error}</p>
+          </div>
+        ) : isLoading ? (
+          <div className="flex h-full items-center justify-center">
+            <div className="h-8 w-8 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />
+          </div>
+        ) : pdf ? (
+          <PdfPage pdf={pdf} pageNumber={pageIndex + 1} zoom={zoom} query={query} activeMatch={activeOnPage} />
+        ) : imageUrl ? (
+          <img src={imageUrl} alt={name} className="mx-auto max-w-none" style={{ zoom }} />
+        ) : htmlPages ? (
+          <HtmlPage html={htmlPages[pageIndex].html} kind={kind} zoom={zoom} query={query} activeMatch={activeOnPage} />
+        ) : null}
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
@@ -0,0 +1,471 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../wallet";
+import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
+import { shareContentKey, deleteWrappedKey } from "../utils/crypto";
+import { parseAddressList } from "../utils/grants";
+
+/**
+ * GroupsPanel.jsx  —  Phase 25
+ *
+ * "Groups" dashboard tab. Lists the groups this wallet manages or belongs to
+ * and lets the manager:
+ *   - create a group: POST /api/groups → createGroup(groupId, members)
+ *     → POST /:id/confirm
+ *   - add / remove members: addGroupMembers / removeGroupMembers
+ *     → POST /:id/confirm-members
+ *   - rename (off-chain, PATCH) or disband: disbandGroup → DELETE /:id
+ *
+ * Membership is checked on-chain at access time, so new members can open
+ * every document already shared with the group. Only a document's owner can
+ * wrap its content key: for encrypted documents the manager owns, the key is
+ * wrapped for new members (and removed from departing ones) right after the
+ * membership transaction; for other owners' documents the manager is told who
+ * still has to, and those owners are prompted on their own dashboard
+ * (PendingKeysNotice).
+ */
+
+const short = (a) => `${a.slice(0, 6)}…${a.slice(-4)}`;
+
+const GroupsPanel = () => {
+  const { address, accessToken, api } = useWallet();
+  const signedIn = !!accessToken;
+  const [groups, setGroups] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const [name, setName] = useState("");
+  const [membersText, setMembersText] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+  const [createStatus, setCreateStatus] = useState(null); // { type, msg }
+
+  const load = useCallback(async () => {
+    if (!address || !signedIn) return;
+    try {
+      setGroups(await api.groups.list());
+      setLoadError(null);
+    } catch (err) {
+      console.error("[groups] load error:", err);
+      setLoadError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [address, signedIn, api]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const { addresses: initialMembers, invalid } = parseAddressList(membersText, null);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      if (invalid.length > 0) throw new Error(`Not a wallet address: ${invalid.join(", ")}`);
+
+      setCreateStatus({ type: "info", msg: "Creating group..." });
+      const group = await api.groups.create(name);
+
+      await registryTx(
+        "createGroup",
+        [group.groupId, initialMembers],
+        (txHash) => api.groups.confirm(group._id, txHash),
+        (msg) => setCreateStatus({ type: "info", msg })
+      );
+
+      setName("");
+      setMembersText("");
+      setCreateStatus({ type: "success", msg: `"${group.name}" created on-chain.` });
+      load();
+    } catch (err) {
+      console.error("[groups] create error:", err);
+      setCreateStatus({ type: "error", msg: txErrorMessage(err) });
+      load(); // a group whose transaction failed still shows, so it can be deleted
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
+      {/* ── Create ─────────────────────────────────────────────────────────── */}
+      <div className="lg:col-span-1">
+        <form
+          onSubmit={handleCreate}
+          className="sticky top-8 space-y-4 rounded-2xl border border-slate-800/80 bg-slate-900/40 p-6 shadow-lg backdrop-blur-md"
+        >
+          <h2 className="text-lg font-bold tracking-tight text-slate-200">New Group</h2>
+          <div>
+            <label className="mb-2 block text-sm font-medium text-slate-400">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Legal"
+              maxLength={100}
+              className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+              required
+            />
+          </div>
+          <div>
+            <label className="mb-2 block text-sm font-medium text-slate-400">Members</label>
+            <textarea
+              value={membersText}
+              onChange={(e) => setMembersText(e.target.value)}
+              placeholder={"0x...\n0x..."}
+              rows={4}
+              className="w-full resize-y rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 font-mono text-xs text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+            />
+            <p className="mt-1 text-[11px] text-slate-500">
+              One per line, or separated by commas. You can add more later.
+              {invalid.length > 0 && <span className="text-red-400"> {invalid.length} invalid.</span>}
+            </p>
+          </div>
+
+          {createStatus && <StatusBox status={createStatus} />}
+
+          <button
+            type="submit"
+            disabled={isCreating || !name.trim() || invalid.length > 0}
+            className="w-full rounded-xl bg-primary-600 py-3 text-sm font-bold text-white shadow-lg shadow-primary-900/20 transition-all hover:bg-primary-500 active:scale-95 disabled:opacity-50 disabled:active:scale-100"
+          >
+            {isCreating ? "Processing..." : "Create Group On-Chain"}
+          </button>
+        </form>
+      </div>
+
+      {/* ── List ───────────────────────────────────────────────────────────── */}
+      <div className="space-y-4 lg:col-span-2">
+        <div className="flex items-center justify-between">
+          <h2 className="text-sm font-semibold uppercase tracking-wider text-slate-500">Groups</h2>
+          <span className="text-xs text-slate-600">{groups.length} group{groups.length !== 1 ? "s" : ""}</span>
+        </div>
+
+        {loadError && (
+          <div className="rounded-lg border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">{loadError}</div>
+        )}
+
+        {isLoading ? (
+          <div className="flex h-32 items-center justify-center">
+            <div className="h-8 w-8 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />
+          </div>
+        ) : groups.length === 0 ? (
+          <div className="flex h-40 flex-col items-center justify-center rounded-2xl border border-dashed border-slate-700/60 bg-slate-900/20 text-center">
+            <p className="text-sm font-medium text-slate-400">No groups yet.</p>
+            <p className="mt-1 text-xs text-slate-500">Share a document with a group and every member gets access.</p>
+          </div>
+        ) : (
+          groups.map((group) => (
+            <GroupCard key={group._id} group={group} onChanged={load} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ---------------------------------------------------------------------------
+// One group — membership management for its owner, read-only for members
+// ---------------------------------------------------------------------------
+
+const GroupCard = ({ group, onChanged }) => {
+  const { address, api } = useWallet();
+  const isManager = group.owner.toLowerCase() === address?.toLowerCase();
+
+  const [addText, setAddText] = useState("");
+  const [renameTo, setRenameTo] = useState(null); // null = not renaming
+  const [documents, setDocuments] = useState(null); // null = not loaded
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const { addresses: toAdd, invalid } = parseAddressList(addText, null);
+  const newMembers = toAdd.filter(
+    (a) => !group.members.some((m) => m.toLowerCase() === a.toLowerCase())
+  );
+
+  const run = async (action) => {
+    setIsProcessing(true);
+    try {
+      await action();
+      onChanged();
+    } catch (err) {
+      console.error("[groups] error:", err);
+      setStatus({ type: "error", msg: txErrorMessage(err) });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Encrypted documents shared with the group, split by whether this wallet
+  // owns them — it can only wrap or withdraw the content keys of its own
+  const encryptedDocuments = async () => {
+    const docs = (await api.groups.documents(group._id)).filter((d) => d.encrypted);
+    const isOwn = (d) => d.owner.toLowerCase() === address.toLowerCase();
+    return { own: docs.filter(isOwn), others: docs.filter((d) => !isOwn(d)) };
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (invalid.length > 0) throw new Error(`Not a wallet address: ${invalid.join(", ")}`);
+      if (newMembers.length === 0) throw new Error("Everyone listed is already a member");
+
+      const signer = await registryTx(
+        "addGroupMembers", [group.groupId, newMembers],
+        (txHash) => api.groups.confirmMembers(group._id, txHash),
+        (msg) => setStatus({ type: "info", msg })
+      );
+
+      const { own, others } = await encryptedDocuments();
+      const missing = new Set();
+      for (const doc of own) {
+        setStatus({ type: "info", msg: `Sharing decryption key for ${doc.name}...` });
+        const skipped = await shareContentKey(api, doc._id, newMembers, signer);
+        skipped.forEach((m) => missing.add(m));
+      }
+
+      const notes = [];
+      if (missing.size > 0) {
+        notes.push(`${missing.size} have no encryption key yet and can't decrypt your encrypted documents until you re-share them.`);
+      }
+      if (others.length > 0) {
+        const owners = [...new Set(others.map((d) => short(d.owner)))].join(", ");
+        notes.push(
+          `They can't decrypt the ${others.length} encrypted document(s) other owners shared with this group ` +
+          `until those owners (${owners}) share their keys — they're asked to on their dashboard.`
+        );
+      }
+
+      setAddText("");
+      setStatus({
+        type: notes.length > 0 ? "info" : "success",
+        msg: [`Added ${newMembers.length} member(s).`, ...notes].join(" "),
+      });
+    });
+  };
+
+  const handleRemove = (member) => {
+    run(async () => {
+      const signer = await registryTx(
+        "removeGroupMembers", [group.groupId, [member]],
+        (txHash) => api.groups.confirmMembers(group._id, txHash),
+        (msg) => setStatus({ type: "info", msg })
+      );
+
+      // Withdraw wrapped keys unless the member still has access another way
+      const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, signer);
+      for (const doc of (await encryptedDocuments()).own) {
+        if (!(await contract.hasAccess(doc.documentHash, member))) {
+          await deleteWrappedKey(api, doc._id, member);
+        }
+      }
+      setStatus({ type: "success", msg: `Removed ${short(member)}.` });
+    });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.groups.rename(group._id, renameTo);
+      setRenameTo(null);
+      setStatus(null);
+    });
+  };
+
+  const handleDisband = () => {
+    if (!window.confirm(`Disband "${group.name}"? Members lose every document shared through it. This cannot be undone.`)) return;
+    run(async () => {
+      if (!group.registeredOnChain) {
+        await api.groups.remove(group._id, null);
+        return;
+      }
+      setStatus({ type: "info", msg: "Requesting signature..." });
+      const contract = await registryWithSigner();
+      const tx = await contract.disbandGroup(group.groupId);
+      setStatus({ type: "info", msg: "Waiting for confirmation..." });
+      const receipt = await tx.wait();
+      await api.groups.remove(group._id, receipt.hash);
+    });
+  };
+
+  const toggleDocuments = async () => {
+    if (documents) {
+      setDocuments(null);
+      return;
+    }
+    try {
+      setDocuments(await api.groups.documents(group._id));
+    } catch (err) {
+      setStatus({ type: "error", msg: err.message });
+    }
+  };
+
+  return (
+    <div className="rounded-xl border border-slate-700/60 bg-slate-900/40 p-5 shadow-sm backdrop-blur-md">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="min-w-0">
+          {renameTo !== null ? (
+            <form onSubmit={handleRename} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={renameTo}
+                onChange={(e) => setRenameTo(e.target.value)}
+                maxLength={100}
+                autoFocus
+                className="rounded-lg border border-slate-800 bg-slate-950 px-3 py-1.5 text-sm text-slate-200 focus:border-primary-500 focus:outline-none"
+              />
+              <button type="submit" disabled={isProcessing || !renameTo.trim()} className="text-xs font-semibold text-primary-400 hover:underline disabled:opacity-40">Save</button>
+              <button type="button" onClick={() => setRenameTo(null)} className="text-xs text-slate-500 hover:underline">Cancel</button>
+            </form>
+          ) : (
+            <div className="flex items-center gap-2">
+              <h3 className="truncate text-sm font-semibold text-slate-200">{group.name}</h3>
+              {!group.registeredOnChain && (
+                <span className="shrink-0 rounded-full bg-amber-500/10 px-1.5 py-0.5 text-[10px] font-semibold text-amber-400">
+                  not on-chain
+                </span>
+              )}
+            </div>
+          )}
+          <p className="mt-1 text-[10px] text-slate-500">
+            {isManager ? "You manage this group" : <>Managed by <span className="font-mono">{short(group.owner)}</span></>}
+            {" · "}{group.members.length} member{group.members.length !== 1 ? "s" : ""}
+            {" · "}<span className="font-mono text-slate-600" title={`groupId: ${group.groupId}`}>#{group.groupId.slice(2, 8)}</span>
+          </p>
+        </div>
+
+        <div className="flex shrink-0 items-center gap-2">
+          <button
+            onClick={toggleDocuments}
+            className="rounded-lg bg-slate-800 px-2.5 py-1.5 text-xs font-medium text-slate-300 transition-colors hover:bg-slate-700"
+          >
+            {documents ? "Hide documents" : "Documents"}
+          </button>
+          {isManager && renameTo === null && (
+            <button
+              onClick={() => setRenameTo(group.name)}
+              disabled={isProcessing}
+              className="rounded-lg bg-slate-800/50 px-2.5 py-1.5 text-xs font-medium text-slate-400 transition-colors hover:bg-slate-700 hover:text-slate-200 disabled:opacity-40"
+            >
+              Rename
+            </button>
+          )}
+          {isManager && (
+            <button
+              onClick={handleDisband}
+              disabled={isProcessing}
+              className="rounded-lg border border-red-500/30 bg-red-500/10 px-2.5 py-1.5 text-xs font-medium text-red-400 transition-colors hover:bg-red-500/20 disabled:opacity-40"
+            >
+              {group.registeredOnChain ? "Disband" : "Delete"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {documents && (
+        <ul className="mt-4 space-y-1 rounded-lg border border-slate-800/60 bg-slate-950/40 p-3 text-xs">
+          {documents.length === 0 ? (
+            <li className="text-slate-500">Nothing is shared with this group yet.</li>
+          ) : documents.map((d) => (
+            <li key={d._id} className="flex items-center justify-between gap-2">
+              <span className="truncate text-slate-300">{d.name}</span>
+              <span className="shrink-0 font-mono text-[10px] text-slate-500">from {short(d.owner)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {group.members.length > 0 && (
+        <ul className="mt-4 flex flex-wrap gap-2">
+          {group.members.map((m) => (
+            <li
+              key={m}
+              className="flex items-center gap-1.5 rounded-full border border-slate-800 bg-slate-950/60 px-2.5 py-1 font-mono text-[10px] text-slate-400"
+              title={m}
+            >
+              {short(m)}
+              {m.toLowerCase() === address?.toLowerCase() && <span className="font-sans text-primary-400">(you)</span>}
+              {isManager && group.registeredOnChain && (
+                <button
+                  onClick={() => handleRemove(m)}
+                  disabled={isProcessing}
+                  title="Remove from group"
+                  className="text-slate-600 transition-colors hover:text-red-400 disabled:opacity-40"
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isManager && group.registeredOnChain && (
+        <form onSubmit={handleAdd} className="mt-4 flex flex-col gap-2 sm:flex-row">
+          <input
+            type="text"
+            value={addText}
+            onChange={(e) => setAddText(e.target.value)}
+            placeholder="Add members: 0x..., 0x..."
+            className="flex-1 rounded-lg border border-slate-800 bg-slate-950 px-3 py-2 font-mono text-xs text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none"
+          />
+          <button
+            type="submit"
+            disabled={isProcessing || newMembers.length === 0 || invalid.length > 0}
+            className="shrink-0 rounded-lg border border-primary-500/30 bg-primary-500/10 px-4 py-2 text-xs font-bold text-primary-400 transition-colors hover:bg-primary-500/20 disabled:cursor-not-allowed disabled:opacity-40"
+          >
+            {isProcessing ? "Processing..." : `Add${newMembers.length > 0 ? ` ${newMembers.length}` : ""}`}
+          </button>
+        </form>
+      )}
+
+      {status && <div className="mt-3"><StatusBox status={status} /></div>}
+    </div>
+  );
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+async function registryWithSigner() {
+  if (!window.ethereum) throw new Error("MetaMask not found");
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  return new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, signer);
+}
+
+/**
+ * Sign `method` on the registry, then hand the receipt's hash to `confirm`
+ * for the server to verify. Membership lists make gas vary, so it is
+ * estimated rather than fixed. Returns the signer for follow-up key wrapping.
+ */
+async function registryTx(method, args, confirm, onStatus) {
+  const contract = await registryWithSigner();
+
+  onStatus("Requesting signature...");
+  const gas = await contract[method].estimateGas(...args);
+  const tx = await contract[method](...args, { gasLimit: (gas * 12n) / 10n });
+
+  onStatus("Waiting for confirmation...");
+  const receipt = await tx.wait();
+  await confirm(receipt.hash);
+
+  return contract.runner;
+}
+
+function txErrorMessage(err) {
+  if (err.code === "ACTION_REJECTED" || err.code === 4001) return "Transaction rejected in MetaMask";
+  return err.reason || err.message || "Transaction failed";
+}
+
+const StatusBox = ({ status }) => (
+  <div className={`rounded-xl p-3 text-xs border ${
+    status.type === 'error' ? 'bg-red-500/10 text-red-400 border-red-500/20' :
+    status.type === 'success' ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20' :
+    'bg-primary-500/10 text-primary-400 border-primary-500/20'
+  }`}>
+    {status.msg}
+  </div>
+);
+
+export default GroupsPanel;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../wallet";
+import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
+
+/**
+ * IncomingTransfers.jsx  —  Phase 23
+ *
+ * Prompt shown above the dashboard tabs while other wallets have offered
+ * this wallet ownership of a document (GET /api/documents/transfers/incoming).
+ *
+ * Accepting signs contract.acceptOwnership(documentHash), then
+ * POST /transfer/accept moves the document into this wallet's vault.
+ * Nothing is shown when there are no pending offers.
+ */
+
+const IncomingTransfers = ({ refreshTrigger, onAccepted }) => {
+  const { address, accessToken, api } = useWallet();
+  const signedIn = !!accessToken;
+  const [offers, setOffers] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!address || !signedIn) return;
+    try {
+      setOffers(await api.documents.transfers.incoming());
+    } catch (err) {
+      console.error("[incoming-transfers] load error:", err);
+    }
+  }, [address, signedIn, api]);
+
+  useEffect(() => { load(); }, [load, refreshTrigger]);
+
+  const accept = async (doc) => {
+    setBusyId(doc._id);
+    setError(null);
+    try {
+      if (!window.ethereum) throw new Error("MetaMask not found");
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, signer);
+
+      const tx = await contract.acceptOwnership(doc.documentHash);
+      const receipt = await tx.wait();
+
+      const accepted = await api.documents.transfers.accept(doc._id, receipt.hash);
+
+      setOffers((prev) => prev.filter((d) => d._id !== doc._id));
+      onAccepted?.(accepted);
+    } catch (err) {
+      console.error("[incoming-transfers] accept error:", err);
+      if (err.code === "ACTION_REJECTED" || err.code === 4001) {
+        setError("Transaction rejected in MetaMask");
+      } else {
+        setError(err.reason || err.message || "Accepting the transfer failed");
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (offers.length === 0) return null;
+
+  return (
+    <div className="mb-8 rounded-2xl border border-cyan-500/30 bg-cyan-500/5 p-5 shadow-lg backdrop-blur-md">
+      <h2 className="text-sm font-bold tracking-tight text-cyan-300">
+        {offers.length === 1 ? "A document is" : `${offers.length} documents are`} waiting for you to accept ownership
+      </h2>
+
+      <ul className="mt-4 space-y-2">
+        {offers.map((doc) => (
+          <li
+            key={doc._id}
+            className="flex flex-col gap-3 rounded-xl border border-slate-800/80 bg-slate-900/60 p-3 sm:flex-row sm:items-center sm:justify-between"
+          >
+            <div className="min-w-0">
+              <p className="truncate text-sm font-medium text-slate-200">{doc.name}</p>
+              <p className="mt-0.5 font-mono text-[10px] text-slate-500" title={`Owner: ${doc.owner}`}>
+                from {doc.owner.slice(0, 6)}…{doc.owner.slice(-4)}
+              </p>
+            </div>
+            <button
+              onClick={() => accept(doc)}
+              disabled={busyId !== null}
+              className="shrink-0 rounded-lg border border-cyan-500/30 bg-cyan-500/10 px-4 py-2 text-xs font-bold text-cyan-300 transition-colors hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40"
+            >
+              {busyId === doc._id ? "Accepting..." : "Accept Ownership"}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {error && (
+        <div className="mt-3 rounded-lg border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IncomingTransfers;
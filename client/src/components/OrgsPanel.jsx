@@ -0,0 +1,440 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useWallet } from "../wallet";
+import AuditTrail from "./AuditTrail";
+import ViewDocumentModal from "./ViewDocumentModal";
+
+/**
+ * OrgsPanel.jsx  —  Phase 26
+ *
+ * "Organizations" dashboard tab — shared workspaces.
+ *
+ *   - create an organization (you become its admin), accept or decline
+ *     invitations
+ *   - Documents: everything members have filed under the organization;
+ *     file one of your own documents or unfile it again
+ *   - Members: admins invite wallets, promote / demote and remove members;
+ *     anyone can leave
+ *   - Activity: the organization's audit trail (admins only)
+ *
+ * Filing a document doesn't grant on-chain access — opening it still goes
+ * through ViewDocumentModal's hasAccess() check.
+ */
+
+const short = (a) => `${a.slice(0, 6)}…${a.slice(-4)}`;
+
+const OrgsPanel = () => {
+  const { address, accessToken, api: client } = useWallet();
+  const signedIn = !!accessToken;
+  const [organizations, setOrganizations] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+
+  // The SDK client reads the current access token on every call
+  const api = client.request;
+
+  const load = useCallback(async () => {
+    if (!address || !signedIn) return;
+    try {
+      const { organizations: list } = await api("/api/orgs");
+      setOrganizations(list);
+      setSelectedId((id) => id ?? list.find((o) => o.status === "active")?._id ?? null);
+      setError(null);
+    } catch (err) {
+      console.error("[orgs] load error:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [address, signedIn, api]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (action) => {
+    try {
+      setError(null);
+      await action();
+      await load();
+    } catch (err) {
+      console.error("[orgs] error:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    run(async () => {
+      const { organization } = await api("/api/orgs", { method: "POST", body: { name } });
+      setName("");
+      setSelectedId(organization._id);
+    }).finally(() => setIsCreating(false));
+  };
+
+  const active = organizations.filter((o) => o.status === "active");
+  const invitations = organizations.filter((o) => o.status === "invited");
+  const selected = active.find((o) => o._id === selectedId) ?? null;
+
+  return (
+    <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
+      {/* ── Create + invitations ───────────────────────────────────────────── */}
+      <div className="space-y-6 lg:col-span-1">
+        <form
+          onSubmit={handleCreate}
+          className="space-y-4 rounded-2xl border border-slate-800/80 bg-slate-900/40 p-6 shadow-lg backdrop-blur-md"
+        >
+          <h2 className="text-lg font-bold tracking-tight text-slate-200">New Organization</h2>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Acme Legal"
+            maxLength={100}
+            className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+            required
+          />
+          <button
+            type="submit"
+            disabled={isCreating || !name.trim()}
+            className="w-full rounded-xl bg-primary-600 py-3 text-sm font-bold text-white shadow-lg shadow-primary-900/20 transition-all hover:bg-primary-500 active:scale-95 disabled:opacity-50 disabled:active:scale-100"
+          >
+            {isCreating ? "Creating..." : "Create Organization"}
+          </button>
+        </form>
+
+        {invitations.length > 0 && (
+          <div className="space-y-3 rounded-2xl border border-primary-500/20 bg-primary-500/5 p-5">
+            <h3 className="text-sm font-semibold text-primary-300">Invitations</h3>
+            {invitations.map((org) => (
+              <div key={org._id} className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="truncate text-sm text-slate-200">{org.name}</p>
+                  <p className="text-[10px] text-slate-500">
+                    as <span className="capitalize">{org.role}</span>
+                    {org.invitedBy && <> · from <span className="font-mono">{short(org.invitedBy)}</span></>}
+                  </p>
+                </div>
+                <div className="flex shrink-0 gap-2">
+                  <button
+                    onClick={() => run(async () => {
+                      await api(`/api/orgs/${org._id}/invitations/accept`, { method: "POST" });
+                      setSelectedId(org._id);
+                    })}
+                    className="rounded-lg bg-primary-600 px-2.5 py-1.5 text-xs font-bold text-white hover:bg-primary-500"
+                  >
+                    Join
+                  </button>
+                  <button
+                    onClick={() => run(() => api(`/api/orgs/${org._id}/members/${address}`, { method: "DELETE" }))}
+                    className="rounded-lg bg-slate-800 px-2.5 py-1.5 text-xs font-medium text-slate-400 hover:bg-slate-700"
+                  >
+                    Decline
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* ── Selected organization ──────────────────────────────────────────── */}
+      <div className="space-y-4 lg:col-span-2">
+        {error && (
+          <div className="rounded-lg border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">{error}</div>
+        )}
+
+        {isLoading ? (
+          <div className="flex h-32 items-center justify-center">
+            <div className="h-8 w-8 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />
+          </div>
+        ) : active.length === 0 ? (
+          <div className="flex h-40 flex-col items-center justify-center rounded-2xl border border-dashed border-slate-700/60 bg-slate-900/20 text-center">
+            <p className="text-sm font-medium text-slate-400">You're not in any organization yet.</p>
+            <p className="mt-1 text-xs text-slate-500">Create one, or ask an admin to invite your wallet.</p>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2">
+              {active.map((org) => (
+                <button
+                  key={org._id}
+                  onClick={() => setSelectedId(org._id)}
+                  className={`rounded-full border px-3 py-1.5 text-xs font-medium transition-all ${
+                    org._id === selectedId
+                      ? "border-primary-500 bg-primary-500/10 text-primary-300"
+                      : "border-slate-800 bg-slate-950 text-slate-400 hover:border-slate-700 hover:text-slate-300"
+                  }`}
+                >
+                  {org.name}
+                  {org.role === "admin" && <span className="ml-1.5 text-[9px] uppercase tracking-wider text-slate-500">admin</span>}
+                </button>
+              ))}
+            </div>
+            {selected && (
+              <OrgDetail
+                key={selected._id}
+                organization={selected}
+                api={api}
+                onLeft={() => { setSelectedId(null); load(); }}
+              />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ---------------------------------------------------------------------------
+// One organization — Documents / Members / Activity
+// ---------------------------------------------------------------------------
+
+const OrgDetail = ({ organization, api, onLeft }) => {
+  const { address } = useWallet();
+  const isAdmin = organization.role === "admin";
+  const [view, setView] = useState("documents"); // "documents" | "members" | "activity"
+  const [members, setMembers] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [myDocuments, setMyDocuments] = useState([]);
+  const [fileId, setFileId] = useState("");
+  const [invitee, setInvitee] = useState("");
+  const [inviteRole, setInviteRole] = useState("member");
+  const [viewDoc, setViewDoc] = useState(null);
+  const [status, setStatus] = useState(null); // { type, msg }
+
+  const load = useCallback(async () => {
+    try {
+      const [detail, docs, mine] = await Promise.all([
+        api(`/api/orgs/${organization._id}`),
+        api(`/api/orgs/${organization._id}/documents`),
+        api("/api/documents/my"),
+      ]);
+      setMembers(detail.members);
+      setDocuments(docs.documents);
+      setMyDocuments(mine.documents.filter((d) => String(d.organization) !== organization._id));
+    } catch (err) {
+      setStatus({ type: "error", msg: err.message });
+    }
+  }, [api, organization._id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (action, successMsg) => {
+    try {
+      setStatus(null);
+      await action();
+      if (successMsg) setStatus({ type: "success", msg: successMsg });
+      await load();
+    } catch (err) {
+      console.error("[orgs] error:", err);
+      setStatus({ type: "error", msg: err.message });
+    }
+  };
+
+  const base = `/api/orgs/${organization._id}`;
+  const handleInvite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api(`${base}/invitations`, { method: "POST", body: { address: invitee.trim(), role: inviteRole } });
+      setInvitee("");
+    }, "Invitation sent — it appears on their Organizations tab.");
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${organization.name}? Your documents will be removed from it.`)) return;
+    try {
+      await api(`${base}/members/${address}`, { method: "DELETE" });
+      onLeft();
+    } catch (err) {
+      setStatus({ type: "error", msg: err.message });
+    }
+  };
+
+  const views = isAdmin ? ["documents", "members", "activity"] : ["documents", "members"];
+
+  return (
+    <div className="rounded-2xl border border-slate-800/80 bg-slate-900/40 p-6 shadow-lg backdrop-blur-md">
+      <div className="mb-5 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-lg font-bold tracking-tight text-slate-200">{organization.name}</h2>
+        <button onClick={handleLeave} className="text-xs text-slate-500 hover:text-red-400">Leave organization</button>
+      </div>
+
+      <div className="mb-5 flex gap-5 border-b border-slate-800/60">
+        {views.map((v) => (
+          <button
+            key={v}
+            onClick={() => setView(v)}
+            className={`pb-2 text-xs font-semibold capitalize tracking-wide ${
+              view === v ? "border-b-2 border-primary-400 text-primary-300" : "border-b-2 border-transparent text-slate-500 hover:text-slate-300"
+            }`}
+          >
+            {v}
+          </button>
+        ))}
+      </div>
+
+      {status && (
+        <div className={`mb-4 rounded-xl p-3 text-xs border ${
+          status.type === 'error' ? 'bg-red-500/10 text-red-400 border-red-500/20' : 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20'
+        }`}>
+          {status.msg}
+        </div>
+      )}
+
+      {view === "documents" && (
+        <div className="space-y-4">
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              run(async () => {
+                await api(`${base}/documents/${fileId}`, { method: "PUT" });
+                setFileId("");
+              });
+            }}
+            className="flex flex-col gap-2 sm:flex-row"
+          >
+            <select
+              value={fileId}
+              onChange={(e) => setFileId(e.target.value)}
+              className="flex-1 rounded-lg border border-slate-800 bg-slate-950 px-3 py-2 text-xs text-slate-200 focus:border-primary-500 focus:outline-none"
+            >
+              <option value="">File one of your documents here…</option>
+              {myDocuments.map((d) => <option key={d._id} value={d._id}>{d.name}</option>)}
+            </select>
+            <button
+              type="submit"
+              disabled={!fileId}
+              className="shrink-0 rounded-lg border border-primary-500/30 bg-primary-500/10 px-4 py-2 text-xs font-bold text-primary-400 hover:bg-primary-500/20 disabled:opacity-40"
+            >
+              Add
+            </button>
+          </form>
+
+          {documents.length === 0 ? (
+            <p className="py-6 text-center text-xs text-slate-500">No documents filed under {organization.name} yet.</p>
+          ) : (
+            <ul className="divide-y divide-slate-800/60">
+              {documents.map((doc) => {
+                const isMine = doc.owner.toLowerCase() === address?.toLowerCase();
+                return (
+                  <li key={doc._id} className="flex items-center justify-between gap-3 py-3">
+                    <div className="min-w-0">
+                      <p className="truncate text-sm text-slate-200">{doc.name}</p>
+                      <p className="text-[10px] text-slate-500">
+                        {isMine ? "yours" : <>from <span className="font-mono">{short(doc.owner)}</span></>}
+                        {" · "}{new Date(doc.createdAt).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <div className="flex shrink-0 gap-2">
+                      <button
+                        onClick={() => setViewDoc(doc)}
+                        disabled={!doc.documentHash}
+                        className="rounded-lg bg-slate-800 px-2.5 py-1.5 text-xs font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-40"
+                      >
+                        View
+                      </button>
+                      {(isMine || isAdmin) && (
+                        <button
+                          onClick={() => run(() => api(`${base}/documents/${doc._id}`, { method: "DELETE" }))}
+                          title="Remove from organization (the document itself is kept)"
+                          className="rounded-lg bg-slate-800/50 px-2.5 py-1.5 text-xs font-medium text-slate-500 hover:bg-slate-700 hover:text-slate-300"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <p className="text-[10px] text-slate-600">
+            Members can open a document once its owner has shared it with them — share with a group to cover the whole team.
+          </p>
+        </div>
+      )}
+
+      {view === "members" && (
+        <div className="space-y-4">
+          {isAdmin && (
+            <form onSubmit={handleInvite} className="flex flex-col gap-2 sm:flex-row">
+              <input
+                type="text"
+                value={invitee}
+                onChange={(e) => setInvitee(e.target.value)}
+                placeholder="Invite wallet 0x..."
+                className="flex-1 rounded-lg border border-slate-800 bg-slate-950 px-3 py-2 font-mono text-xs text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none"
+                required
+              />
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="rounded-lg border border-slate-800 bg-slate-950 px-3 py-2 text-xs text-slate-200 focus:outline-none"
+              >
+                <option value="member">Member</option>
+                <option value="admin">Admin</option>
+              </select>
+              <button
+                type="submit"
+                className="shrink-0 rounded-lg border border-primary-500/30 bg-primary-500/10 px-4 py-2 text-xs font-bold text-primary-400 hover:bg-primary-500/20"
+              >
+                Invite
+              </button>
+            </form>
+          )}
+
+          <ul className="divide-y divide-slate-800/60">
+            {members.map((m) => {
+              const isSelf = m.address.toLowerCase() === address?.toLowerCase();
+              return (
+                <li key={m._id} className="flex items-center justify-between gap-3 py-3">
+                  <div className="min-w-0">
+                    <p className="truncate font-mono text-xs text-slate-300" title={m.address}>
+                      {m.address}
+                      {isSelf && <span className="ml-2 font-sans text-primary-400">(you)</span>}
+                    </p>
+                    <p className="text-[10px] capitalize text-slate-500">
+                      {m.role}
+                      {m.status === "invited" && <span className="ml-1.5 normal-case text-amber-400">· invitation pending</span>}
+                    </p>
+                  </div>
+                  {isAdmin && !isSelf && (
+                    <div className="flex shrink-0 gap-2">
+                      <button
+                        onClick={() => run(() => api(`${base}/members/${m.address}`, {
+                          method: "PATCH", body: { role: m.role === "admin" ? "member" : "admin" },
+                        }))}
+                        className="rounded-lg bg-slate-800 px-2.5 py-1.5 text-xs font-medium text-slate-300 hover:bg-slate-700"
+                      >
+                        {m.role === "admin" ? "Make member" : "Make admin"}
+                      </button>
+                      <button
+                        onClick={() => run(() => api(`${base}/members/${m.address}`, { method: "DELETE" }))}
+                        className="rounded-lg border border-red-500/30 bg-red-500/10 px-2.5 py-1.5 text-xs font-medium text-red-400 hover:bg-red-500/20"
+                      >
+                        {m.status === "invited" ? "Cancel invite" : "Remove"}
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {view === "activity" && isAdmin && <AuditTrail orgId={organization._id} />}
+
+      <ViewDocumentModal
+        isOpen={!!viewDoc}
+        onClose={() => setViewDoc(null)}
+        document={viewDoc}
+        walletAddress={address}
+      />
+    </div>
+  );
+};
+
+export default OrgsPanel;
@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../wallet";
+import { shareContentKey } from "../utils/crypto";
+
+/**
+ * PendingKeysNotice.jsx  —  Phase 25
+ *
+ * Prompt shown above the dashboard tabs while members of a group one of this
+ * wallet's encrypted documents is shared with can't decrypt it yet
+ * (GET /api/documents/keys/pending). Members added after the document was
+ * shared get on-chain access at once, but only the owner can wrap the
+ * content key — so whoever manages the group, this wallet has to.
+ *
+ * "Share keys" wraps each document's key for its waiting members, one
+ * signature to derive the encryption key pair. Nothing is shown when no one
+ * is waiting.
+ */
+
+const PendingKeysNotice = ({ refreshTrigger }) => {
+  const { address, accessToken, api } = useWallet();
+  const signedIn = !!accessToken;
+  const [pending, setPending] = useState([]);
+  const [isSharing, setIsSharing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!address || !signedIn) return;
+    try {
+      setPending(await api.documents.keys.pending());
+    } catch (err) {
+      console.error("[pending-keys] load error:", err);
+    }
+  }, [address, signedIn, api]);
+
+  useEffect(() => { load(); }, [load, refreshTrigger]);
+
+  const shareKeys = async () => {
+    setIsSharing(true);
+    setError(null);
+    try {
+      if (!window.ethereum) throw new Error("MetaMask not found");
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+
+      for (const { documentId, recipients } of pending) {
+        await shareContentKey(api, documentId, recipients, signer);
+      }
+      await load();
+    } catch (err) {
+      console.error("[pending-keys] share error:", err);
+      if (err.code === "ACTION_REJECTED" || err.code === 4001) {
+        setError("Signature rejected in MetaMask");
+      } else {
+        setError(err.reason || err.message || "Sharing the keys failed");
+      }
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  if (pending.length === 0) return null;
+
+  const members = new Set(pending.flatMap((p) => p.recipients));
+
+  return (
+    <div className="mb-8 rounded-2xl border border-amber-500/30 bg-amber-500/5 p-5 shadow-lg backdrop-blur-md">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div className="min-w-0">
+          <h2 className="text-sm font-bold tracking-tight text-amber-300">
+            {members.size === 1 ? "A group member is" : `${members.size} group members are`} waiting for your decryption keys
+          </h2>
+          <p className="mt-1 text-xs text-slate-400">
+            They joined a group after you shared {pending.length === 1 ? "an encrypted document" : `${pending.length} encrypted documents`} with
+            it, so they have access on-chain but can't decrypt until you share the key:{" "}
+            {pending.map((p) => p.name).join(", ")}
+          </p>
+        </div>
+        <button
+          onClick={shareKeys}
+          disabled={isSharing}
+          className="shrink-0 rounded-lg border border-amber-500/30 bg-amber-500/10 px-4 py-2 text-xs font-bold text-amber-300 transition-colors hover:bg-amber-500/20 disabled:cursor-not-allowed disabled:opacity-40"
+        >
+          {isSharing ? "Sharing..." : "Share Keys"}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-3 rounded-lg border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PendingKeysNotice;
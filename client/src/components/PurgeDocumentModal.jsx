@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../wallet";
+import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
+
+/**
+ * PurgeDocumentModal.jsx  —  Phase 20
+ *
+ * Permanently deletes a document from the trash:
+ *   1. Client wallet signs contract.archiveDocument(documentHash) — grantees
+ *      lose access and the document is frozen on-chain (skipped for documents
+ *      that never made it on-chain, or were already archived)
+ *   2. POST /purge → server verifies the receipt and unpins every version
+ *
+ * Both steps are irreversible, so the owner must type the document name.
+ */
+const PurgeDocumentModal = ({ isOpen, onClose, document, onPurged }) => {
+  const { api } = useWallet();
+  const [confirmName, setConfirmName] = useState("");
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [status, setStatus] = useState(null); // { type: 'error'|'info', msg: string }
+
+  const needsArchive = document?.registeredOnChain && !document?.archivedOnChain;
+
+  const close = () => {
+    setConfirmName("");
+    setStatus(null);
+    onClose();
+  };
+
+  const handlePurge = async (e) => {
+    e.preventDefault();
+    if (!document || confirmName !== document.name) return;
+
+    setIsProcessing(true);
+
+    try {
+      // ── STEP 1: Archive on-chain ──────────────────────────────────────────
+      let txHash = null;
+      if (needsArchive) {
+        if (!window.ethereum) throw new Error("MetaMask not found");
+        setStatus({ type: "info", msg: "Requesting signature to archive on-chain..." });
+
+        const provider = new ethers.BrowserProvider(window.ethereum);
+        const signer = await provider.getSigner();
+        const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, signer);
+
+        const tx = await contract.archiveDocument(document.documentHash);
+
+        setStatus({ type: "info", msg: "Waiting for confirmation..." });
+        const receipt = await tx.wait();
+        txHash = receipt.hash;
+      }
+
+      // ── STEP 2: Server — verify + unpin ───────────────────────────────────
+      setStatus({ type: "info", msg: "Unpinning from IPFS..." });
+      await api.documents.purge(document._id, txHash);
+
+      setConfirmName("");
+      setStatus(null);
+      onPurged?.(document);
+    } catch (err) {
+      console.error("[purge-modal] error:", err);
+      if (err.code === "ACTION_REJECTED" || err.code === 4001) {
+        setStatus({ type: "error", msg: "Transaction rejected in MetaMask" });
+      } else {
+        setStatus({ type: "error", msg: err.reason || err.message || "Purge failed" });
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 backdrop-blur-sm bg-slate-950/60">
+      <div className="w-full max-w-md overflow-hidden rounded-3xl border border-slate-800 bg-slate-900 shadow-2xl">
+        <div className="p-6">
+          <div className="mb-6 flex items-center justify-between">
+            <h3 className="text-xl font-bold text-slate-100">Delete Forever</h3>
+            <button onClick={close} className="rounded-full p-2 text-slate-500 hover:bg-slate-800 hover:text-slate-300">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="mb-6 rounded-xl border border-red-500/20 bg-red-500/10 p-4 text-xs leading-relaxed text-red-300">
+            <p className="font-semibold">This cannot be undone.</p>
+            <ul className="mt-2 list-disc space-y-1 pl-4">
+              {needsArchive && <li>The document is archived on-chain and everyone you shared it with loses access.</li>}
+              <li>All {document?.versions?.length ?? 1} version(s) are unpinned from IPFS.</li>
+              <li>The on-chain history stays visible, but the content can no longer be opened here.</li>
+            </ul>
+          </div>
+
+          <form onSubmit={handlePurge} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-400 mb-2">
+                Type <span className="font-semibold text-slate-200">{document?.name}</span> to confirm
+              </label>
+              <input
+                type="text"
+                value={confirmName}
+                onChange={(e) => setConfirmName(e.target.value)}
+                className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 placeholder:text-slate-600 focus:border-red-500 focus:outline-none focus:ring-1 focus:ring-red-500"
+                required
+              />
+            </div>
+
+            {status && (
+              <div className={`rounded-xl p-3 text-xs border ${
+                status.type === 'error' ? 'bg-red-500/10 text-red-400 border-red-500/20' :
+                'bg-primary-500/10 text-primary-400 border-primary-500/20'
+              }`}>
+                {status.msg}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isProcessing || confirmName !== document?.name}
+              className="w-full rounded-xl bg-red-600 py-3 text-sm font-bold text-white shadow-lg shadow-red-900/20 transition-all hover:bg-red-500 active:scale-95 disabled:opacity-50 disabled:active:scale-100"
+            >
+              {isProcessing ? "Processing..." : needsArchive ? "Archive On-Chain & Delete" : "Delete Forever"}
+            </button>
+          </form>
+        </div>
+
+        {needsArchive && (
+          <div className="bg-slate-950/40 p-4 border-t border-slate-800">
+            <p className="text-[10px] text-center text-slate-600 leading-relaxed">
+              Archiving triggers a transaction that permanently retires this document in the DocumentRegistry contract.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PurgeDocumentModal;
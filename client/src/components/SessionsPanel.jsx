@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useWallet } from "../wallet";
+
+/**
+ * SessionsPanel.jsx  —  Phase 30
+ *
+ * "Devices" dashboard tab — every browser currently signed in with this
+ * wallet (GET /api/user/sessions), most recently used first.
+ *
+ * Signing a device out revokes its session server-side; its tokens stop
+ * working on the next request. Signing out this device is the same as
+ * disconnecting the wallet.
+ */
+
+/** "Firefox on Windows" from a user-agent string — good enough to tell devices apart. */
+function describeDevice(userAgent) {
+  if (!userAgent) return "Unknown device";
+  const browser =
+    /Edg\//.test(userAgent) ? "Edge"
+    : /Firefox\//.test(userAgent) ? "Firefox"
+    : /Chrome\//.test(userAgent) ? "Chrome"
+    : /Safari\//.test(userAgent) ? "Safari"
+    : null;
+  const os =
+    /Windows/.test(userAgent) ? "Windows"
+    : /Android/.test(userAgent) ? "Android"
+    : /iPhone|iPad/.test(userAgent) ? "iOS"
+    : /Mac OS X/.test(userAgent) ? "macOS"
+    : /Linux/.test(userAgent) ? "Linux"
+    : null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser ?? os ?? userAgent.slice(0, 40);
+}
+
+const SessionsPanel = () => {
+  const { address, accessToken, api, disconnect } = useWallet();
+  const signedIn = !!accessToken;
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!address || !signedIn) return;
+    try {
+      setSessions(await api.users.sessions.list());
+      setError(null);
+    } catch (err) {
+      console.error("[sessions] load error:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [address, signedIn, api]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const revoke = async (session) => {
+    if (session.current) {
+      disconnect();
+      return;
+    }
+    setBusyId(session._id);
+    setError(null);
+    try {
+      await api.users.sessions.revoke(session._id);
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+    } catch (err) {
+      console.error("[sessions] revoke error:", err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="rounded-2xl border border-slate-800/80 bg-slate-900/40 p-6 shadow-lg backdrop-blur-md">
+      <h2 className="text-lg font-bold tracking-tight text-slate-200">Signed-in Devices</h2>
+      <p className="mt-1 text-xs text-slate-500">
+        Each browser you sign in from keeps its own session. Sign out any you don't recognise.
+      </p>
+
+      {error && (
+        <div className="mt-4 rounded-lg border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="mt-6 text-sm text-slate-500">Loading sessions...</p>
+      ) : (
+        <ul className="mt-6 space-y-2">
+          {sessions.map((session) => (
+            <li
+              key={session._id}
+              className="flex flex-col gap-3 rounded-xl border border-slate-800/80 bg-slate-900/60 p-4 sm:flex-row sm:items-center sm:justify-between"
+            >
+              <div className="min-w-0">
+                <p className="truncate text-sm font-medium text-slate-200" title={session.userAgent ?? ""}>
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 rounded-full border border-primary-500/30 bg-primary-500/10 px-2 py-0.5 text-[10px] font-bold uppercase tracking-wider text-primary-300">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="mt-0.5 text-[10px] text-slate-500">
+                  {session.ip && <><span className="font-mono">{session.ip}</span> · </>}
+                  signed in {new Date(session.createdAt).toLocaleString()} · last active{" "}
+                  {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                onClick={() => revoke(session)}
+                disabled={busyId !== null}
+                className="shrink-0 rounded-lg border border-red-500/30 bg-red-500/10 px-4 py-2 text-xs font-bold text-red-300 transition-colors hover:bg-red-500/20 disabled:cursor-not-allowed disabled:opacity-40"
+              >
+                {busyId === session._id ? "Signing out..." : "Sign out"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
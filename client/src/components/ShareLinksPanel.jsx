@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../wallet";
+import { loadContentKey } from "../utils/crypto";
+import { DURATIONS, resolveExpiry } from "../utils/grants";
+import { buildShareUrl } from "../utils/shareLinks";
+
+/**
+ * ShareLinksPanel.jsx  —  Phase 27
+ *
+ * "Links" tab of ShareModal: create, list and revoke share links for
+ * recipients without a wallet. Links always expire (at most 30 days) and can
+ * be password-protected and view-limited.
+ *
+ * For encrypted documents the owner's content key is appended to the URL
+ * fragment, so anyone holding the full link can decrypt what the server
+ * streams. The URL is shown once — only a hash of the token is stored.
+ *
+ * The key is the document's, not the link's: every version is encrypted
+ * with it, and revoking a link can't take it back. Revocation stops the
+ * server streaming, nothing more — the panel says so for encrypted
+ * documents.
+ */
+
+// Links can't be permanent
+const LINK_DURATIONS = DURATIONS.filter((d) => d.value !== "none");
+
+const ShareLinksPanel = ({ document }) => {
+  const { address, accessToken, api } = useWallet();
+  const signedIn = !!accessToken;
+  const [links, setLinks] = useState([]);
+  const [duration, setDuration] = useState("7d");
+  const [customUntil, setCustomUntil] = useState("");
+  const [password, setPassword] = useState("");
+  const [maxViews, setMaxViews] = useState("");
+  const [createdUrl, setCreatedUrl] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [status, setStatus] = useState(null); // { type, msg }
+
+  const load = useCallback(async () => {
+    if (!document?._id || !address || !signedIn) return;
+    try {
+      setLinks(await api.documents.links.list(document._id));
+    } catch (err) {
+      setStatus({ type: "error", msg: err.message });
+    }
+  }, [document?._id, address, signedIn, api]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsProcessing(true);
+    setCreatedUrl(null);
+    setCopied(false);
+    try {
+      const expiresAt = resolveExpiry(duration, customUntil);
+
+      // Fetch the key first, so a rejected signature doesn't leave a dead link
+      let contentKey = null;
+      if (document.encrypted) {
+        setStatus({ type: "info", msg: "Unlocking the decryption key..." });
+        if (!window.ethereum) throw new Error("MetaMask not found");
+        const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+        contentKey = await loadContentKey(api, signer, document._id);
+      }
+
+      const { token } = await api.documents.links.create(document._id, {
+        expiresAt,
+        password: password || undefined,
+        maxViews: maxViews ? Number(maxViews) : undefined,
+      });
+
+      setCreatedUrl(buildShareUrl(token, contentKey));
+      setPassword("");
+      setMaxViews("");
+      setStatus(null);
+      load();
+    } catch (err) {
+      console.error("[share-links] create error:", err);
+      setStatus({ type: "error", msg: err.message });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    try {
+      await api.documents.links.revoke(document._id, linkId);
+      setStatus({
+        type: "success",
+        msg: document.encrypted
+          ? "Link revoked — the server stops serving it immediately. Anyone who saved the key from the link can still decrypt copies they already have, and later versions."
+          : "Link revoked — it stops working immediately.",
+      });
+      load();
+    } catch (err) {
+      setStatus({ type: "error", msg: err.message });
+    }
+  };
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(createdUrl);
+    setCopied(true);
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleCreate} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-400 mb-2">Expires in</label>
+          <div className="grid grid-cols-3 gap-2">
+            {LINK_DURATIONS.map((d) => (
+              <button
+                key={d.value}
+                type="button"
+                onClick={() => setDuration(d.value)}
+                className={`rounded-lg border px-2 py-1.5 text-xs font-medium transition-all ${
+                  duration === d.value
+                    ? "border-primary-500 bg-primary-500/10 text-primary-300"
+                    : "border-slate-800 bg-slate-950 text-slate-400 hover:border-slate-700 hover:text-slate-300"
+                }`}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+          {duration === "custom" && (
+            <input
+              type="datetime-local"
+              value={customUntil}
+              onChange={(e) => setCustomUntil(e.target.value)}
+              className="mt-2 w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500 [color-scheme:dark]"
+              required
+            />
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password (optional)"
+            autoComplete="new-password"
+            minLength={4}
+            className="rounded-xl border border-slate-800 bg-slate-950 px-3 py-2.5 text-xs text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none"
+          />
+          <input
+            type="number"
+            value={maxViews}
+            onChange={(e) => setMaxViews(e.target.value)}
+            placeholder="Max views (optional)"
+            min={1}
+            max={1000}
+            className="rounded-xl border border-slate-800 bg-slate-950 px-3 py-2.5 text-xs text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none"
+          />
+        </div>
+
+        {document.encrypted && (
+          <p className="rounded-xl border border-amber-500/20 bg-amber-500/5 p-3 text-[11px] text-amber-300">
+            The link carries this document's decryption key. Revoking the link or letting it expire stops the
+            server serving the file, but anyone who saved the key can still decrypt any copy they kept — including
+            later versions, which use the same key. To cut them off, upload the file as a new document.
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isProcessing}
+          className="w-full rounded-xl bg-primary-600 py-3 text-sm font-bold text-white shadow-lg shadow-primary-900/20 transition-all hover:bg-primary-500 active:scale-95 disabled:opacity-50 disabled:active:scale-100"
+        >
+          {isProcessing ? "Creating..." : "Create Share Link"}
+        </button>
+      </form>
+
+      {createdUrl && (
+        <div className="space-y-2 rounded-xl border border-emerald-500/20 bg-emerald-500/5 p-3">
+          <p className="text-[11px] text-emerald-400">Copy the link now — it can't be shown again.</p>
+          <div className="flex gap-2">
+            <input
+              readOnly
+              value={createdUrl}
+              onFocus={(e) => e.target.select()}
+              className="min-w-0 flex-1 rounded-lg border border-slate-800 bg-slate-950 px-2 py-1.5 font-mono text-[10px] text-slate-300"
+            />
+            <button
+              type="button"
+              onClick={copy}
+              className="shrink-0 rounded-lg bg-slate-800 px-3 py-1.5 text-xs font-medium text-slate-200 hover:bg-slate-700"
+            >
+              {copied ? "Copied" : "Copy"}
+            </button>
+          </div>
+          {document.encrypted && (
+            <p className="text-[10px] text-slate-500">
+              The link includes the decryption key. Revoking the link doesn't revoke the key.
+            </p>
+          )}
+        </div>
+      )}
+
+      {status && (
+        <div className={`rounded-xl p-3 text-xs border ${
+          status.type === 'error' ? 'bg-red-500/10 text-red-400 border-red-500/20' :
+          status.type === 'success' ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20' :
+          'bg-primary-500/10 text-primary-400 border-primary-500/20'
+        }`}>
+          {status.msg}
+        </div>
+      )}
+
+      {links.length > 0 && (
+        <div>
+          <p className="mb-2 text-xs font-semibold uppercase tracking-wider text-slate-500">Active links</p>
+          <ul className="max-h-44 space-y-2 overflow-y-auto">
+            {links.map((link) => (
+              <li key={link._id} className="flex items-center justify-between gap-2 rounded-lg border border-slate-800/60 bg-slate-950/50 px-3 py-2">
+                <div className="min-w-0 text-[10px] text-slate-400">
+                  <p>Until {new Date(link.expiresAt).toLocaleString()}</p>
+                  <p className="text-slate-500">
+                    {link.viewCount}{link.maxViews !== null ? ` / ${link.maxViews}` : ""} view{link.viewCount !== 1 ? "s" : ""}
+                    {link.passwordProtected && " · password"}
+                    {link.maxViews !== null && link.viewCount >= link.maxViews && <span className="text-amber-400"> · used up</span>}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(link._id)}
+                  className="shrink-0 rounded-lg border border-red-500/30 bg-red-500/10 px-2.5 py-1 text-[10px] font-medium text-red-400 hover:bg-red-500/20"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareLinksPanel;
@@ -1,6 +1,12 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
-import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
+import { useWallet } from "../wallet";
+import { REGISTRY_ADDRESS } from "../blockchain/config";
+import { ROLES, GRANTABLE_ROLES, ROLE_LABELS, getRegistryContract } from "shared";
+import { loadContentKey, wrapContentKey, shareContentKey } from "../utils/crypto";
+import { ROLE_HINTS, DURATIONS, resolveExpiry } from "../utils/grants";
+import { relayIntent } from "../utils/relayer";
+import ShareLinksPanel from "./ShareLinksPanel";
 
 /**
  * ShareModal.jsx
@@ -8,16 +14,56 @@ import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
  * Phase 8 — Access Control UI
  * 
  * Bridges the UI to the DocumentRegistry smart contract for granting and revoking access.
+ * For encrypted documents, a grant also wraps the content key for the recipient's
+ * published encryption key; a revoke deletes the recipient's wrapped key.
+ *
+ * Phase 21: grants can be time-limited — the contract stops honouring the
+ * grant once the expiry passes, with no revoke transaction needed.
+ *
+ * Phase 22: the owner picks a role — Viewers can read, Editors can also
+ * publish new versions. Every grant goes through grantRole(), which replaces
+ * any previous grant, so re-sharing also promotes or demotes a recipient.
+ *
+ * Phase 25: the target can be a group instead of a wallet. Group grants go
+ * through grantGroupRole() and cover whoever is a member when access is
+ * checked. Content keys are wrapped for current members that have published
+ * an encryption key; keys are only withdrawn from wallets that no longer
+ * have access by any route.
+ *
+ * Phase 27: the "Links" tab manages wallet-less share links.
+ *
+ * Phase 28: wallet grants and revokes are signed as EIP-712 intents and
+ * submitted by the server's relayer when it has one — no gas for the owner.
  */
+
 const ShareModal = ({ isOpen, onClose, document, onShared }) => {
-  const [activeTab, setActiveTab] = useState("grant"); // "grant" | "revoke"
+  const { address, accessToken, api } = useWallet();
+  const signedIn = !!accessToken;
+  const [activeTab, setActiveTab] = useState("grant"); // "grant" | "revoke" | "links"
+  const [target, setTarget] = useState("wallet"); // "wallet" | "group"
   const [recipient, setRecipient] = useState("");
+  const [groups, setGroups] = useState(null); // null = not loaded
+  const [groupId, setGroupId] = useState("");
+  const [role, setRole] = useState(ROLES.VIEWER);
+  const [duration, setDuration] = useState("none");
+  const [customUntil, setCustomUntil] = useState(""); // datetime-local value
   const [isProcessing, setIsProcessing] = useState(false);
   const [status, setStatus] = useState(null); // { type: 'success'|'error'|'info', msg: string }
 
+  // Load the caller's groups the first time the group target is picked
+  useEffect(() => {
+    if (target !== "group" || groups || !address || !signedIn) return;
+    api.groups.list()
+      .then((list) => setGroups(list.filter((g) => g.registeredOnChain)))
+      .catch((err) => setStatus({ type: "error", msg: err.message }));
+  }, [target, groups, address, signedIn, api]);
+
+  const group = groups?.find((g) => g.groupId === groupId) ?? null;
+  const hasTarget = target === "wallet" ? !!recipient : !!group;
+
   const handleAction = async (e) => {
     e.preventDefault();
-    if (!recipient || !document) return;
+    if (!hasTarget || !document) return;
 
     setIsProcessing(true);
     setStatus({ type: "info", msg: "Requesting signature..." });
@@ -25,13 +71,11 @@ const ShareModal = ({ isOpen, onClose, document, onShared }) => {
     try {
       if (!window.ethereum) throw new Error("MetaMask not found");
 
+      const expiresAt = activeTab === "grant" ? resolveExpiry(duration, customUntil) : null;
+
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
-        REGISTRY_ADDRESS, 
-        REGISTRY_ABI, 
-        signer
-      );
+      const contract = getRegistryContract(REGISTRY_ADDRESS, signer);
 
       setStatus({ type: "info", msg: "Transacting on-chain..." });
 
@@ -39,37 +83,86 @@ const ShareModal = ({ isOpen, onClose, document, onShared }) => {
       const docId = document.documentHash;
       if (!docId) throw new Error("Document is missing on-chain fingerprint");
 
-      let tx;
-      if (activeTab === "grant") {
-        tx = await contract.grantAccess(docId, recipient, {
-          maxPriorityFeePerGas: ethers.parseUnits("30", "gwei"),
-          maxFeePerGas: ethers.parseUnits("60", "gwei"),
-          gasLimit: 500000,
-        });
+      // Fail before spending gas if the recipient can't decrypt anyway
+      let recipientPublicKey = null;
+      if (target === "wallet" && activeTab === "grant" && document.encrypted) {
+        recipientPublicKey = await api.users.encryptionKey(recipient);
+        if (!recipientPublicKey) {
+          throw new Error("Recipient has not set up an encryption key yet. Ask them to sign in and unlock their vault once.");
+        }
+      }
+
+      let tx = null;
+      if (target === "group") {
+        tx = activeTab === "grant"
+          ? await contract.grantGroupRole(docId, group.groupId, role, expiresAt ?? ethers.MaxUint256)
+          : await contract.revokeGroupAccess(docId, group.groupId);
       } else {
-        tx = await contract.revokeAccess(docId, recipient, {
-          maxPriorityFeePerGas: ethers.parseUnits("30", "gwei"),
-          maxFeePerGas: ethers.parseUnits("60", "gwei"),
-          gasLimit: 500000,
-        });
+        const relayed = await relayIntent(
+          api,
+          activeTab === "grant" ? "GrantAccess" : "RevokeAccess",
+          activeTab === "grant"
+            ? { owner: address, documentHash: docId, user: recipient, role, expiresAt: expiresAt ?? ethers.MaxUint256 }
+            : { owner: address, documentHash: docId, user: recipient },
+          signer, address,
+          () => setStatus({ type: "info", msg: "Waiting for confirmation..." })
+        );
+        if (!relayed && activeTab === "grant") {
+          tx = await contract.grantRole(docId, recipient, role, expiresAt ?? ethers.MaxUint256);
+        } else if (!relayed) {
+          tx = await contract.revokeAccess(docId, recipient);
+        }
       }
       
-      setStatus({ type: "info", msg: "Waiting for confirmation..." });
-      
-      await tx.wait();
+      if (tx) {
+        setStatus({ type: "info", msg: "Waiting for confirmation..." });
+        await tx.wait();
+      }
 
+      let missingKeys = [];
+      if (document.encrypted) {
+        setStatus({ type: "info", msg: activeTab === "grant" ? "Sharing decryption key..." : "Removing decryption key..." });
+        const wallets = target === "group" ? group.members : [recipient];
+        if (activeTab === "grant" && target === "group") {
+          missingKeys = await shareContentKey(api, document._id, wallets, signer);
+        } else if (activeTab === "grant") {
+          const contentKey = await loadContentKey(api, signer, document._id);
+          const wrapped = await wrapContentKey(contentKey, recipientPublicKey);
+          await api.documents.keys.put(document._id, recipient, wrapped);
+        } else {
+          // A wallet may still have access through another grant or group
+          for (const wallet of wallets) {
+            if (wallet.toLowerCase() === address.toLowerCase()) continue;
+            if (!(await contract.hasAccess(docId, wallet))) {
+              await api.documents.keys.remove(document._id, wallet);
+            }
+          }
+        }
+      }
+
+      const granted = expiresAt
+        ? `${ROLE_LABELS[role]} access granted until ${new Date(expiresAt * 1000).toLocaleString()}`
+        : `${ROLE_LABELS[role]} access granted successfully!`;
       setStatus({ 
-        type: "success", 
-        msg: activeTab === "grant" ? "Access granted successfully!" : "Access revoked successfully!" 
+        type: missingKeys.length > 0 ? "info" : "success", 
+        msg: activeTab === "grant"
+          ? missingKeys.length > 0
+            ? `${granted} ${missingKeys.length} member(s) have no encryption key yet and can't decrypt until you share again.`
+            : granted
+          : "Access revoked successfully!"
       });
-      onShared && onShared(recipient);
+      onShared && onShared(target === "group" ? group.groupId : recipient);
       
       // Close after delay
       setTimeout(() => {
         setStatus(null);
         setRecipient("");
+        setGroupId("");
+        setRole(ROLES.VIEWER);
+        setDuration("none");
+        setCustomUntil("");
         onClose();
-      }, 2000);
+      }, missingKeys.length > 0 ? 5000 : 2000);
     } catch (err) {
       console.error("[share-modal] error:", err);
       console.error("[share-modal] error code:", err.code);
@@ -126,23 +219,143 @@ const ShareModal = ({ isOpen, onClose, document, onShared }) => {
             >
               Revoke Access
             </button>
+            <button
+              type="button"
+              className={`flex-1 py-1.5 text-sm font-medium rounded-lg transition-all ${activeTab === 'links' ? 'bg-slate-700 text-slate-100 shadow-sm' : 'text-slate-400 hover:text-slate-300'}`}
+              onClick={() => { setActiveTab('links'); setStatus(null); }}
+            >
+              Links
+            </button>
           </div>
 
+          {activeTab === "links" ? (
+            <ShareLinksPanel document={document} />
+          ) : (
           <form onSubmit={handleAction} className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-slate-400 mb-2">
-                User Wallet Address
-              </label>
-              <input
-                type="text"
-                value={recipient}
-                onChange={(e) => setRecipient(e.target.value)}
-                placeholder="0x..."
-                className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
-                required
-              />
+            <div className="grid grid-cols-2 gap-2">
+              {["wallet", "group"].map((t) => (
+                <button
+                  key={t}
+                  type="button"
+                  onClick={() => { setTarget(t); setStatus(null); }}
+                  className={`rounded-lg border px-2 py-1.5 text-xs font-medium capitalize transition-all ${
+                    target === t
+                      ? "border-primary-500 bg-primary-500/10 text-primary-300"
+                      : "border-slate-800 bg-slate-950 text-slate-400 hover:border-slate-700 hover:text-slate-300"
+                  }`}
+                >
+                  {t}
+                </button>
+              ))}
             </div>
 
+            {target === "wallet" ? (
+              <div>
+                <label className="block text-sm font-medium text-slate-400 mb-2">
+                  User Wallet Address
+                </label>
+                <input
+                  type="text"
+                  value={recipient}
+                  onChange={(e) => setRecipient(e.target.value)}
+                  placeholder="0x..."
+                  className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+                  required
+                />
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-slate-400 mb-2">
+                  Group
+                </label>
+                <select
+                  value={groupId}
+                  onChange={(e) => setGroupId(e.target.value)}
+                  disabled={!groups}
+                  className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+                  required
+                >
+                  <option value="">{groups ? "Select a group" : "Loading groups..."}</option>
+                  {groups?.map((g) => (
+                    <option key={g.groupId} value={g.groupId}>
+                      {g.name} ({g.members.length} member{g.members.length !== 1 ? "s" : ""})
+                    </option>
+                  ))}
+                </select>
+                {groups?.length === 0 && (
+                  <p className="mt-2 text-[11px] text-slate-500">Create a group in the Groups tab first.</p>
+                )}
+                {group && activeTab === "grant" && (
+                  <p className="mt-2 text-[11px] text-slate-500">
+                    Members added to the group later get access automatically.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {activeTab === "grant" && (
+              <div>
+                <label className="block text-sm font-medium text-slate-400 mb-2">
+                  Role
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  {GRANTABLE_ROLES.map((r) => (
+                    <button
+                      key={r}
+                      type="button"
+                      onClick={() => setRole(r)}
+                      className={`rounded-lg border px-2 py-1.5 text-xs font-medium transition-all ${
+                        role === r
+                          ? "border-primary-500 bg-primary-500/10 text-primary-300"
+                          : "border-slate-800 bg-slate-950 text-slate-400 hover:border-slate-700 hover:text-slate-300"
+                      }`}
+                    >
+                      {ROLE_LABELS[r]}
+                    </button>
+                  ))}
+                </div>
+                <p className="mt-2 text-[11px] text-slate-500">{ROLE_HINTS[role]}</p>
+              </div>
+            )}
+
+            {activeTab === "grant" && (
+              <div>
+                <label className="block text-sm font-medium text-slate-400 mb-2">
+                  Access Duration
+                </label>
+                <div className="grid grid-cols-3 gap-2">
+                  {DURATIONS.map((d) => (
+                    <button
+                      key={d.value}
+                      type="button"
+                      onClick={() => setDuration(d.value)}
+                      className={`rounded-lg border px-2 py-1.5 text-xs font-medium transition-all ${
+                        duration === d.value
+                          ? "border-primary-500 bg-primary-500/10 text-primary-300"
+                          : "border-slate-800 bg-slate-950 text-slate-400 hover:border-slate-700 hover:text-slate-300"
+                      }`}
+                    >
+                      {d.label}
+                    </button>
+                  ))}
+                </div>
+                {duration === "custom" && (
+                  <input
+                    type="datetime-local"
+                    value={customUntil}
+                    onChange={(e) => setCustomUntil(e.target.value)}
+                    className="mt-2 w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500 [color-scheme:dark]"
+                    required
+                  />
+                )}
+                {duration !== "none" && (
+                  <p className="mt-2 text-[11px] text-slate-500">
+                    Access lapses on-chain at the expiry — no revoke transaction needed.
+                  </p>
+                )}
+              </div>
+            )}
+
             {status && (
               <div className={`rounded-xl p-3 text-xs border ${
                 status.type === 'error' ? 'bg-red-500/10 text-red-400 border-red-500/20' :
@@ -155,7 +368,7 @@ const ShareModal = ({ isOpen, onClose, document, onShared }) => {
 
             <button
               type="submit"
-              disabled={isProcessing || !recipient}
+              disabled={isProcessing || !hasTarget}
               className={`w-full rounded-xl py-3 text-sm font-bold text-white transition-all active:scale-95 disabled:opacity-50 disabled:active:scale-100 shadow-lg ${
                 activeTab === "grant" ? "bg-primary-600 hover:bg-primary-500 shadow-primary-900/20" : "bg-red-600 hover:bg-red-500 shadow-red-900/20"
               }`}
@@ -163,11 +376,14 @@ const ShareModal = ({ isOpen, onClose, document, onShared }) => {
               {isProcessing ? "Processing..." : activeTab === "grant" ? "Grant On-Chain Access" : "Revoke On-Chain Access"}
             </button>
           </form>
+          )}
         </div>
         
         <div className="bg-slate-950/40 p-4 border-t border-slate-800">
           <p className="text-[10px] text-center text-slate-600 leading-relaxed">
-            Changing permissions triggers an ETH transaction that anchors the recipient's access list update to the blockchain.
+            {activeTab === "links"
+              ? "Share links work without a wallet or a transaction. Every use is recorded in your activity log."
+              : "Changing permissions triggers an ETH transaction that anchors the recipient's access list update to the blockchain."}
           </p>
         </div>
       </div>
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useWallet } from "../wallet";
+import { decryptBytes } from "../utils/crypto";
+import { downloadBytes } from "../utils/viewer";
+import DocumentViewer from "./DocumentViewer";
+import { fetchLinkInfo, readLinkKey } from "../utils/shareLinks";
+
+/**
+ * SharedLinkPage.jsx  —  Phase 27
+ *
+ * Public page behind a share link (/s/:token). No wallet required.
+ *
+ *   1. GET /s/:token/info — name, size, expiry, views left (asks for the
+ *      password first when the link has one)
+ *   2. GET /s/:token      — the bytes, using one view; encrypted documents
+ *      are decrypted here with the key from the URL #fragment
+ *
+ * Phase 37: "Open" shows the bytes in the embedded DocumentViewer.
+ */
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${((bytes ?? 0) / 1024).toFixed(1)} KB`;
+
+const SharedLinkPage = ({ token }) => {
+  const { api } = useWallet();
+  const [info, setInfo] = useState(null);
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+  const [isOpening, setIsOpening] = useState(false);
+  const [error, setError] = useState(null);
+  const [viewing, setViewing] = useState(null); // bytes shown in the viewer
+
+  const load = useCallback(async (pw) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await fetchLinkInfo(api, token, pw);
+      setNeedsPassword(!!result.passwordRequired);
+      setInfo(result.link ?? null);
+      if (result.error) setError(result.error);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, api]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const open = async (download) => {
+    setIsOpening(true);
+    setError(null);
+    try {
+      let bytes = await api.shareLinks.content(token, password || undefined);
+      if (info.encrypted) {
+        const key = readLinkKey();
+        if (!key) throw new Error("This link is missing its decryption key. Ask the sender for the full link.");
+        bytes = await decryptBytes(bytes, key);
+      }
+
+      if (download) {
+        downloadBytes(bytes, info.name, info.mimeType);
+      } else {
+        setViewing(bytes);
+      }
+      load(password || undefined); // refresh views remaining
+    } catch (err) {
+      console.error("[shared-link] open error:", err);
+      setError(err.name === "OperationError" ? "Decryption failed — the link's key doesn't match this document." : err.message);
+    } finally {
+      setIsOpening(false);
+    }
+  };
+
+  return (
+    <div className="mx-auto max-w-md rounded-3xl border border-slate-800 bg-slate-900/60 p-8 shadow-2xl backdrop-blur-md">
+      <p className="text-xs font-semibold uppercase tracking-wider text-slate-500">Shared document</p>
+
+      {isLoading ? (
+        <div className="flex h-32 items-center justify-center">
+          <div className="h-8 w-8 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />
+        </div>
+      ) : needsPassword ? (
+        <form
+          onSubmit={(e) => { e.preventDefault(); load(password); }}
+          className="mt-4 space-y-4"
+        >
+          <h2 className="text-lg font-bold text-slate-100">This link is password-protected</h2>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoFocus
+            className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+            required
+          />
+          <button
+            type="submit"
+            className="w-full rounded-xl bg-primary-600 py-3 text-sm font-bold text-white transition-all hover:bg-primary-500 active:scale-95"
+          >
+            Unlock
+          </button>
+        </form>
+      ) : info ? (
+        <div className="mt-4 space-y-5">
+          <div>
+            <h2 className="break-all text-lg font-bold text-slate-100">{info.name}</h2>
+            <p className="mt-1 text-xs text-slate-500">
+              {formatSize(info.size)}
+              {" · "}expires {new Date(info.expiresAt * 1000).toLocaleString()}
+              {info.viewsRemaining !== null && ` · ${info.viewsRemaining} view${info.viewsRemaining !== 1 ? "s" : ""} left`}
+            </p>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <button
+              onClick={() => open(false)}
+              disabled={isOpening}
+              className="rounded-xl bg-primary-600 py-3 text-sm font-bold text-white transition-all hover:bg-primary-500 active:scale-95 disabled:opacity-50"
+            >
+              {isOpening ? "Opening..." : "Open"}
+            </button>
+            <button
+              onClick={() => open(true)}
+              disabled={isOpening}
+              className="rounded-xl bg-slate-800 py-3 text-sm font-bold text-slate-200 transition-all hover:bg-slate-700 active:scale-95 disabled:opacity-50"
+            >
+              Download
+            </button>
+          </div>
+          {info.encrypted && (
+            <p className="text-[11px] text-slate-500">End-to-end encrypted — decrypted in your browser with the key in this link.</p>
+          )}
+        </div>
+      ) : null}
+
+      {error && (
+        <div className="mt-4 rounded-xl border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">{error}</div>
+      )}
+
+      {viewing && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-950/60 p-4 backdrop-blur-sm" role="dialog">
+          <div className="h-[90vh] w-full max-w-5xl overflow-hidden rounded-3xl border border-slate-800 bg-slate-900 shadow-2xl">
+            <DocumentViewer bytes={viewing} mimeType={info.mimeType} name={info.name} onClose={() => setViewing(null)} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharedLinkPage;
@@ -0,0 +1,207 @@
+import React, { useState } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../wallet";
+import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
+import {
+  fetchEncryptionPublicKey,
+  loadContentKey,
+  wrapContentKey,
+  storeWrappedKey,
+} from "../utils/crypto";
+
+/**
+ * TransferOwnershipModal.jsx  —  Phase 23
+ *
+ * Step one of the two-step ownership transfer (the recipient accepts from
+ * IncomingTransfers):
+ *   1. Client wallet signs contract.offerOwnership(documentHash, newOwner)
+ *   2. POST /transfer/offer → server verifies the receipt, records pendingOwner
+ *   3. Encrypted documents: the content key is wrapped for the recipient, so
+ *      it can decrypt the moment it accepts
+ *
+ * While an offer is pending the modal offers to cancel it instead
+ * (cancelOwnershipOffer → POST /transfer/cancel).
+ */
+
+const TransferOwnershipModal = ({ isOpen, onClose, document, onChanged }) => {
+  const { address, api } = useWallet();
+  const [recipient, setRecipient] = useState("");
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [status, setStatus] = useState(null); // { type: 'success'|'error'|'info', msg: string }
+
+  const pendingOwner = document?.pendingOwner;
+
+  const close = () => {
+    setRecipient("");
+    setStatus(null);
+    onClose();
+  };
+
+  /** Sign `method` on the registry, then report the receipt with `confirm`. */
+  const transact = async (method, args, confirm) => {
+    if (!window.ethereum) throw new Error("MetaMask not found");
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner();
+    const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, signer);
+
+    setStatus({ type: "info", msg: "Requesting signature..." });
+    const tx = await contract[method](...args);
+
+    setStatus({ type: "info", msg: "Waiting for confirmation..." });
+    const receipt = await tx.wait();
+
+    await confirm(document._id, receipt.hash);
+
+    return signer;
+  };
+
+  const run = async (action) => {
+    setIsProcessing(true);
+    try {
+      await action();
+      setTimeout(() => {
+        setRecipient("");
+        setStatus(null);
+        onChanged?.();
+      }, 2000);
+    } catch (err) {
+      console.error("[transfer-modal] error:", err);
+      if (err.code === "ACTION_REJECTED" || err.code === 4001) {
+        setStatus({ type: "error", msg: "Transaction rejected in MetaMask" });
+      } else {
+        setStatus({ type: "error", msg: err.reason || err.message || "Transaction failed" });
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleOffer = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (!ethers.isAddress(recipient)) throw new Error("Enter a valid wallet address");
+      const newOwner = ethers.getAddress(recipient);
+      if (newOwner === ethers.getAddress(address)) throw new Error("You already own this document");
+
+      // Fail before spending gas if the recipient couldn't decrypt anyway
+      let recipientPublicKey = null;
+      if (document.encrypted) {
+        recipientPublicKey = await fetchEncryptionPublicKey(api, newOwner);
+        if (!recipientPublicKey) {
+          throw new Error("Recipient has not set up an encryption key yet. Ask them to sign in and unlock their vault once.");
+        }
+      }
+
+      const signer = await transact("offerOwnership", [document.documentHash, newOwner], api.documents.transfers.offer);
+
+      if (document.encrypted) {
+        setStatus({ type: "info", msg: "Sharing decryption key..." });
+        const contentKey = await loadContentKey(api, signer, document._id);
+        const wrapped = await wrapContentKey(contentKey, recipientPublicKey);
+        await storeWrappedKey(api, document._id, newOwner, wrapped);
+      }
+
+      setStatus({ type: "success", msg: "Offer sent. Ownership moves once the recipient accepts." });
+    });
+  };
+
+  const handleCancel = () => {
+    run(async () => {
+      await transact("cancelOwnershipOffer", [document.documentHash], api.documents.transfers.cancel);
+      setStatus({ type: "success", msg: "Offer cancelled." });
+    });
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 backdrop-blur-sm bg-slate-950/60">
+      <div className="w-full max-w-md overflow-hidden rounded-3xl border border-slate-800 bg-slate-900 shadow-2xl">
+        <div className="p-6">
+          <div className="mb-6 flex items-center justify-between">
+            <h3 className="text-xl font-bold text-slate-100">Transfer Ownership</h3>
+            <button onClick={close} className="rounded-full p-2 text-slate-500 hover:bg-slate-800 hover:text-slate-300">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="mb-6 rounded-xl bg-slate-950/50 p-4 border border-slate-800/50">
+            <p className="text-xs text-slate-500 uppercase tracking-wider font-semibold">Document</p>
+            <p className="text-sm text-slate-300 truncate mt-1">{document?.name}</p>
+          </div>
+
+          {pendingOwner ? (
+            <div className="space-y-4">
+              <div className="rounded-xl border border-cyan-500/20 bg-cyan-500/10 p-4 text-xs leading-relaxed text-cyan-300">
+                <p className="font-semibold">Waiting for the recipient to accept</p>
+                <p className="mt-1 break-all font-mono text-cyan-200/80">{pendingOwner}</p>
+              </div>
+
+              {status && <StatusBox status={status} />}
+
+              <button
+                type="button"
+                onClick={handleCancel}
+                disabled={isProcessing}
+                className="w-full rounded-xl bg-slate-800 py-3 text-sm font-bold text-slate-200 transition-all hover:bg-slate-700 active:scale-95 disabled:opacity-50 disabled:active:scale-100"
+              >
+                {isProcessing ? "Processing..." : "Cancel Offer"}
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={handleOffer} className="space-y-4">
+              <div className="rounded-xl border border-amber-500/20 bg-amber-500/10 p-4 text-xs leading-relaxed text-amber-300">
+                Once the recipient accepts, they control sharing, versions and deletion.
+                You lose access unless they share the document back with you.
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-400 mb-2">
+                  New Owner Wallet Address
+                </label>
+                <input
+                  type="text"
+                  value={recipient}
+                  onChange={(e) => setRecipient(e.target.value)}
+                  placeholder="0x..."
+                  className="w-full rounded-xl border border-slate-800 bg-slate-950 px-4 py-3 text-sm text-slate-200 placeholder:text-slate-600 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+                  required
+                />
+              </div>
+
+              {status && <StatusBox status={status} />}
+
+              <button
+                type="submit"
+                disabled={isProcessing || !recipient}
+                className="w-full rounded-xl bg-primary-600 py-3 text-sm font-bold text-white shadow-lg shadow-primary-900/20 transition-all hover:bg-primary-500 active:scale-95 disabled:opacity-50 disabled:active:scale-100"
+              >
+                {isProcessing ? "Processing..." : "Offer Ownership"}
+              </button>
+            </form>
+          )}
+        </div>
+
+        <div className="bg-slate-950/40 p-4 border-t border-slate-800">
+          <p className="text-[10px] text-center text-slate-600 leading-relaxed">
+            Ownership changes in the DocumentRegistry contract only when the recipient signs the acceptance.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const StatusBox = ({ status }) => (
+  <div className={`rounded-xl p-3 text-xs border ${
+    status.type === 'error' ? 'bg-red-500/10 text-red-400 border-red-500/20' :
+    status.type === 'success' ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20' :
+    'bg-primary-500/10 text-primary-400 border-primary-500/20'
+  }`}>
+    {status.msg}
+  </div>
+);
+
+export default TransferOwnershipModal;
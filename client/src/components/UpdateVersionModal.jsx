@@ -1,28 +1,38 @@
 import React, { useState } from "react";
 import { ethers } from "ethers";
 import { useWallet } from "../wallet";
-import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
+import { getRegistryContract, computeContentHash } from "shared";
+import { REGISTRY_ADDRESS } from "../blockchain/config";
+import { loadContentKey, encryptFile } from "../utils/crypto";
+import { relayIntent } from "../utils/relayer";
+import { assertCid } from "../utils/integrity";
 
 /**
  * UpdateVersionModal.jsx  —  Phase 10
  *
- * Implements the 3-step canonical update flow:
- *   1. POST /prepare-version → pins to IPFS, returns { newCid, documentHash }
- *   2. Client wallet signs contract.updateDocument(documentHash, newCid)
- *   3. POST /confirm-version → server updates document index
+ * Implements the 4-step canonical update flow:
+ *   1. Hash the new file's plaintext (SHA-256, anchored so the original file
+ *      verifies), encrypt it with the document's existing content key
+ *   2. POST /prepare-version → pins to IPFS, returns { newCid, documentHash }
+ *   3. Client checks newCid against the file and documentHash against the
+ *      document's, then its wallet signs an UpdateDocument intent for the relayer, or
+ *      sends contract.updateDocument(documentHash, newCid, contentHash) itself
+ *   4. POST /confirm-version → server verifies the receipt, updates the index
+ *
+ * Legacy (unencrypted) documents keep uploading plaintext so every version
+ * of a document shares the same readers.
  */
 
-const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "http://localhost:4000";
-
 const STEPS = [
-  { id: 1, label: "Pinning to IPFS…" },
-  { id: 2, label: "Awaiting wallet signature…" },
-  { id: 3, label: "Confirming on-chain…" },
+  { id: 1, label: "Encrypting in browser…" },
+  { id: 2, label: "Pinning to IPFS…" },
+  { id: 3, label: "Awaiting wallet signature…" },
+  { id: 4, label: "Confirming on-chain…" },
 ];
 
 const UpdateVersionModal = ({ isOpen, onClose, document, onUpdated }) => {
-  const { address, signature } = useWallet();
-  const [uploadStep, setUploadStep] = useState(0); // 0 = idle, 1-3 = active
+  const { address, accessToken, api } = useWallet();
+  const [uploadStep, setUploadStep] = useState(0); // 0 = idle, 1-4 = active
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [newDocContext, setNewDocContext] = useState(null);
@@ -30,88 +40,67 @@ const UpdateVersionModal = ({ isOpen, onClose, document, onUpdated }) => {
   const isUploading = uploadStep > 0;
 
   const handleUpload = async (file) => {
-    if (!file || !address || !signature || !document) return;
+    if (!file || !address || !accessToken || !document) return;
     
     setUploadStep(1);
     setError(null);
     setSuccess(false);
 
     try {
-      // ── STEP 1: Server pins to IPFS ────────────────────────────────────────
-      const formData = new FormData();
-      formData.append("file", file);
-
-      const prepRes = await fetch(`${API_BASE}/api/documents/${document._id}/prepare-version`, {
-        method: "POST",
-        headers: {
-          "x-wallet-address": address,
-          "x-wallet-signature": signature,
-        },
-        body: formData,
-      });
+      if (!window.ethereum) throw new Error("MetaMask not found");
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer   = await provider.getSigner();
 
-      const prepData = await prepRes.json();
-      if (!prepData.success) throw new Error(prepData.error ?? "Failed to prepare version");
+      // ── STEP 1: Hash, encrypt with the document's content key ──────────────
+      const contentHash = computeContentHash(new Uint8Array(await file.arrayBuffer()));
+      let payload = file;
+      if (document.encrypted) {
+        const contentKey = await loadContentKey(api, signer, document._id);
+        payload = await encryptFile(file, contentKey);
+      }
 
-      const { newCid, documentHash } = prepData;
+      // ── STEP 2: Server pins to IPFS ────────────────────────────────────────
+      setUploadStep(2);
+      const { newCid, documentHash } = await api.versions.prepare({ documentId: document._id, file: payload });
       if (!documentHash) throw new Error("Document is missing on-chain fingerprint");
 
-      // ── STEP 2: Client signs updateDocument() tx ───────────────────────────
-      setUploadStep(2);
-      
-      if (!window.ethereum) throw new Error("MetaMask not found");
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer   = await provider.getSigner();
-      const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, signer);
+      // Never sign values the server made up — the CID must be this file's,
+      // and the hash the document's own
+      await assertCid(payload, newCid);
+      if (documentHash !== document.documentHash) {
+        throw new Error("Server returned a different document hash. Refusing to sign.");
+      }
 
-      const tx = await contract.updateDocument(documentHash, newCid, {
-        maxPriorityFeePerGas: ethers.parseUnits("30", "gwei"),
-        maxFeePerGas: ethers.parseUnits("60", "gwei"),
-        gasLimit: 500000,
-      });
-      
+      // ── STEP 3: Client signs the update (gasless if relayed) ───────────────
       setUploadStep(3);
-      const receipt = await tx.wait();
-
-      // ── STEP 3: Confirm with Server ────────────────────────────────────────
-      const confirmRes = await fetch(`${API_BASE}/api/documents/${document._id}/confirm-version`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-wallet-address": address,
-          "x-wallet-signature": signature,
-        },
-        body: JSON.stringify({
-          newCid,
-          txHash: receipt.hash,
-          size: file.size,
-        }),
-      });
 
-      const confirmData = await confirmRes.json();
-      if (!confirmData.success) throw new Error(confirmData.error ?? "Failed to confirm version update");
+      let txHash = await relayIntent(api, "UpdateDocument", { editor: address, documentHash, newCid, contentHash },
+        signer, address, () => setUploadStep(4));
+      if (!txHash) {
+        const contract = getRegistryContract(REGISTRY_ADDRESS, signer);
+        const tx = await contract.updateDocument(documentHash, newCid, contentHash);
+        setUploadStep(4);
+        txHash = (await tx.wait()).hash;
+      }
+
+      // ── STEP 4: Confirm with Server ────────────────────────────────────────
+      const updated = await api.versions.confirm({ documentId: document._id, newCid, txHash });
 
       setSuccess(true);
       setNewDocContext({
-        currentVersion: confirmData.document.currentVersion,
+        currentVersion: updated.currentVersion,
         cid: newCid,
       });
-      onUpdated?.(confirmData.document);
+      onUpdated?.(updated);
 
     } catch (err) {
-      console.error("[update-modal] error:", err);
-      console.error("[update-modal] error code:", err.code);
-      console.error("[update-modal] error reason:", err.reason);
-      console.error("[update-modal] error message:", err.message);
-      if (err.data) console.error("[update-modal] error data:", err.data);
-
       if (err.code === 4001 || err.code === "ACTION_REJECTED") {
         setError("Transaction cancelled in MetaMask.");
       } else {
         setError(err.reason || err.message || "Update failed");
       }
     } finally {
-      if (!success) setUploadStep(0); // keep step at 3 if success
+      if (!success) setUploadStep(0); // keep step at 4 if success
     }
   };
 
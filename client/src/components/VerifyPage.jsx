@@ -0,0 +1,197 @@
+import React, { useState } from "react";
+import { useWallet } from "../wallet";
+
+/**
+ * VerifyPage.jsx  —  Phase 19
+ *
+ * Public "Verify a document" page. No wallet required.
+ *
+ * Drops a file on POST /api/verify (the shared client's `api.verify`, sent
+ * without a session when nobody is signed in), which computes the file's IPFS CID
+ * (without pinning it) and SHA-256, and looks up DocumentRegistered /
+ * DocumentUpdated events carrying either — so the original of an encrypted
+ * document verifies by its anchored plaintext hash. Each match shows the
+ * owner, version, what matched, block time and transaction.
+ */
+
+const formatTimestamp = (seconds) =>
+  new Date(seconds * 1000).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+const VerifyPage = ({ onBack }) => {
+  const { api } = useWallet();
+  const [file, setFile] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const verify = async (selected) => {
+    if (!selected) return;
+    if (selected.size > 10 * 1024 * 1024) {
+      setError("File exceeds the 10 MB limit.");
+      return;
+    }
+
+    setFile(selected);
+    setResult(null);
+    setError(null);
+    setIsVerifying(true);
+
+    try {
+      setResult(await api.verify(selected));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    verify(e.dataTransfer.files?.[0]);
+  };
+
+  const onFileSelect = (e) => {
+    verify(e.target.files?.[0]);
+    e.target.value = "";
+  };
+
+  return (
+    <div className="mx-auto max-w-3xl animate-fade-in">
+      {/* Header */}
+      <div className="mb-8 space-y-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="mb-4 inline-flex items-center gap-1.5 text-xs font-semibold text-slate-500 transition-colors hover:text-slate-300"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back
+        </button>
+        <h1 className="text-3xl font-extrabold tracking-tight text-slate-100 sm:text-4xl">Verify a document</h1>
+        <p className="text-sm text-slate-400 sm:text-base">
+          Check whether a file is anchored on the DocumentRegistry contract — no wallet needed.
+        </p>
+      </div>
+
+      {/* Drop Zone */}
+      <div
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={onDrop}
+        className={`group relative flex h-56 w-full flex-col items-center justify-center rounded-xl border-2 border-dashed transition-all duration-300 ${
+          isVerifying
+            ? "border-primary-500/50 bg-primary-500/10 shadow-[0_0_20px_rgba(34,211,238,0.15)]"
+            : "border-slate-700/60 bg-slate-950/50 hover:border-primary-400/50 hover:bg-slate-900/60 hover:shadow-[0_0_15px_rgba(34,211,238,0.05)]"
+        }`}
+      >
+        {isVerifying ? (
+          <div className="flex flex-col items-center gap-3 px-4 text-center">
+            <div className="h-8 w-8 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />
+            <p className="text-sm font-medium text-primary-400">Computing CID and searching the chain…</p>
+          </div>
+        ) : (
+          <>
+            <input
+              type="file"
+              id="verify-upload"
+              onChange={onFileSelect}
+              className="absolute inset-0 z-10 w-full cursor-pointer opacity-0"
+            />
+            <div className="flex flex-col items-center p-4 text-center">
+              <div className="mb-4 flex h-14 w-14 items-center justify-center rounded-full bg-slate-800/60 text-slate-400 shadow-inner transition-all duration-300 group-hover:scale-110 group-hover:bg-primary-500/10 group-hover:text-primary-400 group-hover:shadow-[0_0_15px_rgba(34,211,238,0.2)]">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-7 w-7" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                </svg>
+              </div>
+              <p className="text-sm font-semibold text-slate-300">Drag & drop or click</p>
+              <p className="mt-1 text-xs text-slate-500">The file is hashed, never stored · Max 10 MB</p>
+            </div>
+          </>
+        )}
+      </div>
+
+      <ul className="mt-5 space-y-2 text-xs text-slate-500">
+        <li className="flex items-start gap-2">
+          <span className="mt-1 h-1.5 w-1.5 shrink-0 rounded-full bg-primary-500" />
+          A match proves these exact bytes were registered by the listed wallet at the listed time.
+        </li>
+        <li className="flex items-start gap-2">
+          <span className="mt-1 h-1.5 w-1.5 shrink-0 rounded-full bg-primary-500" />
+          Encrypted documents verify from the original file — its SHA-256 is anchored next to the ciphertext's CID.
+        </li>
+      </ul>
+
+      {/* Error */}
+      {error && (
+        <div className="mt-6 rounded-lg border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-400">
+          {error}
+        </div>
+      )}
+
+      {/* Result */}
+      {result && (
+        <div className="mt-8 space-y-4">
+          <div
+            className={`rounded-2xl border p-5 shadow-lg backdrop-blur-md ${
+              result.verified
+                ? "border-emerald-500/30 bg-emerald-500/10"
+                : "border-amber-500/30 bg-amber-500/10"
+            }`}
+          >
+            <p className={`text-sm font-bold ${result.verified ? "text-emerald-300" : "text-amber-300"}`}>
+              {result.verified
+                ? `Verified — found in ${result.matches.length} on-chain record${result.matches.length === 1 ? "" : "s"}`
+                : "Not found — no registered document has this content"}
+            </p>
+            <p className="mt-2 truncate text-xs text-slate-400">
+              {file?.name} · CID <span className="font-mono text-slate-300">{result.cid}</span>
+            </p>
+          </div>
+
+          {result.matches.map((match) => (
+            <div
+              key={`${match.txHash}-${match.documentHash}`}
+              className="rounded-2xl border border-slate-800/80 bg-slate-900/40 p-5 shadow-lg backdrop-blur-md"
+            >
+              <div className="mb-3 flex items-center justify-between gap-4">
+                <span className="rounded-md bg-primary-500/10 px-2 py-0.5 text-xs font-bold uppercase tracking-wider text-primary-400">
+                  Version {match.version}
+                </span>
+                <span className="text-xs text-slate-500">{formatTimestamp(match.timestamp)}</span>
+              </div>
+              <dl className="grid grid-cols-1 gap-2 text-xs sm:grid-cols-[8rem_1fr]">
+                <dt className="text-slate-500">Owner</dt>
+                <dd className="truncate font-mono text-slate-300">{match.owner}</dd>
+                <dt className="text-slate-500">Matched by</dt>
+                <dd className="text-slate-300">
+                  {match.matchedBy === "cid" ? "IPFS CID" : "Plaintext SHA-256 (original file)"}
+                </dd>
+                <dt className="text-slate-500">Document hash</dt>
+                <dd className="truncate font-mono text-slate-300">{match.documentHash}</dd>
+                <dt className="text-slate-500">Block</dt>
+                <dd className="font-mono text-slate-300">{match.blockNumber}</dd>
+                <dt className="text-slate-500">Transaction</dt>
+                <dd className="truncate font-mono">
+                  <a
+                    href={`https://amoy.polygonscan.com/tx/${match.txHash}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-primary-400 hover:text-primary-300 hover:underline"
+                  >
+                    {match.txHash}
+                  </a>
+                </dd>
+              </dl>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VerifyPage;
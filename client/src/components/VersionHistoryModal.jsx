@@ -1,19 +1,20 @@
 import React, { useState, useEffect } from "react";
 import { useWallet } from "../wallet";
-import { getViewerUrl } from "../utils/viewer";
+import ViewDocumentModal from "./ViewDocumentModal";
 
 /**
  * VersionHistoryModal.jsx  —  Phase 10
  *
- * Shows all uploaded versions of a document with IPFS links.
+ * Shows all uploaded versions of a document.
+ * "View" opens the version through ViewDocumentModal, which checks its CID
+ * against the registry before decrypting it in the browser.
  */
 const VersionHistoryModal = ({ isOpen, onClose, document }) => {
-  const { address, signature } = useWallet();
+  const { address, api } = useWallet();
   const [versions, setVersions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-
-  const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "http://localhost:4000";
+  const [viewingVersion, setViewingVersion] = useState(null);
 
   useEffect(() => {
     if (!isOpen || !document) return;
@@ -22,15 +23,8 @@ const VersionHistoryModal = ({ isOpen, onClose, document }) => {
       setIsLoading(true);
       setError(null);
       try {
-        const res = await fetch(`${API_BASE}/api/documents/${document._id}/versions`, {
-          headers: {
-            "x-wallet-address": address,
-            "x-wallet-signature": signature,
-          },
-        });
-        const data = await res.json();
-        if (!data.success) throw new Error(data.error ?? "Failed to fetch versions");
-        setVersions(data.versions ?? []);
+        const history = await api.versions.list(document._id);
+        setVersions(history.versions ?? []);
       } catch (err) {
         setError(err.message);
       } finally {
@@ -96,14 +90,12 @@ const VersionHistoryModal = ({ isOpen, onClose, document }) => {
                       }`}>
                         {v.version === Math.max(...versions.map(x => x.version)) ? "Latest" : `Version ${v.version}`}
                       </span>
-                      <a
-                        href={getViewerUrl(v.ipfsHash, document?.name)}
-                        target="_blank"
-                        rel="noopener noreferrer"
+                      <button
+                        onClick={() => setViewingVersion(v.version)}
                         className="shrink-0 rounded-lg bg-slate-800 px-2.5 py-1 text-xs text-slate-300 hover:bg-slate-700 transition-colors"
                       >
                         View
-                      </a>
+                      </button>
                     </div>
                     <p className="mt-0.5 truncate text-[11px] text-slate-500 font-mono">
                       {v.ipfsHash.slice(0, 12)}...{v.ipfsHash.slice(-8)}
@@ -118,6 +110,14 @@ const VersionHistoryModal = ({ isOpen, onClose, document }) => {
           )}
         </div>
       </div>
+
+      <ViewDocumentModal
+        isOpen={viewingVersion !== null}
+        onClose={() => setViewingVersion(null)}
+        document={document}
+        walletAddress={address}
+        version={viewingVersion}
+      />
     </div>
   );
 };
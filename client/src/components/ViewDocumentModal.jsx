@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
-import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
-import { getViewerUrl } from "../utils/viewer";
+import { useWallet } from "../wallet";
+import { computeCid, getRegistryContract } from "shared";
+import { REGISTRY_ADDRESS } from "../blockchain/config";
+import { decryptDocument } from "../utils/crypto";
+import { isMockCid } from "../utils/integrity";
+import DocumentViewer from "./DocumentViewer";
 
 /**
  * ViewDocumentModal.jsx
@@ -9,12 +13,34 @@ import { getViewerUrl } from "../utils/viewer";
  * Phase 9 — Document Viewer Access Control
  * 
  * Intercepts the "View" click, checks `contract.hasAccess()`,
- * and either opens the IPFS link or blocks the user.
+ * and either opens the document or blocks the user.
+ * Bytes are streamed through the API (which re-checks access on the server);
+ * encrypted documents are then decrypted in the browser.
+ *
+ * Phase 25: hasAccess() also counts group grants, so members see documents
+ * shared with their groups. A member who joined after an encrypted document
+ * was shared may not have a wrapped key yet — that gets its own message
+ * rather than a generic error.
+ *
+ * Phase 36: the bytes the API serves are not trusted either. Their CID is
+ * recomputed in the browser and compared with getVersionAtIndex() for the
+ * requested version (`version`, default current) before anything is
+ * decrypted or opened; the outcome is shown as verified or tampered and
+ * recorded as an INTEGRITY_CHECK audit entry.
+ *
+ * Phase 37: "Open Document" renders the verified bytes in the embedded
+ * DocumentViewer instead of a new browser tab.
  */
-const ViewDocumentModal = ({ isOpen, onClose, document, walletAddress }) => {
+const ViewDocumentModal = ({ isOpen, onClose, document, walletAddress, version = null }) => {
+  const { api } = useWallet();
   const [isChecking, setIsChecking] = useState(true);
   const [hasAccess, setHasAccess] = useState(null);
   const [error, setError] = useState(null);
+  const [keyNotShared, setKeyNotShared] = useState(false);
+  // { status: "verified" | "tampered" | "unchecked", version, expectedCid, computedCid }
+  const [integrity, setIntegrity] = useState(null);
+  const [content, setContent] = useState(null); // readable bytes, once verified
+  const [isViewing, setIsViewing] = useState(false);
 
   useEffect(() => {
     let cancelled = false;
@@ -24,7 +50,11 @@ const ViewDocumentModal = ({ isOpen, onClose, document, walletAddress }) => {
       
       setIsChecking(true);
       setError(null);
+      setKeyNotShared(false);
       setHasAccess(null);
+      setIntegrity(null);
+      setContent(null);
+      setIsViewing(false);
 
       try {
         const docId = document.documentHash;
@@ -33,26 +63,49 @@ const ViewDocumentModal = ({ isOpen, onClose, document, walletAddress }) => {
         }
 
         const provider = new ethers.BrowserProvider(window.ethereum);
-        const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, provider);
+        const contract = getRegistryContract(REGISTRY_ADDRESS, provider);
 
         const authorized = await contract.hasAccess(docId, walletAddress);
-        
-        if (!cancelled) {
-          setHasAccess(authorized);
-          if (authorized) {
-            // Auto-open after a brief success message
-            setTimeout(() => {
-              const latestCid = document.versions?.length 
-                ? document.versions[document.versions.length - 1].ipfsHash 
-                : document.cid;
-              window.open(getViewerUrl(latestCid, document.name), '_blank');
-              onClose();
-            }, 1000);
-          }
+        if (cancelled) return;
+        setHasAccess(authorized);
+        if (!authorized) return;
+        setIsChecking(false); // show "Checking integrity…" while the bytes load
+
+        // The stored bytes (ciphertext when encrypted) must hash to the CID
+        // the registry holds for this version
+        const requested = version ?? document.currentVersion;
+        const [expectedCid, stored] = await Promise.all([
+          contract.getVersionAtIndex(docId, requested - 1),
+          api.documents.content(document._id, requested),
+        ]);
+        const computedCid = await computeCid(new Uint8Array(stored));
+        const status = computedCid === expectedCid ? "verified"
+          : isMockCid(expectedCid) ? "unchecked"
+          : "tampered";
+
+        if (status !== "unchecked") {
+          api.documents.reportIntegrity(document._id, { version: requested, expectedCid, computedCid })
+            .catch((err) => console.warn("[view-doc] could not record integrity check:", err));
+        }
+        if (cancelled) return;
+        setIntegrity({ status, version: requested, expectedCid, computedCid });
+        if (status === "tampered") return;
+
+        let bytes = stored;
+        if (document.encrypted) {
+          const signer = await provider.getSigner();
+          bytes = await decryptDocument(api, bytes, document._id, signer);
         }
+        if (!cancelled) setContent(bytes);
       } catch (err) {
         console.error("[view-doc] access check failed:", err);
-        if (!cancelled) setError(err.message || "Failed to verify on-chain access");
+        if (!cancelled && err.code === "KEY_NOT_SHARED") {
+          setHasAccess(null);
+          setKeyNotShared(true);
+        } else if (!cancelled) {
+          setHasAccess(null);
+          setError(err.message || "Failed to verify on-chain access");
+        }
       } finally {
         if (!cancelled) setIsChecking(false);
       }
@@ -63,10 +116,36 @@ const ViewDocumentModal = ({ isOpen, onClose, document, walletAddress }) => {
     }
 
     return () => { cancelled = true; };
-  }, [isOpen, document, walletAddress, onClose]);
+  }, [isOpen, document, version, walletAddress, api]);
 
   if (!isOpen) return null;
 
+  if (isViewing && content) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4 backdrop-blur-sm bg-slate-950/60" role="dialog">
+        <div className="h-[90vh] w-full max-w-5xl overflow-hidden rounded-3xl border border-slate-800 bg-slate-900 shadow-2xl">
+          <DocumentViewer
+            bytes={content}
+            mimeType={document.mimeType}
+            name={document.name}
+            onClose={onClose}
+            badge={
+              integrity.status === "verified" ? (
+                <span className="shrink-0 rounded-full bg-emerald-500/10 px-2.5 py-1 text-[10px] font-bold uppercase tracking-wider text-emerald-400" title={integrity.expectedCid}>
+                  Verified · v{integrity.version}
+                </span>
+              ) : (
+                <span className="shrink-0 rounded-full bg-amber-500/10 px-2.5 py-1 text-[10px] font-bold uppercase tracking-wider text-amber-500">
+                  Not verified
+                </span>
+              )
+            }
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 backdrop-blur-sm bg-slate-950/60">
       <div className="w-full max-w-sm overflow-hidden rounded-3xl border border-slate-800 bg-slate-900 shadow-2xl">
@@ -80,7 +159,7 @@ const ViewDocumentModal = ({ isOpen, onClose, document, walletAddress }) => {
             </div>
           )}
 
-          {!isChecking && hasAccess === true && (
+          {!isChecking && hasAccess === true && !integrity && (
             <div className="flex flex-col items-center py-4">
               <div className="mb-4 flex h-12 w-12 items-center justify-center rounded-full bg-emerald-500/10 text-emerald-400">
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -88,7 +167,68 @@ const ViewDocumentModal = ({ isOpen, onClose, document, walletAddress }) => {
                 </svg>
               </div>
               <h3 className="text-lg font-bold text-slate-100 mb-1">Access Granted</h3>
-              <p className="text-sm text-slate-400">Opening secure document...</p>
+              <p className="text-sm text-slate-400">Checking content against the on-chain CID...</p>
+              {document?.group && (
+                <p className="mt-2 text-xs text-slate-500">via group {document.group.name}</p>
+              )}
+            </div>
+          )}
+
+          {!isChecking && hasAccess === true && integrity && integrity.status !== "tampered" && (
+            <div className="flex flex-col items-center py-4">
+              <div className={`mb-4 flex h-12 w-12 items-center justify-center rounded-full ${
+                integrity.status === "verified" ? "bg-emerald-500/10 text-emerald-400" : "bg-amber-500/10 text-amber-500"
+              }`}>
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                </svg>
+              </div>
+              {integrity.status === "verified" ? (
+                <>
+                  <h3 className="text-lg font-bold text-slate-100 mb-1">Content Verified</h3>
+                  <p className="text-sm text-slate-400">Matches the CID recorded on-chain for v{integrity.version}.</p>
+                </>
+              ) : (
+                <>
+                  <h3 className="text-lg font-bold text-slate-100 mb-1">Not Verified</h3>
+                  <p className="text-xs text-amber-400/80">The server's storage dev mode issued a mock CID, so this content can't be checked.</p>
+                </>
+              )}
+              <p className="mt-2 break-all font-mono text-[10px] text-slate-500">{integrity.expectedCid}</p>
+              {document?.group && (
+                <p className="mt-2 text-xs text-slate-500">via group {document.group.name}</p>
+              )}
+              <button
+                onClick={() => setIsViewing(true)}
+                disabled={!content}
+                className="mt-6 w-full rounded-xl bg-primary-600 py-3 text-sm font-bold text-white transition-all hover:bg-primary-500 active:scale-95 disabled:cursor-wait disabled:opacity-60"
+              >
+                {content ? "Open Document" : document?.encrypted ? "Decrypting in your browser..." : "Preparing..."}
+              </button>
+            </div>
+          )}
+
+          {!isChecking && hasAccess === true && integrity?.status === "tampered" && (
+            <div className="flex flex-col items-center py-4">
+              <div className="mb-4 flex h-12 w-12 items-center justify-center rounded-full bg-red-500/10 text-red-400">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                </svg>
+              </div>
+              <h3 className="text-lg font-bold text-slate-100 mb-1">Content Tampered</h3>
+              <p className="text-sm text-red-400 mb-4">
+                The file served for v{integrity.version} does not match the CID recorded on-chain, so it was not opened.
+              </p>
+              <div className="mb-6 w-full space-y-1 text-left text-[10px]">
+                <p className="break-all font-mono text-slate-400"><span className="font-sans font-semibold text-slate-500">ON-CHAIN </span>{integrity.expectedCid}</p>
+                <p className="break-all font-mono text-red-400/80"><span className="font-sans font-semibold text-slate-500">RECEIVED </span>{integrity.computedCid}</p>
+              </div>
+              <button
+                onClick={onClose}
+                className="w-full rounded-xl bg-slate-800 py-3 text-sm font-bold text-slate-200 transition-all hover:bg-slate-700 active:scale-95"
+              >
+                Close
+              </button>
             </div>
           )}
 
@@ -110,6 +250,27 @@ const ViewDocumentModal = ({ isOpen, onClose, document, walletAddress }) => {
             </div>
           )}
 
+          {!isChecking && keyNotShared && (
+            <div className="flex flex-col items-center py-4 text-center">
+              <div className="mb-4 flex h-12 w-12 items-center justify-center rounded-full bg-amber-500/10 text-amber-500">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                </svg>
+              </div>
+              <h3 className="text-lg font-bold text-slate-100 mb-1">Key Not Shared Yet</h3>
+              <p className="text-xs text-amber-400/80 mb-6">
+                You have access{document?.group ? ` via group ${document.group.name}` : ""}, but this document is encrypted
+                and its owner hasn't shared the decryption key with your wallet yet. Ask them to share it with you again.
+              </p>
+              <button 
+                onClick={onClose}
+                className="w-full rounded-xl bg-slate-800 py-3 text-sm font-bold text-slate-200 transition-all hover:bg-slate-700 active:scale-95"
+              >
+                Close
+              </button>
+            </div>
+          )}
+
           {!isChecking && error && (
             <div className="flex flex-col items-center py-4 text-center">
               <div className="mb-4 flex h-12 w-12 items-center justify-center rounded-full bg-amber-500/10 text-amber-500">
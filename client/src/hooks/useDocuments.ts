@@ -11,13 +11,20 @@
  *   a) Query DocumentRegistered events filtered by owner address
  *   b) Fetch backend document index for enrichment
  *   c) Merge: on-chain docs enriched with metadata, pending docs shown separately
+ *
+ * Scopes:
+ *   "my"     — documents the wallet owns (GET /api/documents/my)
+ *   "shared" — documents granted to the wallet (GET /api/documents/shared);
+ *              the server already replays grant events, so step (a) is skipped
+ *   "trash"  — the wallet's soft-deleted documents (GET /api/documents/trash);
+ *              step (a) is skipped and the backend registeredOnChain is used
  */
 
 import { useState, useEffect, useCallback } from "react";
 import { ethers } from "ethers";
-import { REGISTRY_ADDRESS, REGISTRY_ABI } from "../blockchain/config";
-
-const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "http://localhost:4000";
+import { getRegistryContract } from "shared";
+import { REGISTRY_ADDRESS } from "../blockchain/config";
+import { useWallet } from "../wallet";
 
 export interface DocumentRecord {
   // On-chain fields
@@ -36,8 +43,19 @@ export interface DocumentRecord {
   versions?: Array<{ version: number; ipfsHash: string; size: number; createdAt: string }>;
   createdAt?: string;
   owner?: string;
+  encrypted?: boolean;
+  deletedAt?: string;
+  archivedOnChain?: boolean;
+  pendingOwner?: string | null;   // ownership offered to this wallet
+
+  // Caller's grant — scope "shared" only
+  role?: number;                  // ROLES value (shared)
+  accessExpiresAt?: number | null; // unix seconds, null = never
+  group?: { groupId: string; name: string } | null; // set when access comes via a group
 }
 
+export type DocumentScope = "my" | "shared" | "trash";
+
 interface UseDocumentsResult {
   documents: DocumentRecord[];
   isLoading: boolean;
@@ -47,19 +65,21 @@ interface UseDocumentsResult {
 
 export function useDocuments(
   address: string | null,
-  signature: string | null,
+  signedIn: boolean,
   searchQuery = "",
-  sortBy = "date"
+  sortBy = "date",
+  scope: DocumentScope = "my"
 ): UseDocumentsResult {
   const [documents, setDocuments]   = useState<DocumentRecord[]>([]);
   const [isLoading, setIsLoading]   = useState(true);
   const [error, setError]           = useState<string | null>(null);
   const [tick, setTick]             = useState(0);
+  const { api } = useWallet();
 
   const refresh = useCallback(() => setTick((n) => n + 1), []);
 
   useEffect(() => {
-    if (!address || !signature) {
+    if (!address || !signedIn) {
       setDocuments([]);
       setIsLoading(false);
       return;
@@ -73,45 +93,45 @@ export function useDocuments(
 
       try {
         // ── A) Fetch backend index (metadata enrichment) ──────────────────
-        const params = new URLSearchParams();
-        if (searchQuery) params.set("search", searchQuery);
-        if (sortBy !== "date") params.set("sort", sortBy);
-
-        const [backendRes] = await Promise.all([
-          fetch(`${API_BASE}/api/documents/my?${params}`, {
-            headers: {
-              "x-wallet-address": address,
-              "x-wallet-signature": signature,
-            },
-          }),
-        ]);
-
-        const backendData = await backendRes.json();
-        if (!backendData.success) throw new Error(backendData.error ?? "Failed to fetch documents");
-
-        const backendDocs: any[] = backendData.documents ?? [];
+        const backendDocs: any[] = await api.documents.list({
+          scope,
+          search: searchQuery || undefined,
+          sort: sortBy === "name" ? "name" : undefined,
+        });
 
         // ── B) Query on-chain events ───────────────────────────────────────
         let onChainHashes = new Set<string>();
-        try {
-          const provider = new ethers.BrowserProvider(window.ethereum);
-          const contract = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, provider);
-
-          // Filter: DocumentRegistered(any documentHash, THIS owner, any cid)
-          const filter = contract.filters.DocumentRegistered(null, address);
-          const events = await contract.queryFilter(filter, -50000); // last 50k blocks
-
-          events.forEach((e: any) => {
-            onChainHashes.add(e.args.documentHash);
+        if (scope === "shared") {
+          // Grant events can only reference registered documents
+          backendDocs.forEach((d) => {
+            if (d.documentHash) onChainHashes.add(d.documentHash);
           });
-        } catch (rpcErr) {
-          // RPC might timeout on large ranges — fall back to backend registeredOnChain field
-          console.warn("[useDocuments] event query failed, using backend state:", rpcErr);
+        } else if (scope === "trash") {
+          // Trashed documents are outside the recent-events window anyway
           backendDocs.forEach((d) => {
-            if (d.registeredOnChain && d.documentHash) {
-              onChainHashes.add(d.documentHash);
-            }
+            if (d.registeredOnChain && d.documentHash) onChainHashes.add(d.documentHash);
           });
+        } else {
+          try {
+            const provider = new ethers.BrowserProvider(window.ethereum);
+            const contract = getRegistryContract(REGISTRY_ADDRESS, provider);
+
+            // Filter: DocumentRegistered(any documentHash, THIS owner, any cid)
+            const filter = contract.filters.DocumentRegistered(null, address);
+            const events = await contract.queryFilter(filter, -50000); // last 50k blocks
+
+            events.forEach((e: any) => {
+              onChainHashes.add(e.args.documentHash);
+            });
+          } catch (rpcErr) {
+            // RPC might timeout on large ranges — fall back to backend registeredOnChain field
+            console.warn("[useDocuments] event query failed, using backend state:", rpcErr);
+            backendDocs.forEach((d) => {
+              if (d.registeredOnChain && d.documentHash) {
+                onChainHashes.add(d.documentHash);
+              }
+            });
+          }
         }
 
         // ── C) Merge ──────────────────────────────────────────────────────
@@ -128,6 +148,13 @@ export function useDocuments(
           versions:          doc.versions,
           createdAt:         doc.createdAt,
           owner:             doc.owner,
+          encrypted:         !!doc.encrypted,
+          deletedAt:         doc.deletedAt,
+          archivedOnChain:   !!doc.archivedOnChain,
+          pendingOwner:      doc.pendingOwner ?? null,
+          role:              doc.role,
+          accessExpiresAt:   doc.accessExpiresAt,
+          group:             doc.group ?? null,
         }));
 
         if (!cancelled) setDocuments(merged);
@@ -140,7 +167,7 @@ export function useDocuments(
 
     load();
     return () => { cancelled = true; };
-  }, [address, signature, searchQuery, sortBy, tick]);
+  }, [address, signedIn, api, searchQuery, sortBy, scope, tick]);
 
   return { documents, isLoading, error, refresh };
 }
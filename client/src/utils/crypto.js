@@ -0,0 +1,78 @@
+/**
+ * utils/crypto.js
+ *
+ * Client-side envelope encryption for documents. The primitives — content
+ * keys, AES-GCM wire format, ECIES key wrapping, the wallet-derived keypair —
+ * are the shared package's (shared/src/crypto.js), the same code the CLI
+ * runs. This module adds the browser's File handling and the key-sharing
+ * round-trips.
+ *
+ * Every server call goes through the wallet context's `api`, which reads
+ * the current access token at call time.
+ */
+
+import {
+  decryptBytes,
+  encryptBytes,
+  generateContentKey,
+  getEncryptionKeyPair,
+  loadContentKey,
+  wrapContentKey,
+} from "shared";
+
+export { decryptBytes, generateContentKey, getEncryptionKeyPair, loadContentKey, wrapContentKey };
+
+/**
+ * Encrypt a File/Blob with the content key.
+ * Returns a File with the same name and type so the server can keep the
+ * original metadata while only ever seeing ciphertext.
+ */
+export async function encryptFile(file, contentKey) {
+  const ciphertext = await encryptBytes(new Uint8Array(await file.arrayBuffer()), contentKey);
+  return new File([ciphertext], file.name, { type: file.type });
+}
+
+/** Look up another wallet's published encryption public key (null if none). */
+export function fetchEncryptionPublicKey(api, recipient) {
+  return api.users.encryptionKey(recipient);
+}
+
+/** Store a wrapped content key for `recipient` (owner only). */
+export function storeWrappedKey(api, documentId, recipient, wrapped) {
+  return api.documents.keys.put(documentId, recipient, wrapped);
+}
+
+/**
+ * Wrap the document's content key for every wallet in `recipients` that has
+ * published an encryption key (owner only). Used for group members, where
+ * one wallet without a key must not block the rest.
+ * Returns the recipients that were skipped.
+ */
+export async function shareContentKey(api, documentId, recipients, signer) {
+  const self = (await signer.getAddress()).toLowerCase();
+  const missing = [];
+  let contentKey = null;
+  for (const recipient of recipients) {
+    if (recipient.toLowerCase() === self) continue;
+    const publicKey = await fetchEncryptionPublicKey(api, recipient);
+    if (!publicKey) {
+      missing.push(recipient);
+      continue;
+    }
+    contentKey ??= await loadContentKey(api, signer, documentId);
+    const wrapped = await wrapContentKey(contentKey, publicKey);
+    await storeWrappedKey(api, documentId, recipient, wrapped);
+  }
+  return missing;
+}
+
+/** Remove `recipient`'s wrapped content key (owner only). */
+export function deleteWrappedKey(api, documentId, recipient) {
+  return api.documents.keys.remove(documentId, recipient);
+}
+
+/** Decrypt document bytes fetched from the API with the caller's content key. */
+export async function decryptDocument(api, ciphertext, documentId, signer) {
+  const contentKey = await loadContentKey(api, signer, documentId);
+  return decryptBytes(ciphertext, contentKey);
+}
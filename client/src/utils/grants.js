@@ -0,0 +1,62 @@
+/**
+ * utils/grants.js
+ *
+ * Helpers shared by the single-document ShareModal and the BulkShareModal:
+ * role hints, the access-duration picker and recipient list parsing.
+ */
+
+import { ethers } from "ethers";
+import { ROLES } from "shared";
+
+export const ROLE_HINTS = {
+  [ROLES.VIEWER]: "Can open and download the document.",
+  [ROLES.EDITOR]: "Can also publish new versions. Only you can share, archive or delete.",
+};
+
+// Duration picker options — seconds from now, null = permanent
+export const DURATIONS = [
+  { value: "none", label: "No expiry", seconds: null },
+  { value: "1h", label: "1 hour", seconds: 60 * 60 },
+  { value: "1d", label: "1 day", seconds: 24 * 60 * 60 },
+  { value: "7d", label: "7 days", seconds: 7 * 24 * 60 * 60 },
+  { value: "30d", label: "30 days", seconds: 30 * 24 * 60 * 60 },
+  { value: "custom", label: "Custom…", seconds: null },
+];
+
+/** Resolve the picker state to a unix timestamp, or null for a permanent grant. */
+export function resolveExpiry(duration, customUntil) {
+  if (duration === "custom") {
+    const ms = new Date(customUntil).getTime();
+    if (!customUntil || Number.isNaN(ms)) throw new Error("Pick an expiry date and time");
+    if (ms <= Date.now()) throw new Error("Expiry must be in the future");
+    return Math.floor(ms / 1000);
+  }
+  const option = DURATIONS.find((d) => d.value === duration);
+  return option?.seconds ? Math.floor(Date.now() / 1000) + option.seconds : null;
+}
+
+/**
+ * Split a pasted list (newlines, commas, spaces or semicolons) into
+ * checksummed addresses. Duplicates and `self` are dropped; anything that
+ * isn't an address is returned in `invalid` so the user can fix it.
+ */
+export function parseAddressList(text, self) {
+  const own = self ? self.toLowerCase() : null;
+  const seen = new Set();
+  const addresses = [];
+  const invalid = [];
+
+  for (const token of text.split(/[\s,;]+/).filter(Boolean)) {
+    if (!ethers.isAddress(token)) {
+      invalid.push(token);
+      continue;
+    }
+    const address = ethers.getAddress(token);
+    const key = address.toLowerCase();
+    if (key === own || seen.has(key)) continue;
+    seen.add(key);
+    addresses.push(address);
+  }
+
+  return { addresses, invalid };
+}
@@ -0,0 +1,53 @@
+/**
+ * utils/integrity.js
+ *
+ * Checks on what the server hands back before the wallet signs it. The
+ * registry anchors whatever CID and documentHash the transaction carries,
+ * so the client recomputes both from the bytes and metadata it sent and
+ * refuses to sign if the server's values differ.
+ *
+ * CIDs come from shared computeCid, the same code the server's storage
+ * backends key content with.
+ */
+
+import { computeCid, computeDocumentHash } from "shared";
+
+/**
+ * Mock CIDs come from a server in storage dev mode (STORAGE_DEV_MODE) whose
+ * backend is down. They can't be recomputed, so development builds let them
+ * through unchecked.
+ */
+export function isMockCid(cid) {
+  return import.meta.env.DEV && cid.startsWith("mock-cid-");
+}
+
+/** Throw unless `cid` is the CID of `blob`. */
+export async function assertCid(blob, cid) {
+  if (isMockCid(cid)) {
+    console.warn(`[integrity] server returned a mock CID (${cid}) — not checked`);
+    return;
+  }
+  const expected = await computeCid(new Uint8Array(await blob.arrayBuffer()));
+  if (cid !== expected) {
+    throw new Error(`Server returned CID ${cid}, but the file's CID is ${expected}. Refusing to sign.`);
+  }
+}
+
+/**
+ * Throw unless the upload response describes what was sent — this wallet,
+ * this name and MIME type — and its documentHash is computeDocumentHash
+ * of that metadata.
+ */
+export function assertDocumentHash(uploaded, { owner, name, mimeType }) {
+  const mismatch =
+    uploaded.owner?.toLowerCase() !== owner.toLowerCase() ? "owner" :
+    uploaded.name !== name ? "name" :
+    uploaded.mimeType !== mimeType ? "MIME type" :
+    null;
+  if (mismatch) throw new Error(`Server recorded a different ${mismatch} for this upload. Refusing to sign.`);
+
+  const expected = computeDocumentHash(uploaded.owner, uploaded.cid, uploaded.name, uploaded.mimeType, uploaded.timestamp);
+  if (uploaded.documentHash !== expected) {
+    throw new Error("Server's document hash does not match the upload's metadata. Refusing to sign.");
+  }
+}
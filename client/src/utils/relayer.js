@@ -0,0 +1,40 @@
+/**
+ * utils/relayer.js
+ *
+ * Gasless registry writes (Phase 28). Instead of sending a transaction, the
+ * wallet signs an EIP-712 intent and the server's relayer submits it to
+ * DocumentRegistry's *BySig functions, paying the gas.
+ *
+ * relayIntent() resolves to the mined txHash — report it to the same
+ * /confirm routes as a wallet-sent transaction — or to null when the server
+ * has no relayer, in which case the caller sends the transaction itself.
+ *
+ * Contract wallets (Safe, smart accounts) always get null: the registry
+ * verifies intents by ECDSA recovery, which their EIP-1271 signatures fail.
+ */
+
+import { INTENT_TYPES } from "shared";
+
+// How long a signed intent stays valid (the server caps it at a day)
+const INTENT_TTL_S = 15 * 60;
+
+/**
+ * Sign `fields` as an intent of `type` (shared INTENT_TYPES) and have the
+ * relayer submit it. The nonce and deadline are filled in here; `onSigned`
+ * runs once the wallet has signed, while the relayer waits for the block.
+ */
+export async function relayIntent(api, type, fields, signer, address, onSigned) {
+  if ((await signer.provider.getCode(address)) !== "0x") return null;
+  const config = await api.relay.status();
+  if (!config.enabled) return null;
+
+  const message = {
+    ...fields,
+    nonce: config.nonce,
+    deadline: Math.floor(Date.now() / 1000) + INTENT_TTL_S,
+  };
+  const intentSignature = await signer.signTypedData(config.domain, { [type]: INTENT_TYPES[type] }, message);
+  onSigned?.();
+
+  return api.relay.submit({ type, message, signature: intentSignature });
+}
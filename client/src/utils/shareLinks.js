@@ -0,0 +1,40 @@
+/**
+ * utils/shareLinks.js
+ *
+ * Share links (Phase 27): the URLs handed out, and the public lookup made by
+ * SharedLinkPage.
+ *
+ * Links to encrypted documents carry the content key in the URL #fragment
+ * ("#k=0x…"). Browsers never send the fragment to the server, so the server
+ * keeps serving ciphertext only.
+ */
+
+import { ethers } from "ethers";
+
+// The calls themselves are api.documents.links (owner) and api.shareLinks
+// (public) on the wallet context's `api` client.
+
+/** The URL to hand out — the app's /s/:token page, plus the key when encrypted. */
+export function buildShareUrl(token, contentKey) {
+  const url = `${window.location.origin}/s/${token}`;
+  return contentKey ? `${url}#k=${ethers.hexlify(contentKey)}` : url;
+}
+
+/** Content key from the current page's #fragment, or null. */
+export function readLinkKey() {
+  const match = window.location.hash.match(/[#&]k=(0x[0-9a-fA-F]{64})/);
+  return match ? ethers.getBytes(match[1]) : null;
+}
+
+/**
+ * What the link points to. Resolves to { link } or, for a password-protected
+ * link without the right password, { passwordRequired: true, error }.
+ */
+export async function fetchLinkInfo(api, token, password) {
+  try {
+    return { link: await api.shareLinks.info(token, password) };
+  } catch (err) {
+    if (err.body?.passwordRequired) return { passwordRequired: true, error: password ? err.message : null };
+    throw err;
+  }
+}
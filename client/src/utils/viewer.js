@@ -1,13 +1,215 @@
-export function getViewerUrl(cid, name) {
-  const fileName = name || 'document';
-  const fileExt = fileName.split('.').pop().toLowerCase();
-  const isOfficeDoc = ['doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx'].includes(fileExt);
-  
-  const ipfsUrl = `https://ipfs.io/ipfs/${cid}?filename=${encodeURIComponent(fileName)}`;
-  
-  if (isOfficeDoc) {
-    return `https://docs.google.com/viewer?url=${encodeURIComponent(ipfsUrl)}&embedded=true`;
+/**
+ * utils/viewer.js
+ *
+ * Format handling for the embedded DocumentViewer. Everything is rendered
+ * from bytes already in the browser (fetched through our API and
+ * decrypted locally) — no gateway, no third-party viewer. The converters
+ * are loaded on first use so they stay out of the main bundle.
+ *
+ * Converted HTML is sanitized, and anything that would load a resource
+ * (remote images, stylesheets, inline styles) is stripped, so opening a
+ * document can't make the browser call out either.
+ */
+
+import DOMPurify from "dompurify";
+
+const EXTENSION_KINDS = {
+  pdf: "pdf",
+  png: "image", jpg: "image", jpeg: "image", gif: "image", webp: "image", bmp: "image", svg: "image", avif: "image",
+  txt: "text", log: "text", json: "text", xml: "text", yaml: "text", yml: "text", ini: "text",
+  md: "markdown", markdown: "markdown",
+  csv: "csv", tsv: "csv",
+  docx: "docx",
+  xlsx: "xlsx",
+};
+
+/**
+ * Which renderer a file needs — "pdf", "image", "text", "markdown", "csv",
+ * "docx", "xlsx" — or null when it can't be previewed. The MIME type wins;
+ * the extension covers files uploaded as application/octet-stream.
+ */
+export function detectViewerKind(mimeType = "", name = "") {
+  const type = mimeType.split(";")[0].trim().toLowerCase();
+  if (type === "application/pdf") return "pdf";
+  if (type.startsWith("image/")) return "image";
+  if (type === "text/markdown") return "markdown";
+  if (type === "text/csv" || type === "text/tab-separated-values") return "csv";
+  if (type === "application/vnd.openxmlformats-officedocument.wordprocessingml.document") return "docx";
+  if (type === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet") return "xlsx";
+
+  const ext = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+  if (EXTENSION_KINDS[ext]) return EXTENSION_KINDS[ext];
+  if (type.startsWith("text/") || type === "application/json") return "text";
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// HTML output
+// ---------------------------------------------------------------------------
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Only embedded (data:) images may load; links open in a new tab, unreferred
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.hasAttribute("src") && !node.getAttribute("src").startsWith("data:")) {
+    node.removeAttribute("src");
+  }
+  if (node.tagName === "A" && node.hasAttribute("href")) {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
   }
-  
-  return ipfsUrl;
+});
+
+const sanitize = (html) =>
+  DOMPurify.sanitize(html, {
+    FORBID_TAGS: ["style", "link", "iframe", "object", "embed", "form", "video", "audio", "source"],
+    FORBID_ATTR: ["style", "srcset", "background", "poster"],
+  });
+
+function tableHtml(rows) {
+  if (rows.length === 0) return `<p class="viewer-empty">Empty</p>`;
+  const [head, ...body] = rows;
+  const cells = (row, tag) => row.map((cell) => `<${tag}>${escapeHtml(formatCell(cell))}</${tag}>`).join("");
+  return `<table><thead><tr>${cells(head, "th")}</tr></thead><tbody>${
+    body.map((row) => `<tr>${cells(row, "td")}</tr>`).join("")
+  }</tbody></table>`;
+}
+
+function formatCell(value) {
+  if (value instanceof Date) return value.toLocaleString();
+  return value ?? "";
+}
+
+const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+// ---------------------------------------------------------------------------
+// Converters — each resolves to a list of pages: { label, html }
+// ---------------------------------------------------------------------------
+
+const CONVERTERS = {
+  text: async (bytes) => [{ label: null, html: `<pre>${escapeHtml(decodeText(bytes))}</pre>` }],
+
+  markdown: async (bytes) => {
+    const { marked } = await import("marked");
+    return [{ label: null, html: sanitize(await marked.parse(decodeText(bytes))) }];
+  },
+
+  csv: async (bytes, name) => {
+    const { default: Papa } = await import("papaparse");
+    const { data } = Papa.parse(decodeText(bytes).trimEnd(), {
+      delimiter: name.toLowerCase().endsWith(".tsv") ? "\t" : "",
+      skipEmptyLines: true,
+    });
+    return [{ label: null, html: tableHtml(data) }];
+  },
+
+  docx: async (bytes) => {
+    const { default: mammoth } = await import("mammoth/mammoth.browser");
+    const { value } = await mammoth.convertToHtml({ arrayBuffer: bytes });
+    return [{ label: null, html: sanitize(value) }];
+  },
+
+  xlsx: async (bytes) => {
+    const { default: readXlsxFile } = await import("read-excel-file/browser");
+    const sheets = await readXlsxFile(bytes);
+    return sheets.map(({ sheet, data }) => ({ label: sheet, html: tableHtml(data) }));
+  },
+};
+
+/**
+ * Convert a text-like document to HTML pages for the viewer. XLSX gives one
+ * page per sheet; every other format is a single page.
+ */
+export function convertToPages(kind, bytes, name = "") {
+  const convert = CONVERTERS[kind];
+  if (!convert) throw new Error(`No converter for ${kind}`);
+  return convert(bytes instanceof ArrayBuffer ? bytes : new Uint8Array(bytes).buffer, name);
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+let pdfjsPromise;
+
+/** pdf.js, with its worker served from our own bundle. */
+export function loadPdfJs() {
+  pdfjsPromise ??= Promise.all([
+    import("pdfjs-dist"),
+    import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+  ]).then(([pdfjs, worker]) => {
+    pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+    return pdfjs;
+  });
+  return pdfjsPromise;
+}
+
+/** Open a PDF from bytes. pdf.js takes ownership of the buffer, so pass a copy. */
+export async function openPdf(bytes) {
+  const pdfjs = await loadPdfJs();
+  return pdfjs.getDocument({
+    data: new Uint8Array(bytes).slice(),
+    isEvalSupported: false,
+    // No cMap / standard-font URLs: nothing is fetched beyond the worker
+    useSystemFonts: true,
+  }).promise;
+}
+
+// ---------------------------------------------------------------------------
+// Search highlighting
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap every case-insensitive occurrence of `query` in the text under
+ * `container` in <mark>, and return the marks in document order.
+ */
+export function highlightMatches(container, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  const walker = window.document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  const marks = [];
+  for (const node of textNodes) {
+    const text = node.nodeValue;
+    const lower = text.toLowerCase();
+    let index = lower.indexOf(needle);
+    if (index === -1) continue;
+
+    const fragment = window.document.createDocumentFragment();
+    let last = 0;
+    while (index !== -1) {
+      fragment.append(text.slice(last, index));
+      const mark = window.document.createElement("mark");
+      mark.textContent = text.slice(index, index + needle.length);
+      fragment.append(mark);
+      marks.push(mark);
+      last = index + needle.length;
+      index = lower.indexOf(needle, last);
+    }
+    fragment.append(text.slice(last));
+    node.replaceWith(fragment);
+  }
+  return marks;
+}
+
+// ---------------------------------------------------------------------------
+// Download
+// ---------------------------------------------------------------------------
+
+/** Save bytes under `name` — a local blob, never a remote URL. */
+export function downloadBytes(bytes, name, mimeType) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: mimeType || "application/octet-stream" }));
+  const a = window.document.createElement("a");
+  a.href = url;
+  a.download = name || "document";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
 }
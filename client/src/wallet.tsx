@@ -2,6 +2,16 @@
  * wallet.tsx
  *
  * Phase 3 & 4 — Wallet Authentication & End-to-End Identity
+ *
+ * Phase 29: sign-in uses Sign-In with Ethereum (EIP-4361) — the wallet signs
+ * a structured message bound to this origin, chain and a server nonce.
+ *
+ * Phase 30: signing in opens a server session. Requests carry its short-lived
+ * access token (`Authorization: Bearer`), which is refreshed shortly before
+ * it expires; disconnect() logs the session out.
+ *
+ * The context's `api` is the shared SDK client, authenticated with the
+ * current session's access token on every call.
  */
 
 /// <reference types="vite/client" />
@@ -12,9 +22,12 @@ import React, {
   useContext,
   useEffect,
   useMemo,
+  useRef,
   useState,
 } from "react";
-import { BrowserProvider, formatEther } from "ethers";
+import { BrowserProvider, formatEther, getAddress } from "ethers";
+import { SIWE_STATEMENT, buildSiweMessage, createApiClient } from "shared";
+import type { ApiClient, AuthTokens } from "shared";
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -31,11 +44,16 @@ const SUPPORTED_NETWORKS: SupportedNetwork[] = [
   { id: 80002, label: "Amoy" },
 ];
 
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "http://localhost:4000";
+
 /** localStorage key for the persisted wallet session. */
 const SESSION_KEY = "bsdms_wallet_session";
 
-/** Session validity window — 24 hours in milliseconds. */
-const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+/** Refresh the access token this long before it expires. */
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/** How long a SIWE message stays valid for /api/auth/verify. */
+const SIWE_TTL_MS = 5 * 60 * 1000;
 
 // ---------------------------------------------------------------------------
 // Types
@@ -52,14 +70,17 @@ export type WalletStatus =
 /** Shape of the persisted session stored in localStorage. */
 type WalletSession = {
   address: string;
-  signature: string;
   chainId: number;
-  timestamp: number; // UNIX milliseconds
+  accessToken: string;
+  accessTokenExpiresAt: number; // UNIX milliseconds
+  refreshToken: string;
+  refreshTokenExpiresAt: number; // UNIX milliseconds
 };
 
 export type WalletContextValue = {
   address: string | null;
-  signature: string | null;
+  accessToken: string | null;
+  api: ApiClient;
   status: WalletStatus;
   network: SupportedNetwork | null;
   errorMessage: string | null;
@@ -81,12 +102,15 @@ const WalletContext = createContext<WalletContextValue | undefined>(undefined);
 // Helpers
 // ---------------------------------------------------------------------------
 
+/** Client for the sign-in endpoints, which take no session. */
+const publicApi = createApiClient({ baseUrl: API_BASE });
+
 function loadSession(): WalletSession | null {
   try {
     const raw = localStorage.getItem(SESSION_KEY);
     if (!raw) return null;
     const session: WalletSession = JSON.parse(raw);
-    if (Date.now() - session.timestamp > SESSION_TTL_MS) {
+    if (!session.refreshToken || Date.now() >= session.refreshTokenExpiresAt) {
       localStorage.removeItem(SESSION_KEY);
       return null;
     }
@@ -96,15 +120,51 @@ function loadSession(): WalletSession | null {
   }
 }
 
-function saveSession(address: string, signature: string, chainId: number): void {
-  const session: WalletSession = { address, signature, chainId, timestamp: Date.now() };
+function saveSession(address: string, chainId: number, tokens: AuthTokens): WalletSession {
+  const session: WalletSession = {
+    address,
+    chainId,
+    accessToken: tokens.accessToken,
+    accessTokenExpiresAt: Date.parse(tokens.accessTokenExpiresAt),
+    refreshToken: tokens.refreshToken,
+    refreshTokenExpiresAt: Date.parse(tokens.refreshTokenExpiresAt),
+  };
   localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
 }
 
 function clearSession(): void {
   localStorage.removeItem(SESSION_KEY);
 }
 
+/**
+ * Swap the session's refresh token for a new pair. Another tab may already
+ * have rotated it — its fresh tokens are in localStorage, so use those
+ * rather than present a spent refresh token (which the server treats as
+ * theft and revokes the session). Returns null when the session has ended.
+ */
+async function refreshSession(session: WalletSession): Promise<WalletSession | null> {
+  const stored = loadSession();
+  if (stored && stored.address === session.address && stored.accessTokenExpiresAt - Date.now() > REFRESH_MARGIN_MS) {
+    return stored;
+  }
+  const current = stored?.address === session.address ? stored : session;
+
+  try {
+    const tokens = await publicApi.auth.refresh(current.refreshToken);
+    return saveSession(current.address, current.chainId, tokens);
+  } catch {
+    return null;
+  }
+}
+
+/** Revoke the session server-side. Best effort — local state is cleared regardless. */
+function logoutSession({ address, accessToken }: WalletSession): void {
+  createApiClient({ baseUrl: API_BASE, getCredentials: () => ({ address, accessToken }) })
+    .auth.logout()
+    .catch(() => {});
+}
+
 function shortenBalance(raw: string): string {
   const n = parseFloat(raw);
   return isNaN(n) ? "0.0000" : n.toFixed(4);
@@ -120,7 +180,7 @@ export const WalletProvider = ({
   children: React.ReactNode;
 }): React.JSX.Element => {
   const [address, setAddress] = useState<string | null>(null);
-  const [signature, setSignature] = useState<string | null>(null);
+  const [session, setSession] = useState<WalletSession | null>(null);
   const [status, setStatus] = useState<WalletStatus>("disconnected");
   const [network, setNetwork] = useState<SupportedNetwork | null>(null);
   const [errorMessage, setErrorMessage] = useState<string | null>(null);
@@ -163,10 +223,28 @@ export const WalletProvider = ({
     }
   }, []);
 
+  // Read by callbacks that must not re-create on every token refresh
+  const sessionRef = useRef<WalletSession | null>(null);
+  sessionRef.current = session;
+
+  // Reads the session at call time, so refreshed tokens are used at once
+  const api = useMemo(
+    () =>
+      createApiClient({
+        baseUrl: API_BASE,
+        getCredentials: () => {
+          const current = sessionRef.current;
+          return current ? { address: current.address, accessToken: current.accessToken } : null;
+        },
+      }),
+    []
+  );
+
   const disconnect = useCallback(() => {
+    if (sessionRef.current) logoutSession(sessionRef.current);
     clearSession();
     setAddress(null);
-    setSignature(null);
+    setSession(null);
     setStatus("disconnected");
     setNetwork(null);
     setErrorMessage(null);
@@ -212,45 +290,43 @@ export const WalletProvider = ({
       return;
     }
 
-    const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "http://localhost:4000";
-
     try {
       setStatus("connecting");
       setErrorMessage(null);
       const provider = new BrowserProvider((window as any).ethereum);
       const accounts: string[] = await provider.send("eth_requestAccounts", []);
-      const addr = accounts?.[0];
-      if (!addr) throw new Error("No accounts returned.");
+      if (!accounts?.[0]) throw new Error("No accounts returned.");
+      const addr = getAddress(accounts[0]); // SIWE requires the checksummed form
 
-      const nonceRes = await fetch(`${API_BASE}/api/auth/nonce`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ address: addr }),
+      const { nonce } = await publicApi.auth.nonce(addr);
+
+      const networkInfo = await provider.getNetwork();
+      const chainIdNumber = Number(networkInfo.chainId);
+
+      const issuedAt = new Date();
+      const message = buildSiweMessage({
+        domain: window.location.host,
+        address: addr,
+        statement: SIWE_STATEMENT,
+        uri: window.location.origin,
+        chainId: chainIdNumber,
+        nonce,
+        issuedAt: issuedAt.toISOString(),
+        expirationTime: new Date(issuedAt.getTime() + SIWE_TTL_MS).toISOString(),
       });
-      const nonceData = await nonceRes.json();
-      if (!nonceData.success) throw new Error(nonceData.error ?? "Failed to get nonce");
 
       setStatus("signing");
       const signer = await provider.getSigner();
-      const signature = await signer.signMessage(nonceData.message);
+      const signature = await signer.signMessage(message);
 
-      const verifyRes = await fetch(`${API_BASE}/api/auth/verify`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ address: addr, signature }),
-      });
-      const verifyData = await verifyRes.json();
-      if (!verifyData.success) throw new Error(verifyData.error ?? "Verification failed");
+      const tokens = await publicApi.auth.verify(message, signature);
 
-      const networkInfo = await provider.getNetwork();
-      const chainIdNumber = Number(networkInfo.chainId);
       const supported = resolveSupportedNetwork(chainIdNumber, String((networkInfo as any).name ?? ""));
 
       setAddress(addr);
-      setSignature(signature);
+      setSession(saveSession(addr, chainIdNumber, tokens));
       setNetwork(supported ?? null);
       setStatus(supported ? "connected" : "unsupported_network");
-      saveSession(addr, signature, chainIdNumber);
       fetchBalance(provider, addr);
       fetchEns(provider, addr);
     } catch (error: any) {
@@ -261,8 +337,8 @@ export const WalletProvider = ({
 
   useEffect(() => {
     const restoreSession = async () => {
-      const session = loadSession();
-      if (!session || typeof window === "undefined" || !(window as any).ethereum) {
+      let stored = loadSession();
+      if (!stored || typeof window === "undefined" || !(window as any).ethereum) {
         setSessionRestored(true);
         return;
       }
@@ -272,18 +348,26 @@ export const WalletProvider = ({
         const accounts: string[] = await provider.send("eth_accounts", []);
         const currentAddr = accounts?.[0]?.toLowerCase();
 
-        if (!currentAddr || currentAddr !== session.address.toLowerCase()) {
+        if (!currentAddr || currentAddr !== stored.address.toLowerCase()) {
           clearSession();
           setSessionRestored(true);
           return;
         }
 
+        if (stored.accessTokenExpiresAt - Date.now() <= REFRESH_MARGIN_MS) {
+          stored = await refreshSession(stored);
+          if (!stored) {
+            clearSession();
+            return;
+          }
+        }
+
         const networkInfo = await provider.getNetwork();
         const chainIdNumber = Number(networkInfo.chainId);
         const supported = resolveSupportedNetwork(chainIdNumber, String((networkInfo as any).name ?? ""));
 
         setAddress(accounts[0]);
-        setSignature(session.signature);
+        setSession(stored);
         setNetwork(supported ?? null);
         setStatus(supported ? "connected" : "unsupported_network");
         fetchBalance(provider, accounts[0]);
@@ -297,6 +381,25 @@ export const WalletProvider = ({
     restoreSession();
   }, [resolveSupportedNetwork, fetchBalance, fetchEns]);
 
+  // Refresh the access token shortly before it expires. If the session has
+  // ended (expired, revoked from another device) the wallet is disconnected.
+  useEffect(() => {
+    if (!session) return;
+    const delay = Math.max(0, session.accessTokenExpiresAt - Date.now() - REFRESH_MARGIN_MS);
+    const timer = setTimeout(async () => {
+      const next = await refreshSession(session);
+      if (sessionRef.current !== session) return; // disconnected or switched meanwhile
+      if (next) {
+        setSession(next);
+      } else {
+        clearSession();
+        setSession(null);
+        setStatus("disconnected");
+      }
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [session]);
+
   useEffect(() => {
     if (typeof window === "undefined" || !(window as any).ethereum) return;
     const { ethereum } = window as any;
@@ -306,8 +409,9 @@ export const WalletProvider = ({
       if (!next) {
         disconnect();
       } else if (next.toLowerCase() !== address?.toLowerCase()) {
+        if (sessionRef.current) logoutSession(sessionRef.current);
         setAddress(next);
-        setSignature(null);
+        setSession(null);
         setStatus("disconnected");
         clearSession();
         const provider = new BrowserProvider(ethereum);
@@ -330,7 +434,8 @@ export const WalletProvider = ({
   const value = useMemo(
     (): WalletContextValue => ({
       address,
-      signature,
+      accessToken: session?.accessToken ?? null,
+      api,
       status,
       network,
       errorMessage,
@@ -341,7 +446,7 @@ export const WalletProvider = ({
       disconnect,
       switchNetwork,
     }),
-    [address, signature, status, network, errorMessage, balance, ensName, sessionRestored, connect, disconnect, switchNetwork]
+    [address, session, api, status, network, errorMessage, balance, ensName, sessionRestored, connect, disconnect, switchNetwork]
   );
 
   return <WalletContext.Provider value={value}>{children}</WalletContext.Provider>;
@@ -1,11 +1,31 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react-swc";
 import tailwindcss from "@tailwindcss/vite";
+import { fileURLToPath } from "node:url";
 
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  resolve: {
+    alias: [
+      // shared `require`s ethers, which would otherwise pull in its CommonJS
+      // build next to the ESM one the app imports — two copies in the bundle.
+      {
+        find: /^ethers$/,
+        replacement: fileURLToPath(new URL("../node_modules/ethers/lib.esm/index.js", import.meta.url))
+      }
+    ]
+  },
+  // The `shared` workspace is CommonJS and symlinked outside node_modules,
+  // so it has to be opted into pre-bundling and the CJS transform explicitly.
+  optimizeDeps: {
+    include: ["shared"]
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared/, /node_modules/]
+    }
+  },
   server: {
     port: 5173
   }
 });
-
@@ -0,0 +1,103 @@
+/**
+ * src/app.js
+ *
+ * Phase 4 — Backend Core
+ *
+ * The Express application: global middleware, API routes and error
+ * handling. It neither connects to MongoDB nor listens — src/index.js does
+ * both, and tests mount the app with supertest against their own database.
+ */
+
+"use strict";
+
+const env = require("./config/env");
+
+const express = require("express");
+const helmet = require("helmet");
+const cors = require("cors");
+const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+
+// Route modules
+const healthRouter = require("./routes/health");
+const authRouter = require("./routes/auth");
+const userRouter = require("./routes/user");
+const documentRouter = require("./routes/document");
+const auditRouter = require("./routes/audit");
+const verifyRouter = require("./routes/verify");
+const groupRouter = require("./routes/group");
+const orgRouter = require("./routes/org");
+const shareRouter = require("./routes/share");
+const relayRouter = require("./routes/relay");
+
+// ---------------------------------------------------------------------------
+// Express app setup
+// ---------------------------------------------------------------------------
+
+const app = express();
+
+// Security headers (XSS, HSTS, content sniffing, etc.)
+app.use(helmet());
+
+// CORS — allow requests from the configured React origin(s)
+const allowedOrigins = env.CLIENT_ORIGIN.split(",").map((o) => o.trim());
+app.use(
+  cors({
+    origin: (origin, callback) => {
+      // Allow requests with no origin (curl, server-to-server)
+      if (!origin) return callback(null, true);
+      if (allowedOrigins.includes(origin)) return callback(null, true);
+      callback(new Error(`CORS: origin "${origin}" not allowed.`));
+    },
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: [
+      "Content-Type",
+      "Range",
+      "Authorization",
+      "x-wallet-address",
+      "x-link-password",
+    ],
+    // Let the browser read streaming metadata from /content responses
+    exposedHeaders: ["Content-Disposition", "Content-Range", "Accept-Ranges"],
+    credentials: true,
+  })
+);
+
+// Parse JSON bodies (limit 1 MB to guard against payload attacks)
+app.use(express.json({ limit: "1mb" }));
+
+// Parse URL-encoded bodies (for form submissions)
+app.use(express.urlencoded({ extended: false }));
+
+// ---------------------------------------------------------------------------
+// API routes
+// ---------------------------------------------------------------------------
+
+app.use("/api/health", healthRouter);
+app.use("/api/auth", authRouter);
+app.use("/api/user", userRouter);
+app.use("/api/documents", documentRouter);
+app.use("/api/audits", auditRouter);
+app.use("/api/groups", groupRouter);
+app.use("/api/orgs", orgRouter);
+app.use("/api/relay", relayRouter);
+app.use("/api/verify", verifyRouter); // public — no wallet auth
+app.use("/s", shareRouter); // public — share-link token only
+
+// Placeholder roots to communicate what's coming
+app.get("/", (req, res) => {
+  res.json({
+    success: true,
+    message: "Blockchain Secure Docs API",
+    version: "0.4.0",
+    docs: "Phase 4 & 7 — endpoints live at /api/auth/*, /api/user/*, and /api/documents/*",
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 404 + Global error handler (must come last)
+// ---------------------------------------------------------------------------
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
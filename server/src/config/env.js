@@ -27,6 +27,28 @@ if (missing.length > 0) {
   process.exit(1);
 }
 
+// ---------------------------------------------------------------------------
+// Storage backend (Phase 38) — checked here so a typo can't fall through to
+// a backend nobody configured
+// ---------------------------------------------------------------------------
+
+const STORAGE_BACKENDS = ["kubo", "local", "s3"];
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND ?? "kubo").toLowerCase();
+const STORAGE_DEV_MODE = process.env.STORAGE_DEV_MODE === "true";
+
+const storageProblem =
+  !STORAGE_BACKENDS.includes(STORAGE_BACKEND)
+    ? `STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(", ")} (got "${STORAGE_BACKEND}")`
+    : STORAGE_BACKEND === "s3" && !process.env.S3_BUCKET
+      ? "STORAGE_BACKEND=s3 requires S3_BUCKET"
+      : STORAGE_DEV_MODE && process.env.NODE_ENV === "production"
+        ? "STORAGE_DEV_MODE cannot be enabled when NODE_ENV=production"
+        : null;
+if (storageProblem) {
+  console.error(`[env] ${storageProblem}.`);
+  process.exit(1);
+}
+
 // ---------------------------------------------------------------------------
 // Exported config object
 // ---------------------------------------------------------------------------
@@ -51,6 +73,52 @@ module.exports = {
   BLOCKCHAIN_RPC_URL:
     process.env.BLOCKCHAIN_RPC_URL ?? "http://127.0.0.1:8545",
 
-  /** IPFS HTTP API URL (used in Phase 7). */
+  /**
+   * Chain IDs a Sign-In with Ethereum message may name (Phase 29).
+   * Comma-separated; defaults to the local Hardhat node and Amoy.
+   */
+  SIWE_CHAIN_IDS: (process.env.SIWE_CHAIN_IDS ?? "31337,80002")
+    .split(",")
+    .map((id) => parseInt(id.trim(), 10)),
+
+  /** Lifetime of an access token sent as `Authorization: Bearer` (Phase 30). */
+  ACCESS_TOKEN_TTL_MS: parseInt(process.env.ACCESS_TOKEN_TTL_MS ?? String(15 * 60 * 1000), 10),
+
+  /** Lifetime of a session's refresh token — how long a device stays signed in idle. */
+  REFRESH_TOKEN_TTL_MS: parseInt(process.env.REFRESH_TOKEN_TTL_MS ?? String(30 * 24 * 60 * 60 * 1000), 10),
+
+  /** Where document bytes are stored: "kubo" | "local" | "s3" (Phase 38). */
+  STORAGE_BACKEND,
+
+  /**
+   * When the backend can't take an upload, hand out a mock-cid-<ms> instead
+   * of failing. Local development only — refused in production.
+   */
+  STORAGE_DEV_MODE,
+
+  /** IPFS HTTP API URL (used in Phase 7) — the "kubo" backend. */
   IPFS_API_URL: process.env.IPFS_API_URL ?? "http://127.0.0.1:5001",
+
+  /** Directory the "local" backend keeps content-addressed files in. */
+  STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR ?? "./data/storage",
+
+  /** "s3" backend — any S3-compatible store; set S3_ENDPOINT for MinIO. */
+  S3_ENDPOINT: process.env.S3_ENDPOINT || null,
+  S3_REGION: process.env.S3_REGION ?? "us-east-1",
+  S3_BUCKET: process.env.S3_BUCKET ?? null,
+  S3_PREFIX: process.env.S3_PREFIX ?? "",
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || null,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || null,
+
+  /** Set to "false" to disable the background chain-event indexer (Phase 17). */
+  INDEXER_ENABLED: process.env.INDEXER_ENABLED !== "false",
+
+  /** Delay between indexer polls once caught up with the chain head. */
+  INDEXER_POLL_INTERVAL_MS: parseInt(process.env.INDEXER_POLL_INTERVAL_MS ?? "15000", 10),
+
+  /** Max blocks per eth_getLogs request — many public RPCs cap the range. */
+  INDEXER_BATCH_SIZE: parseInt(process.env.INDEXER_BATCH_SIZE ?? "2000", 10),
+
+  /** Blocks to stay behind the head so shallow reorgs never reach the index. */
+  INDEXER_CONFIRMATIONS: parseInt(process.env.INDEXER_CONFIRMATIONS ?? "2", 10),
 };
@@ -1,87 +1,202 @@
 /**
  * middleware/auth.js
  *
- * Phase 4 — Backend Core (fixed in Phase 12)
+ * Phase 4 — Backend Core (fixed in Phase 12, SIWE in Phase 29, sessions in
+ * Phase 30, API keys in Phase 32)
  *
  * Wallet-based authentication middleware.
  *
  * Flow:
- *   1. POST /auth/nonce  → client gets nonce, builds challenge, signs it
- *   2. POST /auth/verify → backend verifies signature, stores it as sessionSignature,
- *                          rotates nonce so the same signature can't re-auth
- *   3. Every subsequent request → client sends address + signature headers
- *      requireAuth compares signature directly to user.sessionSignature
+ *   1. POST /auth/nonce   → client gets nonce, builds a Sign-In with Ethereum
+ *                           (EIP-4361) message around it, signs it
+ *   2. POST /auth/verify  → backend checks the message (checkSiweMessage) and
+ *                           signature, rotates the nonce so the message can't
+ *                           be replayed, and opens a Session: a short-lived
+ *                           access token plus a refresh token
+ *   3. Every subsequent request → `Authorization: Bearer <access token>`;
+ *      requireAuth looks the session up by the token's hash
+ *   4. POST /auth/refresh → new token pair before the access token runs out
+ *   5. POST /auth/logout  → revokes the session
  *
- * WHY not re-verify against nonce each time?
- *   Because after /verify the nonce is rotated — re-computing the challenge
- *   with the new nonce will NEVER match the signature the client already holds.
- *   Storing sessionSignature solves this while still preventing replay attacks
- *   (a new login invalidates the old sessionSignature).
+ * Each device gets its own session, so signing in on one never signs
+ * another out; GET /api/user/sessions lists them for per-device revocation.
+ *
+ * Scripts authenticate with an API key instead (`Authorization: Bearer
+ * bsd_…`, created at /api/user/api-keys). Keys only open routes guarded by
+ * requireScope(scope) for a scope the key holds; requireAuth routes —
+ * sharing, groups, key management — stay wallet-session only.
  */
 
 "use strict";
 
 const { ethers } = require("ethers");
-const User = require("../models/User");
+const { SIWE_VERSION, API_KEY_PREFIX } = require("shared");
+const { CLIENT_ORIGIN, SIWE_CHAIN_IDS } = require("../config/env");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
 
-const buildChallenge = (address, nonce) =>
-  `Welcome to Blockchain Secure Docs!\n\nSign this message to verify your wallet and authenticate.\n\nThis request will not trigger any blockchain transaction or cost any gas.\n\nWallet: ${address}\nNonce: ${nonce}`;
+// The client origins a sign-in message may be bound to
+const ALLOWED_ORIGINS = CLIENT_ORIGIN.split(",").map((o) => o.trim());
+const ALLOWED_DOMAINS = ALLOWED_ORIGINS.map((o) => new URL(o).host);
 
-async function requireAuth(req, res, next) {
-  const rawAddress = req.headers["x-wallet-address"];
-  const signature  = req.headers["x-wallet-signature"];
+// How often a session's or key's lastUsedAt is written — not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
 
-  if (!rawAddress || !signature) {
-    return res.status(401).json({
-      success: false,
-      error: "Missing auth headers (x-wallet-address, x-wallet-signature).",
-    });
-  }
+// Sign-in messages are only good for a few minutes after issuance
+const MAX_MESSAGE_AGE_MS = 10 * 60 * 1000;
+const CLOCK_SKEW_MS = 60 * 1000;
+
+function authError(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
 
-  let address;
+/**
+ * checkSiweMessage
+ *
+ * Checks the parsed fields of a SIWE message against this deployment: it
+ * must be bound to a client origin we serve, name a supported chain, and be
+ * inside its validity window (Issued At / Not Before / Expiration Time).
+ * The nonce and signature are checked by the caller.
+ *
+ * Throws status 401 with the reason.
+ */
+function checkSiweMessage(fields, now = Date.now()) {
+  if (!ALLOWED_DOMAINS.includes(fields.domain)) throw authError("Sign-in message is for a different site.");
+
+  let origin;
   try {
-    address = ethers.getAddress(rawAddress);
+    origin = new URL(fields.uri).origin;
   } catch {
-    return res.status(401).json({ success: false, error: "Invalid wallet address." });
+    throw authError("Sign-in message has an invalid URI.");
   }
+  if (!ALLOWED_ORIGINS.includes(origin)) throw authError("Sign-in message is for a different site.");
 
-  try {
-    const user = await User.findOne({ address }).lean();
-    if (!user) {
+  if (fields.version !== SIWE_VERSION) throw authError("Unsupported sign-in message version.");
+  if (!SIWE_CHAIN_IDS.includes(fields.chainId)) throw authError("Sign-in message is for an unsupported network.");
+
+  const time = (value) => {
+    const t = Date.parse(value);
+    if (Number.isNaN(t)) throw authError("Sign-in message has an invalid timestamp.");
+    return t;
+  };
+  const issuedAt = time(fields.issuedAt);
+  if (issuedAt > now + CLOCK_SKEW_MS) throw authError("Sign-in message is issued in the future.");
+  if (issuedAt < now - MAX_MESSAGE_AGE_MS) throw authError("Sign-in message has expired. Please sign in again.");
+  if (fields.expirationTime && time(fields.expirationTime) <= now) {
+    throw authError("Sign-in message has expired. Please sign in again.");
+  }
+  if (fields.notBefore && time(fields.notBefore) > now + CLOCK_SKEW_MS) {
+    throw authError("Sign-in message is not valid yet.");
+  }
+}
+
+/** Looks up a session access token → { walletAddress, record } or a 401 body. */
+async function resolveSession(token, now) {
+  const session = await Session.findByAccessToken(token);
+  if (!session || !session.isActive(now)) {
+    return { error: "Session has ended. Please sign in again." };
+  }
+  if (session.accessExpiresAt <= now) {
+    return { error: "Access token has expired.", code: "TOKEN_EXPIRED" };
+  }
+  return { walletAddress: session.address, record: session };
+}
+
+/** Looks up an API key allowed `scope` → { walletAddress, record } or an error body. */
+async function resolveApiKey(key, scope, now) {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey || !apiKey.isActive(now)) {
+    return { error: "API key is invalid, expired or revoked." };
+  }
+  if (!scope) {
+    return { status: 403, error: "API keys can't be used for this endpoint. Sign in with your wallet." };
+  }
+  if (!apiKey.hasScope(scope)) {
+    return { status: 403, error: `API key is missing the "${scope}" scope.` };
+  }
+  return { walletAddress: apiKey.address, record: apiKey };
+}
+
+/**
+ * authenticate(scope)
+ *
+ * Accepts `Authorization: Bearer <token>` — a session access token, or an
+ * API key holding `scope` (null: sessions only) — and sets
+ * req.walletAddress (checksummed) plus req.authSession or req.apiKey. An
+ * x-wallet-address header, when sent, must name the same wallet — it
+ * catches a client still holding the previous account's token.
+ *
+ * An expired access token gets 401 with code "TOKEN_EXPIRED", telling the
+ * client to POST /api/auth/refresh rather than sign in again.
+ */
+function authenticate(scope) {
+  return async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization ?? "").split(" ");
+
+    if (scheme !== "Bearer" || !token) {
       return res.status(401).json({
         success: false,
-        error: "Address not registered. Call POST /api/auth/nonce first.",
+        error: "Missing access token (Authorization: Bearer <token>).",
       });
     }
 
-    // --- Primary check: compare against stored session signature ---
-    if (user.sessionSignature && user.sessionSignature === signature) {
-      req.walletAddress = address;
-      return next();
-    }
-
-    // --- Fallback: allow if signature verifies against current nonce ---
-    // (handles the very first request that arrives between sign and the
-    //  /verify nonce rotation — edge case, but harmless to support)
     try {
-      const challenge = buildChallenge(address, user.nonce);
-      const recovered = ethers.verifyMessage(challenge, signature);
-      if (recovered.toLowerCase() === address.toLowerCase()) {
-        req.walletAddress = address;
-        return next();
+      const now = new Date();
+      const isApiKey = token.startsWith(API_KEY_PREFIX);
+      const result = isApiKey
+        ? await resolveApiKey(token, scope, now)
+        : await resolveSession(token, now);
+
+      if (result.error) {
+        return res.status(result.status ?? 401).json({
+          success: false,
+          ...(result.code ? { code: result.code } : {}),
+          error: result.error,
+        });
+      }
+
+      const rawAddress = req.headers["x-wallet-address"];
+      if (rawAddress) {
+        let address;
+        try {
+          address = ethers.getAddress(rawAddress);
+        } catch {
+          return res.status(401).json({ success: false, error: "Invalid wallet address." });
+        }
+        if (address !== result.walletAddress) {
+          return res.status(401).json({
+            success: false,
+            error: "Access token belongs to a different wallet. Please reconnect your wallet.",
+          });
+        }
+      }
+
+      const { record } = result;
+      if (!record.lastUsedAt || now - record.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+        record.constructor.updateOne({ _id: record._id }, { $set: { lastUsedAt: now } }).catch((err) =>
+          console.error("[auth] lastUsedAt update failed:", err.message)
+        );
       }
-    } catch {
-      // fall through to 401
+
+      req.walletAddress = result.walletAddress;
+      if (isApiKey) req.apiKey = record;
+      else req.authSession = record;
+      return next();
+    } catch (err) {
+      console.error("[auth] requireAuth error:", err.message);
+      return res.status(500).json({ success: false, error: "Internal auth error." });
     }
+  };
+}
 
-    return res.status(401).json({
-      success: false,
-      error: "Signature verification failed. Please reconnect your wallet.",
-    });
-  } catch (err) {
-    console.error("[auth] requireAuth error:", err.message);
-    return res.status(500).json({ success: false, error: "Internal auth error." });
-  }
+/** Wallet sessions only. */
+const requireAuth = authenticate(null);
+
+/** Wallet sessions, or API keys holding `scope` (shared API_KEY_SCOPES). */
+function requireScope(scope) {
+  return authenticate(scope);
 }
 
-module.exports = { requireAuth, buildChallenge };
+module.exports = { requireAuth, requireScope, checkSiweMessage };
@@ -0,0 +1,145 @@
+/**
+ * models/ApiKey.js
+ *
+ * Phase 32 — API Keys
+ *
+ * A long-lived bearer token a wallet creates for scripts and CI, limited to
+ * the scopes it was created with (shared API_KEY_SCOPES). Requests made with
+ * it act as the wallet, and their audit entries name the key.
+ *
+ * Only a SHA-256 of the key is stored — the key itself is returned once, at
+ * creation. Revoked keys are kept so old audit entries still resolve.
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const { createHash, randomBytes } = require("crypto");
+const { API_KEY_PREFIX, API_KEY_SCOPES } = require("shared");
+
+// Characters of the key kept in clear, so the owner can tell keys apart
+const VISIBLE_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** SHA-256 of a key — the lookup key, so a DB leak exposes no keys. */
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    /** Checksummed address of the wallet the key acts as. */
+    address: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Key name is required."],
+      trim: true,
+      maxlength: [100, "Key name is too long."],
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    /** e.g. "bsd_Xy12Ab34" — shown in lists and audit entries. */
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: Object.keys(API_KEY_SCOPES) }],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: "At least one scope is required.",
+      },
+    },
+
+    /** Null = never expires. */
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.keyHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// ---------------------------------------------------------------------------
+// Instance methods
+// ---------------------------------------------------------------------------
+
+/** Not revoked and not past its expiry. */
+apiKeySchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+/** What audit entries record about the key that performed an action. */
+apiKeySchema.methods.toAuditRef = function () {
+  return { id: this._id, name: this.name, prefix: this.prefix };
+};
+
+// ---------------------------------------------------------------------------
+// Static methods
+// ---------------------------------------------------------------------------
+
+/**
+ * issue({ address, name, scopes, expiresAt })
+ *
+ * Creates a key and returns { apiKey, key }. The key is not stored.
+ */
+apiKeySchema.statics.issue = async function ({ address, name, scopes, expiresAt }) {
+  const key = `${API_KEY_PREFIX}${randomBytes(32).toString("base64url")}`;
+  const apiKey = await this.create({
+    address,
+    name,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, VISIBLE_PREFIX_LENGTH),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresAt ?? null,
+  });
+  return { apiKey, key };
+};
+
+/** Look a key up by its raw value. */
+apiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -21,7 +21,43 @@ const auditSchema = new mongoose.Schema(
     action: {
       type: String,
       required: true, // e.g., 'UPLOAD', 'ACCESS_GRANT', 'ACCESS_REVOKE', 'FILE_VIEW'
-      enum: ["UPLOAD", "UPDATE", "ACCESS_GRANT", "ACCESS_REVOKE", "FILE_VIEW", "DELETE"],
+      enum: [
+        "UPLOAD", "UPDATE", "ACCESS_GRANT", "ACCESS_REVOKE", "FILE_VIEW", "FILE_DOWNLOAD", "DELETE",
+        // Logged by the upload and confirm-version routes; before they were
+        // listed, those entries failed validation and auditService dropped them
+        "FILE_UPLOAD", "VERSION_UPDATE",
+        "RESTORE",
+        // Written by the chain-event indexer
+        "ONCHAIN_REGISTER", "ONCHAIN_UPDATE", "ONCHAIN_GRANT", "ONCHAIN_REVOKE", "ONCHAIN_ARCHIVE",
+        "ONCHAIN_TRANSFER",
+        // Ownership transfer — offer / cancel by the owner, transfer for both parties
+        "OWNERSHIP_OFFER", "OWNERSHIP_OFFER_CANCEL", "OWNERSHIP_TRANSFER",
+        // Groups — off-chain bookkeeping by the owner, on-chain changes via the indexer
+        "GROUP_CREATE", "GROUP_UPDATE", "GROUP_DELETE",
+        "ONCHAIN_GROUP_GRANT", "ONCHAIN_GROUP_REVOKE", "ONCHAIN_GROUP_MEMBER_ADD", "ONCHAIN_GROUP_MEMBER_REMOVE",
+        // Organizations — metadata.organizationId ties each entry to its org
+        "ORG_CREATE", "ORG_INVITE", "ORG_JOIN", "ORG_ROLE_CHANGE", "ORG_MEMBER_REMOVE",
+        "ORG_DOCUMENT_ADD", "ORG_DOCUMENT_REMOVE",
+        // Share links — redemptions are anonymous, so they're logged against the owner
+        "LINK_CREATE", "LINK_REVOKE", "LINK_REDEEM", "LINK_DENIED",
+        // API keys — entries made *with* a key carry `apiKey` instead
+        "API_KEY_CREATE", "API_KEY_REVOKE",
+        // A reader's browser recomputed a version's CID against the registry
+        "INTEGRITY_CHECK",
+      ],
+    },
+    // Set when the action was performed with an API key rather than a wallet
+    // session — which key, as it was named at the time
+    apiKey: {
+      type: new mongoose.Schema(
+        {
+          id: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+          name: String,
+          prefix: String,
+        },
+        { _id: false }
+      ),
+      default: undefined,
     },
     documentId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -36,6 +72,17 @@ const auditSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // Source log of ONCHAIN_* entries — (txHash, logIndex, walletAddress) makes
+    // indexing idempotent while letting one log be recorded for each party
+    txHash: {
+      type: String,
+    },
+    logIndex: {
+      type: Number,
+    },
+    blockNumber: {
+      type: Number,
+    },
   },
   {
     timestamps: { createdAt: true, updatedAt: false }, // Use the system createdAt as the audit timestamp
@@ -46,4 +93,16 @@ const auditSchema = new mongoose.Schema(
 // Compound index for efficient user-activity queries
 auditSchema.index({ walletAddress: 1, createdAt: -1 });
 
+// One entry per chain log and party — re-indexing a block range never duplicates
+auditSchema.index(
+  { txHash: 1, logIndex: 1, walletAddress: 1 },
+  { unique: true, partialFilterExpression: { txHash: { $type: "string" } } }
+);
+
+// Public verification looks anchored versions up by their plaintext hash
+auditSchema.index(
+  { "metadata.contentHash": 1 },
+  { partialFilterExpression: { "metadata.contentHash": { $type: "string" } } }
+);
+
 module.exports = mongoose.model("Audit", auditSchema);
@@ -132,12 +132,14 @@ const documentSchema = new mongoose.Schema(
     },
 
     /**
-     * Array of wallet addresses that have been granted read access.
-     * Validated against the smart contract in Phase 6 (for now stored here).
+     * Wallets granted access directly, mirrored from AccessGranted /
+     * AccessRevoked by the indexer. Lists the document under their "shared"
+     * tab; the contract decides whether the grant still holds.
      */
     accessList: {
       type: [String],
       default: [],
+      index: true,
       validate: {
         validator: (arr) =>
           arr.every((a) => /^0x[0-9a-fA-F]{40}$/.test(a)),
@@ -145,6 +147,27 @@ const documentSchema = new mongoose.Schema(
       },
     },
 
+    /**
+     * groupIds (bytes32) holding a group grant on this document, mirrored
+     * from GroupAccessGranted / GroupAccessRevoked by the indexer.
+     */
+    groupAccessList: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+
+    /**
+     * Organization the owner filed this document under (Phase 26), or null
+     * for a personal document. Off-chain only — on-chain access is unchanged.
+     */
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+      index: true,
+    },
+
     /**
      * Ethereum transaction hash from the smart contract write.
      * Set after on-chain registration (Phase 5+).
@@ -166,12 +189,77 @@ const documentSchema = new mongoose.Schema(
     },
 
     /**
-     * Soft-delete flag.
+     * True when the pinned bytes are AES-256-GCM ciphertext produced in the
+     * browser. The server never sees the content key in plaintext.
+     */
+    encrypted: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * The document content key, wrapped (ECIES / secp256k1) once per reader.
+     * Each entry can only be unwrapped by `recipient`'s wallet-derived key.
+     * Excluded from queries by default — served one entry at a time via
+     * GET /api/documents/:id/keys/me.
+     */
+    wrappedKeys: {
+      type: [
+        {
+          recipient:          { type: String, required: true },
+          ephemeralPublicKey: { type: String, required: true },
+          iv:                 { type: String, required: true },
+          wrappedKey:         { type: String, required: true },
+          createdAt:          { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+      select: false,
+    },
+
+    /**
+     * Wallet the owner has offered ownership to (offerOwnership on-chain),
+     * until it accepts or the offer is cancelled. null = no pending offer.
+     */
+    pendingOwner: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    /**
+     * Soft-delete flag — true while the document sits in the owner's trash.
+     * Cleared again by POST /api/documents/:id/restore.
      */
     isDeleted: {
       type: Boolean,
       default: false,
     },
+
+    /** When the document was moved to the trash. */
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * True once archiveDocument() has been mined. Grantees lose access and
+     * the document is frozen on-chain — irreversible.
+     */
+    archivedOnChain: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * When the document was purged: archived on-chain and every version CID
+     * unpinned from IPFS. Purged documents no longer appear in the trash;
+     * the record is kept so audit entries still resolve.
+     */
+    purgedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // createdAt + updatedAt
@@ -189,6 +277,21 @@ documentSchema.index({ owner: 1, createdAt: -1 });
 // Fast lookup by IPFS hash — used in Phase 7 retrieval
 documentSchema.index({ ipfsHash: 1 });
 
+// ---------------------------------------------------------------------------
+// Methods — wrapped content keys
+// ---------------------------------------------------------------------------
+
+/**
+ * Insert or replace the wrapped content key for `recipient`.
+ * Requires the document to have been loaded with `.select("+wrappedKeys")`.
+ */
+documentSchema.methods.setWrappedKey = function (recipient, { ephemeralPublicKey, iv, wrappedKey }) {
+  this.wrappedKeys = this.wrappedKeys.filter(
+    (k) => k.recipient.toLowerCase() !== recipient.toLowerCase()
+  );
+  this.wrappedKeys.push({ recipient, ephemeralPublicKey, iv, wrappedKey });
+};
+
 // ---------------------------------------------------------------------------
 // Virtual — isShared
 // ---------------------------------------------------------------------------
@@ -0,0 +1,86 @@
+/**
+ * models/Group.js
+ *
+ * Phase 25 — Groups
+ *
+ * Index entry for a DocumentRegistry group — a named set of wallets that
+ * documents can be shared with as a whole. The chain is the source of truth
+ * for ownership and membership (createGroup / addGroupMembers /
+ * removeGroupMembers / disbandGroup); this collection adds the human-readable
+ * name and is kept in sync by the /confirm routes and the indexer.
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+
+const groupSchema = new mongoose.Schema(
+  {
+    /**
+     * bytes32 groupId = keccak256(owner, name, timestamp), computed by the
+     * server when the group is created. The on-chain identifier.
+     */
+    groupId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    /** Display name, e.g. "Legal". Off-chain only — renaming costs no gas. */
+    name: {
+      type: String,
+      required: [true, "Group name is required."],
+      trim: true,
+      maxlength: [100, "Name must be 100 characters or fewer."],
+    },
+
+    /** Checksummed address of the wallet that created (and manages) the group. */
+    owner: {
+      type: String,
+      required: true,
+      index: true,
+      validate: {
+        validator: (v) => ADDRESS_RE.test(v),
+        message: "Invalid owner address.",
+      },
+    },
+
+    /** Checksummed member addresses, mirrored from GroupMember* events. */
+    members: {
+      type: [String],
+      default: [],
+      index: true,
+      validate: {
+        validator: (arr) => arr.every((a) => ADDRESS_RE.test(a)),
+        message: "All members must be valid Ethereum addresses.",
+      },
+    },
+
+    /** True once createGroup() has been mined. */
+    registeredOnChain: {
+      type: Boolean,
+      default: false,
+    },
+
+    /** Transaction hash of createGroup(). */
+    txHash: {
+      type: String,
+      default: null,
+    },
+
+    /** Set once disbandGroup() has been mined — members lose group grants. */
+    disbandedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("Group", groupSchema);
@@ -0,0 +1,89 @@
+/**
+ * models/OrgMembership.js
+ *
+ * Phase 26 — Organizations
+ *
+ * One wallet's place in an organization. Admins invite by wallet address
+ * (status "invited"); the invitee accepts to become "active". Only active
+ * memberships grant anything.
+ *
+ *   admin  — invite / remove members, change roles, see the org audit trail
+ *   member — list and file documents under the organization
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+
+const ORG_ROLES = ["admin", "member"];
+
+const orgMembershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+
+    /** Checksummed wallet address (EIP-55). */
+    address: {
+      type: String,
+      required: true,
+      index: true,
+      validate: {
+        validator: (v) => /^0x[0-9a-fA-F]{40}$/.test(v),
+        message: "Invalid Ethereum address format.",
+      },
+    },
+
+    role: {
+      type: String,
+      enum: ORG_ROLES,
+      default: "member",
+    },
+
+    status: {
+      type: String,
+      enum: ["invited", "active"],
+      default: "invited",
+    },
+
+    /** Admin who sent the invitation (the creator for the first admin). */
+    invitedBy: {
+      type: String,
+      default: null,
+    },
+
+    joinedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// One membership (or pending invitation) per wallet per organization
+orgMembershipSchema.index({ organization: 1, address: 1 }, { unique: true });
+
+// ---------------------------------------------------------------------------
+// Static methods
+// ---------------------------------------------------------------------------
+
+/**
+ * findActive(organizationId, address)
+ *
+ * The wallet's active membership, or null. Callers check `.role` for admin
+ * rights. An invalid ObjectId yields null rather than a cast error.
+ */
+orgMembershipSchema.statics.findActive = function (organizationId, address) {
+  if (!mongoose.isValidObjectId(organizationId)) return Promise.resolve(null);
+  return this.findOne({ organization: organizationId, address, status: "active" });
+};
+
+orgMembershipSchema.statics.ORG_ROLES = ORG_ROLES;
+
+module.exports = mongoose.model("OrgMembership", orgMembershipSchema);
@@ -0,0 +1,41 @@
+/**
+ * models/Organization.js
+ *
+ * Phase 26 — Organizations
+ *
+ * A shared workspace ("Acme Legal") that wallets join through
+ * OrgMembership. Documents stay owned by a wallet on-chain; an owner who is
+ * a member can file them under the organization so every member can find
+ * them and admins can audit them in one place.
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required."],
+      trim: true,
+      maxlength: [100, "Name must be 100 characters or fewer."],
+    },
+
+    /** Checksummed address of the wallet that created the organization. */
+    createdBy: {
+      type: String,
+      required: true,
+      validate: {
+        validator: (v) => /^0x[0-9a-fA-F]{40}$/.test(v),
+        message: "Invalid creator address.",
+      },
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,199 @@
+/**
+ * models/Session.js
+ *
+ * Phase 30 — Sessions
+ *
+ * One signed-in device. POST /api/auth/verify creates a session and hands
+ * the client two opaque tokens:
+ *   - an access token, sent as `Authorization: Bearer` and valid for minutes
+ *   - a refresh token, exchanged at POST /api/auth/refresh for a new pair
+ *
+ * Only SHA-256 hashes of the tokens are stored. Refreshing rotates both; if
+ * a refresh token is presented after it was rotated away, someone else has
+ * a copy and the whole session is revoked.
+ *
+ * Revoked sessions stay around until their refresh token would have
+ * expired, then MongoDB's TTL monitor removes them.
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const { createHash, randomBytes } = require("crypto");
+const { ACCESS_TOKEN_TTL_MS, REFRESH_TOKEN_TTL_MS } = require("../config/env");
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** SHA-256 of a token — the lookup key, so a DB leak exposes no sessions. */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/** A fresh access/refresh pair: raw tokens for the client, hashes to store. */
+function generateTokens() {
+  const accessToken = randomBytes(32).toString("base64url");
+  const refreshToken = randomBytes(32).toString("base64url");
+  const accessExpiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MS);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  return {
+    tokens: { accessToken, accessTokenExpiresAt: accessExpiresAt, refreshToken, refreshTokenExpiresAt: expiresAt },
+    fields: {
+      accessTokenHash: hashToken(accessToken),
+      accessExpiresAt,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt,
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+const sessionSchema = new mongoose.Schema(
+  {
+    /** Checksummed address of the signed-in wallet. */
+    address: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    accessTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    accessExpiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    /** The refresh token this one replaced — presenting it again means reuse. */
+    previousRefreshTokenHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    /** Refresh token expiry — the session ends here unless refreshed. */
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    /** What the device reported at sign-in, for the sessions list. */
+    userAgent: {
+      type: String,
+      default: null,
+    },
+
+    ip: {
+      type: String,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.accessTokenHash;
+        delete ret.refreshTokenHash;
+        delete ret.previousRefreshTokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ---------------------------------------------------------------------------
+// Instance methods
+// ---------------------------------------------------------------------------
+
+/** Not revoked and the refresh token hasn't run out. */
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+/**
+ * Swap `refreshToken` for a new token pair. Conditional on it still being
+ * current, so two concurrent refreshes can't both succeed.
+ * Returns the new tokens, or null when the token was already rotated.
+ */
+sessionSchema.methods.rotate = async function (refreshToken) {
+  const { tokens, fields } = generateTokens();
+  const oldHash = hashToken(refreshToken);
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: oldHash, revokedAt: null },
+    { $set: { ...fields, previousRefreshTokenHash: oldHash, lastUsedAt: new Date() } },
+    { new: true }
+  );
+  return updated ? tokens : null;
+};
+
+/** Sign this device out. */
+sessionSchema.methods.revoke = function () {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// ---------------------------------------------------------------------------
+// Static methods
+// ---------------------------------------------------------------------------
+
+/**
+ * issue({ address, userAgent, ip })
+ *
+ * Creates a session and returns { session, tokens }. The tokens are not stored.
+ */
+sessionSchema.statics.issue = async function ({ address, userAgent, ip }) {
+  const { tokens, fields } = generateTokens();
+  const session = await this.create({
+    address,
+    ...fields,
+    userAgent: userAgent ? userAgent.slice(0, 512) : null,
+    ip: ip ?? null,
+  });
+  return { session, tokens };
+};
+
+/** Look a session up by its raw access token. */
+sessionSchema.statics.findByAccessToken = function (token) {
+  return this.findOne({ accessTokenHash: hashToken(token) });
+};
+
+/**
+ * Look a session up by a raw refresh token — current or just rotated away.
+ * Returns { session, reused }; reused is true for a superseded token.
+ */
+sessionSchema.statics.findByRefreshToken = async function (token) {
+  const hash = hashToken(token);
+  const session = await this.findOne({ refreshTokenHash: hash });
+  if (session) return { session, reused: false };
+  const stale = await this.findOne({ previousRefreshTokenHash: hash });
+  return { session: stale, reused: !!stale };
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,169 @@
+/**
+ * models/ShareLink.js
+ *
+ * Phase 27 — Share Links
+ *
+ * A revocable, expiring token that lets someone without a wallet fetch a
+ * document through GET /s/:token. Only a SHA-256 of the token is stored —
+ * the token itself is returned once, when the link is created.
+ *
+ * For encrypted documents the server only ever streams ciphertext; the
+ * owner's browser puts the content key in the link's #fragment, which is
+ * never sent to the server.
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const { createHash, randomBytes, scrypt, timingSafeEqual } = require("crypto");
+const { promisify } = require("util");
+
+const scryptAsync = promisify(scrypt);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** SHA-256 of a link token — the lookup key, so a DB leak exposes no links. */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/** "scrypt$<salt>$<key>" for a link password. */
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, 32);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+const shareLinkSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+      index: true,
+    },
+
+    /** Checksummed address of the owner who created the link. */
+    owner: {
+      type: String,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    /** Null when the link has no password. Never returned by default. */
+    passwordHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    passwordProtected: {
+      type: Boolean,
+      default: false,
+    },
+
+    /** Null = unlimited. */
+    maxViews: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lastAccessedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      // Hashes are stripped even when explicitly selected
+      transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// ---------------------------------------------------------------------------
+// Instance methods
+// ---------------------------------------------------------------------------
+
+/** Whether `password` matches. Requires passwordHash to be selected. */
+shareLinkSchema.methods.checkPassword = async function (password) {
+  if (!this.passwordHash) return true;
+  if (typeof password !== "string" || password.length === 0) return false;
+  const [, saltHex, keyHex] = this.passwordHash.split("$");
+  const expected = Buffer.from(keyHex, "hex");
+  const actual = await scryptAsync(password, Buffer.from(saltHex, "hex"), expected.length);
+  return timingSafeEqual(expected, actual);
+};
+
+// ---------------------------------------------------------------------------
+// Static methods
+// ---------------------------------------------------------------------------
+
+/**
+ * issue({ document, owner, expiresAt, password, maxViews })
+ *
+ * Creates a link and returns { link, token }. The token is not stored.
+ */
+shareLinkSchema.statics.issue = async function ({ document, owner, expiresAt, password, maxViews }) {
+  const token = randomBytes(32).toString("base64url");
+  const link = await this.create({
+    tokenHash: hashToken(token),
+    document,
+    owner,
+    expiresAt,
+    passwordHash: password ? await hashPassword(password) : null,
+    passwordProtected: !!password,
+    maxViews: maxViews ?? null,
+  });
+  return { link, token };
+};
+
+/** Look a link up by its raw token, password hash included. */
+shareLinkSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) }).select("+passwordHash");
+};
+
+/**
+ * revokeForDocument(documentId)
+ *
+ * Revokes every link still open on a document — called when ownership moves,
+ * since a link speaks for the owner who issued it.
+ */
+shareLinkSchema.statics.revokeForDocument = function (documentId) {
+  return this.updateMany({ document: documentId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+module.exports = mongoose.model("ShareLink", shareLinkSchema);
@@ -0,0 +1,39 @@
+/**
+ * models/SyncState.js
+ *
+ * Phase 17 — Chain Event Indexer
+ *
+ * Persisted cursor for background chain followers. One document per
+ * follower (`key`), recording the last block whose events have been fully
+ * applied to the index. Survives restarts so the indexer resumes where it
+ * stopped instead of re-scanning from the deployment block.
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+
+const syncStateSchema = new mongoose.Schema(
+  {
+    /** Follower name, e.g. "document-registry". */
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    /** Last block whose events have been applied (inclusive). */
+    lastBlock: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // updatedAt = time of the last committed batch
+    versionKey: false,
+    collection: "sync_state",
+  }
+);
+
+module.exports = mongoose.model("SyncState", syncStateSchema);
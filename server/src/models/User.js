@@ -8,9 +8,10 @@
  * Identity model: wallet address IS the user — no email or password.
  * A random nonce is stored per user. Each authentication cycle:
  *   1. Client requests a nonce   → POST /api/auth/nonce
- *   2. Client signs the nonce    → MetaMask
+ *   2. Client signs a SIWE message carrying the nonce → MetaMask
  *   3. Client submits signature  → POST /api/auth/verify
  *   4. Server rotates nonce      → prevents replay attacks
+ *   5. Server opens a Session    → access + refresh tokens (Phase 30)
  */
 
 "use strict";
@@ -59,19 +60,23 @@ const userSchema = new mongoose.Schema(
       default: generateNonce,
     },
 
-    /**
-     * The last successfully verified signature.
-     * Stored here so requireAuth can verify by equality — not by nonce recomputation.
-     * Cleared when the nonce is rotated.
-     */
-    sessionSignature: {
-      type: String,
+    lastSeen: {
+      type: Date,
       default: null,
     },
 
-    lastSeen: {
-      type: Date,
+    /**
+     * Compressed secp256k1 public key (0x02/0x03-prefixed, 33 bytes) derived
+     * client-side from a wallet signature. Owners wrap document content keys
+     * for this key when sharing; the matching private key never leaves the browser.
+     */
+    encryptionPublicKey: {
+      type: String,
       default: null,
+      validate: {
+        validator: (v) => v === null || /^0x0[23][0-9a-fA-F]{64}$/.test(v),
+        message: "Invalid encryption public key.",
+      },
     },
   },
   {
@@ -82,12 +87,18 @@ const userSchema = new mongoose.Schema(
 
 userSchema.index({ address: 1 });
 
-/** Rotate the nonce after successful verify, and store the active session signature. */
-userSchema.methods.rotateNonce = async function (newSignature) {
-  this.nonce = generateNonce();
-  this.lastSeen = new Date();
-  if (newSignature !== undefined) this.sessionSignature = newSignature;
-  await this.save();
+/**
+ * Spend `nonce` after a successful verify by rotating it. Conditional on the
+ * nonce still being current, so two concurrent sign-ins with one message
+ * can't both succeed.
+ * Returns the updated user, or null when the nonce was already used.
+ */
+userSchema.methods.consumeNonce = function (nonce) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, nonce },
+    { $set: { nonce: generateNonce(), lastSeen: new Date() } },
+    { new: true }
+  );
 };
 
 // ---------------------------------------------------------------------------
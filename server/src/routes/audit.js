@@ -4,13 +4,21 @@
  * Phase 8 — Audit Trails
  * 
  * Exposes the activity history for the authenticated user.
+ *
+ * Phase 26: organization admins can also read the trail of every document
+ * filed under their organization.
+ *
+ * Phase 32: readable with an `audits:read` API key. Entries made with a key
+ * name it in `apiKey`.
  */
 
 "use strict";
 
 const express = require("express");
 const Audit = require("../models/Audit");
-const { requireAuth } = require("../middleware/auth");
+const Document = require("../models/Document");
+const OrgMembership = require("../models/OrgMembership");
+const { requireScope } = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -19,7 +27,7 @@ const router = express.Router();
  * 
  * Returns the last 50 audit entries for the connected wallet.
  */
-router.get("/my", requireAuth, async (req, res) => {
+router.get("/my", requireScope("audits:read"), async (req, res) => {
   try {
     const audits = await Audit.find({ walletAddress: req.walletAddress })
       .sort({ createdAt: -1 })
@@ -39,4 +47,45 @@ router.get("/my", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/audits/org/:id
+ *
+ * Returns the last 100 audit entries for the organization (admins only):
+ * organization events (invitations, role changes, filing) plus every
+ * wallet's activity on documents currently filed under it.
+ */
+router.get("/org/:id", requireScope("audits:read"), async (req, res) => {
+  try {
+    const membership = await OrgMembership.findActive(req.params.id, req.walletAddress);
+    if (!membership) {
+      return res.status(404).json({ success: false, error: "Organization not found." });
+    }
+    if (membership.role !== "admin") {
+      return res.status(403).json({ success: false, error: "Only organization admins can view its audit trail." });
+    }
+
+    const documentIds = await Document.find({ organization: membership.organization }).distinct("_id");
+    const audits = await Audit.find({
+      $or: [
+        { documentId: { $in: documentIds } },
+        { "metadata.organizationId": String(membership.organization) },
+      ],
+    })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate("documentId", "name");
+
+    res.json({
+      success: true,
+      audits,
+    });
+  } catch (err) {
+    console.error("[audit-route] org fetch error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch organization activity log",
+    });
+  }
+});
+
 module.exports = router;
@@ -1,17 +1,28 @@
 /**
  * routes/auth.js
  *
- * Phase 4 — Backend Core
+ * Phase 4 — Backend Core (Sign-In with Ethereum since Phase 29, sessions since
+ * Phase 30, smart-contract wallets since Phase 31)
  *
- * Wallet-based authentication flow:
+ * Wallet-based authentication flow (EIP-4361):
  *
  *   POST /api/auth/nonce   { address }
  *     → Upsert user, return a fresh nonce for signing.
- *     The client uses this nonce to build and sign the challenge message.
+ *     The client builds a SIWE message around it (shared buildSiweMessage)
+ *     and signs it with personal_sign.
  *
- *   POST /api/auth/verify  { address, signature }
- *     → Verify the signature against the stored nonce.
- *     On success: rotate nonce + update lastSeen, return success.
+ *   POST /api/auth/verify  { message, signature }
+ *     → Check the message's domain, URI, chain ID, validity window and
+ *       nonce, then the signature — ECDSA for ordinary wallets, EIP-1271
+ *       isValidSignature for contract wallets. On success: rotate nonce +
+ *       update lastSeen, open a Session and return its tokens.
+ *
+ *   POST /api/auth/refresh { refreshToken }
+ *     → Rotate the session's tokens. Reusing an old refresh token revokes
+ *       the session.
+ *
+ *   POST /api/auth/logout  (Authorization: Bearer)
+ *     → Revoke the caller's session.
  *
  * Rate limiting is applied at the route level to mitigate brute-force.
  */
@@ -21,8 +32,12 @@
 const { Router } = require("express");
 const { ethers } = require("ethers");
 const rateLimit = require("express-rate-limit");
+const { parseSiweMessage } = require("shared");
 const User = require("../models/User");
-const { buildChallenge } = require("../middleware/auth");
+const Session = require("../models/Session");
+const { NODE_ENV } = require("../config/env");
+const { requireAuth, checkSiweMessage } = require("../middleware/auth");
+const blockchainService = require("../services/blockchainService");
 
 const router = Router();
 
@@ -35,6 +50,8 @@ const authLimiter = rateLimit({
   max: 30,
   standardHeaders: true,
   legacyHeaders: false,
+  // The server test suite signs in from one address far more often than this
+  skip: () => NODE_ENV === "test",
   message: {
     success: false,
     error: "Too many requests. Please wait a moment and try again.",
@@ -54,11 +71,11 @@ router.use(authLimiter);
  *
  * Behaviour:
  *   - If the user does not yet exist, it is created.
- *   - A fresh nonce is returned each time this endpoint is called
+ *   - The current nonce is returned each time this endpoint is called
  *     (existing nonce is NOT rotated on nonce request — rotation happens on verify).
  *
- * Response: { success, address, nonce, message }
- *   where `message` is the exact string the client should sign.
+ * Response: { success, address, nonce }
+ *   The client signs a SIWE message with `Nonce: <nonce>`.
  */
 router.post("/nonce", async (req, res, next) => {
   try {
@@ -85,13 +102,10 @@ router.post("/nonce", async (req, res, next) => {
     // Upsert user (findOrCreate is defined on the model)
     const user = await User.findOrCreate(address);
 
-    const challenge = buildChallenge(address, user.nonce);
-
     return res.json({
       success: true,
       address,
       nonce: user.nonce,
-      message: challenge, // client signs exactly this string
     });
   } catch (err) {
     next(err);
@@ -103,40 +117,57 @@ router.post("/nonce", async (req, res, next) => {
 // ---------------------------------------------------------------------------
 
 /**
- * Verify a wallet signature and complete authentication.
+ * Verify a signed SIWE message and complete authentication.
  *
- * Body: { address: string, signature: string }
+ * Body: { message: string, signature: string }
  *
  * Behaviour:
- *   - Recovers the signer from the signature + nonce challenge.
- *   - If signer matches address → rotates nonce, updates lastSeen.
- *   - Nonce rotation means each signature can only be used once.
+ *   - Parses the message and checks it is bound to this site and a
+ *     supported chain, and is inside its validity window.
+ *   - Its nonce must be the wallet's current one, and the signature must
+ *     recover to the address the message names — or, when that address is
+ *     a contract wallet (Safe, smart account), the wallet's EIP-1271
+ *     isValidSignature must accept it. Contract wallets are checked on the
+ *     chain this server reads, so the message must name that chain.
+ *   - On success the nonce rotates, so each message signs in only once,
+ *     and a new session is opened for this device.
  *
- * Response: { success, address, authenticatedAt }
+ * Response: { success, address, authenticatedAt, sessionId,
+ *             accessToken, accessTokenExpiresAt,
+ *             refreshToken, refreshTokenExpiresAt }
  */
 router.post("/verify", async (req, res, next) => {
   try {
-    const { address: rawAddress, signature } = req.body;
+    const { message, signature } = req.body;
 
-    if (!rawAddress || !signature) {
+    if (!message || !signature) {
       return res.status(400).json({
         success: false,
-        error: "address and signature are required.",
+        error: "message and signature are required.",
       });
     }
 
-    // Validate address format
-    let address;
+    let fields;
     try {
-      address = ethers.getAddress(rawAddress);
-    } catch {
+      fields = parseSiweMessage(message);
+    } catch (err) {
       return res.status(400).json({
         success: false,
-        error: "Invalid Ethereum address.",
+        error: `Malformed sign-in message: ${err.message}.`,
       });
     }
 
-    // Load the user's current nonce
+    // EIP-4361 requires the EIP-55 checksummed form
+    if (!ethers.isAddress(fields.address) || ethers.getAddress(fields.address) !== fields.address) {
+      return res.status(400).json({
+        success: false,
+        error: "Sign-in message address must be checksummed.",
+      });
+    }
+    const address = fields.address;
+
+    checkSiweMessage(fields);
+
     const user = await User.findOne({ address });
     if (!user) {
       return res.status(404).json({
@@ -144,40 +175,147 @@ router.post("/verify", async (req, res, next) => {
         error: "Address not registered. Call POST /api/auth/nonce first.",
       });
     }
+    if (fields.nonce !== user.nonce) {
+      return res.status(401).json({
+        success: false,
+        error: "Sign-in message was already used or is out of date. Please sign in again.",
+      });
+    }
 
-    // Reconstruct the challenge and verify
-    const challenge = buildChallenge(address, user.nonce);
-    let recovered;
+    // Contract wallet signatures need not be 65-byte ECDSA, so a failed
+    // recovery falls through to the EIP-1271 check rather than a 401
+    let recovered = null;
     try {
-      recovered = ethers.verifyMessage(challenge, signature);
+      recovered = ethers.verifyMessage(message, signature);
     } catch {
+      // Not an ECDSA signature
+    }
+
+    if (recovered !== address) {
+      const valid = await blockchainService.isValidContractSignature(
+        address, ethers.hashMessage(message), signature, fields.chainId
+      );
+      if (!valid) {
+        return res.status(401).json({
+          success: false,
+          error: "Signature does not match the provided address.",
+        });
+      }
+    }
+
+    // Authentication successful — spend the nonce. Null means a concurrent
+    // verify got there first.
+    const updated = await user.consumeNonce(fields.nonce);
+    if (!updated) {
       return res.status(401).json({
         success: false,
-        error: "Malformed signature.",
+        error: "Sign-in message was already used. Please sign in again.",
       });
     }
 
-    if (recovered.toLowerCase() !== address.toLowerCase()) {
+    const { session, tokens } = await Session.issue({
+      address,
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
+
+    console.log(`[auth] Verified: ${address} at ${new Date().toISOString()}`);
+
+    return res.json({
+      success: true,
+      address,
+      authenticatedAt: updated.lastSeen,
+      sessionId: session._id,
+      ...tokens,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/auth/refresh
+// ---------------------------------------------------------------------------
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ *
+ * Body: { refreshToken: string }
+ *
+ * Behaviour:
+ *   - Both tokens rotate; the old refresh token stops working.
+ *   - Presenting a refresh token that was already rotated means it was
+ *     copied, so the session is revoked and both holders must sign in again.
+ *
+ * Response: { success, address, sessionId, accessToken, accessTokenExpiresAt,
+ *             refreshToken, refreshTokenExpiresAt }
+ */
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: "refreshToken is required.",
+      });
+    }
+
+    const { session, reused } = await Session.findByRefreshToken(refreshToken);
+    if (!session || !session.isActive()) {
       return res.status(401).json({
         success: false,
-        error: "Signature does not match the provided address.",
+        error: "Session has ended. Please sign in again.",
       });
     }
 
-    // Authentication successful — store the session signature and rotate nonce
-    // Passing signature saves it as user.sessionSignature for future requireAuth checks
-    await user.rotateNonce(signature);
+    if (reused) {
+      await session.revoke();
+      console.warn(`[auth] Refresh token reused for session ${session._id} (${session.address}) — revoked`);
+      return res.status(401).json({
+        success: false,
+        error: "Session has ended. Please sign in again.",
+      });
+    }
 
-    console.log(`[auth] Verified: ${address} at ${new Date().toISOString()}`);
+    // Null means a concurrent refresh with the same token got there first
+    const tokens = await session.rotate(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        error: "Refresh token was already used. Please sign in again.",
+      });
+    }
 
     return res.json({
       success: true,
-      address,
-      authenticatedAt: user.lastSeen,
+      address: session.address,
+      sessionId: session._id,
+      ...tokens,
     });
   } catch (err) {
     next(err);
   }
 });
 
+// ---------------------------------------------------------------------------
+// POST /api/auth/logout
+// ---------------------------------------------------------------------------
+
+/**
+ * Sign this device out: the session's access and refresh tokens stop
+ * working immediately. Other devices stay signed in.
+ *
+ * Response: { success }
+ */
+router.post("/logout", requireAuth, async (req, res, next) => {
+  try {
+    await req.authSession.revoke();
+    console.log(`[auth] Logged out: ${req.walletAddress} (session ${req.authSession._id})`);
+    return res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -5,10 +5,13 @@
  *
  * Rules:
  *   1. Server NEVER calls the smart contract (write ops only).
- *   2. Server pins file to IPFS, computes keccak256 metadata hash,
- *      and returns { cid, documentHash } to the client.
- *   3. The CLIENT wallet signs and sends registerDocument() on-chain.
+ *   2. Server stores the file under its IPFS CID, computes keccak256 metadata hash
+ *      (shared computeDocumentHash), and returns { cid, documentHash }.
+ *   3. The CLIENT recomputes both and, if they match, signs and sends
+ *      registerDocument() on-chain.
  *   4. MongoDB is an index only — blockchain is source of truth.
+ *   5. Files arrive already encrypted by the client. The server stores the
+ *      per-reader wrapped content keys but can never unwrap them.
  */
 
 "use strict";
@@ -16,11 +19,16 @@
 const { Router }  = require("express");
 const multer      = require("multer");
 const { ethers }  = require("ethers");
-const { requireAuth } = require("../middleware/auth");
+const { ROLES, computeDocumentHash } = require("shared");
+const { requireAuth, requireScope } = require("../middleware/auth");
 const ipfsService     = require("../services/ipfsService");
 const Document        = require("../models/Document");
+const Group           = require("../models/Group");
+const ShareLink       = require("../models/ShareLink");
+const User            = require("../models/User");
 const auditService    = require("../services/auditService");
 const blockchainService = require("../services/blockchainService");
+const contentService  = require("../services/contentService");
 
 const router = Router();
 
@@ -29,45 +37,145 @@ const upload = multer({
   limits:  { fileSize: 10 * 1024 * 1024 }, // 10 MB
 });
 
+// IPFS CIDs (base58 v0, base32 v1) and the storage dev mode's mock-cid-<ms>
+const CID_PATTERN = /^[A-Za-z0-9-]{1,128}$/;
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
 /**
- * computeDocumentHash
+ * canRead
  *
- * Replicates the on-chain semantics:
- *   keccak256(abi.encodePacked(owner, cid, name, mimeType, timestamp))
+ * Owner, or any wallet the DocumentRegistry contract says has access.
+ * Fails closed — blockchainService.hasAccess returns false on RPC errors.
+ */
+async function canRead(document, walletAddress) {
+  if (document.owner.toLowerCase() === walletAddress.toLowerCase()) return true;
+  return blockchainService.hasAccess(walletAddress, document.documentHash);
+}
+
+/**
+ * canEdit
  *
- * The returned bytes32 hex string becomes the primary key on the contract.
+ * Owner, or any wallet holding an unexpired Editor grant on-chain — the same
+ * check DocumentRegistry.updateDocument enforces. Fails closed.
+ */
+async function canEdit(document, walletAddress) {
+  if (document.owner.toLowerCase() === walletAddress.toLowerCase()) return true;
+  const role = await blockchainService.getRole(walletAddress, document.documentHash);
+  return role >= ROLES.EDITOR;
+}
+
+/**
+ * streamDocument
+ *
+ * Shared handler body for the /content routes: streams `cid` and records a
+ * FILE_DOWNLOAD audit entry once per download (not per range chunk).
+ */
+async function streamDocument(req, res, document, { cid, version }) {
+  const sent = await contentService.sendContent(req, res, {
+    cid,
+    name:      document.name,
+    mimeType:  document.mimeType,
+    encrypted: document.encrypted,
+  });
+
+  if (sent && sent.start === 0 && req.method === "GET") {
+    auditService.log(req.walletAddress, "FILE_DOWNLOAD", document._id, {
+      name: document.name, cid, version,
+    }, req.apiKey);
+  }
+}
+
+/**
+ * findReceiptEvent
  *
- * @param {string} owner     - checksummed wallet address
- * @param {string} cid       - IPFS Content Identifier
- * @param {string} name      - original filename
- * @param {string} mimeType  - MIME type of the file
- * @param {number} timestamp - Unix seconds (Math.floor(Date.now() / 1000))
- * @returns {string} 0x-prefixed bytes32 hex string
+ * Fetches the receipt for `txHash` and returns the first `eventName` log
+ * emitted for `document` — same documentHash and owner — for which
+ * `matches(args)` also holds. Throws a status-carrying error otherwise, so
+ * the index can only ever record what the chain actually recorded.
  */
-function computeDocumentHash(owner, cid, name, mimeType, timestamp) {
-  return ethers.solidityPackedKeccak256(
-    ["address", "string", "string", "string", "uint256"],
-    [owner, cid, name, mimeType, timestamp]
+async function findReceiptEvent(txHash, eventName, document, matches) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash ?? "")) {
+    const err = new Error("A valid txHash is required.");
+    err.status = 400;
+    throw err;
+  }
+
+  const events = await blockchainService.getTransactionEvents(txHash);
+  if (!events) {
+    const err = new Error("Transaction receipt not found — it may not be mined yet.");
+    err.status = 409;
+    throw err;
+  }
+
+  const event = events.find(
+    (e) =>
+      e.name === eventName &&
+      e.args.documentHash.toLowerCase() === document.documentHash.toLowerCase() &&
+      e.args.owner.toLowerCase() === document.owner.toLowerCase() &&
+      matches(e.args)
   );
+  if (!event) {
+    const err = new Error(`Transaction did not emit a matching ${eventName} event.`);
+    err.status = 400;
+    throw err;
+  }
+  return event;
+}
+
+/**
+ * parseWrappedKey
+ *
+ * Validates a wrapped content key payload ({ ephemeralPublicKey, iv, wrappedKey }).
+ * Accepts either an object or a JSON string (multipart form fields are strings).
+ *
+ * @returns {object|null} the normalised entry, or null when invalid
+ */
+function parseWrappedKey(raw) {
+  let value = raw;
+  if (typeof raw === "string") {
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (!value || typeof value !== "object") return null;
+
+  const { ephemeralPublicKey, iv, wrappedKey } = value;
+  if (!/^0x0[23][0-9a-fA-F]{64}$/.test(ephemeralPublicKey ?? "")) return null;
+  if (!/^0x[0-9a-fA-F]{24}$/.test(iv ?? "")) return null;
+  if (!/^0x[0-9a-fA-F]{96}$/.test(wrappedKey ?? "")) return null; // 32-byte key + 16-byte tag
+
+  return { ephemeralPublicKey, iv, wrappedKey };
 }
 
 // ---------------------------------------------------------------------------
 // POST /api/documents/upload  — Pin to IPFS, compute hash, return to client
 // ---------------------------------------------------------------------------
 
-router.post("/upload", requireAuth, upload.single("file"), async (req, res, next) => {
+router.post("/upload", requireScope("documents:write"), upload.single("file"), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, error: "No file uploaded." });
     }
 
-    // Step 1 — Pin to IPFS
+    // Owner's wrapped content key — the file must arrive encrypted, so an
+    // upload without one is plaintext and is refused
+    const ownerKey = parseWrappedKey(req.body.wrappedKey);
+    if (!ownerKey) {
+      return res.status(400).json({
+        success: false,
+        error: req.body.wrappedKey ? "Invalid wrappedKey." : "wrappedKey required — encrypt the file before uploading.",
+      });
+    }
+
+    // Step 1 — Store and pin the ciphertext; a backend that
+    // can't take it fails the upload rather than anchoring a made-up CID
     const cid = await ipfsService.addFile(req.file.buffer);
-    console.log(`[docs] IPFS pin complete: ${cid}`);
+    console.log(`[docs] Stored: ${cid}`);
 
     // Step 2 — Build metadata + compute integrity hash
     const timestamp = Math.floor(Date.now() / 1000);
@@ -90,17 +198,24 @@ router.post("/upload", requireAuth, upload.single("file"), async (req, res, next
       currentVersion: 1,
       versions: [{ version: 1, ipfsHash: cid, size: req.file.size }],
       registeredOnChain: false, // client will flip this after tx confirms
+      encrypted:   true,
+      wrappedKeys: [{ recipient: owner, ...ownerKey }],
     });
 
-    // Step 4 — Return {cid, documentHash} to client — NO contract call here
+    // Step 4 — Return {cid, documentHash} to client — NO contract call here.
+    // The hash inputs go back too, so the client can recompute it before signing.
     res.status(201).json({
       success: true,
       cid,
       documentHash,
       documentId: document._id, // MongoDB id for polling / confirming
+      owner,
+      name,
+      mimeType,
+      timestamp,
     });
 
-    auditService.log(owner, "FILE_UPLOAD", document._id, { name, cid, documentHash });
+    auditService.log(owner, "FILE_UPLOAD", document._id, { name, cid, documentHash }, req.apiKey);
 
   } catch (err) {
     next(err);
@@ -109,10 +224,10 @@ router.post("/upload", requireAuth, upload.single("file"), async (req, res, next
 
 // ---------------------------------------------------------------------------
 // POST /api/documents/:id/confirm  — Client calls after on-chain tx confirms
-// Mark document as registered on-chain (index update only).
+// Verifies the receipt, then marks the document registered (index update only).
 // ---------------------------------------------------------------------------
 
-router.post("/:id/confirm", requireAuth, async (req, res, next) => {
+router.post("/:id/confirm", requireScope("documents:write"), async (req, res, next) => {
   try {
     const document = await Document.findById(req.params.id);
     if (!document) {
@@ -122,8 +237,13 @@ router.post("/:id/confirm", requireAuth, async (req, res, next) => {
       return res.status(403).json({ success: false, error: "Forbidden." });
     }
 
+    // The receipt must register exactly this hash, owner and initial CID
+    const initialCid = document.versions.find((v) => v.version === 1)?.ipfsHash ?? document.ipfsHash;
+    const event = await findReceiptEvent(req.body.txHash, "DocumentRegistered", document,
+      (args) => args.cid === initialCid);
+
     document.registeredOnChain = true;
-    document.txHash = req.body.txHash || null;
+    document.txHash = event.txHash;
     await document.save();
 
     res.json({ success: true });
@@ -135,9 +255,10 @@ router.post("/:id/confirm", requireAuth, async (req, res, next) => {
 // ---------------------------------------------------------------------------
 // POST /api/documents/:id/prepare-version  — Pin new version file, return CID
 // Client will call updateDocument() on-chain with this CID.
+// Open to the owner and to editors (checked on-chain).
 // ---------------------------------------------------------------------------
 
-router.post("/:id/prepare-version", requireAuth, upload.single("file"), async (req, res, next) => {
+router.post("/:id/prepare-version", requireScope("documents:write"), upload.single("file"), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, error: "No file uploaded." });
@@ -147,11 +268,19 @@ router.post("/:id/prepare-version", requireAuth, upload.single("file"), async (r
     if (!document || document.isDeleted) {
       return res.status(404).json({ success: false, error: "Document not found." });
     }
-    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
-      return res.status(403).json({ success: false, error: "Only the owner can update." });
+    if (!(await canEdit(document, req.walletAddress))) {
+      return res.status(403).json({ success: false, error: "Only the owner or an editor can update." });
+    }
+    // New versions reuse the document's content key; a legacy plaintext
+    // document has none, so it can't take encrypted versions
+    if (!document.encrypted) {
+      return res.status(409).json({
+        success: false,
+        error: "Document was uploaded unencrypted. Upload it again to add versions.",
+      });
     }
 
-    // Pin new version to IPFS — return to client, do NOT update DB yet
+    // Store new version — return to client, do NOT update DB yet
     const newCid = await ipfsService.addFile(req.file.buffer);
 
     res.json({
@@ -169,7 +298,7 @@ router.post("/:id/prepare-version", requireAuth, upload.single("file"), async (r
 // POST /api/documents/:id/confirm-version  — Called after on-chain tx confirms
 // ---------------------------------------------------------------------------
 
-router.post("/:id/confirm-version", requireAuth, async (req, res, next) => {
+router.post("/:id/confirm-version", requireScope("documents:write"), async (req, res, next) => {
   try {
     const { newCid, txHash } = req.body;
     if (!newCid) {
@@ -180,20 +309,40 @@ router.post("/:id/confirm-version", requireAuth, async (req, res, next) => {
     if (!document || document.isDeleted) {
       return res.status(404).json({ success: false, error: "Document not found." });
     }
-    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+    if (!(await canEdit(document, req.walletAddress))) {
       return res.status(403).json({ success: false, error: "Forbidden." });
     }
 
-    const newVersion = document.currentVersion + 1;
-    document.ipfsHash        = newCid;
-    document.currentVersion  = newVersion;
-    document.txHash          = txHash || null;
-    document.versions.push({ version: newVersion, ipfsHash: newCid, size: req.body.size || 0 });
+    // The receipt must carry a DocumentUpdated for this document and CID,
+    // signed by the caller; the version number comes from the event, the
+    // size from IPFS.
+    const event = await findReceiptEvent(txHash, "DocumentUpdated", document,
+      (args) => args.newCid === newCid &&
+        args.editor.toLowerCase() === req.walletAddress.toLowerCase());
+    const newVersion = Number(event.args.version);
+    // Dev-mode mock CIDs have no stored object to measure
+    const { size } = newCid.startsWith("mock-") ? { size: 0 } : await ipfsService.statFile(newCid);
+
+    // The indexer may already have applied the same event — only fill in
+    // what it can't know (the size).
+    const existing = document.versions.find((v) => v.version === newVersion);
+    if (existing) {
+      existing.size = size;
+    } else {
+      document.versions.push({ version: newVersion, ipfsHash: newCid, size });
+      document.versions.sort((a, b) => a.version - b.version);
+    }
+    if (newVersion >= document.currentVersion) {
+      document.ipfsHash       = newCid;
+      document.currentVersion = newVersion;
+      document.txHash         = event.txHash;
+      document.size           = size;
+    }
     await document.save();
 
     auditService.log(req.walletAddress, "VERSION_UPDATE", document._id, {
-      newCid, version: newVersion,
-    });
+      newCid, version: newVersion, owner: document.owner,
+    }, req.apiKey);
 
     res.json({ success: true, document });
   } catch (err) {
@@ -205,7 +354,7 @@ router.post("/:id/confirm-version", requireAuth, async (req, res, next) => {
 // GET /api/documents/my  — List owner's documents (index only)
 // ---------------------------------------------------------------------------
 
-router.get("/my", requireAuth, async (req, res, next) => {
+router.get("/my", requireScope("documents:read"), async (req, res, next) => {
   try {
     const { search, sort } = req.query;
     const query = { owner: req.walletAddress, isDeleted: false };
@@ -218,11 +367,378 @@ router.get("/my", requireAuth, async (req, res, next) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /api/documents/shared  — Documents other wallets have shared with me
+// The index nominates them — the caller on a document's accessList, or a
+// group it belongs to on its groupAccessList — and the chain decides which
+// grants still hold (blockchainService.getGrants), so a grant shows once the
+// indexer has seen it and stops showing as soon as it lapses on-chain. Each
+// document carries the caller's `role` and `accessExpiresAt` (null = never),
+// and `group` ({ groupId, name }) when that role comes from a group grant.
+// ---------------------------------------------------------------------------
+
+router.get("/shared", requireScope("documents:read"), async (req, res, next) => {
+  try {
+    const { search, sort } = req.query;
+    const groups = await Group.find({ members: req.walletAddress, disbandedAt: null })
+      .select("groupId name")
+      .lean();
+    const groupNames = new Map(groups.map((g) => [g.groupId, g.name]));
+
+    const query = {
+      $or: [
+        { accessList: req.walletAddress },
+        { groupAccessList: { $in: [...groupNames.keys()] } },
+      ],
+      owner: { $ne: req.walletAddress },
+      isDeleted: false,
+    };
+    if (search) query.name = { $regex: search, $options: "i" };
+    const sortOrder = sort === "name" ? { name: 1 } : { createdAt: -1 };
+    const candidates = await Document.find(query).sort(sortOrder);
+
+    const grants = await blockchainService.getGrants(req.walletAddress, candidates.map((doc) => ({
+      documentHash: doc.documentHash,
+      groupIds: doc.groupAccessList.filter((groupId) => groupNames.has(groupId)),
+    })));
+    const byHash = new Map(grants.map((g) => [g.documentHash, g]));
+
+    const documents = candidates
+      .filter((doc) => byHash.has(doc.documentHash))
+      .map((doc) => {
+        const grant = byHash.get(doc.documentHash);
+        return {
+          ...doc.toObject(),
+          role: grant.role,
+          accessExpiresAt: grant.expiresAt,
+          group: grant.groupId ? { groupId: grant.groupId, name: groupNames.get(grant.groupId) } : null,
+        };
+      });
+    res.json({ success: true, documents });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/documents/trash  — Owner's soft-deleted documents (not yet purged)
+// ---------------------------------------------------------------------------
+
+router.get("/trash", requireScope("documents:read"), async (req, res, next) => {
+  try {
+    const { search, sort } = req.query;
+    const query = { owner: req.walletAddress, isDeleted: true, purgedAt: null };
+    if (search) query.name = { $regex: search, $options: "i" };
+    const sortOrder = sort === "name" ? { name: 1 } : { deletedAt: -1 };
+    const documents = await Document.find(query).sort(sortOrder);
+    res.json({ success: true, documents });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/documents/transfers/incoming  — Ownership offers awaiting the caller
+// ---------------------------------------------------------------------------
+
+router.get("/transfers/incoming", requireScope("documents:read"), async (req, res, next) => {
+  try {
+    const documents = await Document.find({
+      pendingOwner: req.walletAddress,
+      isDeleted: false,
+    }).sort({ updatedAt: -1 });
+    res.json({ success: true, documents });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/documents/keys/pending  — Group members waiting for the caller's keys
+// Only a document's owner can wrap its content key, so a member added to a
+// group after an owner shared an encrypted document with it can't decrypt
+// until that owner's client wraps the key for them. Lists, per encrypted
+// document of the caller's, the members of the groups it is shared with who
+// have published an encryption key but hold no wrapped key yet.
+// Response: { pending: [{ documentId, name, recipients: [address] }] }
+// ---------------------------------------------------------------------------
+
+router.get("/keys/pending", requireAuth, async (req, res, next) => {
+  try {
+    const documents = await Document.find({
+      owner: req.walletAddress,
+      encrypted: true,
+      isDeleted: false,
+      "groupAccessList.0": { $exists: true },
+    }).select("+wrappedKeys");
+
+    const groups = await Group.find({
+      groupId: { $in: [...new Set(documents.flatMap((d) => d.groupAccessList))] },
+      disbandedAt: null,
+    }).select("groupId members").lean();
+    const membersOf = new Map(groups.map((g) => [g.groupId, g.members]));
+
+    const members = [...new Set(groups.flatMap((g) => g.members))];
+    const withKeys = new Set(
+      (await User.find({ address: { $in: members }, encryptionPublicKey: { $ne: null } }).select("address").lean())
+        .map((u) => u.address)
+    );
+
+    const pending = documents
+      .map((doc) => {
+        const holders = new Set(doc.wrappedKeys.map((k) => k.recipient.toLowerCase()));
+        const recipients = [...new Set(doc.groupAccessList.flatMap((id) => membersOf.get(id) ?? []))].filter(
+          (member) => withKeys.has(member) && member !== doc.owner && !holders.has(member.toLowerCase())
+        );
+        return { documentId: doc._id, name: doc.name, recipients };
+      })
+      .filter((entry) => entry.recipients.length > 0);
+
+    res.json({ success: true, pending });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/documents/:id/keys/me  — Caller's wrapped content key
+// ---------------------------------------------------------------------------
+
+router.get("/:id/keys/me", requireScope("documents:read"), async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id).select("+wrappedKeys");
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+
+    if (!(await canRead(document, req.walletAddress))) {
+      return res.status(403).json({ success: false, error: "Access denied." });
+    }
+
+    const entry = document.wrappedKeys.find(
+      (k) => k.recipient.toLowerCase() === req.walletAddress.toLowerCase()
+    );
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "No decryption key has been shared with this wallet yet.",
+      });
+    }
+
+    res.json({
+      success: true,
+      key: {
+        ephemeralPublicKey: entry.ephemeralPublicKey,
+        iv:                 entry.iv,
+        wrappedKey:         entry.wrappedKey,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// PUT /api/documents/:id/keys/:address  — Owner stores a grantee's wrapped key
+// Only accepted once the grantee holds on-chain access, or has been offered
+// ownership (so it can decrypt as soon as it accepts).
+// ---------------------------------------------------------------------------
+
+router.put("/:id/keys/:address", requireAuth, async (req, res, next) => {
+  try {
+    let recipient;
+    try {
+      recipient = ethers.getAddress(req.params.address);
+    } catch {
+      return res.status(400).json({ success: false, error: "Invalid Ethereum address." });
+    }
+
+    const entry = parseWrappedKey(req.body);
+    if (!entry) {
+      return res.status(400).json({ success: false, error: "Invalid wrapped key." });
+    }
+
+    const document = await Document.findById(req.params.id).select("+wrappedKeys");
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const authorized =
+      (await blockchainService.hasAccess(recipient, document.documentHash)) ||
+      (await blockchainService.getPendingOwner(document.documentHash)) === recipient;
+    if (!authorized) {
+      return res.status(409).json({
+        success: false,
+        error: "Recipient has no on-chain access. Grant access before sharing the key.",
+      });
+    }
+
+    document.setWrappedKey(recipient, entry);
+    await document.save();
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /api/documents/:id/keys/:address  — Owner removes a grantee's key
+// Note: a revoked reader may still hold a previously unwrapped key; content
+// pinned before the revocation should be considered disclosed to them.
+// ---------------------------------------------------------------------------
+
+router.delete("/:id/keys/:address", requireAuth, async (req, res, next) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ success: false, error: "Invalid Ethereum address." });
+    }
+
+    const document = await Document.findById(req.params.id).select("+wrappedKeys");
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+    if (req.params.address.toLowerCase() === document.owner.toLowerCase()) {
+      return res.status(400).json({ success: false, error: "Cannot remove the owner's key." });
+    }
+
+    document.wrappedKeys = document.wrappedKeys.filter(
+      (k) => k.recipient.toLowerCase() !== req.params.address.toLowerCase()
+    );
+    await document.save();
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Share links (Phase 27) — wallet-less access through GET /s/:token
+// ---------------------------------------------------------------------------
+
+const MAX_LINK_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+const MAX_LINK_VIEWS = 1000;
+
+/**
+ * POST /api/documents/:id/links  — Owner creates a share link
+ * Body: { expiresAt (unix seconds, ≤ 30 days ahead), password?, maxViews? }
+ * The raw token is returned once; only its hash is stored.
+ */
+router.post("/:id/links", requireAuth, async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const expiresAt = Number(req.body.expiresAt);
+    if (!Number.isInteger(expiresAt) || expiresAt <= now || expiresAt > now + MAX_LINK_LIFETIME_SECONDS) {
+      return res.status(400).json({ success: false, error: "expiresAt must be a unix time within the next 30 days." });
+    }
+
+    const { password } = req.body;
+    if (password !== undefined && password !== null && (typeof password !== "string" || password.length < 4 || password.length > 128)) {
+      return res.status(400).json({ success: false, error: "Password must be 4–128 characters." });
+    }
+
+    const maxViews = req.body.maxViews ?? null;
+    if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_LINK_VIEWS)) {
+      return res.status(400).json({ success: false, error: `maxViews must be between 1 and ${MAX_LINK_VIEWS}.` });
+    }
+
+    const { link, token } = await ShareLink.issue({
+      document: document._id,
+      owner: req.walletAddress,
+      expiresAt: new Date(expiresAt * 1000),
+      password: password || null,
+      maxViews,
+    });
+
+    auditService.log(req.walletAddress, "LINK_CREATE", document._id, {
+      name: document.name,
+      linkId: String(link._id),
+      expiresAt,
+      maxViews,
+      passwordProtected: link.passwordProtected,
+    });
+
+    res.status(201).json({ success: true, link, token });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/documents/:id/links  — Owner lists the links still in force
+ * (not revoked, not expired). Exhausted links are included so the owner can
+ * see their view counts.
+ */
+router.get("/:id/links", requireAuth, async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const links = await ShareLink.find({
+      document: document._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+    res.json({ success: true, links });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** DELETE /api/documents/:id/links/:linkId  — Owner revokes a link */
+router.delete("/:id/links/:linkId", requireAuth, async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const link = await ShareLink.findOne({ _id: req.params.linkId, document: document._id });
+    if (!link) {
+      return res.status(404).json({ success: false, error: "Link not found." });
+    }
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+      auditService.log(req.walletAddress, "LINK_REVOKE", document._id, {
+        name: document.name, linkId: String(link._id), viewCount: link.viewCount,
+      });
+    }
+
+    res.json({ success: true, link });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---------------------------------------------------------------------------
 // GET /api/documents/:id/versions  — Version history
 // ---------------------------------------------------------------------------
 
-router.get("/:id/versions", requireAuth, async (req, res, next) => {
+router.get("/:id/versions", requireScope("documents:read"), async (req, res, next) => {
   try {
     const document = await Document.findById(req.params.id);
     if (!document || document.isDeleted) {
@@ -252,11 +768,315 @@ router.get("/:id/versions", requireAuth, async (req, res, next) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /api/documents/:id/versions/:v/content  — Stream a specific version
+// ---------------------------------------------------------------------------
+
+router.get("/:id/versions/:v/content", requireScope("documents:read"), async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (!(await canRead(document, req.walletAddress))) {
+      return res.status(403).json({ success: false, error: "Access denied." });
+    }
+
+    const version = parseInt(req.params.v, 10);
+    const entry = document.versions.find((v) => v.version === version);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: "Version not found." });
+    }
+
+    await streamDocument(req, res, document, { cid: entry.ipfsHash, version });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/documents/:id/content  — Stream the latest version (Range-aware)
+// ---------------------------------------------------------------------------
+
+router.get("/:id/content", requireScope("documents:read"), async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (!(await canRead(document, req.walletAddress))) {
+      return res.status(403).json({ success: false, error: "Access denied." });
+    }
+
+    await streamDocument(req, res, document, {
+      cid:     document.ipfsHash,
+      version: document.currentVersion,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/documents/:id/integrity  — Record a client-side integrity check
+// The reader recomputed the CID of the bytes it was served and compared it
+// with the CID the registry holds for that version. The server only logs
+// the outcome; `verified` is derived here, not taken from the client.
+// ---------------------------------------------------------------------------
+
+router.post("/:id/integrity", requireScope("documents:read"), async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (!(await canRead(document, req.walletAddress))) {
+      return res.status(403).json({ success: false, error: "Access denied." });
+    }
+
+    const { version, expectedCid, computedCid } = req.body;
+    if (!document.versions.some((v) => v.version === version)) {
+      return res.status(404).json({ success: false, error: "Version not found." });
+    }
+    if (!CID_PATTERN.test(expectedCid ?? "") || !CID_PATTERN.test(computedCid ?? "")) {
+      return res.status(400).json({ success: false, error: "expectedCid and computedCid are required." });
+    }
+
+    const verified = computedCid === expectedCid;
+    auditService.log(req.walletAddress, "INTEGRITY_CHECK", document._id, {
+      name: document.name,
+      version,
+      cid: expectedCid,
+      ...(verified ? {} : { computedCid }),
+      verified,
+    }, req.apiKey);
+
+    res.json({ success: true, verified });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /api/documents/:id  — Move to trash (soft delete, restorable)
+// Nothing changes on-chain. Every read route treats a trashed document as not
+// found, so grantees lose access through the server until it is restored.
+// ---------------------------------------------------------------------------
+
+router.delete("/:id", requireScope("documents:write"), async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Only the owner can delete." });
+    }
+
+    document.isDeleted = true;
+    document.deletedAt = new Date();
+    await document.save();
+
+    auditService.log(req.walletAddress, "DELETE", document._id, {
+      name: document.name, stage: "trash",
+    }, req.apiKey);
+
+    res.json({ success: true, document });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/documents/:id/restore  — Bring a trashed document back
+// ---------------------------------------------------------------------------
+
+router.post("/:id/restore", requireScope("documents:write"), async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document || !document.isDeleted || document.purgedAt) {
+      return res.status(404).json({ success: false, error: "Document not found in trash." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    document.isDeleted = false;
+    document.deletedAt = null;
+    await document.save();
+
+    auditService.log(req.walletAddress, "RESTORE", document._id, { name: document.name }, req.apiKey);
+
+    res.json({ success: true, document });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/documents/:id/purge  — Permanently delete a trashed document
+// Registered documents must first be archived on-chain by the owner's wallet
+// (archiveDocument); the receipt is verified before every version CID is
+// unpinned from IPFS. Irreversible.
+// ---------------------------------------------------------------------------
+
+router.post("/:id/purge", requireScope("documents:write"), async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id).select("+wrappedKeys");
+    if (!document || !document.isDeleted || document.purgedAt) {
+      return res.status(404).json({ success: false, error: "Document not found in trash." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    // Step 1 — Retire on-chain first (unless the indexer already saw it)
+    if (document.registeredOnChain && !document.archivedOnChain) {
+      await findReceiptEvent(req.body.txHash, "DocumentArchived", document, () => true);
+      document.archivedOnChain = true;
+      await document.save(); // a failed unpin below can be retried without a new tx
+    }
+
+    // Step 2 — Unpin every version; dev-mode mock CIDs were never stored.
+    // Identical bytes share a CID, so one still listed by another live
+    // document stays pinned.
+    const cids = [];
+    for (const cid of new Set(document.versions.map((v) => v.ipfsHash))) {
+      if (cid.startsWith("mock-")) continue;
+      const shared = await Document.exists({
+        _id: { $ne: document._id },
+        purgedAt: null,
+        "versions.ipfsHash": cid,
+      });
+      if (shared) continue;
+      await ipfsService.unpinFile(cid);
+      cids.push(cid);
+    }
+
+    // Step 3 — Drop the wrapped keys; nothing left to decrypt
+    document.wrappedKeys = [];
+    document.purgedAt = new Date();
+    await document.save();
+
+    auditService.log(req.walletAddress, "DELETE", document._id, {
+      name: document.name, stage: "purge", unpinned: cids,
+    }, req.apiKey);
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Ownership transfer — two steps, both signed on-chain by the client:
+//   1. owner:     offerOwnership()   → POST /:id/transfer/offer   (or /cancel)
+//   2. recipient: acceptOwnership()  → POST /:id/transfer/accept
+// Each route verifies the receipt before touching the index; the indexer
+// applies the same events independently.
+// ---------------------------------------------------------------------------
+
+router.post("/:id/transfer/offer", requireAuth, async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Only the owner can transfer." });
+    }
+
+    const event = await findReceiptEvent(req.body.txHash, "OwnershipTransferOffered", document, () => true);
+    document.pendingOwner = event.args.newOwner;
+    await document.save();
+
+    auditService.log(req.walletAddress, "OWNERSHIP_OFFER", document._id, {
+      name: document.name, recipient: event.args.newOwner, txHash: event.txHash,
+    });
+
+    res.json({ success: true, document });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/:id/transfer/cancel", requireAuth, async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id).select("+wrappedKeys");
+    if (!document) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const event = await findReceiptEvent(req.body.txHash, "OwnershipTransferCancelled", document, () => true);
+    const recipient = event.args.newOwner;
+    if (document.pendingOwner === recipient) document.pendingOwner = null;
+
+    // The key wrapped for the offer is no longer needed unless the recipient
+    // also holds a grant
+    if (!(await blockchainService.hasAccess(recipient, document.documentHash))) {
+      document.wrappedKeys = document.wrappedKeys.filter(
+        (k) => k.recipient.toLowerCase() !== recipient.toLowerCase()
+      );
+    }
+    await document.save();
+
+    auditService.log(req.walletAddress, "OWNERSHIP_OFFER_CANCEL", document._id, {
+      name: document.name, recipient, txHash: event.txHash,
+    });
+
+    res.json({ success: true, document });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/:id/transfer/accept", requireAuth, async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+
+    // The indexer may already have applied the transfer — nothing left to do
+    if (document.owner.toLowerCase() === req.walletAddress.toLowerCase()) {
+      return res.json({ success: true, document });
+    }
+    if (document.pendingOwner?.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "No ownership offer for this wallet." });
+    }
+
+    // The receipt must move this document from its current owner to the caller
+    const event = await findReceiptEvent(req.body.txHash, "OwnershipTransferred", document,
+      (args) => args.newOwner.toLowerCase() === req.walletAddress.toLowerCase());
+    const previousOwner = document.owner;
+
+    document.owner        = event.args.newOwner;
+    document.pendingOwner = null;
+    document.accessList   = document.accessList.filter(
+      (a) => a.toLowerCase() !== event.args.newOwner.toLowerCase()
+    );
+    await document.save();
+    await ShareLink.revokeForDocument(document._id); // issued by the previous owner
+
+    // Audited for both parties, so it shows in each activity log
+    const metadata = { name: document.name, from: previousOwner, to: document.owner, txHash: event.txHash };
+    auditService.log(previousOwner, "OWNERSHIP_TRANSFER", document._id, metadata);
+    auditService.log(document.owner, "OWNERSHIP_TRANSFER", document._id, metadata);
+
+    res.json({ success: true, document });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---------------------------------------------------------------------------
 // GET /api/documents/:id  — Single document (access-checked)
 // ---------------------------------------------------------------------------
 
-router.get("/:id", requireAuth, async (req, res, next) => {
+router.get("/:id", requireScope("documents:read"), async (req, res, next) => {
   try {
     const document = await Document.findById(req.params.id);
     if (!document || document.isDeleted) {
@@ -275,7 +1095,7 @@ router.get("/:id", requireAuth, async (req, res, next) => {
     }
 
     res.json({ success: true, document });
-    auditService.log(req.walletAddress, "FILE_VIEW", document._id, { name: document.name });
+    auditService.log(req.walletAddress, "FILE_VIEW", document._id, { name: document.name }, req.apiKey);
   } catch (err) {
     next(err);
   }
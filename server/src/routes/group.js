@@ -0,0 +1,311 @@
+/**
+ * routes/group.js
+ *
+ * Phase 25 — Groups
+ *
+ * Named sets of wallets ("Legal", "Finance") that documents can be shared
+ * with as a whole. Same lifecycle rules as documents:
+ *   1. POST /api/groups computes the bytes32 groupId and stores the name.
+ *   2. The CLIENT wallet signs createGroup / addGroupMembers /
+ *      removeGroupMembers / disbandGroup on DocumentRegistry.
+ *   3. The matching /confirm route verifies the receipt before touching the
+ *      index; the indexer applies the same events independently.
+ *
+ * Membership is resolved on-chain at access time, so a wallet added to a
+ * group can open every document shared with it straight away.
+ */
+
+"use strict";
+
+const { Router } = require("express");
+const { ethers } = require("ethers");
+const { requireAuth } = require("../middleware/auth");
+const Group = require("../models/Group");
+const Document = require("../models/Document");
+const auditService = require("../services/auditService");
+const blockchainService = require("../services/blockchainService");
+
+const router = Router();
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * computeGroupId
+ *
+ * keccak256(abi.encodePacked(owner, name, timestamp)) — the group's
+ * bytes32 identifier on DocumentRegistry, mirroring shared computeDocumentHash.
+ */
+function computeGroupId(owner, name, timestamp) {
+  return ethers.solidityPackedKeccak256(
+    ["address", "string", "uint256"],
+    [owner, name, timestamp]
+  );
+}
+
+/** Validate and trim a group name. Returns null when invalid. */
+function parseName(raw) {
+  const name = typeof raw === "string" ? raw.trim() : "";
+  return name.length > 0 && name.length <= 100 ? name : null;
+}
+
+const isOwner = (group, walletAddress) =>
+  group.owner.toLowerCase() === walletAddress.toLowerCase();
+
+const isMember = (group, walletAddress) =>
+  group.members.some((m) => m.toLowerCase() === walletAddress.toLowerCase());
+
+/**
+ * findGroupEvents
+ *
+ * Fetches the receipt for `txHash` and returns every log named in
+ * `eventNames` emitted for `group` (same groupId and owner). Throws a
+ * status-carrying error when there is none, so the index only ever records
+ * what the chain recorded.
+ */
+async function findGroupEvents(txHash, eventNames, group) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash ?? "")) {
+    const err = new Error("A valid txHash is required.");
+    err.status = 400;
+    throw err;
+  }
+
+  const events = await blockchainService.getTransactionEvents(txHash);
+  if (!events) {
+    const err = new Error("Transaction receipt not found — it may not be mined yet.");
+    err.status = 409;
+    throw err;
+  }
+
+  const matching = events.filter(
+    (e) =>
+      eventNames.includes(e.name) &&
+      e.args.groupId.toLowerCase() === group.groupId.toLowerCase() &&
+      e.args.owner.toLowerCase() === group.owner.toLowerCase()
+  );
+  if (matching.length === 0) {
+    const err = new Error(`Transaction did not emit a matching ${eventNames.join(" / ")} event.`);
+    err.status = 400;
+    throw err;
+  }
+  return matching;
+}
+
+/** Apply GroupMemberAdded / GroupMemberRemoved logs to the index entry. */
+function applyMemberEvents(group, events) {
+  for (const e of events) {
+    const member = e.args.member;
+    const others = group.members.filter((m) => m.toLowerCase() !== member.toLowerCase());
+    group.members = e.name === "GroupMemberAdded" ? [...others, member] : others;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// GET /api/groups  — Groups the caller owns or belongs to
+// ---------------------------------------------------------------------------
+
+router.get("/", requireAuth, async (req, res, next) => {
+  try {
+    const groups = await Group.find({
+      $or: [{ owner: req.walletAddress }, { members: req.walletAddress }],
+      disbandedAt: null,
+    }).sort({ name: 1 });
+    res.json({ success: true, groups });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/groups  — Create the index entry and return the groupId to sign
+// Body: { name }. The client then signs createGroup(groupId, members).
+// ---------------------------------------------------------------------------
+
+router.post("/", requireAuth, async (req, res, next) => {
+  try {
+    const name = parseName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ success: false, error: "Group name must be 1–100 characters." });
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const group = await Group.create({
+      groupId: computeGroupId(req.walletAddress, name, timestamp),
+      name,
+      owner: req.walletAddress,
+    });
+
+    auditService.log(req.walletAddress, "GROUP_CREATE", null, { groupId: group.groupId, name });
+
+    res.status(201).json({ success: true, group });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/groups/:id/confirm  — Verify the createGroup receipt
+// ---------------------------------------------------------------------------
+
+router.post("/:id/confirm", requireAuth, async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ success: false, error: "Group not found." });
+    }
+    if (!isOwner(group, req.walletAddress)) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const events = await findGroupEvents(req.body.txHash, ["GroupCreated", "GroupMemberAdded"], group);
+    const created = events.find((e) => e.name === "GroupCreated");
+    if (!created) {
+      return res.status(400).json({ success: false, error: "Transaction did not create this group." });
+    }
+
+    group.registeredOnChain = true;
+    group.txHash = created.txHash;
+    applyMemberEvents(group, events);
+    await group.save();
+
+    res.json({ success: true, group });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/groups/:id/confirm-members  — Verify an add / remove receipt
+// ---------------------------------------------------------------------------
+
+router.post("/:id/confirm-members", requireAuth, async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group || group.disbandedAt) {
+      return res.status(404).json({ success: false, error: "Group not found." });
+    }
+    if (!isOwner(group, req.walletAddress)) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const events = await findGroupEvents(req.body.txHash, ["GroupMemberAdded", "GroupMemberRemoved"], group);
+    applyMemberEvents(group, events);
+    await group.save();
+
+    res.json({ success: true, group });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/groups/:id  — Owner or member
+// ---------------------------------------------------------------------------
+
+router.get("/:id", requireAuth, async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group || group.disbandedAt) {
+      return res.status(404).json({ success: false, error: "Group not found." });
+    }
+    if (!isOwner(group, req.walletAddress) && !isMember(group, req.walletAddress)) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+    res.json({ success: true, group });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/groups/:id/documents  — Documents currently shared with the group
+// ---------------------------------------------------------------------------
+
+router.get("/:id/documents", requireAuth, async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group || group.disbandedAt) {
+      return res.status(404).json({ success: false, error: "Group not found." });
+    }
+    if (!isOwner(group, req.walletAddress) && !isMember(group, req.walletAddress)) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const documents = await Document.find({ groupAccessList: group.groupId, isDeleted: false })
+      .select("name owner documentHash mimeType encrypted createdAt")
+      .sort({ name: 1 });
+    res.json({ success: true, documents });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// PATCH /api/groups/:id  — Rename (off-chain only, no transaction)
+// ---------------------------------------------------------------------------
+
+router.patch("/:id", requireAuth, async (req, res, next) => {
+  try {
+    const name = parseName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ success: false, error: "Group name must be 1–100 characters." });
+    }
+
+    const group = await Group.findById(req.params.id);
+    if (!group || group.disbandedAt) {
+      return res.status(404).json({ success: false, error: "Group not found." });
+    }
+    if (!isOwner(group, req.walletAddress)) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const previousName = group.name;
+    group.name = name;
+    await group.save();
+
+    auditService.log(req.walletAddress, "GROUP_UPDATE", null, { groupId: group.groupId, name, previousName });
+
+    res.json({ success: true, group });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /api/groups/:id  — Disband
+// Body: { txHash } of disbandGroup(). A group that never made it on-chain
+// is simply removed from the index.
+// ---------------------------------------------------------------------------
+
+router.delete("/:id", requireAuth, async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group || group.disbandedAt) {
+      return res.status(404).json({ success: false, error: "Group not found." });
+    }
+    if (!isOwner(group, req.walletAddress)) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    let txHash = null;
+    if (!group.registeredOnChain) {
+      await group.deleteOne();
+    } else {
+      const [event] = await findGroupEvents(req.body?.txHash, ["GroupDisbanded"], group);
+      txHash = event.txHash;
+      group.disbandedAt = new Date();
+      await group.save();
+    }
+
+    auditService.log(req.walletAddress, "GROUP_DELETE", null, {
+      groupId: group.groupId, name: group.name, txHash,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -12,7 +12,9 @@
  *
  * Returns 200 always (even when DB is down) so load balancers
  * don't prematurely remove the instance. The `db` field exposes
- * the actual state for alerting.
+ * the actual state for alerting; `indexer.lag` is the number of blocks
+ * the chain-event indexer is behind the head; `storage` names the
+ * storage backend in use.
  */
 
 "use strict";
@@ -20,6 +22,8 @@
 const { Router } = require("express");
 const { getState } = require("../config/db");
 const { NODE_ENV } = require("../config/env");
+const indexerService = require("../services/indexerService");
+const ipfsService = require("../services/ipfsService");
 
 const router = Router();
 
@@ -31,6 +35,8 @@ router.get("/", (req, res) => {
     version: "0.4.0", // bumped each phase
     environment: NODE_ENV,
     db: getState(),
+    indexer: indexerService.getStatus(),
+    storage: ipfsService.getStatus(),
     uptime: Math.floor(process.uptime()),   // seconds since Node started
     timestamp: new Date().toISOString(),
   });
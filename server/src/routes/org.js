@@ -0,0 +1,378 @@
+/**
+ * routes/org.js
+ *
+ * Phase 26 — Organizations
+ *
+ * Shared workspaces on top of personal wallets:
+ *   - any wallet can create an organization and becomes its first admin
+ *   - admins invite wallets by address; the invitee accepts to join
+ *   - members file documents they own under the organization, so the whole
+ *     team finds them in one list
+ *   - admins see the organization's audit trail (GET /api/audits/org/:id)
+ *
+ * Organizations are an index-level concept. Reading a document still
+ * requires an on-chain grant — share with a group to give the whole team
+ * access.
+ */
+
+"use strict";
+
+const { Router } = require("express");
+const { ethers } = require("ethers");
+const { requireAuth } = require("../middleware/auth");
+const Organization = require("../models/Organization");
+const OrgMembership = require("../models/OrgMembership");
+const Document = require("../models/Document");
+const auditService = require("../services/auditService");
+
+const router = Router();
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Validate and trim an organization name. Returns null when invalid. */
+function parseName(raw) {
+  const name = typeof raw === "string" ? raw.trim() : "";
+  return name.length > 0 && name.length <= 100 ? name : null;
+}
+
+/** Checksum an address from the request, or null when it is not one. */
+function parseAddress(raw) {
+  try {
+    return ethers.getAddress(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * loadMembership
+ *
+ * Resolves the organization and the caller's active membership. Throws a
+ * status-carrying error — 404 for non-members (an organization's existence
+ * is not disclosed to outsiders) and 403 when `admin` is required.
+ */
+async function loadMembership(req, { admin = false } = {}) {
+  const membership = await OrgMembership.findActive(req.params.id, req.walletAddress);
+  const organization = membership && (await Organization.findById(req.params.id));
+  if (!organization) {
+    const err = new Error("Organization not found.");
+    err.status = 404;
+    throw err;
+  }
+  if (admin && membership.role !== "admin") {
+    const err = new Error("Only organization admins can do this.");
+    err.status = 403;
+    throw err;
+  }
+  return { organization, membership };
+}
+
+/** Refuse to leave an organization without an active admin. */
+async function ensureAnotherAdmin(organizationId, membership) {
+  if (membership.role !== "admin" || membership.status !== "active") return;
+  const admins = await OrgMembership.countDocuments({
+    organization: organizationId, role: "admin", status: "active",
+  });
+  if (admins <= 1) {
+    const err = new Error("An organization needs at least one admin. Promote another member first.");
+    err.status = 409;
+    throw err;
+  }
+}
+
+const auditMetadata = (organization, extra = {}) => ({
+  organizationId: String(organization._id),
+  organizationName: organization.name,
+  ...extra,
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/orgs  — Organizations the caller belongs to or is invited to
+// Each entry carries the caller's `role` and `status` ("active" | "invited").
+// ---------------------------------------------------------------------------
+
+router.get("/", requireAuth, async (req, res, next) => {
+  try {
+    const memberships = await OrgMembership.find({ address: req.walletAddress })
+      .populate("organization");
+
+    const organizations = memberships
+      .filter((m) => m.organization)
+      .map((m) => ({
+        ...m.organization.toObject(),
+        role: m.role,
+        status: m.status,
+        invitedBy: m.invitedBy,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({ success: true, organizations });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/orgs  — Create an organization; the caller becomes its admin
+// ---------------------------------------------------------------------------
+
+router.post("/", requireAuth, async (req, res, next) => {
+  try {
+    const name = parseName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ success: false, error: "Organization name must be 1–100 characters." });
+    }
+
+    const organization = await Organization.create({ name, createdBy: req.walletAddress });
+    await OrgMembership.create({
+      organization: organization._id,
+      address: req.walletAddress,
+      role: "admin",
+      status: "active",
+      invitedBy: req.walletAddress,
+      joinedAt: new Date(),
+    });
+
+    auditService.log(req.walletAddress, "ORG_CREATE", null, auditMetadata(organization));
+
+    res.status(201).json({ success: true, organization: { ...organization.toObject(), role: "admin", status: "active" } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/orgs/:id  — Organization and its members (active members only)
+// Admins also see pending invitations.
+// ---------------------------------------------------------------------------
+
+router.get("/:id", requireAuth, async (req, res, next) => {
+  try {
+    const { organization, membership } = await loadMembership(req);
+
+    const query = { organization: organization._id };
+    if (membership.role !== "admin") query.status = "active";
+    const members = await OrgMembership.find(query).sort({ role: 1, address: 1 });
+
+    res.json({ success: true, organization, role: membership.role, members });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/orgs/:id/invitations  — Invite a wallet (admin)
+// Body: { address, role? = "member" }
+// ---------------------------------------------------------------------------
+
+router.post("/:id/invitations", requireAuth, async (req, res, next) => {
+  try {
+    const { organization } = await loadMembership(req, { admin: true });
+
+    const address = parseAddress(req.body.address);
+    if (!address) {
+      return res.status(400).json({ success: false, error: "Invalid Ethereum address." });
+    }
+    const role = req.body.role ?? "member";
+    if (!OrgMembership.ORG_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Role must be one of: ${OrgMembership.ORG_ROLES.join(", ")}.` });
+    }
+
+    const existing = await OrgMembership.findOne({ organization: organization._id, address });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: existing.status === "active" ? "Wallet is already a member." : "Wallet has already been invited.",
+      });
+    }
+
+    const invitation = await OrgMembership.create({
+      organization: organization._id,
+      address,
+      role,
+      invitedBy: req.walletAddress,
+    });
+
+    auditService.log(req.walletAddress, "ORG_INVITE", null, auditMetadata(organization, { member: address, role }));
+
+    res.status(201).json({ success: true, invitation });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/orgs/:id/invitations/accept  — Invitee joins
+// ---------------------------------------------------------------------------
+
+router.post("/:id/invitations/accept", requireAuth, async (req, res, next) => {
+  try {
+    const invitation = await OrgMembership.findOne({
+      organization: req.params.id, address: req.walletAddress, status: "invited",
+    }).populate("organization");
+    if (!invitation || !invitation.organization) {
+      return res.status(404).json({ success: false, error: "No invitation for this wallet." });
+    }
+
+    invitation.status = "active";
+    invitation.joinedAt = new Date();
+    await invitation.save();
+
+    auditService.log(req.walletAddress, "ORG_JOIN", null, auditMetadata(invitation.organization, { role: invitation.role }));
+
+    res.json({ success: true, membership: invitation });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// PATCH /api/orgs/:id/members/:address  — Change a member's role (admin)
+// Body: { role }
+// ---------------------------------------------------------------------------
+
+router.patch("/:id/members/:address", requireAuth, async (req, res, next) => {
+  try {
+    const { organization } = await loadMembership(req, { admin: true });
+
+    const { role } = req.body;
+    if (!OrgMembership.ORG_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Role must be one of: ${OrgMembership.ORG_ROLES.join(", ")}.` });
+    }
+
+    const target = await OrgMembership.findOne({
+      organization: organization._id, address: parseAddress(req.params.address),
+    });
+    if (!target) {
+      return res.status(404).json({ success: false, error: "Member not found." });
+    }
+    if (target.role === role) {
+      return res.json({ success: true, member: target });
+    }
+    if (role !== "admin") await ensureAnotherAdmin(organization._id, target);
+
+    const previousRole = target.role;
+    target.role = role;
+    await target.save();
+
+    auditService.log(req.walletAddress, "ORG_ROLE_CHANGE", null,
+      auditMetadata(organization, { member: target.address, role, previousRole }));
+
+    res.json({ success: true, member: target });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /api/orgs/:id/members/:address  — Remove a member (admin), leave
+// (self) or decline / cancel an invitation. The departing wallet's
+// documents are unfiled from the organization.
+// ---------------------------------------------------------------------------
+
+router.delete("/:id/members/:address", requireAuth, async (req, res, next) => {
+  try {
+    const target = await OrgMembership.findOne({
+      organization: req.params.id, address: parseAddress(req.params.address),
+    }).populate("organization");
+    const isSelf = target?.address === req.walletAddress;
+
+    if (!target || !target.organization) {
+      return res.status(404).json({ success: false, error: "Member not found." });
+    }
+    if (!isSelf) await loadMembership(req, { admin: true });
+    await ensureAnotherAdmin(target.organization._id, target);
+
+    await target.deleteOne();
+    const { modifiedCount } = await Document.updateMany(
+      { organization: target.organization._id, owner: target.address },
+      { $set: { organization: null } }
+    );
+
+    auditService.log(req.walletAddress, "ORG_MEMBER_REMOVE", null, auditMetadata(target.organization, {
+      member: target.address, status: target.status, documentsUnfiled: modifiedCount,
+    }));
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/orgs/:id/documents  — Documents filed under the organization
+// ---------------------------------------------------------------------------
+
+router.get("/:id/documents", requireAuth, async (req, res, next) => {
+  try {
+    const { organization } = await loadMembership(req);
+
+    const { search, sort } = req.query;
+    const query = { organization: organization._id, isDeleted: false };
+    if (search) query.name = { $regex: search, $options: "i" };
+    const sortOrder = sort === "name" ? { name: 1 } : { createdAt: -1 };
+    const documents = await Document.find(query).sort(sortOrder);
+    res.json({ success: true, documents });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// PUT /api/orgs/:id/documents/:documentId  — File an owned document (member)
+// ---------------------------------------------------------------------------
+
+router.put("/:id/documents/:documentId", requireAuth, async (req, res, next) => {
+  try {
+    const { organization } = await loadMembership(req);
+
+    const document = await Document.findById(req.params.documentId);
+    if (!document || document.isDeleted) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    if (document.owner.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Only the document owner can file it under an organization." });
+    }
+
+    document.organization = organization._id;
+    await document.save();
+
+    auditService.log(req.walletAddress, "ORG_DOCUMENT_ADD", document._id, auditMetadata(organization));
+
+    res.json({ success: true, document });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /api/orgs/:id/documents/:documentId  — Unfile (owner or admin)
+// ---------------------------------------------------------------------------
+
+router.delete("/:id/documents/:documentId", requireAuth, async (req, res, next) => {
+  try {
+    const { organization, membership } = await loadMembership(req);
+
+    const document = await Document.findById(req.params.documentId);
+    if (!document || String(document.organization) !== String(organization._id)) {
+      return res.status(404).json({ success: false, error: "Document not found in this organization." });
+    }
+    const isOwner = document.owner.toLowerCase() === req.walletAddress.toLowerCase();
+    if (!isOwner && membership.role !== "admin") {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    document.organization = null;
+    await document.save();
+
+    auditService.log(req.walletAddress, "ORG_DOCUMENT_REMOVE", document._id, auditMetadata(organization));
+
+    res.json({ success: true, document });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
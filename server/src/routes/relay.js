@@ -0,0 +1,106 @@
+/**
+ * routes/relay.js
+ *
+ * Phase 28 — Gasless Meta-Transactions
+ *
+ * Lets a wallet register, version and share documents without paying gas:
+ *   1. GET  /api/relay → whether the relayer is on, the EIP-712 domain and
+ *                        the caller's next intent nonce
+ *   2. The CLIENT wallet signs the intent with eth_signTypedData_v4
+ *   3. POST /api/relay → the relayer submits it and returns the txHash once
+ *                        mined; the client reports it to the usual /confirm
+ *                        route, exactly as if it had sent the tx itself
+ *
+ * The relayer only pays for the caller's own intents, and only for documents
+ * in the index, so its key can't be drained by arbitrary signatures.
+ * Scripts can relay with a `documents:write` API key — the intent itself is
+ * still signed by the wallet's private key.
+ */
+
+"use strict";
+
+const { Router } = require("express");
+const rateLimit = require("express-rate-limit");
+const { requireScope } = require("../middleware/auth");
+const Document = require("../models/Document");
+const relayerService = require("../services/relayerService");
+
+const router = Router();
+
+// ---------------------------------------------------------------------------
+// Rate limiter — every relayed intent costs the relayer gas
+// ---------------------------------------------------------------------------
+
+const relayLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: "Too many relayed transactions. Please wait a moment and try again.",
+  },
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/relay  — Relayer status, EIP-712 domain and the caller's nonce
+// ---------------------------------------------------------------------------
+
+router.get("/", requireScope("documents:write"), async (req, res, next) => {
+  try {
+    if (!relayerService.isEnabled()) {
+      return res.json({ success: true, enabled: false });
+    }
+
+    const [domain, nonce] = await Promise.all([
+      relayerService.getDomain(),
+      relayerService.getNonce(req.walletAddress),
+    ]);
+
+    res.json({
+      success: true,
+      enabled: true,
+      relayer: relayerService.getAddress(),
+      domain,
+      nonce,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/relay  — Submit a signed intent
+// Body: { type, message, signature }
+//   type: RegisterDocument | UpdateDocument | GrantAccess | RevokeAccess
+// ---------------------------------------------------------------------------
+
+router.post("/", requireScope("documents:write"), relayLimiter, async (req, res, next) => {
+  try {
+    if (!relayerService.isEnabled()) {
+      return res.status(503).json({ success: false, error: "Gasless transactions are not enabled on this server." });
+    }
+
+    const { type, message, signature } = req.body;
+    const signer = await relayerService.verifyIntent(type, message, signature);
+    if (signer !== req.walletAddress) {
+      return res.status(403).json({ success: false, error: "Only your own signed intents can be relayed." });
+    }
+
+    const document = await Document.findOne({ documentHash: message.documentHash, isDeleted: false });
+    if (!document) {
+      return res.status(404).json({ success: false, error: "Document not found." });
+    }
+    // Only the uploader can register a pinned document
+    if (type === "RegisterDocument" && document.owner.toLowerCase() !== signer.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "Forbidden." });
+    }
+
+    const txHash = await relayerService.submit(type, message, signature);
+    res.json({ success: true, txHash });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
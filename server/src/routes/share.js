@@ -0,0 +1,190 @@
+/**
+ * routes/share.js
+ *
+ * Phase 27 — Share Links
+ *
+ * Public, wallet-less access to a document through a link its owner created
+ * with POST /api/documents/:id/links.
+ *
+ *   GET /s/:token/info  → name, type, size, expiry, views left (no view used)
+ *   GET /s/:token       → streams the current version from IPFS (one view
+ *                         per request, ranged or not)
+ *
+ * Password-protected links take the password in the `x-link-password`
+ * header. Every redemption and every refused password is written to the
+ * owner's audit trail. Encrypted documents are streamed as ciphertext — the
+ * client page decrypts them with the key from the link's #fragment.
+ */
+
+"use strict";
+
+const { Router } = require("express");
+const rateLimit = require("express-rate-limit");
+const ShareLink = require("../models/ShareLink");
+const Document = require("../models/Document");
+const auditService = require("../services/auditService");
+const contentService = require("../services/contentService");
+const { NODE_ENV } = require("../config/env");
+
+const router = Router();
+
+// ---------------------------------------------------------------------------
+// Rate limiter — unauthenticated and guards password attempts
+// ---------------------------------------------------------------------------
+
+const shareLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => NODE_ENV === "test",
+  message: {
+    success: false,
+    error: "Too many requests for shared links. Please wait a moment and try again.",
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const TOKEN_RE = /^[A-Za-z0-9_-]{43}$/; // 32 random bytes, base64url
+
+function fail(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.extra = extra;
+  return err;
+}
+
+/**
+ * resolveLink
+ *
+ * Returns { link, document } for a usable link, or throws a status-carrying
+ * error: 404 unknown / revoked / document gone, 410 expired or out of views,
+ * 401 (with passwordRequired) when the password is missing or wrong.
+ */
+async function resolveLink(req) {
+  const { token } = req.params;
+  const link = TOKEN_RE.test(token) ? await ShareLink.findByToken(token) : null;
+  if (!link || link.revokedAt) throw fail(404, "This link does not exist or has been revoked.");
+  if (link.expiresAt <= new Date()) throw fail(410, "This link has expired.");
+
+  const document = await Document.findById(link.document);
+  if (!document || document.isDeleted) throw fail(404, "This document is no longer available.");
+  // Links from a previous owner lapse with the transfer
+  if (link.owner.toLowerCase() !== document.owner.toLowerCase()) {
+    throw fail(404, "This link does not exist or has been revoked.");
+  }
+
+  const deny = (reason) => auditService.log(link.owner, "LINK_DENIED", document._id, {
+    name: document.name, linkId: String(link._id), reason, ip: req.ip,
+  });
+
+  if (link.passwordProtected) {
+    const password = req.get("x-link-password");
+    if (!password) throw fail(401, "This link is password-protected.", { passwordRequired: true });
+    if (!(await link.checkPassword(password))) {
+      deny("password");
+      throw fail(401, "Incorrect password.", { passwordRequired: true });
+    }
+  }
+
+  if (link.maxViews !== null && link.viewCount >= link.maxViews) {
+    deny("view-limit");
+    throw fail(410, "This link has reached its view limit.");
+  }
+
+  return { link, document };
+}
+
+/** Sends resolveLink failures as the usual { success:false, error } body. */
+function handleError(err, res, next) {
+  if (!err.extra) return next(err);
+  res.status(err.status).json({ success: false, error: err.message, ...err.extra });
+}
+
+// ---------------------------------------------------------------------------
+// GET /s/:token/info  — What the link points to (does not use a view)
+// ---------------------------------------------------------------------------
+
+router.get("/:token/info", shareLimiter, async (req, res, next) => {
+  try {
+    const { link, document } = await resolveLink(req);
+    res.json({
+      success: true,
+      link: {
+        name: document.name,
+        mimeType: document.mimeType,
+        size: document.size,
+        encrypted: document.encrypted,
+        expiresAt: Math.floor(link.expiresAt.getTime() / 1000),
+        viewsRemaining: link.maxViews === null ? null : link.maxViews - link.viewCount,
+      },
+    });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /s/:token  — Stream the document (Range-aware)
+// Every GET that streams bytes uses a view, whatever range it asks for — a
+// range that skips byte 0 still reads the document. HEAD requests and
+// responses without a body (416) don't.
+// ---------------------------------------------------------------------------
+
+router.get("/:token", shareLimiter, async (req, res, next) => {
+  try {
+    const { link, document } = await resolveLink(req);
+
+    const usesView = req.method === "GET";
+
+    let viewCount = link.viewCount;
+    if (usesView) {
+      // Conditional increment, so concurrent requests can't overrun maxViews
+      const now = new Date();
+      const consumed = await ShareLink.findOneAndUpdate(
+        {
+          _id: link._id,
+          revokedAt: null,
+          expiresAt: { $gt: now },
+          $or: [{ maxViews: null }, { $expr: { $lt: ["$viewCount", "$maxViews"] } }],
+        },
+        { $inc: { viewCount: 1 }, $set: { lastAccessedAt: now } },
+        { new: true }
+      );
+      if (!consumed) {
+        return res.status(410).json({ success: false, error: "This link has reached its view limit." });
+      }
+      viewCount = consumed.viewCount;
+    }
+
+    const sent = await contentService.sendContent(req, res, {
+      cid:       document.ipfsHash,
+      name:      document.name,
+      mimeType:  document.mimeType,
+      encrypted: document.encrypted,
+    });
+
+    if (!usesView) return;
+    if (!sent) {
+      // Nothing was streamed — give the view back
+      await ShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: -1 } });
+      return;
+    }
+
+    auditService.log(link.owner, "LINK_REDEEM", document._id, {
+      name: document.name,
+      linkId: String(link._id),
+      viewCount,
+      maxViews: link.maxViews,
+      ip: req.ip,
+      userAgent: req.get("user-agent") ?? null,
+    });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+});
+
+module.exports = router;
@@ -3,17 +3,28 @@
  *
  * Phase 4 — Backend Core
  *
- * Protected user routes.
+ * Protected user routes. Phase 30 adds the signed-in device list, Phase 32
+ * API keys. Both are wallet-session only — an API key can't list sessions
+ * or mint more keys.
  */
 
 "use strict";
 
 const { Router } = require("express");
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const { API_KEY_SCOPES } = require("shared");
 const { requireAuth } = require("../middleware/auth");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const auditService = require("../services/auditService");
 
 const router = Router();
 
+const MAX_API_KEYS = 20;
+const MAX_API_KEY_LIFETIME_SECONDS = 365 * 24 * 60 * 60;
+
 /**
  * GET /api/user/me
  * 
@@ -40,4 +51,211 @@ router.get("/me", requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /api/user/encryption-key
+ *
+ * Publishes the caller's wallet-derived encryption public key so document
+ * owners can wrap content keys for them.
+ *
+ * Body: { publicKey: string }  — compressed secp256k1 key, 0x-prefixed
+ */
+router.put("/encryption-key", requireAuth, async (req, res, next) => {
+  try {
+    const { publicKey } = req.body;
+    if (!publicKey) {
+      return res.status(400).json({ success: false, error: "publicKey is required." });
+    }
+
+    const user = await User.findOne({ address: req.walletAddress });
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found." });
+    }
+
+    user.encryptionPublicKey = publicKey;
+    await user.save();
+
+    res.json({ success: true, publicKey: user.encryptionPublicKey });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/user/sessions
+ *
+ * The caller's signed-in devices, most recently used first. `current` marks
+ * the session making this request.
+ */
+router.get("/sessions", requireAuth, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      address: req.walletAddress,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map((s) => ({
+        ...s.toJSON(),
+        current: s._id.equals(req.authSession._id),
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/user/sessions/:id
+ *
+ * Signs one of the caller's devices out. Revoking the current session is
+ * the same as POST /api/auth/logout.
+ */
+router.delete("/sessions/:id", requireAuth, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid session id." });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, address: req.walletAddress });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ success: false, error: "Session not found." });
+    }
+
+    await session.revoke();
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/user/api-keys
+ *
+ * The caller's API keys that haven't been revoked, newest first — expired
+ * ones included so they can be cleaned up. Never includes the keys themselves.
+ */
+router.get("/api-keys", requireAuth, async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ address: req.walletAddress, revokedAt: null }).sort({ createdAt: -1 });
+    res.json({ success: true, apiKeys });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/user/api-keys
+ *
+ * Creates a key that acts as the caller's wallet within `scopes`.
+ *
+ * Body: { name, scopes: string[], expiresAt?: unix seconds (≤ 1 year ahead) }
+ * The raw key is returned once; only its hash is stored.
+ */
+router.post("/api-keys", requireAuth, async (req, res, next) => {
+  try {
+    const { name, scopes } = req.body;
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ success: false, error: "name is required." });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((s) => s in API_KEY_SCOPES)) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must list one or more of: ${Object.keys(API_KEY_SCOPES).join(", ")}.`,
+      });
+    }
+
+    let expiresAt = null;
+    if (req.body.expiresAt !== undefined && req.body.expiresAt !== null) {
+      const now = Math.floor(Date.now() / 1000);
+      expiresAt = Number(req.body.expiresAt);
+      if (!Number.isInteger(expiresAt) || expiresAt <= now || expiresAt > now + MAX_API_KEY_LIFETIME_SECONDS) {
+        return res.status(400).json({ success: false, error: "expiresAt must be a unix time within the next year." });
+      }
+    }
+
+    const active = await ApiKey.countDocuments({ address: req.walletAddress, revokedAt: null });
+    if (active >= MAX_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        error: `You already have ${MAX_API_KEYS} API keys. Revoke one first.`,
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.issue({
+      address: req.walletAddress,
+      name: name.trim(),
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt * 1000) : null,
+    });
+
+    auditService.log(req.walletAddress, "API_KEY_CREATE", null, {
+      apiKeyId: String(apiKey._id), name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes,
+    });
+
+    res.status(201).json({ success: true, apiKey, key });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/user/api-keys/:id
+ *
+ * Revokes one of the caller's keys; requests made with it fail from now on.
+ */
+router.delete("/api-keys/:id", requireAuth, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid API key id." });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, address: req.walletAddress, revokedAt: null });
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: "API key not found." });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    auditService.log(req.walletAddress, "API_KEY_REVOKE", null, {
+      apiKeyId: String(apiKey._id), name: apiKey.name, prefix: apiKey.prefix,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/user/:address/encryption-key
+ *
+ * Returns another wallet's published encryption public key.
+ * 404 if the wallet has never unlocked encryption on this platform.
+ */
+router.get("/:address/encryption-key", requireAuth, async (req, res, next) => {
+  try {
+    let address;
+    try {
+      address = ethers.getAddress(req.params.address);
+    } catch {
+      return res.status(400).json({ success: false, error: "Invalid Ethereum address." });
+    }
+
+    const user = await User.findOne({ address }).lean();
+    if (!user?.encryptionPublicKey) {
+      return res.status(404).json({
+        success: false,
+        error: "This wallet has not set up an encryption key yet.",
+      });
+    }
+
+    res.json({ success: true, address, publicKey: user.encryptionPublicKey });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,131 @@
+/**
+ * routes/verify.js
+ *
+ * Phase 19 — Public Verification
+ *
+ * POST /api/verify  (multipart, field "file") — no wallet required
+ *
+ * Lets anyone check whether a file is anchored on DocumentRegistry:
+ *   1. Compute the file's IPFS CID exactly as ipfsService.addFile would,
+ *      without pinning it, and its SHA-256.
+ *   2. Find the DocumentRegistered / DocumentUpdated events carrying that
+ *      CID or that plaintext hash among those the chain indexer has recorded
+ *      (ONCHAIN_REGISTER / ONCHAIN_UPDATE audit entries) — an indexed
+ *      lookup, so the cost doesn't grow with the registry and no
+ *      eth_getLogs range is scanned.
+ *   3. Return who registered it, as which version, when and in which tx.
+ *
+ * The CID names the bytes on IPFS — the ciphertext, for an encrypted
+ * document — so the original file is found by its anchored plaintext hash
+ * instead. Versions anchored without one only match as stored on IPFS.
+ *
+ * Events past the indexer's cursor (`indexedThrough`) aren't found yet.
+ * Nothing is stored and no audit entry is written — the caller is anonymous.
+ */
+
+"use strict";
+
+const { Router } = require("express");
+const multer = require("multer");
+const rateLimit = require("express-rate-limit");
+const { ethers } = require("ethers");
+const { computeContentHash } = require("shared");
+const Audit = require("../models/Audit");
+const ipfsService = require("../services/ipfsService");
+const indexerService = require("../services/indexerService");
+const { NODE_ENV } = require("../config/env");
+
+const router = Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: 10 * 1024 * 1024 }, // 10 MB — same cap as uploads
+});
+
+// ---------------------------------------------------------------------------
+// Rate limiter — unauthenticated and hashes whole files, so keep it tight
+// ---------------------------------------------------------------------------
+
+const verifyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => NODE_ENV === "test",
+  message: {
+    success: false,
+    error: "Too many verification requests. Please wait a moment and try again.",
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const ANCHOR_EVENTS = {
+  ONCHAIN_REGISTER: "DocumentRegistered",
+  ONCHAIN_UPDATE:   "DocumentUpdated",
+};
+
+/** Indexed registrations and updates carrying `cid` or `contentHash`, oldest first. */
+async function findAnchors(cid, contentHash) {
+  const entries = await Audit.find({
+    action: { $in: Object.keys(ANCHOR_EVENTS) },
+    $or: [{ ipfsHash: cid }, { "metadata.contentHash": contentHash }],
+  }).sort({ blockNumber: 1, logIndex: 1 });
+
+  return entries.map((entry) => ({
+    event:        ANCHOR_EVENTS[entry.action],
+    documentHash: entry.metadata.documentHash,
+    // Registrations are logged against the owner, updates against the editor
+    owner:        ethers.getAddress(entry.metadata.owner ?? entry.walletAddress),
+    version:      entry.metadata.version ?? 1,
+    cid:          entry.ipfsHash,
+    contentHash:  entry.metadata.contentHash ?? null,
+    matchedBy:    entry.ipfsHash === cid ? "cid" : "contentHash",
+    blockNumber:  entry.blockNumber,
+    timestamp:    Math.floor(entry.createdAt.getTime() / 1000),
+    txHash:       entry.txHash,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// POST /api/verify
+// ---------------------------------------------------------------------------
+
+/**
+ * Response: {
+ *   success, cid, contentHash, verified, indexedThrough,
+ *   matches: [{ event, documentHash, owner, version, cid, contentHash,
+ *               matchedBy, blockNumber, timestamp, txHash }]   // oldest first
+ * }
+ *
+ * `matchedBy` is "cid" when the file is the anchored IPFS content and
+ * "contentHash" when it is the anchored plaintext. `timestamp` is the block
+ * time in Unix seconds; `indexedThrough` the last block the indexer has
+ * applied (null before its first batch).
+ */
+router.post("/", verifyLimiter, upload.single("file"), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: "No file uploaded." });
+    }
+
+    const cid = await ipfsService.computeCid(req.file.buffer);
+    const contentHash = computeContentHash(req.file.buffer);
+    const matches = await findAnchors(cid, contentHash);
+
+    res.json({
+      success: true,
+      cid,
+      contentHash,
+      verified: matches.length > 0,
+      indexedThrough: await indexerService.getIndexedBlock(),
+      matches,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
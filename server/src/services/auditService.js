@@ -19,14 +19,17 @@ const Audit = require("../models/Audit");
  * @param {string} action - The action type (e.g., 'UPLOAD').
  * @param {string|null} documentId - Optional ID of the document involved.
  * @param {object|null} metadata - Additional info (recipient, filename, etc.)
+ * @param {object|null} apiKey - The ApiKey the request was made with (req.apiKey),
+ *                               if not a wallet session.
  */
-async function log(walletAddress, action, documentId = null, metadata = {}) {
+async function log(walletAddress, action, documentId = null, metadata = {}, apiKey = null) {
   try {
     const entry = await Audit.create({
       walletAddress,
       action,
       documentId,
       metadata,
+      apiKey: apiKey ? apiKey.toAuditRef() : undefined,
     });
     console.log(`[audit] Logged action: ${action} for ${walletAddress}`);
     return entry;
@@ -37,4 +40,35 @@ async function log(walletAddress, action, documentId = null, metadata = {}) {
   }
 }
 
-module.exports = { log };
+/**
+ * logChainEvent
+ *
+ * Records an audit entry for an on-chain event. Keyed by (txHash, logIndex,
+ * walletAddress), so replaying the same log is a no-op — and a log that
+ * concerns two wallets (an ownership transfer) can be recorded for each. The entry is timestamped with the
+ * block time rather than the time it was indexed.
+ *
+ * Unlike log() this throws — the indexer must not advance past a failure.
+ *
+ * @param {object} event - { txHash, logIndex, blockNumber } of the source log.
+ * @param {object} entry - { walletAddress, action, documentId, ipfsHash, metadata, timestamp }
+ */
+async function logChainEvent(event, { walletAddress, action, documentId = null, ipfsHash, metadata = {}, timestamp }) {
+  await Audit.updateOne(
+    { txHash: event.txHash, logIndex: event.logIndex, walletAddress },
+    {
+      $setOnInsert: {
+        walletAddress,
+        action,
+        documentId,
+        ipfsHash,
+        metadata,
+        blockNumber: event.blockNumber,
+        createdAt: timestamp,
+      },
+    },
+    { upsert: true, timestamps: false }
+  );
+}
+
+module.exports = { log, logChainEvent };
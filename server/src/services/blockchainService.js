@@ -3,8 +3,12 @@
  *
  * Canonical lifecycle — read-only backend interface to DocumentRegistry.
  *
- * The server NEVER writes to the chain. Only the client wallet does.
- * This service is used solely to verify on-chain access for document reads.
+ * This service never writes to the chain — the client wallet does, or the
+ * relayer (services/relayerService) submits an intent the wallet signed.
+ * This service verifies on-chain access for document reads, checks the
+ * receipts the client reports on /confirm, and exposes the raw registry event
+ * stream consumed by the indexer (services/indexerService). It also checks
+ * EIP-1271 signatures for smart-contract wallets signing in (Phase 31).
  *
  * documentHash is bytes32 — passed as 0x-prefixed hex string from the DB.
  */
@@ -12,25 +16,34 @@
 "use strict";
 
 const { ethers } = require("ethers");
+const { ROLES, getRegistryContract, checkRegistryDeployment } = require("shared");
 
 const BLOCKCHAIN_RPC_URL =
   process.env.BLOCKCHAIN_RPC_URL || "https://rpc-amoy.polygon.technology";
 const CONTRACT_ADDRESS =
   process.env.REGISTRY_CONTRACT_ADDRESS;
+// First block worth scanning for events (the registry's deployment block)
+const REGISTRY_DEPLOY_BLOCK =
+  parseInt(process.env.REGISTRY_DEPLOY_BLOCK ?? "0", 10);
 
-// Minimal read-only ABI — only what the backend needs
-const REGISTRY_ABI = [
-  "function hasAccess(bytes32 documentHash, address user) external view returns (bool)",
-  "function getDocument(bytes32 documentHash) external view returns (address owner, string memory cid, uint256 createdAt, uint256 updatedAt, uint256 versionCount)",
+// EIP-1271 — what a smart-contract wallet answers for a signature it accepts
+const ERC1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) external view returns (bytes4)",
 ];
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
 
 let _provider = null;
 let _contract = null;
+let _chainId = null;
+
+function getProvider() {
+  if (!_provider) _provider = new ethers.JsonRpcProvider(BLOCKCHAIN_RPC_URL);
+  return _provider;
+}
 
 function getContract() {
   if (!_contract) {
-    _provider = new ethers.JsonRpcProvider(BLOCKCHAIN_RPC_URL);
-    _contract = new ethers.Contract(CONTRACT_ADDRESS, REGISTRY_ABI, _provider);
+    _contract = getRegistryContract(CONTRACT_ADDRESS, getProvider());
   }
   return _contract;
 }
@@ -39,7 +52,9 @@ function getContract() {
  * hasAccess
  *
  * Returns true if `walletAddress` is the owner or has been granted access
- * to the document identified by `documentHash` (bytes32 hex string).
+ * to the document identified by `documentHash` (bytes32 hex string), either
+ * directly or through membership of a group the document is shared with —
+ * the contract resolves group membership at call time.
  *
  * Fails closed (returns false) on any RPC error.
  */
@@ -53,4 +68,253 @@ async function hasAccess(walletAddress, documentHash) {
   }
 }
 
-module.exports = { hasAccess };
+/**
+ * getRole
+ *
+ * Effective role of `walletAddress` on the document, as a ROLES value
+ * (shared) — OWNER, an unexpired VIEWER / EDITOR grant, or NONE.
+ *
+ * Fails closed (returns ROLES.NONE) on any RPC error.
+ */
+async function getRole(walletAddress, documentHash) {
+  try {
+    const contract = getContract();
+    return Number(await contract.roleOf(documentHash, walletAddress));
+  } catch (err) {
+    console.error(`[blockchain-service] getRole error: ${err.message}`);
+    return ROLES.NONE; // Fail closed
+  }
+}
+
+/**
+ * getPendingOwner
+ *
+ * Wallet currently offered ownership of the document, or null when there is
+ * no pending offer. Fails closed (returns null) on any RPC error.
+ */
+async function getPendingOwner(documentHash) {
+  try {
+    const contract = getContract();
+    const pending = await contract.pendingOwnerOf(documentHash);
+    return pending === ethers.ZeroAddress ? null : pending;
+  } catch (err) {
+    console.error(`[blockchain-service] getPendingOwner error: ${err.message}`);
+    return null; // Fail closed
+  }
+}
+
+/**
+ * getGrants
+ *
+ * The grants `walletAddress` currently holds on `candidates` — documents the
+ * index lists it (accessList) or one of its groups (groupAccessList) on:
+ *   candidates: [{ documentHash, groupIds }]
+ * and returns them as
+ *   [{ documentHash, role, expiresAt, groupId }]
+ *   expiresAt: unix seconds, null = never; groupId: null for a direct grant
+ *
+ * The index only nominates documents; every grant is read from the registry
+ * (grantOf, groupGrantOf, isGroupMember), so one revoked, expired or lost
+ * with a group membership never shows, however far behind the indexer is.
+ * Where a document is reachable several ways the highest role wins, a direct
+ * grant on a tie — mirroring the contract's roleOf. The cost is a few calls
+ * per candidate rather than a log scan from REGISTRY_DEPLOY_BLOCK.
+ *
+ * Unlike hasAccess this throws on RPC errors (status 502) — an empty list
+ * would be indistinguishable from "nothing shared".
+ */
+async function getGrants(walletAddress, candidates) {
+  try {
+    const contract = getContract();
+    // expiresAt is a bigint; NO_EXPIRY is uint256 max
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    const isLive = (grant) => Number(grant.role) !== ROLES.NONE && grant.expiresAt > now;
+
+    const grants = await Promise.all(candidates.map(async ({ documentHash, groupIds }) => {
+      const [direct, ...viaGroups] = await Promise.all([
+        contract.grantOf(documentHash, walletAddress).then((grant) => ({ grant, groupId: null })),
+        ...groupIds.map(async (groupId) => {
+          const [grant, member] = await Promise.all([
+            contract.groupGrantOf(documentHash, groupId),
+            contract.isGroupMember(groupId, walletAddress),
+          ]);
+          return member ? { grant, groupId } : null;
+        }),
+      ]);
+
+      let best = null;
+      for (const held of [direct, ...viaGroups]) {
+        if (!held || !isLive(held.grant)) continue;
+        if (!best || Number(held.grant.role) > Number(best.grant.role)) best = held;
+      }
+      if (!best) return null;
+
+      return {
+        documentHash,
+        role:      Number(best.grant.role),
+        expiresAt: best.grant.expiresAt === ethers.MaxUint256 ? null : Number(best.grant.expiresAt),
+        groupId:   best.groupId,
+      };
+    }));
+    return grants.filter(Boolean);
+  } catch (err) {
+    console.error(`[blockchain-service] getGrants error: ${err.message}`);
+    const wrapped = new Error("Could not read access grants from the blockchain.");
+    wrapped.status = 502;
+    throw wrapped;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Smart-contract wallets — used by sign-in
+// ---------------------------------------------------------------------------
+
+/** Chain id of the RPC node — cached, since it can't change under a running server. */
+async function getChainId() {
+  if (_chainId === null) {
+    const { chainId } = await getProvider().getNetwork();
+    _chainId = Number(chainId);
+  }
+  return _chainId;
+}
+
+/**
+ * isValidContractSignature
+ *
+ * EIP-1271 check for wallets that are contracts (Safe multisigs, smart
+ * accounts): true when `address` has code and its isValidSignature(hash,
+ * signature) returns the magic value. ECDSA recovery can't verify these —
+ * the signature is whatever the wallet's own scheme says it is.
+ *
+ * `chainId` is the chain the signature was made for; the same address may
+ * be a different contract (or none) elsewhere, so any other chain than the
+ * node's is refused.
+ *
+ * Fails closed (returns false) for EOAs and on any RPC error.
+ */
+async function isValidContractSignature(address, hash, signature, chainId) {
+  try {
+    if (chainId !== (await getChainId())) return false;
+    const provider = getProvider();
+    if ((await provider.getCode(address)) === "0x") return false;
+    const wallet = new ethers.Contract(address, ERC1271_ABI, provider);
+    return (await wallet.isValidSignature(hash, signature)) === ERC1271_MAGIC_VALUE;
+  } catch (err) {
+    console.error(`[blockchain-service] isValidSignature error for ${address}: ${err.message}`);
+    return false; // Fail closed
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Event stream — used by the indexer
+// ---------------------------------------------------------------------------
+
+/** True when a registry address is configured (the indexer is a no-op otherwise). */
+function isConfigured() {
+  return !!CONTRACT_ADDRESS;
+}
+
+/**
+ * Rejects with RegistryDeploymentError when REGISTRY_CONTRACT_ADDRESS holds
+ * no contract or one built from an older ABI. Throws on RPC errors.
+ */
+async function checkDeployment() {
+  await checkRegistryDeployment(CONTRACT_ADDRESS, getProvider());
+}
+
+/** Latest block number known to the RPC node. Throws on RPC errors. */
+async function getBlockNumber() {
+  return getProvider().getBlockNumber();
+}
+
+/** Unix timestamp (seconds) of `blockNumber`. Throws on RPC errors. */
+async function getBlockTimestamp(blockNumber) {
+  const block = await getProvider().getBlock(blockNumber);
+  return block.timestamp;
+}
+
+/**
+ * getRegistryEvents
+ *
+ * Returns every DocumentRegistry event in [fromBlock, toBlock] as plain
+ * objects, in chain order:
+ *   { name, args, blockNumber, logIndex, txHash }
+ *
+ * Throws on RPC errors — the caller decides whether to retry.
+ */
+async function getRegistryEvents(fromBlock, toBlock) {
+  const contract = getContract();
+  const logs = await contract.queryFilter("*", fromBlock, toBlock);
+
+  return logs
+    .filter((log) => log.fragment) // skip logs the ABI can't decode
+    .map((log) => ({
+      name:        log.fragment.name,
+      args:        log.args,
+      blockNumber: log.blockNumber,
+      logIndex:    log.index,
+      txHash:      log.transactionHash,
+    }))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+// ---------------------------------------------------------------------------
+// Receipt verification — used by the /confirm endpoints
+// ---------------------------------------------------------------------------
+
+/**
+ * getTransactionEvents
+ *
+ * Fetches the receipt for `txHash` and decodes the DocumentRegistry logs it
+ * contains, in the same shape as getRegistryEvents().
+ *
+ * Returns null when the node has no receipt (unknown or not yet mined).
+ * Throws status 400 for a reverted transaction and 502 on RPC errors.
+ */
+async function getTransactionEvents(txHash) {
+  let receipt;
+  try {
+    const contract = getContract();
+    receipt = await getProvider().getTransactionReceipt(txHash);
+    if (!receipt) return null;
+
+    const registry = (await contract.getAddress()).toLowerCase();
+    if (receipt.status === 1) {
+      return receipt.logs
+        .filter((log) => log.address.toLowerCase() === registry)
+        .map((log) => ({ log, parsed: contract.interface.parseLog(log) }))
+        .filter(({ parsed }) => parsed)
+        .map(({ log, parsed }) => ({
+          name:        parsed.name,
+          args:        parsed.args,
+          blockNumber: log.blockNumber,
+          logIndex:    log.index,
+          txHash:      log.transactionHash,
+        }));
+    }
+  } catch (err) {
+    console.error(`[blockchain-service] getTransactionEvents error: ${err.message}`);
+    const wrapped = new Error("Could not fetch the transaction receipt.");
+    wrapped.status = 502;
+    throw wrapped;
+  }
+
+  const reverted = new Error("Transaction reverted on-chain.");
+  reverted.status = 400;
+  throw reverted;
+}
+
+module.exports = {
+  REGISTRY_DEPLOY_BLOCK,
+  hasAccess,
+  getRole,
+  getPendingOwner,
+  getGrants,
+  isValidContractSignature,
+  isConfigured,
+  checkDeployment,
+  getBlockNumber,
+  getBlockTimestamp,
+  getRegistryEvents,
+  getTransactionEvents,
+};
@@ -0,0 +1,97 @@
+/**
+ * services/contentService.js
+ *
+ * Phase 15 — Access-Controlled Content Streaming
+ *
+ * Streams pinned IPFS content to an HTTP response:
+ *   - Content-Type / Content-Disposition from the document index
+ *   - Single-range HTTP Range requests (206 / 416) for PDFs and media
+ *   - Bytes are read from the configured storage backend, never a public gateway
+ *
+ * Callers are responsible for the access check — this module only streams.
+ */
+
+"use strict";
+
+const { Readable } = require("stream");
+const ipfsService = require("./ipfsService");
+
+/**
+ * Builds an RFC 6266 Content-Disposition header that survives non-ASCII names.
+ */
+function contentDisposition(name, disposition = "inline") {
+  const fallback = (name || "document").replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name || "document")}`;
+}
+
+/**
+ * sendContent
+ *
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @param {object}  file
+ * @param {string}  file.cid       - IPFS CID to stream
+ * @param {string}  file.name      - filename for Content-Disposition
+ * @param {string}  file.mimeType  - original MIME type
+ * @param {boolean} file.encrypted - ciphertext is always served as octet-stream
+ * @returns {Promise<{ start: number, end: number, partial: boolean }|null>}
+ *          the byte range sent, or null when no body was streamed
+ */
+async function sendContent(req, res, { cid, name, mimeType, encrypted }) {
+  if (!cid || cid.startsWith("mock-")) {
+    res.status(404).json({ success: false, error: "Content is not in storage." });
+    return null;
+  }
+
+  const { size } = await ipfsService.statFile(cid);
+
+  let start = 0;
+  let end = size - 1;
+  let partial = false;
+
+  const ranges = req.range(size);
+  if (ranges === -1) {
+    res.status(416).set("Content-Range", `bytes */${size}`).end();
+    return null;
+  }
+  // Malformed (-2) or multi-range requests fall back to the full body
+  if (Array.isArray(ranges) && ranges.length === 1 && ranges.type === "bytes") {
+    ({ start, end } = ranges[0]);
+    partial = true;
+  }
+
+  res.status(partial ? 206 : 200).set({
+    "Accept-Ranges": "bytes",
+    "Content-Type": encrypted ? "application/octet-stream" : (mimeType || "application/octet-stream"),
+    "Content-Disposition": contentDisposition(name),
+    "Content-Length": String(end - start + 1),
+    "Cache-Control": "private, no-cache",
+    ETag: `"${cid}"`,
+  });
+  if (partial) res.set("Content-Range", `bytes ${start}-${end}/${size}`);
+
+  if (req.method === "HEAD" || size === 0) {
+    res.end();
+    return { start, end, partial };
+  }
+
+  const source = await ipfsService.catFile(cid, { offset: start, length: end - start + 1 });
+  const stream = Readable.from(source);
+
+  await new Promise((resolve) => {
+    stream.on("error", (err) => {
+      console.error(`[content] stream error for ${cid}: ${err.message}`);
+      res.destroy(err);
+      resolve();
+    });
+    res.on("close", () => {
+      stream.destroy();
+      resolve();
+    });
+    stream.pipe(res);
+  });
+
+  return { start, end, partial };
+}
+
+module.exports = { sendContent, contentDisposition };
@@ -0,0 +1,396 @@
+/**
+ * services/indexerService.js
+ *
+ * Phase 17 — Chain Event Indexer
+ *
+ * Background follower that keeps the Mongo index in sync with the
+ * DocumentRegistry contract, independently of the client calling
+ * /confirm or /confirm-version.
+ *
+ *   - Replays DocumentRegistered, DocumentUpdated, AccessGranted,
+ *     AccessRevoked, DocumentArchived, the OwnershipTransfer* and the Group*
+ *     events in chain order, in batches of INDEXER_BATCH_SIZE blocks.
+ *   - Persists its block cursor (models/SyncState) after every batch, so a
+ *     restart resumes where it stopped. A fresh database backfills from
+ *     REGISTRY_DEPLOY_BLOCK.
+ *   - Every handler is idempotent — a batch interrupted half-way is simply
+ *     replayed on the next tick.
+ *   - Stays INDEXER_CONFIRMATIONS blocks behind the head to sidestep reorgs.
+ *
+ * Progress is reported through getStatus() on GET /api/health.
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const {
+  INDEXER_ENABLED,
+  INDEXER_POLL_INTERVAL_MS,
+  INDEXER_BATCH_SIZE,
+  INDEXER_CONFIRMATIONS,
+} = require("../config/env");
+const blockchainService = require("./blockchainService");
+const auditService = require("./auditService");
+const Document = require("../models/Document");
+const Group = require("../models/Group");
+const ShareLink = require("../models/ShareLink");
+const SyncState = require("../models/SyncState");
+
+const CURSOR_KEY = "document-registry";
+
+// In-memory progress — exposed on /api/health
+const status = {
+  running: false,
+  lastBlock: null,    // last block applied to the index
+  chainHead: null,    // latest block seen on the RPC node
+  lastSyncedAt: null,
+  lastError: null,
+};
+
+let _timer = null;
+
+// ---------------------------------------------------------------------------
+// Event handlers — one per contract event, all idempotent
+// ---------------------------------------------------------------------------
+
+/** A version's plaintext SHA-256, or null when none was anchored (zero). */
+function anchoredHash(contentHash) {
+  return contentHash === ethers.ZeroHash ? null : contentHash;
+}
+
+async function onDocumentRegistered(event, timestamp) {
+  const { documentHash, owner, cid, contentHash } = event.args;
+
+  const document = await Document.findOne({ documentHash });
+  if (document && !document.registeredOnChain) {
+    document.registeredOnChain = true;
+    document.txHash = event.txHash;
+    await document.save();
+  }
+
+  await auditService.logChainEvent(event, {
+    walletAddress: owner,
+    action: "ONCHAIN_REGISTER",
+    documentId: document?._id ?? null,
+    ipfsHash: cid,
+    metadata: {
+      documentHash, cid, contentHash: anchoredHash(contentHash),
+      txHash: event.txHash, blockNumber: event.blockNumber,
+    },
+    timestamp,
+  });
+}
+
+async function onDocumentUpdated(event, timestamp) {
+  const { documentHash, owner, editor, newCid, contentHash } = event.args;
+  const version = Number(event.args.version);
+
+  const document = await Document.findOne({ documentHash });
+  if (document) {
+    const entry = document.versions.find((v) => v.version === version);
+    if (!entry) {
+      document.versions.push({ version, ipfsHash: newCid });
+      document.versions.sort((a, b) => a.version - b.version);
+    }
+    if (version >= document.currentVersion) {
+      document.currentVersion = version;
+      document.ipfsHash = newCid;
+      document.txHash = event.txHash;
+    }
+    if (document.isModified()) await document.save();
+  }
+
+  await auditService.logChainEvent(event, {
+    walletAddress: editor,
+    action: "ONCHAIN_UPDATE",
+    documentId: document?._id ?? null,
+    ipfsHash: newCid,
+    metadata: {
+      documentHash, owner, cid: newCid, version, contentHash: anchoredHash(contentHash),
+      txHash: event.txHash, blockNumber: event.blockNumber,
+    },
+    timestamp,
+  });
+}
+
+async function onAccessChanged(event, timestamp, granted) {
+  const { documentHash, owner, user } = event.args;
+
+  const document = await Document.findOneAndUpdate(
+    { documentHash },
+    granted ? { $addToSet: { accessList: user } } : { $pull: { accessList: user } },
+    { new: true }
+  );
+
+  await auditService.logChainEvent(event, {
+    walletAddress: owner,
+    action: granted ? "ONCHAIN_GRANT" : "ONCHAIN_REVOKE",
+    documentId: document?._id ?? null,
+    metadata: {
+      documentHash,
+      recipient: user,
+      // uint256 max means "no expiry"; unix seconds otherwise
+      ...(granted && {
+        role: Number(event.args.role),
+        expiresAt: event.args.expiresAt === ethers.MaxUint256 ? null : Number(event.args.expiresAt),
+      }),
+      txHash: event.txHash,
+      blockNumber: event.blockNumber,
+    },
+    timestamp,
+  });
+}
+
+async function onDocumentArchived(event, timestamp) {
+  const { documentHash, owner } = event.args;
+
+  const document = await Document.findOneAndUpdate(
+    { documentHash },
+    { $set: { archivedOnChain: true } },
+    { new: true }
+  );
+
+  await auditService.logChainEvent(event, {
+    walletAddress: owner,
+    action: "ONCHAIN_ARCHIVE",
+    documentId: document?._id ?? null,
+    metadata: { documentHash, txHash: event.txHash, blockNumber: event.blockNumber },
+    timestamp,
+  });
+}
+
+async function onOwnershipOffered(event) {
+  const { documentHash, newOwner } = event.args;
+  await Document.updateOne({ documentHash }, { $set: { pendingOwner: newOwner } });
+}
+
+async function onOwnershipOfferCancelled(event) {
+  const { documentHash, newOwner } = event.args;
+  await Document.updateOne({ documentHash, pendingOwner: newOwner }, { $set: { pendingOwner: null } });
+}
+
+// Offers and cancellations only move pendingOwner; the completed transfer
+// revokes the previous owner's share links and is audited once for each
+// party, so it shows in both activity logs.
+async function onOwnershipTransferred(event, timestamp) {
+  const { documentHash, owner, newOwner } = event.args;
+
+  const document = await Document.findOneAndUpdate(
+    { documentHash },
+    { $set: { owner: newOwner, pendingOwner: null }, $pull: { accessList: newOwner } },
+    { new: true }
+  );
+  if (document) await ShareLink.revokeForDocument(document._id);
+
+  for (const walletAddress of [owner, newOwner]) {
+    await auditService.logChainEvent(event, {
+      walletAddress,
+      action: "ONCHAIN_TRANSFER",
+      documentId: document?._id ?? null,
+      metadata: { documentHash, from: owner, to: newOwner, txHash: event.txHash, blockNumber: event.blockNumber },
+      timestamp,
+    });
+  }
+}
+
+async function onGroupCreated(event) {
+  const { groupId } = event.args;
+  await Group.updateOne(
+    { groupId, registeredOnChain: false },
+    { $set: { registeredOnChain: true, txHash: event.txHash } }
+  );
+}
+
+// Recorded for the group owner and the member, so it shows in both activity logs
+async function onGroupMemberChanged(event, timestamp, added) {
+  const { groupId, owner, member } = event.args;
+
+  const group = await Group.findOneAndUpdate(
+    { groupId },
+    added ? { $addToSet: { members: member } } : { $pull: { members: member } },
+    { new: true }
+  );
+
+  for (const walletAddress of [owner, member]) {
+    await auditService.logChainEvent(event, {
+      walletAddress,
+      action: added ? "ONCHAIN_GROUP_MEMBER_ADD" : "ONCHAIN_GROUP_MEMBER_REMOVE",
+      metadata: { groupId, groupName: group?.name ?? null, member, txHash: event.txHash, blockNumber: event.blockNumber },
+      timestamp,
+    });
+  }
+}
+
+async function onGroupDisbanded(event, timestamp) {
+  const { groupId } = event.args;
+  await Group.updateOne({ groupId, disbandedAt: null }, { $set: { disbandedAt: timestamp } });
+}
+
+async function onGroupAccessChanged(event, timestamp, granted) {
+  const { documentHash, owner, groupId } = event.args;
+
+  const document = await Document.findOneAndUpdate(
+    { documentHash },
+    granted ? { $addToSet: { groupAccessList: groupId } } : { $pull: { groupAccessList: groupId } },
+    { new: true }
+  );
+  const group = await Group.findOne({ groupId }).select("name").lean();
+
+  await auditService.logChainEvent(event, {
+    walletAddress: owner,
+    action: granted ? "ONCHAIN_GROUP_GRANT" : "ONCHAIN_GROUP_REVOKE",
+    documentId: document?._id ?? null,
+    metadata: {
+      documentHash,
+      groupId,
+      groupName: group?.name ?? null,
+      ...(granted && {
+        role: Number(event.args.role),
+        expiresAt: event.args.expiresAt === ethers.MaxUint256 ? null : Number(event.args.expiresAt),
+      }),
+      txHash: event.txHash,
+      blockNumber: event.blockNumber,
+    },
+    timestamp,
+  });
+}
+
+const HANDLERS = {
+  DocumentRegistered: onDocumentRegistered,
+  DocumentUpdated:    onDocumentUpdated,
+  AccessGranted:      (event, timestamp) => onAccessChanged(event, timestamp, true),
+  AccessRevoked:      (event, timestamp) => onAccessChanged(event, timestamp, false),
+  DocumentArchived:   onDocumentArchived,
+  OwnershipTransferOffered:   onOwnershipOffered,
+  OwnershipTransferCancelled: onOwnershipOfferCancelled,
+  OwnershipTransferred:       onOwnershipTransferred,
+  GroupCreated:       onGroupCreated,
+  GroupMemberAdded:   (event, timestamp) => onGroupMemberChanged(event, timestamp, true),
+  GroupMemberRemoved: (event, timestamp) => onGroupMemberChanged(event, timestamp, false),
+  GroupDisbanded:     onGroupDisbanded,
+  GroupAccessGranted: (event, timestamp) => onGroupAccessChanged(event, timestamp, true),
+  GroupAccessRevoked: (event, timestamp) => onGroupAccessChanged(event, timestamp, false),
+};
+
+// ---------------------------------------------------------------------------
+// Sync loop
+// ---------------------------------------------------------------------------
+
+async function loadCursor() {
+  const state = await SyncState.findOne({ key: CURSOR_KEY });
+  return state ? state.lastBlock : blockchainService.REGISTRY_DEPLOY_BLOCK - 1;
+}
+
+async function saveCursor(lastBlock) {
+  await SyncState.updateOne({ key: CURSOR_KEY }, { $set: { lastBlock } }, { upsert: true });
+}
+
+/** Apply one batch of events, then advance the cursor past it. */
+async function applyRange(fromBlock, toBlock) {
+  const events = await blockchainService.getRegistryEvents(fromBlock, toBlock);
+  const blockTimes = new Map();
+
+  for (const event of events) {
+    const handler = HANDLERS[event.name];
+    if (!handler) continue;
+
+    if (!blockTimes.has(event.blockNumber)) {
+      blockTimes.set(event.blockNumber, await blockchainService.getBlockTimestamp(event.blockNumber));
+    }
+    await handler(event, new Date(blockTimes.get(event.blockNumber) * 1000));
+  }
+
+  await saveCursor(toBlock);
+  status.lastBlock = toBlock;
+  if (events.length > 0) {
+    console.log(`[indexer] Applied ${events.length} event(s) from blocks ${fromBlock}–${toBlock}`);
+  }
+}
+
+/** Catch up from the persisted cursor to the confirmed head. */
+async function syncOnce() {
+  let lastBlock = await loadCursor();
+  status.lastBlock = lastBlock;
+
+  const head = await blockchainService.getBlockNumber();
+  status.chainHead = head;
+  const target = head - INDEXER_CONFIRMATIONS;
+
+  while (lastBlock < target) {
+    const toBlock = Math.min(lastBlock + INDEXER_BATCH_SIZE, target);
+    await applyRange(lastBlock + 1, toBlock);
+    lastBlock = toBlock;
+  }
+
+  status.lastSyncedAt = new Date();
+  status.lastError = null;
+}
+
+async function tick() {
+  try {
+    // Mongo unavailable — nothing to write to, try again later
+    if (mongoose.connection.readyState === 1) await syncOnce();
+  } catch (err) {
+    status.lastError = err.message;
+    console.error(`[indexer] Sync failed: ${err.message}`);
+  } finally {
+    if (status.running) _timer = setTimeout(tick, INDEXER_POLL_INTERVAL_MS);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/** Start polling. No-op when disabled or no registry address is configured. */
+function start() {
+  if (status.running) return;
+  if (!INDEXER_ENABLED) {
+    console.log("[indexer] Disabled (INDEXER_ENABLED=false).");
+    return;
+  }
+  if (!blockchainService.isConfigured()) {
+    console.warn("[indexer] REGISTRY_CONTRACT_ADDRESS not set — indexer not started.");
+    return;
+  }
+
+  status.running = true;
+  console.log("[indexer] Following DocumentRegistry events.");
+  tick();
+}
+
+/** Stop polling after the current tick. */
+function stop() {
+  status.running = false;
+  clearTimeout(_timer);
+  _timer = null;
+}
+
+/** Snapshot for the health endpoint. `lag` counts blocks not yet indexed. */
+function getStatus() {
+  const lag =
+    status.chainHead !== null && status.lastBlock !== null
+      ? Math.max(status.chainHead - status.lastBlock, 0)
+      : null;
+  return {
+    running: status.running,
+    lastBlock: status.lastBlock,
+    chainHead: status.chainHead,
+    lag,
+    lastSyncedAt: status.lastSyncedAt,
+    lastError: status.lastError,
+  };
+}
+
+/**
+ * Last block applied to the index, from the persisted cursor — null before
+ * the first batch. Unlike getStatus() it's right in any process, not just
+ * the one running the indexer.
+ */
+async function getIndexedBlock() {
+  const state = await SyncState.findOne({ key: CURSOR_KEY });
+  return state ? state.lastBlock : null;
+}
+
+module.exports = { start, stop, getStatus, getIndexedBlock, syncOnce };
@@ -1,62 +1,125 @@
 /**
  * services/ipfsService.js
- * 
+ *
  * Phase 7 — IPFS Storage
- * 
- * Interface for pinning files to the IPFS decentralized network.
- * Uses the Kubo RPC API (typically on port 5001).
- * 
- * Note: Uses dynamic import for kubo-rpc-client as it is an ESM-only package.
+ * Phase 38 — Pluggable Storage
+ *
+ * Where document bytes live. Every backend implements the same provider
+ * interface and is keyed by the file's IPFS CID, whichever one is in use:
+ *
+ *   add(buffer)          → CID; stores and pins the bytes
+ *   get(cid, range)      → AsyncIterable<Uint8Array> of the bytes
+ *   stat(cid)            → { size }
+ *   pin(cid) / unpin(cid)
+ *   hash(buffer)         → the CID add() would return, storing nothing
+ *
+ * STORAGE_BACKEND picks one of storage/kubo.js, storage/local.js or
+ * storage/s3.js. An upload the backend can't take fails with 502 — unless
+ * STORAGE_DEV_MODE is on, which hands out a mock-cid-<ms> instead (never in
+ * production, since the CID is anchored on-chain).
  */
 
 "use strict";
 
-const { IPFS_API_URL } = require("../config/env");
+const { STORAGE_BACKEND, STORAGE_DEV_MODE } = require("../config/env");
 
-let ipfs;
+const BACKENDS = {
+  kubo:  () => require("./storage/kubo"),
+  local: () => require("./storage/local"),
+  s3:    () => require("./storage/s3"),
+};
 
-/**
- * getIPFS
- * 
- * Lazy initializer for the IPFS client using dynamic import.
- */
-async function getIPFS() {
-  if (ipfs) return ipfs;
-  try {
-    const { create } = await import("kubo-rpc-client");
-    ipfs = create({ url: IPFS_API_URL });
-    console.log(`[ipfs] client initialized at ${IPFS_API_URL}`);
-    return ipfs;
-  } catch (err) {
-    // Fail silently but log, allowing mock fallback in addFile
-    console.warn(`[ipfs] Could not connect to Kubo RPC at ${IPFS_API_URL}: ${err.message}`);
-    return null;
-  }
+const provider = BACKENDS[STORAGE_BACKEND]();
+
+if (STORAGE_DEV_MODE) {
+  console.warn(`[storage] DEV MODE — uploads fall back to mock CIDs when ${provider.name} is unavailable.`);
 }
 
 /**
  * addFile
  *
- * Pins a buffer to IPFS and returns the CID (Content Identifier).
+ * Stores and pins a buffer, returning its CID (Content Identifier).
  *
- * @param {Buffer} buffer - The file content to pin.
+ * @param {Buffer} buffer - The file content to store.
  * @returns {Promise<string>} - The resulting IPFS CID.
  */
 async function addFile(buffer) {
-  const client = await getIPFS();
-
-  if (!client) {
-    console.warn("[ipfs] No client - using mock CID for development.");
-    return `mock-cid-${Date.now()}`;
-  }
-
   try {
-    const result = await client.add(buffer);
-    return result.path;
+    return await provider.add(buffer);
   } catch (err) {
-    console.warn(`[ipfs] Upload failed: ${err.message}. Falling back to mock CID.`);
+    if (!STORAGE_DEV_MODE) throw err;
+    console.warn(`[storage] DEV MODE — ${provider.name} upload failed (${err.message}); using a mock CID.`);
     return `mock-cid-${Date.now()}`;
   }
 }
 
-module.exports = { addFile };
+/**
+ * computeCid
+ *
+ * Returns the CID `addFile` would produce for `buffer`, without pinning or
+ * storing anything. Used by public verification, so there is no mock
+ * fallback in any mode.
+ *
+ * @param {Buffer} buffer - The file content to hash.
+ * @returns {Promise<string>} - The IPFS CID.
+ */
+function computeCid(buffer) {
+  return provider.hash(buffer);
+}
+
+/**
+ * statFile
+ *
+ * Returns the byte size of the file behind a CID.
+ *
+ * @param {string} cid - IPFS Content Identifier.
+ * @returns {Promise<{ size: number }>}
+ */
+function statFile(cid) {
+  return provider.stat(cid);
+}
+
+/**
+ * catFile
+ *
+ * Streams the bytes behind a CID, optionally a byte range of it.
+ *
+ * @param {string} cid - IPFS Content Identifier.
+ * @param {{ offset?: number, length?: number }} [range]
+ * @returns {Promise<AsyncIterable<Uint8Array>>}
+ */
+function catFile(cid, range = {}) {
+  return provider.get(cid, range);
+}
+
+/**
+ * pinFile
+ *
+ * Makes sure the backend keeps the content behind a CID.
+ *
+ * @param {string} cid - IPFS Content Identifier.
+ * @returns {Promise<void>}
+ */
+function pinFile(cid) {
+  return provider.pin(cid);
+}
+
+/**
+ * unpinFile
+ *
+ * Releases the content behind a CID — Kubo may garbage-collect it, the
+ * local and S3 backends delete it. A CID that is not pinned is not an error.
+ *
+ * @param {string} cid - IPFS Content Identifier.
+ * @returns {Promise<boolean>} - true if a pin was removed.
+ */
+function unpinFile(cid) {
+  return provider.unpin(cid);
+}
+
+/** Backend in use, for /api/health. */
+function getStatus() {
+  return { backend: provider.name, devMode: STORAGE_DEV_MODE };
+}
+
+module.exports = { addFile, computeCid, statFile, catFile, pinFile, unpinFile, getStatus };
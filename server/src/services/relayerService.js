@@ -0,0 +1,186 @@
+/**
+ * services/relayerService.js
+ *
+ * Phase 28 — Gasless Meta-Transactions
+ *
+ * The one place the server writes to the chain. Wallets sign EIP-712 intents
+ * (shared INTENT_TYPES) for registerDocument, updateDocument, grantRole and
+ * revokeAccess; this service submits them to the registry's *BySig functions
+ * from a funded relayer key and pays the gas. The contract checks the
+ * signature, nonce and deadline itself, so the relayer can't act for anyone
+ * who didn't sign — at worst it can refuse to submit.
+ *
+ * Disabled unless RELAYER_PRIVATE_KEY and REGISTRY_CONTRACT_ADDRESS are set;
+ * clients then fall back to sending the transactions themselves.
+ *
+ * Fees come from the node (eth_maxPriorityFeePerGas + base fee) rather than
+ * fixed values. Submissions are serialised and the relayer's own account
+ * nonce is tracked locally (NonceManager), so back-to-back transactions
+ * never collide.
+ */
+
+"use strict";
+
+const { ethers } = require("ethers");
+const { INTENT_DOMAIN, INTENT_TYPES, INTENT_SIGNER_FIELD, getRegistryContract } = require("shared");
+
+const BLOCKCHAIN_RPC_URL =
+  process.env.BLOCKCHAIN_RPC_URL || "https://rpc-amoy.polygon.technology";
+const CONTRACT_ADDRESS = process.env.REGISTRY_CONTRACT_ADDRESS;
+const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY;
+
+// Longest deadline the relayer accepts — a signed intent shouldn't linger
+const MAX_INTENT_LIFETIME_S = 24 * 60 * 60;
+
+// Intent type → [contract method, message fields in argument order]
+const CALLS = {
+  RegisterDocument: ["registerDocumentBySig", ["owner", "documentHash", "cid", "contentHash"]],
+  UpdateDocument:   ["updateDocumentBySig",   ["editor", "documentHash", "newCid", "contentHash"]],
+  GrantAccess:      ["grantAccessBySig",      ["owner", "documentHash", "user", "role", "expiresAt"]],
+  RevokeAccess:     ["revokeAccessBySig",     ["owner", "documentHash", "user"]],
+};
+
+let _contract = null;
+let _nonceManager = null;
+let _domain = null;
+let _queue = Promise.resolve();
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function getContract() {
+  if (!_contract) {
+    const provider = new ethers.JsonRpcProvider(BLOCKCHAIN_RPC_URL);
+    const wallet = new ethers.Wallet(RELAYER_PRIVATE_KEY, provider);
+    _nonceManager = new ethers.NonceManager(wallet);
+    _contract = getRegistryContract(CONTRACT_ADDRESS, _nonceManager);
+  }
+  return _contract;
+}
+
+/** True when a relayer key and registry address are configured. */
+function isEnabled() {
+  return !!(RELAYER_PRIVATE_KEY && CONTRACT_ADDRESS);
+}
+
+/** Address the relayer submits from (the account to keep funded). */
+function getAddress() {
+  getContract();
+  return _nonceManager.signer.address;
+}
+
+/**
+ * getDomain
+ *
+ * The full EIP-712 domain the registry verifies against — cached after the
+ * first call, since the chain id can't change under a running server.
+ */
+async function getDomain() {
+  if (!_domain) {
+    const { chainId } = await getContract().runner.provider.getNetwork();
+    _domain = { ...INTENT_DOMAIN, chainId: Number(chainId), verifyingContract: ethers.getAddress(CONTRACT_ADDRESS) };
+  }
+  return _domain;
+}
+
+/** The nonce `address`'s next intent must carry. */
+async function getNonce(address) {
+  return Number(await getContract().nonces(address));
+}
+
+/**
+ * verifyIntent
+ *
+ * Checks an intent off-chain before any gas is spent: a known type, a
+ * deadline in the near future, the current nonce and a signature from the
+ * wallet the intent names. Returns that wallet (checksummed).
+ *
+ * Throws status 400 for any problem with the intent itself.
+ */
+async function verifyIntent(type, message, signature) {
+  const fields = INTENT_TYPES[type];
+  if (!fields) throw fail(400, "Unknown intent type.");
+  if (!message || typeof message !== "object" || typeof signature !== "string") {
+    throw fail(400, "message and signature required.");
+  }
+
+  let signer;
+  try {
+    signer = ethers.getAddress(message[INTENT_SIGNER_FIELD[type]]);
+  } catch {
+    throw fail(400, "Intent does not name a valid signer.");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const deadline = Number(message.deadline);
+  if (!(deadline > now)) throw fail(400, "This signature has expired. Please sign again.");
+  if (deadline > now + MAX_INTENT_LIFETIME_S) throw fail(400, "Intent deadline is too far in the future.");
+
+  if (String(message.nonce) !== String(await getNonce(signer))) {
+    throw fail(400, "Intent nonce is stale — another signed action was submitted first. Please sign again.");
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyTypedData(await getDomain(), { [type]: fields }, message, signature);
+  } catch {
+    throw fail(400, "Malformed intent.");
+  }
+  if (recovered !== signer) throw fail(400, "Invalid signature.");
+
+  return signer;
+}
+
+/**
+ * submit
+ *
+ * Submits a verified intent and waits for it to be mined. A dry run
+ * (staticCall) comes first so that contract rejections — not the owner,
+ * archived, already registered — surface as 400s without costing gas.
+ *
+ * Returns the transaction hash, which the client reports to the usual
+ * /confirm endpoints. Throws 502 when the relayer can't get it mined.
+ */
+function submit(type, message, signature) {
+  const [method, fields] = CALLS[type];
+  const args = [...fields.map((f) => message[f]), message.deadline, signature];
+
+  const run = async () => {
+    const contract = getContract();
+    try {
+      await contract[method].staticCall(...args);
+    } catch (err) {
+      throw fail(400, err.reason ?? "The registry rejected this action.");
+    }
+
+    try {
+      const tx = await contract[method](...args);
+      const receipt = await tx.wait();
+      if (receipt.status !== 1) throw new Error(`transaction ${receipt.hash} reverted`);
+      console.log(`[relayer] ${method} for ${message[INTENT_SIGNER_FIELD[type]]} → ${receipt.hash}`);
+      return receipt.hash;
+    } catch (err) {
+      // The tx may never have reached the node — re-read the account nonce
+      _nonceManager.reset();
+      console.error(`[relayer] ${method} error: ${err.message}`);
+      throw fail(502, "The relayer could not submit this transaction. Try again or send it from your wallet.");
+    }
+  };
+
+  // Run after whatever is in flight, whether it succeeded or not
+  const result = _queue.then(run, run);
+  _queue = result.catch(() => {});
+  return result;
+}
+
+module.exports = {
+  isEnabled,
+  getAddress,
+  getDomain,
+  getNonce,
+  verifyIntent,
+  submit,
+};
@@ -0,0 +1,102 @@
+/**
+ * services/storage/kubo.js
+ *
+ * Phase 38 — Pluggable Storage
+ *
+ * Storage backend on a Kubo node's RPC API (typically on port 5001) — the
+ * original Phase 7 IPFS integration. Content is pinned on the node, so it is
+ * also reachable over the IPFS network.
+ *
+ * Note: Uses dynamic import for kubo-rpc-client as it is an ESM-only package.
+ */
+
+"use strict";
+
+const { IPFS_API_URL } = require("../../config/env");
+
+let ipfs;
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * getClient
+ *
+ * Lazy initializer for the Kubo client. create() doesn't connect, so an
+ * unreachable node only shows up as a failed call.
+ */
+async function getClient() {
+  if (!ipfs) {
+    const { create } = await import("kubo-rpc-client");
+    ipfs = create({ url: IPFS_API_URL });
+    console.log(`[storage] Kubo client initialized at ${IPFS_API_URL}`);
+  }
+  return ipfs;
+}
+
+function unavailable(action, err) {
+  console.warn(`[storage] Kubo ${action} failed: ${err.message}`);
+  return fail(502, "IPFS node unavailable.");
+}
+
+async function add(buffer) {
+  const client = await getClient();
+  try {
+    const result = await client.add(buffer, { pin: true });
+    return result.path;
+  } catch (err) {
+    throw unavailable("add", err);
+  }
+}
+
+async function hash(buffer) {
+  const client = await getClient();
+  try {
+    const result = await client.add(buffer, { onlyHash: true, pin: false });
+    return result.path;
+  } catch (err) {
+    throw unavailable("hash", err);
+  }
+}
+
+async function get(cid, range = {}) {
+  const client = await getClient();
+  return client.cat(cid, range);
+}
+
+async function stat(cid) {
+  const client = await getClient();
+  try {
+    const result = await client.files.stat(`/ipfs/${cid}`);
+    return { size: Number(result.size) };
+  } catch (err) {
+    throw unavailable("stat", err);
+  }
+}
+
+async function pin(cid) {
+  const client = await getClient();
+  try {
+    await client.pin.add(cid);
+  } catch (err) {
+    throw unavailable("pin", err);
+  }
+}
+
+async function unpin(cid) {
+  const client = await getClient();
+  try {
+    await client.pin.rm(cid);
+    return true;
+  } catch (err) {
+    // Already unpinned, or pinned elsewhere
+    if (/not pinned/i.test(err.message)) return false;
+    console.warn(`[storage] Kubo unpin failed for ${cid}: ${err.message}`);
+    throw fail(502, "Could not unpin the document from IPFS.");
+  }
+}
+
+module.exports = { name: "kubo", add, hash, get, stat, pin, unpin };
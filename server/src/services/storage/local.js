@@ -0,0 +1,107 @@
+/**
+ * services/storage/local.js
+ *
+ * Phase 38 — Pluggable Storage
+ *
+ * Storage backend on the local filesystem, content-addressed: each file is
+ * written once under its real CID (shared computeCid), sharded by two characters
+ * of the CID like Kubo's flatfs:
+ *
+ *   <STORAGE_LOCAL_DIR>/<cid[-3..-1]>/<cid>
+ *
+ * Nothing is published to the IPFS network, but every CID is the one Kubo
+ * would give the same bytes, so content can be moved to a node later
+ * without re-anchoring anything on-chain. A stored file is its own pin.
+ */
+
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { STORAGE_LOCAL_DIR } = require("../../config/env");
+const { computeCid, isCid } = require("shared");
+
+const root = path.resolve(STORAGE_LOCAL_DIR);
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Path for `cid` — only ever built from a parsed CID, never raw input. */
+async function pathFor(cid) {
+  if (!(await isCid(cid))) throw fail(404, "Content not found.");
+  return path.join(root, cid.slice(-3, -1), cid);
+}
+
+function storageError(action, cid, err) {
+  if (err.code === "ENOENT") return fail(404, "Content not found.");
+  console.warn(`[storage] local ${action} failed for ${cid}: ${err.message}`);
+  return fail(502, "Storage backend unavailable.");
+}
+
+async function add(buffer) {
+  const cid = await computeCid(buffer);
+  const file = await pathFor(cid);
+  try {
+    await fs.access(file);
+    return cid; // same bytes already stored
+  } catch {
+    // not stored yet
+  }
+
+  // Write beside the target, then rename — readers never see a partial file
+  const temp = `${file}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(temp, buffer);
+    await fs.rename(temp, file);
+  } catch (err) {
+    await fs.rm(temp, { force: true });
+    throw storageError("add", cid, err);
+  }
+  return cid;
+}
+
+async function get(cid, { offset = 0, length } = {}) {
+  const file = await pathFor(cid);
+  try {
+    const handle = await fs.open(file);
+    return handle.createReadStream({
+      start: offset,
+      end: length === undefined ? undefined : offset + length - 1,
+    });
+  } catch (err) {
+    throw storageError("get", cid, err);
+  }
+}
+
+async function stat(cid) {
+  const file = await pathFor(cid);
+  try {
+    const { size } = await fs.stat(file);
+    return { size };
+  } catch (err) {
+    throw storageError("stat", cid, err);
+  }
+}
+
+/** Content is pinned by being stored; this only checks it is. */
+async function pin(cid) {
+  await stat(cid);
+}
+
+async function unpin(cid) {
+  const file = await pathFor(cid);
+  try {
+    await fs.unlink(file);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw storageError("unpin", cid, err);
+  }
+}
+
+module.exports = { name: "local", add, hash: computeCid, get, stat, pin, unpin };
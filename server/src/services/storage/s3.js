@@ -0,0 +1,142 @@
+/**
+ * services/storage/s3.js
+ *
+ * Phase 38 — Pluggable Storage
+ *
+ * Storage backend on any S3-compatible object store — AWS S3, or MinIO for
+ * local testing (set S3_ENDPOINT; path-style addressing is used then).
+ * Objects are content-addressed like the local backend: the key is
+ * S3_PREFIX + the file's real CID (shared computeCid), and a stored object is its
+ * own pin. The bucket must already exist.
+ */
+
+"use strict";
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const {
+  S3_ENDPOINT,
+  S3_REGION,
+  S3_BUCKET,
+  S3_PREFIX,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY,
+} = require("../../config/env");
+const { computeCid, isCid } = require("shared");
+
+let client;
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function getClient() {
+  if (!client) {
+    client = new S3Client({
+      region: S3_REGION,
+      ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT, forcePathStyle: true }),
+      // Without explicit keys the SDK's default chain applies (env, profile, role)
+      ...(S3_ACCESS_KEY_ID && {
+        credentials: { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY },
+      }),
+    });
+    console.log(`[storage] S3 client initialized for bucket ${S3_BUCKET}${S3_ENDPOINT ? ` at ${S3_ENDPOINT}` : ""}`);
+  }
+  return client;
+}
+
+/** Object key for `cid` — only ever built from a parsed CID, never raw input. */
+async function keyFor(cid) {
+  if (!(await isCid(cid))) throw fail(404, "Content not found.");
+  return `${S3_PREFIX}${cid}`;
+}
+
+const isMissing = (err) =>
+  err.name === "NotFound" || err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404;
+
+function storageError(action, cid, err) {
+  if (isMissing(err)) return fail(404, "Content not found.");
+  console.warn(`[storage] S3 ${action} failed for ${cid}: ${err.message}`);
+  return fail(502, "Storage backend unavailable.");
+}
+
+/** Object size, or null when there is no object under `key`. */
+async function head(key) {
+  try {
+    const result = await getClient().send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+    return Number(result.ContentLength);
+  } catch (err) {
+    if (isMissing(err)) return null;
+    throw err;
+  }
+}
+
+async function add(buffer) {
+  const cid = await computeCid(buffer);
+  const key = await keyFor(cid);
+  try {
+    if ((await head(key)) !== null) return cid; // same bytes already stored
+    await getClient().send(new PutObjectCommand({
+      Bucket: S3_BUCKET,
+      Key: key,
+      Body: buffer,
+      ContentType: "application/octet-stream",
+    }));
+  } catch (err) {
+    throw storageError("add", cid, err);
+  }
+  return cid;
+}
+
+async function get(cid, { offset = 0, length } = {}) {
+  const key = await keyFor(cid);
+  const end = length === undefined ? "" : offset + length - 1;
+  try {
+    const result = await getClient().send(new GetObjectCommand({
+      Bucket: S3_BUCKET,
+      Key: key,
+      Range: `bytes=${offset}-${end}`,
+    }));
+    return result.Body;
+  } catch (err) {
+    throw storageError("get", cid, err);
+  }
+}
+
+async function stat(cid) {
+  const key = await keyFor(cid);
+  let size;
+  try {
+    size = await head(key);
+  } catch (err) {
+    throw storageError("stat", cid, err);
+  }
+  if (size === null) throw fail(404, "Content not found.");
+  return { size };
+}
+
+/** Content is pinned by being stored; this only checks it is. */
+async function pin(cid) {
+  await stat(cid);
+}
+
+async function unpin(cid) {
+  const key = await keyFor(cid);
+  try {
+    // DeleteObject succeeds for missing keys too, so look first
+    if ((await head(key)) === null) return false;
+    await getClient().send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+    return true;
+  } catch (err) {
+    throw storageError("unpin", cid, err);
+  }
+}
+
+module.exports = { name: "s3", add, hash: computeCid, get, stat, pin, unpin };
@@ -0,0 +1,101 @@
+/**
+ * test/apiKeys.test.js
+ *
+ * API keys: created by a signed-in wallet, stored only as a hash, usable on
+ * routes their scopes cover and nowhere else, and dead once revoked.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const { createHash } = require("crypto");
+const { ethers } = require("ethers");
+const app = require("../src/app");
+const ApiKey = require("../src/models/ApiKey");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+
+describe("API keys", function () {
+  useDatabase();
+
+  let owner;
+  let accessToken;
+
+  before(function () {
+    owner = chain.account(9);
+  });
+
+  beforeEach(async function () {
+    ({ accessToken } = await sessionFor(app, owner));
+  });
+
+  const asOwner = (req) => req.set("Authorization", `Bearer ${accessToken}`);
+  const withKey = (req, key) => req.set("Authorization", `Bearer ${key}`);
+
+  async function createKey(scopes) {
+    const res = await asOwner(request(app).post("/api/user/api-keys"))
+      .send({ name: "CI", scopes })
+      .expect(201);
+    return res.body;
+  }
+
+  it("stores only a hash of the key and finds it by the key", async function () {
+    const { apiKey, key } = await createKey(["documents:read"]);
+    expect(apiKey).to.not.have.property("keyHash");
+    expect(key.startsWith(apiKey.prefix)).to.equal(true);
+
+    const stored = await ApiKey.findById(apiKey._id);
+    expect(stored.keyHash).to.equal(createHash("sha256").update(key).digest("hex"));
+    expect(String((await ApiKey.findByKey(key))._id)).to.equal(apiKey._id);
+    expect(await ApiKey.findByKey(`${key}x`)).to.equal(null);
+  });
+
+  it("acts as the wallet on routes its scopes cover and records its use", async function () {
+    const { apiKey, key } = await createKey(["documents:read"]);
+    expect(apiKey.lastUsedAt).to.equal(null);
+
+    await withKey(request(app).get("/api/documents/my"), key).expect(200);
+
+    // lastUsedAt is written without holding up the request
+    let stored;
+    for (let i = 0; i < 20 && !stored?.lastUsedAt; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      stored = await ApiKey.findById(apiKey._id);
+    }
+    expect(stored.lastUsedAt).to.be.an.instanceOf(Date);
+  });
+
+  it("refuses routes that need a scope the key lacks", async function () {
+    const { key } = await createKey(["documents:read"]);
+    const res = await withKey(request(app).delete(`/api/documents/${ethers.id("any-document")}`), key).expect(403);
+    expect(res.body.error).to.match(/missing the "documents:write" scope/);
+  });
+
+  it("refuses wallet-only routes whatever its scopes", async function () {
+    const { key } = await createKey(["documents:read", "documents:write", "audits:read"]);
+
+    await withKey(request(app).get("/api/user/me"), key).expect(403);
+    await withKey(request(app).post("/api/user/api-keys"), key)
+      .send({ name: "Escalated", scopes: ["documents:write"] })
+      .expect(403);
+  });
+
+  it("stops working once revoked", async function () {
+    const { apiKey, key } = await createKey(["documents:read"]);
+    await withKey(request(app).get("/api/documents/my"), key).expect(200);
+
+    await asOwner(request(app).delete(`/api/user/api-keys/${apiKey._id}`)).expect(200);
+
+    const res = await withKey(request(app).get("/api/documents/my"), key).expect(401);
+    expect(res.body.error).to.match(/invalid, expired or revoked/);
+  });
+
+  it("stops working once expired", async function () {
+    const { apiKey, key } = await createKey(["documents:read"]);
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    await withKey(request(app).get("/api/documents/my"), key).expect(401);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * test/auth.test.js
+ *
+ * Sign-In with Ethereum: POST /api/auth/verify accepts only messages bound
+ * to this site, a supported chain and a current validity window, and each
+ * nonce signs in once.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const app = require("../src/app");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { siweMessage, getNonce, signIn } = require("./helpers/auth");
+
+const MINUTE = 60 * 1000;
+
+describe("POST /api/auth/verify", function () {
+  useDatabase();
+
+  let wallet;
+
+  before(function () {
+    wallet = chain.account(4);
+  });
+
+  const verify = (message, signature) => request(app).post("/api/auth/verify").send({ message, signature });
+
+  it("opens a session for a valid, signed message", async function () {
+    const res = await signIn(app, wallet);
+    expect(res.status).to.equal(200);
+    expect(res.body.address).to.equal(wallet.address);
+    expect(res.body.accessToken).to.be.a("string");
+    expect(res.body.refreshToken).to.be.a("string");
+
+    await request(app).get("/api/user/me")
+      .set("Authorization", `Bearer ${res.body.accessToken}`)
+      .expect(200);
+  });
+
+  describe("message checks", function () {
+    const rejects = (overrides, pattern) => async function () {
+      const res = await signIn(app, wallet, { overrides });
+      expect(res.status).to.equal(401);
+      expect(res.body.error).to.match(pattern);
+    };
+
+    it("rejects a message for another domain",
+      rejects({ domain: "evil.example", uri: "https://evil.example" }, /different site/));
+
+    it("rejects a URI on another origin",
+      rejects({ uri: "https://evil.example/login" }, /different site/));
+
+    it("rejects an unsupported chain", rejects({ chainId: 1 }, /unsupported network/));
+
+    it("rejects a message issued too long ago",
+      rejects({ issuedAt: new Date(Date.now() - 11 * MINUTE).toISOString() }, /expired/));
+
+    it("rejects a message issued in the future",
+      rejects({ issuedAt: new Date(Date.now() + 5 * MINUTE).toISOString() }, /issued in the future/));
+
+    it("rejects a message past its expiration time",
+      rejects({ expirationTime: new Date(Date.now() - 1000).toISOString() }, /expired/));
+
+    it("rejects a signature from another wallet", async function () {
+      const message = siweMessage(wallet.address, await getNonce(app, wallet.address));
+      const res = await verify(message, await chain.account(5).signMessage(message)).expect(401);
+      expect(res.body.error).to.match(/does not match/);
+    });
+  });
+
+  describe("nonces", function () {
+    it("signs in once per message", async function () {
+      const message = siweMessage(wallet.address, await getNonce(app, wallet.address));
+      const signature = await wallet.signMessage(message);
+
+      await verify(message, signature).expect(200);
+      const replay = await verify(message, signature).expect(401);
+      expect(replay.body.error).to.match(/already used/);
+    });
+
+    it("rotates the nonce after a sign-in", async function () {
+      const before = await getNonce(app, wallet.address);
+      expect((await signIn(app, wallet)).status).to.equal(200);
+      expect(await getNonce(app, wallet.address)).to.not.equal(before);
+    });
+
+    it("lets only one of two concurrent sign-ins with the same message through", async function () {
+      const message = siweMessage(wallet.address, await getNonce(app, wallet.address));
+      const signature = await wallet.signMessage(message);
+
+      const statuses = (await Promise.all([verify(message, signature), verify(message, signature)]))
+        .map((res) => res.status)
+        .sort();
+      expect(statuses).to.deep.equal([200, 401]);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * test/contractWallets.test.js
+ *
+ * Sign-in for smart-contract wallets (EIP-1271): the server asks the wallet
+ * on the Hardhat node whether it accepts the signature, and only its magic
+ * value signs in. The wallet is the blockchain workspace's
+ * MockERC1271Wallet, whose controller EOA signs on its behalf.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const app = require("../src/app");
+const blockchainService = require("../src/services/blockchainService");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { signIn } = require("./helpers/auth");
+
+// MockERC1271Wallet.Mode
+const HONEST = 0;
+const WRONG_MAGIC = 1;
+const REVERTING = 2;
+
+describe("contract wallets (EIP-1271)", function () {
+  let controller;
+  let wallet;
+  let walletAddress;
+
+  before(async function () {
+    controller = chain.account(7);
+    wallet = await chain.deploy("mocks/MockERC1271Wallet", controller, controller.address);
+    walletAddress = await wallet.getAddress();
+  });
+
+  afterEach(async function () {
+    await setMode(HONEST);
+  });
+
+  async function setMode(mode) {
+    await (await wallet.setMode(mode)).wait();
+  }
+
+  describe("blockchainService.isValidContractSignature", function () {
+    const message = "Sign in to Blockchain Secure Docs";
+    const hash = ethers.hashMessage(message);
+
+    it("accepts the magic value", async function () {
+      const signature = await controller.signMessage(message);
+      expect(await blockchainService.isValidContractSignature(walletAddress, hash, signature, 31337)).to.equal(true);
+    });
+
+    it("rejects a signature the wallet doesn't accept", async function () {
+      const signature = await chain.account(8).signMessage(message);
+      expect(await blockchainService.isValidContractSignature(walletAddress, hash, signature, 31337)).to.equal(false);
+    });
+
+    it("rejects any other return value", async function () {
+      await setMode(WRONG_MAGIC);
+      const signature = await controller.signMessage(message);
+      expect(await blockchainService.isValidContractSignature(walletAddress, hash, signature, 31337)).to.equal(false);
+    });
+
+    it("fails closed when isValidSignature reverts", async function () {
+      await setMode(REVERTING);
+      const signature = await controller.signMessage(message);
+      expect(await blockchainService.isValidContractSignature(walletAddress, hash, signature, 31337)).to.equal(false);
+    });
+
+    it("refuses a signature made for another chain", async function () {
+      const signature = await controller.signMessage(message);
+      expect(await blockchainService.isValidContractSignature(walletAddress, hash, signature, 80002)).to.equal(false);
+    });
+
+    it("refuses an address without code", async function () {
+      const signature = await controller.signMessage(message);
+      expect(await blockchainService.isValidContractSignature(controller.address, hash, signature, 31337))
+        .to.equal(false);
+    });
+  });
+
+  describe("POST /api/auth/verify", function () {
+    useDatabase();
+
+    it("signs the wallet in with its controller's signature", async function () {
+      const res = await signIn(app, controller, { address: walletAddress });
+      expect(res.status).to.equal(200);
+      expect(res.body.address).to.equal(walletAddress);
+    });
+
+    it("rejects the sign-in when the wallet answers a wrong magic value", async function () {
+      await setMode(WRONG_MAGIC);
+      const res = await signIn(app, controller, { address: walletAddress });
+      expect(res.status).to.equal(401);
+      expect(res.body.error).to.match(/does not match/);
+    });
+
+    it("rejects the sign-in when the wallet reverts", async function () {
+      await setMode(REVERTING);
+      const res = await signIn(app, controller, { address: walletAddress });
+      expect(res.status).to.equal(401);
+      expect(res.body.error).to.match(/does not match/);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * test/documentContent.test.js
+ *
+ * GET /api/documents/:id/content and /versions/:v/content: the bytes come
+ * from the storage backend, only for the owner or a wallet the registry
+ * grants access, with Range support and one FILE_DOWNLOAD entry per download.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const { ethers } = require("ethers");
+const { ROLES, getRegistryContract } = require("shared");
+const app = require("../src/app");
+const Audit = require("../src/models/Audit");
+const ipfsService = require("../src/services/ipfsService");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+const { storeDocument } = require("./helpers/documents");
+
+const CONTENT = "Version two of the quarterly report";
+
+describe("GET /api/documents/:id/content", function () {
+  useDatabase();
+
+  let owner;
+  let reader;
+  let stranger;
+  let registry;
+  let document;
+
+  before(function () {
+    owner = chain.account(19);
+    reader = chain.account(20);
+    stranger = chain.account(21);
+    registry = getRegistryContract(process.env.REGISTRY_CONTRACT_ADDRESS, owner);
+  });
+
+  beforeEach(async function () {
+    const first = await ipfsService.addFile(Buffer.from("Version one"));
+    const second = await ipfsService.addFile(Buffer.from(CONTENT));
+    document = await storeDocument(owner.address, {
+      name: "report – Q3.txt",
+      bytes: Buffer.from(CONTENT),
+      currentVersion: 2,
+      versions: [{ version: 1, ipfsHash: first }, { version: 2, ipfsHash: second }],
+    });
+    await (await registry.registerDocument(document.documentHash, first, ethers.ZeroHash)).wait();
+  });
+
+  async function fetchAs(wallet, path = `/api/documents/${document._id}/content`) {
+    const { accessToken } = await sessionFor(app, wallet);
+    return request(app).get(path).set("Authorization", `Bearer ${accessToken}`);
+  }
+
+  /**
+   * FILE_DOWNLOAD entries for the document, once there are `expected` of
+   * them — they are logged after the response ends.
+   */
+  async function downloads(expected) {
+    for (let i = 0; i < 50; i++) {
+      const entries = await Audit.find({ action: "FILE_DOWNLOAD", documentId: document._id }).lean();
+      if (entries.length >= expected) return entries;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return Audit.find({ action: "FILE_DOWNLOAD", documentId: document._id }).lean();
+  }
+
+  it("streams the latest version to the owner with its type and name", async function () {
+    const res = await fetchAs(owner);
+    expect(res.status).to.equal(200);
+    expect(res.text).to.equal(CONTENT);
+    expect(res.headers["content-type"]).to.match(/^text\/plain/);
+    expect(res.headers["content-disposition"]).to.equal(
+      `inline; filename="report _ Q3.txt"; filename*=UTF-8''${encodeURIComponent("report – Q3.txt")}`
+    );
+    expect(res.headers["accept-ranges"]).to.equal("bytes");
+  });
+
+  it("streams an earlier version by number", async function () {
+    const res = await fetchAs(owner, `/api/documents/${document._id}/versions/1/content`);
+    expect(res.status).to.equal(200);
+    expect(res.text).to.equal("Version one");
+
+    const missing = await fetchAs(owner, `/api/documents/${document._id}/versions/3/content`);
+    expect(missing.status).to.equal(404);
+  });
+
+  it("serves a single byte range", async function () {
+    const { accessToken } = await sessionFor(app, owner);
+    const partial = await request(app).get(`/api/documents/${document._id}/content`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .set("Range", "bytes=8-10")
+      .expect(206);
+    expect(partial.text).to.equal("two");
+    expect(partial.headers["content-range"]).to.equal(`bytes 8-10/${CONTENT.length}`);
+
+    await request(app).get(`/api/documents/${document._id}/content`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .set("Range", `bytes=${CONTENT.length}-`)
+      .expect(416);
+  });
+
+  it("serves a wallet the registry grants access, and no one else", async function () {
+    expect((await fetchAs(stranger)).status).to.equal(403);
+    expect((await fetchAs(reader)).status).to.equal(403);
+
+    await (await registry.grantRole(document.documentHash, reader.address, ROLES.VIEWER, ethers.MaxUint256)).wait();
+    const res = await fetchAs(reader);
+    expect(res.status).to.equal(200);
+    expect(res.text).to.equal(CONTENT);
+    expect((await fetchAs(stranger)).status).to.equal(403);
+  });
+
+  it("serves an encrypted document as opaque bytes", async function () {
+    document.encrypted = true;
+    await document.save();
+
+    const res = await fetchAs(owner);
+    expect(res.headers["content-type"]).to.equal("application/octet-stream");
+  });
+
+  it("does not serve a document in the trash", async function () {
+    document.isDeleted = true;
+    await document.save();
+
+    expect((await fetchAs(owner)).status).to.equal(404);
+  });
+
+  it("records a FILE_DOWNLOAD for each read from the first byte only", async function () {
+    const { accessToken } = await sessionFor(app, owner);
+    const get = (range) => {
+      const req = request(app).get(`/api/documents/${document._id}/content`).set("Authorization", `Bearer ${accessToken}`);
+      return range ? req.set("Range", range) : req;
+    };
+
+    await get("bytes=8-").expect(206);
+    await get("bytes=0-7").expect(206);
+    await get().expect(200);
+
+    const entries = await downloads(2);
+    expect(entries).to.have.length(2);
+    expect(entries[0].walletAddress).to.equal(owner.address);
+    expect(entries[0].metadata).to.include({ cid: document.versions[1].ipfsHash, version: 2 });
+  });
+});
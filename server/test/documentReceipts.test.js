@@ -0,0 +1,173 @@
+/**
+ * test/documentReceipts.test.js
+ *
+ * Upload, /confirm and /confirm-version: the index only records what a
+ * mined DocumentRegistered / DocumentUpdated log says — same document hash,
+ * owner, CID and editor — and takes a new version's size from storage.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const { ethers } = require("ethers");
+const { ROLES, getRegistryContract, computeDocumentHash } = require("shared");
+const app = require("../src/app");
+const Document = require("../src/models/Document");
+const ipfsService = require("../src/services/ipfsService");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+const { storeDocument } = require("./helpers/documents");
+
+const WRAPPED_KEY = {
+  ephemeralPublicKey: "0x02" + "11".repeat(32),
+  iv: "0x" + "22".repeat(12),
+  wrappedKey: "0x" + "33".repeat(48),
+};
+
+describe("document receipts", function () {
+  useDatabase();
+
+  let owner;
+  let editor;
+  let registry;
+  let ownerToken;
+
+  before(function () {
+    owner = chain.account(18);
+    editor = chain.account(17);
+    registry = getRegistryContract(process.env.REGISTRY_CONTRACT_ADDRESS, owner);
+  });
+
+  beforeEach(async function () {
+    ({ accessToken: ownerToken } = await sessionFor(app, owner));
+  });
+
+  const asOwner = (req) => req.set("Authorization", `Bearer ${ownerToken}`);
+
+  const confirm = (document, txHash) =>
+    asOwner(request(app).post(`/api/documents/${document._id}/confirm`)).send({ txHash });
+
+  describe("POST /api/documents/upload", function () {
+    it("pins the file and returns the inputs of its document hash", async function () {
+      const res = await asOwner(request(app).post("/api/documents/upload"))
+        .field("wrappedKey", JSON.stringify(WRAPPED_KEY))
+        .attach("file", Buffer.from("ciphertext"), { filename: "contract.pdf", contentType: "application/pdf" })
+        .expect(201);
+
+      const { cid, documentHash, documentId, name, mimeType, timestamp } = res.body;
+      expect(res.body.owner).to.equal(owner.address);
+      expect(documentHash).to.equal(computeDocumentHash(owner.address, cid, name, mimeType, timestamp));
+      expect(cid).to.equal(await ipfsService.computeCid(Buffer.from("ciphertext")));
+
+      const document = await Document.findById(documentId);
+      expect(document.registeredOnChain).to.equal(false);
+      expect(document.encrypted).to.equal(true);
+    });
+
+    it("refuses a file without the owner's wrapped key", async function () {
+      const res = await asOwner(request(app).post("/api/documents/upload"))
+        .attach("file", Buffer.from("plaintext"), "notes.txt")
+        .expect(400);
+      expect(res.body.error).to.match(/wrappedKey required/);
+    });
+  });
+
+  describe("POST /api/documents/:id/confirm", function () {
+    it("marks the document registered once the receipt matches", async function () {
+      const document = await storeDocument(owner.address, { registeredOnChain: false });
+      const { hash } = await (await registry.registerDocument(document.documentHash, document.ipfsHash, ethers.ZeroHash)).wait();
+
+      await confirm(document, hash).expect(200);
+      const stored = await Document.findById(document._id);
+      expect(stored.registeredOnChain).to.equal(true);
+      expect(stored.txHash).to.equal(hash);
+    });
+
+    it("rejects a receipt for another document", async function () {
+      const document = await storeDocument(owner.address, { registeredOnChain: false });
+      const other = await storeDocument(owner.address, { registeredOnChain: false });
+      const { hash } = await (await registry.registerDocument(other.documentHash, other.ipfsHash, ethers.ZeroHash)).wait();
+
+      const res = await confirm(document, hash).expect(400);
+      expect(res.body.error).to.match(/matching DocumentRegistered/);
+      expect((await Document.findById(document._id)).registeredOnChain).to.equal(false);
+    });
+
+    it("rejects a receipt that anchored a different CID", async function () {
+      const document = await storeDocument(owner.address, { registeredOnChain: false });
+      const otherCid = await ipfsService.computeCid(Buffer.from("something else"));
+      const { hash } = await (await registry.registerDocument(document.documentHash, otherCid, ethers.ZeroHash)).wait();
+
+      await confirm(document, hash).expect(400);
+    });
+
+    it("tells a malformed hash from one not mined yet", async function () {
+      const document = await storeDocument(owner.address, { registeredOnChain: false });
+
+      await confirm(document, "0x1234").expect(400);
+      await confirm(document, ethers.id("never sent")).expect(409);
+    });
+
+    it("only lets the owner confirm", async function () {
+      const document = await storeDocument(owner.address, { registeredOnChain: false });
+      const { hash } = await (await registry.registerDocument(document.documentHash, document.ipfsHash, ethers.ZeroHash)).wait();
+      const { accessToken } = await sessionFor(app, editor);
+
+      await request(app).post(`/api/documents/${document._id}/confirm`)
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ txHash: hash })
+        .expect(403);
+    });
+  });
+
+  describe("POST /api/documents/:id/confirm-version", function () {
+    let document;
+    let newCid;
+    let txHash;
+
+    const NEW_VERSION = Buffer.from("version two ciphertext");
+
+    beforeEach(async function () {
+      document = await storeDocument(owner.address, { encrypted: true });
+      await (await registry.registerDocument(document.documentHash, document.ipfsHash, ethers.ZeroHash)).wait();
+      await (await registry.grantRole(document.documentHash, editor.address, ROLES.EDITOR, ethers.MaxUint256)).wait();
+
+      newCid = await ipfsService.addFile(NEW_VERSION);
+      const asEditor = getRegistryContract(process.env.REGISTRY_CONTRACT_ADDRESS, editor);
+      ({ hash: txHash } = await (await asEditor.updateDocument(document.documentHash, newCid, ethers.ZeroHash)).wait());
+    });
+
+    it("records the editor's version with its size from storage", async function () {
+      const { accessToken } = await sessionFor(app, editor);
+      const res = await request(app).post(`/api/documents/${document._id}/confirm-version`)
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ newCid, txHash, size: 1 })
+        .expect(200);
+
+      expect(res.body.document.currentVersion).to.equal(2);
+      expect(res.body.document.ipfsHash).to.equal(newCid);
+      expect(res.body.document.size).to.equal(NEW_VERSION.length);
+      expect(res.body.document.versions.map((v) => v.version)).to.deep.equal([1, 2]);
+    });
+
+    it("rejects a CID the receipt didn't anchor", async function () {
+      const { accessToken } = await sessionFor(app, editor);
+      const otherCid = await ipfsService.addFile(Buffer.from("not what was signed"));
+
+      await request(app).post(`/api/documents/${document._id}/confirm-version`)
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ newCid: otherCid, txHash })
+        .expect(400);
+      expect((await Document.findById(document._id)).currentVersion).to.equal(1);
+    });
+
+    it("rejects another wallet's update", async function () {
+      // The owner may edit, but this receipt is the editor's
+      await asOwner(request(app).post(`/api/documents/${document._id}/confirm-version`))
+        .send({ newCid, txHash })
+        .expect(400);
+    });
+  });
+});
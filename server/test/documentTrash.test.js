@@ -0,0 +1,129 @@
+/**
+ * test/documentTrash.test.js
+ *
+ * The deletion lifecycle: DELETE moves a document to the trash, /restore
+ * brings it back, and /purge — after the owner archives it on-chain — unpins
+ * every version no other live document still lists.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const { ethers } = require("ethers");
+const { ROLES, getRegistryContract } = require("shared");
+const app = require("../src/app");
+const Document = require("../src/models/Document");
+const ipfsService = require("../src/services/ipfsService");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+const { storeDocument } = require("./helpers/documents");
+
+describe("trash, restore and purge", function () {
+  useDatabase();
+
+  let owner;
+  let reader;
+  let registry;
+  let accessToken;
+
+  before(function () {
+    owner = chain.account(16);
+    reader = chain.account(22);
+    registry = getRegistryContract(process.env.REGISTRY_CONTRACT_ADDRESS, owner);
+  });
+
+  beforeEach(async function () {
+    ({ accessToken } = await sessionFor(app, owner));
+  });
+
+  const asOwner = (req) => req.set("Authorization", `Bearer ${accessToken}`);
+  const list = async (scope) =>
+    (await asOwner(request(app).get(`/api/documents/${scope}`)).expect(200)).body.documents.map((d) => d._id);
+  const trash = (document) => asOwner(request(app).delete(`/api/documents/${document._id}`));
+  const restore = (document) => asOwner(request(app).post(`/api/documents/${document._id}/restore`));
+  const purge = (document, txHash) => asOwner(request(app).post(`/api/documents/${document._id}/purge`)).send({ txHash });
+  const isStored = (cid) => ipfsService.statFile(cid).then(() => true, () => false);
+
+  /** A document of `owner`'s, registered on-chain with `bytes`. */
+  async function registeredDocument(bytes) {
+    const document = await storeDocument(owner.address, { bytes: Buffer.from(bytes) });
+    await (await registry.registerDocument(document.documentHash, document.ipfsHash, ethers.ZeroHash)).wait();
+    return document;
+  }
+
+  it("moves a document to the trash and back", async function () {
+    const document = await storeDocument(owner.address);
+    const id = String(document._id);
+
+    await trash(document).expect(200);
+    expect(await list("my")).to.not.include(id);
+    expect(await list("trash")).to.deep.equal([id]);
+    await asOwner(request(app).get(`/api/documents/${id}`)).expect(404);
+
+    await restore(document).expect(200);
+    expect(await list("my")).to.include(id);
+    expect(await list("trash")).to.deep.equal([]);
+  });
+
+  it("stops serving grantees while the document is in the trash", async function () {
+    const document = await registeredDocument("trash: shared");
+    await (await registry.grantRole(document.documentHash, reader.address, ROLES.VIEWER, ethers.MaxUint256)).wait();
+    const { accessToken: readerToken } = await sessionFor(app, reader);
+    const read = () => request(app).get(`/api/documents/${document._id}/content`).set("Authorization", `Bearer ${readerToken}`);
+
+    await read().expect(200);
+    await trash(document).expect(200);
+    await read().expect(404);
+  });
+
+  it("only lets the owner trash a document", async function () {
+    const document = await storeDocument(owner.address);
+    const other = await sessionFor(app, reader);
+
+    await request(app).delete(`/api/documents/${document._id}`)
+      .set("Authorization", `Bearer ${other.accessToken}`)
+      .expect(403);
+  });
+
+  it("purges a registered document only with its archive receipt", async function () {
+    const document = await registeredDocument("trash: purge me");
+    await trash(document).expect(200);
+
+    await purge(document).expect(400);
+    expect(await isStored(document.ipfsHash)).to.equal(true);
+
+    const { hash } = await (await registry.archiveDocument(document.documentHash)).wait();
+    await purge(document, hash).expect(200);
+
+    expect(await isStored(document.ipfsHash)).to.equal(false);
+    const stored = await Document.findById(document._id);
+    expect(stored.archivedOnChain).to.equal(true);
+    expect(stored.purgedAt).to.be.instanceOf(Date);
+    expect(await list("trash")).to.deep.equal([]);
+    await restore(document).expect(404);
+  });
+
+  it("keeps a CID pinned while another live document lists it", async function () {
+    const bytes = Buffer.from("trash: identical bytes");
+    const first = await storeDocument(owner.address, { bytes, registeredOnChain: false });
+    const second = await storeDocument(owner.address, { bytes, registeredOnChain: false });
+    expect(first.ipfsHash).to.equal(second.ipfsHash);
+
+    await trash(first).expect(200);
+    await purge(first).expect(200);
+    expect(await isStored(first.ipfsHash)).to.equal(true);
+
+    await trash(second).expect(200);
+    await purge(second).expect(200);
+    expect(await isStored(second.ipfsHash)).to.equal(false);
+  });
+
+  it("only purges documents in the trash", async function () {
+    const document = await storeDocument(owner.address, { registeredOnChain: false });
+
+    await purge(document).expect(404);
+    expect(await isStored(document.ipfsHash)).to.equal(true);
+  });
+});
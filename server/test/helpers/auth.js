@@ -0,0 +1,55 @@
+/**
+ * test/helpers/auth.js
+ *
+ * Sign-In with Ethereum the way the web client does it: fetch a nonce,
+ * build the message with shared buildSiweMessage, sign it, verify.
+ */
+
+"use strict";
+
+const request = require("supertest");
+const { SIWE_STATEMENT, buildSiweMessage } = require("shared");
+
+// Matches the CLIENT_ORIGIN test/setup.js configures
+const ORIGIN = new URL(process.env.CLIENT_ORIGIN);
+
+/** SIWE message for `address`; `overrides` replace any field. */
+function siweMessage(address, nonce, overrides = {}) {
+  return buildSiweMessage({
+    domain: ORIGIN.host,
+    address,
+    statement: SIWE_STATEMENT,
+    uri: ORIGIN.origin,
+    chainId: 31337,
+    nonce,
+    issuedAt: new Date().toISOString(),
+    ...overrides,
+  });
+}
+
+async function getNonce(app, address) {
+  const res = await request(app).post("/api/auth/nonce").send({ address }).expect(200);
+  return res.body.nonce;
+}
+
+/**
+ * signIn(app, wallet, { address, overrides })
+ *
+ * Signs in as `address` (default: the wallet's own) with a message
+ * `wallet` signs, and returns the /verify response. A contract wallet signs
+ * in with its controller as `wallet` and its own address as `address`.
+ */
+async function signIn(app, wallet, { address = wallet.address, overrides } = {}) {
+  const message = siweMessage(address, await getNonce(app, address), overrides);
+  const signature = await wallet.signMessage(message);
+  return request(app).post("/api/auth/verify").send({ message, signature });
+}
+
+/** Signs in and returns the session's tokens; fails the test otherwise. */
+async function sessionFor(app, wallet) {
+  const res = await signIn(app, wallet);
+  if (res.status !== 200) throw new Error(`sign-in failed (${res.status}): ${res.body.error}`);
+  return res.body;
+}
+
+module.exports = { siweMessage, getNonce, signIn, sessionFor };
@@ -0,0 +1,102 @@
+/**
+ * test/helpers/chain.js
+ *
+ * A Hardhat node for the server suite, started from the blockchain
+ * workspace, plus its well-known development accounts and deployers for the
+ * compiled artifacts (blockchain/artifacts — `npm run compile --workspace
+ * blockchain` refreshes them).
+ */
+
+"use strict";
+
+const path = require("path");
+const { spawn } = require("child_process");
+const { once } = require("events");
+const { ethers } = require("ethers");
+
+const BLOCKCHAIN_DIR = path.resolve(__dirname, "../../../blockchain");
+const HARDHAT_CLI = require.resolve("hardhat/internal/cli/bootstrap.js", { paths: [BLOCKCHAIN_DIR] });
+
+// Hardhat's default accounts — funded with 10 000 ETH on every fresh node
+const HARDHAT_MNEMONIC = "test test test test test test test test test test test junk";
+
+const NODE_START_TIMEOUT_MS = 90 * 1000;
+
+let _provider = null;
+
+function getProvider() {
+  // No request cache: back-to-back transactions from one account would
+  // otherwise read the same nonce
+  _provider ??= new ethers.JsonRpcProvider(process.env.BLOCKCHAIN_RPC_URL, 31337, {
+    staticNetwork: true,
+    pollingInterval: 100,
+    cacheTimeout: -1,
+  });
+  return _provider;
+}
+
+/** Development account `index`, connected to the node. */
+function account(index) {
+  const wallet = ethers.HDNodeWallet.fromPhrase(HARDHAT_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`);
+  return wallet.connect(getProvider());
+}
+
+/**
+ * startNode(port)
+ *
+ * Spawns `hardhat node` and resolves with the child process once its
+ * JSON-RPC server is up. Stop it with stopNode().
+ */
+async function startNode(port) {
+  const child = spawn(process.execPath, [HARDHAT_CLI, "node", "--port", String(port)], {
+    cwd: BLOCKCHAIN_DIR,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`hardhat node did not start:\n${output}`)), NODE_START_TIMEOUT_MS);
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Started HTTP and WebSocket JSON-RPC server")) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    });
+    child.stderr.on("data", (chunk) => { output += chunk; });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`hardhat node exited (${code}):\n${output}`));
+    });
+  });
+
+  try {
+    return await started;
+  } catch (err) {
+    await stopNode(child);
+    throw err;
+  }
+}
+
+async function stopNode(child) {
+  _provider?.destroy();
+  _provider = null;
+  if (!child || child.exitCode !== null || child.signalCode !== null) return;
+  child.kill();
+  await once(child, "exit");
+}
+
+/** ABI and bytecode of a compiled contract, e.g. "mocks/MockERC1271Wallet". */
+function artifact(name) {
+  const file = `${path.basename(name)}.sol/${path.basename(name)}.json`;
+  return require(path.join(BLOCKCHAIN_DIR, "artifacts/contracts", path.dirname(name), file));
+}
+
+async function deploy(name, signer, ...args) {
+  const { abi, bytecode } = artifact(name);
+  const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+module.exports = { getProvider, account, startNode, stopNode, deploy };
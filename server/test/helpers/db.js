@@ -0,0 +1,35 @@
+/**
+ * test/helpers/db.js
+ *
+ * useDatabase() — call inside a describe() whose tests touch MongoDB. It
+ * starts a throwaway mongod (mongodb-memory-server) for the block,
+ * connects Mongoose to it, and empties every collection after each test.
+ */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server-core");
+
+const MONGOD_START_TIMEOUT_MS = 120 * 1000; // the first run downloads mongod
+
+function useDatabase() {
+  let mongod;
+
+  before(async function () {
+    this.timeout(MONGOD_START_TIMEOUT_MS);
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterEach(async function () {
+    await Promise.all(Object.values(mongoose.connection.collections).map((c) => c.deleteMany({})));
+  });
+
+  after(async function () {
+    await mongoose.disconnect();
+    await mongod?.stop();
+  });
+}
+
+module.exports = { useDatabase };
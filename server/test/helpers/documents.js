@@ -0,0 +1,37 @@
+/**
+ * test/helpers/documents.js
+ *
+ * Index fixtures: a document whose bytes are in the test storage backend
+ * (test/setup.js configures a local one) and whose index entry is in Mongo,
+ * as if it had been uploaded and confirmed. Nothing is registered on-chain.
+ */
+
+"use strict";
+
+const { ethers } = require("ethers");
+const Document = require("../../src/models/Document");
+const ipfsService = require("../../src/services/ipfsService");
+
+/**
+ * storeDocument(owner, { bytes, name, ...fields })
+ *
+ * Pins `bytes` and indexes a one-version document owned by `owner`
+ * (checksummed). `fields` override any Document field. Resolves with the
+ * Document.
+ */
+async function storeDocument(owner, { bytes = Buffer.from("fixture"), name = "fixture.txt", ...fields } = {}) {
+  const cid = await ipfsService.addFile(Buffer.from(bytes));
+  return Document.create({
+    documentHash: ethers.id(`${owner}:${name}:${Date.now()}:${Math.random()}`),
+    ipfsHash: cid,
+    owner,
+    name,
+    mimeType: "text/plain",
+    size: bytes.length,
+    versions: [{ version: 1, ipfsHash: cid }],
+    registeredOnChain: true,
+    ...fields,
+  });
+}
+
+module.exports = { storeDocument };
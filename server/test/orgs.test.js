@@ -0,0 +1,158 @@
+/**
+ * test/orgs.test.js
+ *
+ * Organizations: an admin invites wallets, invitees accept, members file the
+ * documents they own under the organization, and only admins read its audit
+ * trail (GET /api/audits/org/:id). Outsiders can't tell an organization
+ * exists.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const app = require("../src/app");
+const Audit = require("../src/models/Audit");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+const { storeDocument } = require("./helpers/documents");
+
+describe("organizations", function () {
+  useDatabase();
+
+  let admin;
+  let member;
+  let outsider;
+  let tokens;
+  let orgId;
+
+  before(function () {
+    admin = chain.account(23);
+    member = chain.account(24);
+    outsider = chain.account(25);
+  });
+
+  beforeEach(async function () {
+    tokens = new Map();
+    for (const wallet of [admin, member, outsider]) {
+      tokens.set(wallet.address, (await sessionFor(app, wallet)).accessToken);
+    }
+
+    const res = await as(admin, request(app).post("/api/orgs")).send({ name: "Acme Legal" }).expect(201);
+    orgId = res.body.organization._id;
+  });
+
+  function as(wallet, req) {
+    return req.set("Authorization", `Bearer ${tokens.get(wallet.address)}`);
+  }
+
+  const get = (wallet, path) => as(wallet, request(app).get(path));
+
+  async function join(wallet, role = "member") {
+    await as(admin, request(app).post(`/api/orgs/${orgId}/invitations`)).send({ address: wallet.address, role }).expect(201);
+    await as(wallet, request(app).post(`/api/orgs/${orgId}/invitations/accept`)).expect(200);
+  }
+
+  describe("membership", function () {
+    it("makes the creator an admin", async function () {
+      const res = await get(admin, `/api/orgs/${orgId}`).expect(200);
+      expect(res.body.role).to.equal("admin");
+      expect(res.body.members.map((m) => [m.address, m.role, m.status])).to.deep.equal([
+        [admin.address, "admin", "active"],
+      ]);
+    });
+
+    it("lets an invited wallet in once it accepts", async function () {
+      await as(admin, request(app).post(`/api/orgs/${orgId}/invitations`)).send({ address: member.address }).expect(201);
+
+      const [invited] = (await get(member, "/api/orgs").expect(200)).body.organizations;
+      expect(invited).to.include({ _id: orgId, status: "invited", role: "member" });
+      await get(member, `/api/orgs/${orgId}`).expect(404);
+
+      await as(member, request(app).post(`/api/orgs/${orgId}/invitations/accept`)).expect(200);
+      const res = await get(member, `/api/orgs/${orgId}`).expect(200);
+      expect(res.body.role).to.equal("member");
+    });
+
+    it("only lets admins invite", async function () {
+      await join(member);
+
+      await as(member, request(app).post(`/api/orgs/${orgId}/invitations`)).send({ address: outsider.address }).expect(403);
+      await as(outsider, request(app).post(`/api/orgs/${orgId}/invitations`)).send({ address: outsider.address }).expect(404);
+      await as(admin, request(app).post(`/api/orgs/${orgId}/invitations`)).send({ address: member.address }).expect(409);
+      await as(admin, request(app).post(`/api/orgs/${orgId}/invitations`)).send({ address: "0x1234" }).expect(400);
+    });
+
+    it("keeps at least one admin", async function () {
+      await as(admin, request(app).delete(`/api/orgs/${orgId}/members/${admin.address}`)).expect(409);
+
+      await join(member);
+      await as(admin, request(app).patch(`/api/orgs/${orgId}/members/${member.address}`)).send({ role: "admin" }).expect(200);
+      await as(admin, request(app).delete(`/api/orgs/${orgId}/members/${admin.address}`)).expect(200);
+      await get(admin, `/api/orgs/${orgId}`).expect(404);
+    });
+  });
+
+  describe("GET /api/orgs/:id/documents", function () {
+    const listed = async (wallet) =>
+      (await get(wallet, `/api/orgs/${orgId}/documents`).expect(200)).body.documents.map((d) => d._id);
+
+    it("lists the documents members have filed", async function () {
+      await join(member);
+      const filed = await storeDocument(member.address, { name: "filed.txt" });
+      await storeDocument(member.address, { name: "personal.txt" });
+
+      await as(member, request(app).put(`/api/orgs/${orgId}/documents/${filed._id}`)).expect(200);
+
+      expect(await listed(admin)).to.deep.equal([String(filed._id)]);
+      expect(await listed(member)).to.deep.equal([String(filed._id)]);
+      await get(outsider, `/api/orgs/${orgId}/documents`).expect(404);
+    });
+
+    it("only lets a document's owner file it", async function () {
+      await join(member);
+      const document = await storeDocument(admin.address);
+
+      await as(member, request(app).put(`/api/orgs/${orgId}/documents/${document._id}`)).expect(403);
+      expect(await listed(admin)).to.deep.equal([]);
+    });
+
+    it("leaves out documents in the trash", async function () {
+      const document = await storeDocument(admin.address, { organization: orgId, isDeleted: true });
+      expect(await listed(admin)).to.not.include(String(document._id));
+    });
+
+    it("unfiles a member's documents when they leave", async function () {
+      await join(member);
+      const document = await storeDocument(member.address, { organization: orgId });
+      expect(await listed(admin)).to.deep.equal([String(document._id)]);
+
+      await as(member, request(app).delete(`/api/orgs/${orgId}/members/${member.address}`)).expect(200);
+      expect(await listed(admin)).to.deep.equal([]);
+    });
+  });
+
+  describe("GET /api/audits/org/:id", function () {
+    it("shows admins the activity on filed documents, and nothing else", async function () {
+      await join(member);
+      const filed = await storeDocument(member.address, { name: "filed.txt", organization: orgId });
+      const personal = await storeDocument(member.address, { name: "personal.txt" });
+      await Audit.create([
+        { walletAddress: outsider.address, action: "FILE_DOWNLOAD", documentId: filed._id },
+        { walletAddress: outsider.address, action: "FILE_DOWNLOAD", documentId: personal._id },
+      ]);
+
+      const { audits } = (await get(admin, `/api/audits/org/${orgId}`).expect(200)).body;
+      const downloads = audits.filter((a) => a.action === "FILE_DOWNLOAD");
+      expect(downloads.map((a) => a.documentId.name)).to.deep.equal(["filed.txt"]);
+    });
+
+    it("is for admins only", async function () {
+      await join(member);
+
+      await get(member, `/api/audits/org/${orgId}`).expect(403);
+      await get(outsider, `/api/audits/org/${orgId}`).expect(404);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * test/pendingKeys.test.js
+ *
+ * GET /api/documents/keys/pending: the group members an owner still has to
+ * wrap a content key for — members of a group one of its encrypted
+ * documents is shared with who have published an encryption key but hold
+ * no wrapped key. Whoever manages the group, only the owner can wrap.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const { ethers } = require("ethers");
+const app = require("../src/app");
+const Group = require("../src/models/Group");
+const User = require("../src/models/User");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+const { storeDocument } = require("./helpers/documents");
+
+describe("GET /api/documents/keys/pending", function () {
+  useDatabase();
+
+  let owner;
+  let member;
+  let keyless;
+  let manager;
+  let groupId;
+
+  before(function () {
+    owner = chain.account(15);
+    member = chain.account(16);
+    keyless = chain.account(17);
+    manager = chain.account(18);
+  });
+
+  beforeEach(async function () {
+    groupId = ethers.id(`pending-keys:${Math.random()}`);
+    await Group.create({
+      groupId,
+      name: "Reviewers",
+      owner: manager.address,
+      members: [owner.address, member.address, keyless.address],
+      registeredOnChain: true,
+    });
+    await User.create({ address: member.address, encryptionPublicKey: member.signingKey.compressedPublicKey });
+    await User.create({ address: keyless.address });
+  });
+
+  async function pendingFor(wallet) {
+    const { accessToken } = await sessionFor(app, wallet);
+    const res = await request(app).get("/api/documents/keys/pending")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .expect(200);
+    return res.body.pending;
+  }
+
+  const wrappedKeyFor = (recipient) => ({
+    recipient,
+    ephemeralPublicKey: "0x02" + "11".repeat(32),
+    iv: "0x" + "22".repeat(12),
+    wrappedKey: "0x" + "33".repeat(48),
+  });
+
+  it("lists members with an encryption key and no wrapped key", async function () {
+    const document = await storeDocument(owner.address, {
+      name: "contract.pdf",
+      encrypted: true,
+      groupAccessList: [groupId],
+      wrappedKeys: [wrappedKeyFor(owner.address)],
+    });
+
+    expect(await pendingFor(owner)).to.deep.equal([
+      { documentId: String(document._id), name: "contract.pdf", recipients: [member.address] },
+    ]);
+  });
+
+  it("stops listing a member once their key is stored", async function () {
+    await storeDocument(owner.address, {
+      encrypted: true,
+      groupAccessList: [groupId],
+      wrappedKeys: [wrappedKeyFor(owner.address), wrappedKeyFor(member.address)],
+    });
+
+    expect(await pendingFor(owner)).to.deep.equal([]);
+  });
+
+  it("ignores plaintext documents and disbanded groups", async function () {
+    await storeDocument(owner.address, { encrypted: false, groupAccessList: [groupId] });
+    expect(await pendingFor(owner)).to.deep.equal([]);
+
+    await storeDocument(owner.address, { encrypted: true, groupAccessList: [groupId] });
+    await Group.updateOne({ groupId }, { $set: { disbandedAt: new Date() } });
+    expect(await pendingFor(owner)).to.deep.equal([]);
+  });
+
+  it("lists only the caller's own documents, not the group manager's view of them", async function () {
+    await storeDocument(owner.address, { encrypted: true, groupAccessList: [groupId] });
+    expect(await pendingFor(manager)).to.deep.equal([]);
+  });
+});
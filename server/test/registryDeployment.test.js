@@ -0,0 +1,36 @@
+/**
+ * test/registryDeployment.test.js
+ *
+ * The startup check that the configured registry address holds a contract
+ * built from the current ABI — against the Hardhat node, no database.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const { RegistryDeploymentError, checkRegistryDeployment } = require("shared");
+const blockchainService = require("../src/services/blockchainService");
+const chain = require("./helpers/chain");
+
+describe("registry deployment check", function () {
+  it("accepts the DocumentRegistry deployed from this build", async function () {
+    await blockchainService.checkDeployment();
+  });
+
+  it("rejects an address without a contract", async function () {
+    const address = chain.account(15).address;
+    const err = await checkRegistryDeployment(address, chain.getProvider()).catch((e) => e);
+    expect(err).to.be.instanceOf(RegistryDeploymentError);
+    expect(err.address).to.equal(address);
+    expect(err.message).to.match(/No contract is deployed/);
+  });
+
+  it("rejects a contract that lacks the registry's functions", async function () {
+    const deployer = chain.account(15);
+    const other = await chain.deploy("mocks/MockERC1271Wallet", deployer, deployer.address);
+
+    const err = await checkRegistryDeployment(await other.getAddress(), chain.getProvider()).catch((e) => e);
+    expect(err).to.be.instanceOf(RegistryDeploymentError);
+    expect(err.message).to.match(/older DocumentRegistry.*Redeploy/);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * test/relay.test.js
+ *
+ * Gasless meta-transactions end to end: a wallet signs an EIP-712 intent,
+ * POST /api/relay submits it from the relayer account on a Hardhat node,
+ * and the registry's state is checked on-chain.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const { ethers } = require("ethers");
+const { INTENT_TYPES, getRegistryContract } = require("shared");
+const app = require("../src/app");
+const Document = require("../src/models/Document");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+
+describe("POST /api/relay", function () {
+  useDatabase();
+
+  const CID = "QmRelayTestCid";
+  const CONTENT_HASH = ethers.id("relay test plaintext");
+
+  let user;
+  let stranger;
+  let registry;
+  let relayer;
+  let accessToken;
+
+  before(function () {
+    user = chain.account(2);
+    stranger = chain.account(3);
+    registry = getRegistryContract(process.env.REGISTRY_CONTRACT_ADDRESS, chain.getProvider());
+  });
+
+  beforeEach(async function () {
+    ({ accessToken } = await sessionFor(app, user));
+  });
+
+  const auth = () => ({ Authorization: `Bearer ${accessToken}` });
+
+  /** Index a pinned, not yet registered document owned by `user`. */
+  async function indexDocument(label) {
+    const documentHash = ethers.id(label);
+    await Document.create({
+      documentHash,
+      ipfsHash: CID,
+      owner: user.address,
+      name: `${label}.pdf`,
+      mimeType: "application/pdf",
+      versions: [{ version: 1, ipfsHash: CID }],
+    });
+    return documentHash;
+  }
+
+  /** Sign an intent against the domain and nonce the server reports. */
+  async function signIntent(type, fields, { signer = user, nonce, deadline } = {}) {
+    const { body } = await request(app).get("/api/relay").set(auth()).expect(200);
+    expect(body.enabled).to.equal(true);
+    relayer = body.relayer;
+
+    const message = {
+      ...fields,
+      nonce: nonce ?? body.nonce,
+      deadline: deadline ?? Math.floor(Date.now() / 1000) + 600,
+    };
+    const signature = await signer.signTypedData(body.domain, { [type]: INTENT_TYPES[type] }, message);
+    return { type, message, signature };
+  }
+
+  const registration = (owner, documentHash) =>
+    ({ owner: owner.address, documentHash, cid: CID, contentHash: CONTENT_HASH });
+
+  const relay = (intent) => request(app).post("/api/relay").set(auth()).send(intent);
+
+  it("registers a document from a signed intent at the relayer's expense", async function () {
+    const documentHash = await indexDocument("relay-register");
+    const balance = await chain.getProvider().getBalance(user.address);
+
+    const intent = await signIntent("RegisterDocument", registration(user, documentHash));
+    const res = await relay(intent).expect(200);
+
+    const receipt = await chain.getProvider().getTransactionReceipt(res.body.txHash);
+    expect(receipt.status).to.equal(1);
+    expect(receipt.from).to.equal(relayer);
+
+    const document = await registry.getDocument(documentHash);
+    expect(document.owner).to.equal(user.address);
+    expect(document.cid).to.equal(CID);
+    expect(await registry.nonces(user.address)).to.equal(BigInt(intent.message.nonce) + 1n);
+    expect(await chain.getProvider().getBalance(user.address)).to.equal(balance);
+  });
+
+  describe("intent checks", function () {
+    it("rejects a stale nonce — the same intent can't be relayed twice", async function () {
+      const documentHash = await indexDocument("relay-replay");
+      const intent = await signIntent("RegisterDocument", registration(user, documentHash));
+      await relay(intent).expect(200);
+
+      const res = await relay(intent).expect(400);
+      expect(res.body.error).to.match(/nonce is stale/);
+    });
+
+    it("rejects an expired deadline", async function () {
+      const documentHash = await indexDocument("relay-expired");
+      const intent = await signIntent("RegisterDocument", registration(user, documentHash), {
+        deadline: Math.floor(Date.now() / 1000) - 1,
+      });
+
+      const res = await relay(intent).expect(400);
+      expect(res.body.error).to.match(/expired/);
+    });
+
+    it("rejects a deadline too far in the future", async function () {
+      const documentHash = await indexDocument("relay-distant");
+      const intent = await signIntent("RegisterDocument", registration(user, documentHash), {
+        deadline: Math.floor(Date.now() / 1000) + 2 * 24 * 60 * 60,
+      });
+
+      const res = await relay(intent).expect(400);
+      expect(res.body.error).to.match(/too far in the future/);
+    });
+
+    it("rejects an intent signed by a wallet other than the one it names", async function () {
+      const documentHash = await indexDocument("relay-forged");
+      const intent = await signIntent("RegisterDocument", registration(user, documentHash), {
+        signer: stranger,
+      });
+
+      const res = await relay(intent).expect(400);
+      expect(res.body.error).to.equal("Invalid signature.");
+      expect(await registry.nonces(user.address)).to.equal(BigInt(intent.message.nonce));
+    });
+
+    it("refuses to relay another wallet's intent for the caller", async function () {
+      const documentHash = await indexDocument("relay-someone-else");
+      const intent = await signIntent("RegisterDocument", registration(stranger, documentHash), {
+        signer: stranger,
+        nonce: Number(await registry.nonces(stranger.address)),
+      });
+
+      await relay(intent).expect(403);
+    });
+  });
+
+  describe("submission", function () {
+    it("maps a rejection in the dry run to 400 without sending a transaction", async function () {
+      const documentHash = await indexDocument("relay-duplicate");
+      await (await registry.connect(user).registerDocument(documentHash, CID, CONTENT_HASH)).wait();
+
+      const intent = await signIntent("RegisterDocument", registration(user, documentHash));
+      const sent = await chain.getProvider().getTransactionCount(relayer);
+
+      const res = await relay(intent).expect(400);
+      expect(res.body.error).to.equal("Document already registered");
+      expect(await chain.getProvider().getTransactionCount(relayer)).to.equal(sent);
+    });
+
+    it("answers 502 when the relayer can't send, then relays the re-signed intent", async function () {
+      const provider = chain.getProvider();
+      const documentHash = await indexDocument("relay-unfunded");
+      const fields = registration(user, documentHash);
+
+      // An unfunded relayer passes the dry run but can't pay for the send
+      const first = await signIntent("RegisterDocument", fields);
+      const funds = await provider.getBalance(relayer);
+      await provider.send("hardhat_setBalance", [relayer, "0x0"]);
+      try {
+        const res = await relay(first).expect(502);
+        expect(res.body.error).to.match(/could not submit/);
+      } finally {
+        await provider.send("hardhat_setBalance", [relayer, ethers.toQuantity(funds)]);
+      }
+
+      // The failed send bumped the NonceManager's count; without the reset
+      // this transaction would carry a nonce gap and never be mined
+      const retry = await signIntent("RegisterDocument", fields);
+      expect(retry.message.nonce).to.equal(first.message.nonce);
+      const res = await relay(retry).expect(200);
+
+      expect((await provider.getTransactionReceipt(res.body.txHash)).status).to.equal(1);
+      expect((await registry.getDocument(documentHash)).owner).to.equal(user.address);
+    });
+  });
+});
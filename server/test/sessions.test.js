@@ -0,0 +1,90 @@
+/**
+ * test/sessions.test.js
+ *
+ * Session tokens: POST /api/auth/refresh rotates both tokens, a refresh
+ * token presented twice revokes the session, and POST /api/auth/logout
+ * ends it.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const app = require("../src/app");
+const Session = require("../src/models/Session");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+
+describe("sessions", function () {
+  useDatabase();
+
+  let tokens;
+
+  beforeEach(async function () {
+    tokens = await sessionFor(app, chain.account(6));
+  });
+
+  const me = (accessToken) => request(app).get("/api/user/me").set("Authorization", `Bearer ${accessToken}`);
+  const refresh = (refreshToken) => request(app).post("/api/auth/refresh").send({ refreshToken });
+
+  describe("POST /api/auth/refresh", function () {
+    it("rotates both tokens", async function () {
+      const res = await refresh(tokens.refreshToken).expect(200);
+      expect(res.body.sessionId).to.equal(tokens.sessionId);
+      expect(res.body.accessToken).to.not.equal(tokens.accessToken);
+      expect(res.body.refreshToken).to.not.equal(tokens.refreshToken);
+
+      await me(res.body.accessToken).expect(200);
+      await me(tokens.accessToken).expect(401);
+    });
+
+    it("revokes the session when a rotated refresh token comes back", async function () {
+      const rotated = (await refresh(tokens.refreshToken).expect(200)).body;
+
+      // Whoever copied the old token and whoever holds the new one are both
+      // signed out
+      await refresh(tokens.refreshToken).expect(401);
+      await refresh(rotated.refreshToken).expect(401);
+      await me(rotated.accessToken).expect(401);
+
+      const session = await Session.findById(tokens.sessionId);
+      expect(session.revokedAt).to.be.an.instanceOf(Date);
+    });
+
+    it("tells the client to refresh an expired access token", async function () {
+      await Session.updateOne({ _id: tokens.sessionId }, { $set: { accessExpiresAt: new Date(Date.now() - 1000) } });
+
+      const res = await me(tokens.accessToken).expect(401);
+      expect(res.body.code).to.equal("TOKEN_EXPIRED");
+
+      const rotated = (await refresh(tokens.refreshToken).expect(200)).body;
+      await me(rotated.accessToken).expect(200);
+    });
+
+    it("rejects a token it never issued", async function () {
+      await refresh("not-a-refresh-token").expect(401);
+    });
+  });
+
+  describe("POST /api/auth/logout", function () {
+    it("ends the session's access and refresh tokens", async function () {
+      await request(app).post("/api/auth/logout")
+        .set("Authorization", `Bearer ${tokens.accessToken}`)
+        .expect(200);
+
+      await me(tokens.accessToken).expect(401);
+      await refresh(tokens.refreshToken).expect(401);
+    });
+
+    it("leaves the wallet's other sessions signed in", async function () {
+      const other = await sessionFor(app, chain.account(6));
+
+      await request(app).post("/api/auth/logout")
+        .set("Authorization", `Bearer ${tokens.accessToken}`)
+        .expect(200);
+
+      await me(other.accessToken).expect(200);
+    });
+  });
+});
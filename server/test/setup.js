@@ -0,0 +1,57 @@
+/**
+ * test/setup.js
+ *
+ * Mocha root hooks for the server suite (.mocharc.json requires this file
+ * before any spec). The environment is set at load time because several
+ * modules read process.env once, when first required; the Hardhat node and
+ * the DocumentRegistry deployment it expects come up in beforeAll.
+ * Suites that need MongoDB start their own (helpers/db useDatabase).
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const chain = require("./helpers/chain");
+
+const RPC_PORT = parseInt(process.env.TEST_RPC_PORT ?? "8546", 10);
+const STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bsd-test-"));
+
+process.env.BLOCKCHAIN_RPC_URL = `http://127.0.0.1:${RPC_PORT}`;
+
+const deployer = chain.account(0);
+const relayer = chain.account(1);
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  MONGODB_URI: "mongodb://127.0.0.1/unused", // suites connect through useDatabase()
+  CLIENT_ORIGIN: "http://localhost:5173",
+  SIWE_CHAIN_IDS: "31337,80002",
+  // The registry is the deployer's first transaction on the fresh node
+  REGISTRY_CONTRACT_ADDRESS: ethers.getCreateAddress({ from: deployer.address, nonce: 0 }),
+  RELAYER_PRIVATE_KEY: relayer.privateKey,
+  INDEXER_ENABLED: "false", // suites call indexerService.syncOnce() themselves
+  INDEXER_CONFIRMATIONS: "0",
+  STORAGE_BACKEND: "local",
+  STORAGE_LOCAL_DIR: STORAGE_DIR,
+});
+
+let node;
+
+exports.mochaHooks = {
+  async beforeAll() {
+    this.timeout(120 * 1000);
+    node = await chain.startNode(RPC_PORT);
+    const registry = await chain.deploy("DocumentRegistry", deployer);
+    if ((await registry.getAddress()) !== process.env.REGISTRY_CONTRACT_ADDRESS) {
+      throw new Error("DocumentRegistry was not the deployer's first transaction.");
+    }
+  },
+
+  async afterAll() {
+    await chain.stopNode(node);
+    fs.rmSync(STORAGE_DIR, { recursive: true, force: true });
+  },
+};
@@ -0,0 +1,163 @@
+/**
+ * test/shareLinks.test.js
+ *
+ * Share links: the owner creates, lists and revokes them under
+ * /api/documents/:id/links, and anyone holding one reads the document
+ * through GET /s/:token until it expires, runs out of views, is revoked or
+ * the document changes hands.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const app = require("../src/app");
+const ShareLink = require("../src/models/ShareLink");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+const { storeDocument } = require("./helpers/documents");
+
+const CONTENT = "The quick brown fox jumps over the lazy dog";
+
+describe("share links", function () {
+  useDatabase();
+
+  let owner;
+  let accessToken;
+  let document;
+
+  before(function () {
+    owner = chain.account(10);
+  });
+
+  beforeEach(async function () {
+    ({ accessToken } = await sessionFor(app, owner));
+    document = await storeDocument(owner.address, { bytes: Buffer.from(CONTENT) });
+  });
+
+  const asOwner = (req) => req.set("Authorization", `Bearer ${accessToken}`);
+  const inOneHour = () => Math.floor(Date.now() / 1000) + 60 * 60;
+
+  async function createLink(fields = {}) {
+    const res = await asOwner(request(app).post(`/api/documents/${document._id}/links`))
+      .send({ expiresAt: inOneHour(), ...fields })
+      .expect(201);
+    return res.body;
+  }
+
+  it("streams the document without a wallet", async function () {
+    const { token } = await createLink();
+
+    const res = await request(app).get(`/s/${token}`).expect(200);
+    expect(res.text).to.equal(CONTENT);
+
+    const info = await request(app).get(`/s/${token}/info`).expect(200);
+    expect(info.body.link.name).to.equal(document.name);
+  });
+
+  it("stores only a hash of the token", async function () {
+    const { link, token } = await createLink();
+    const stored = await ShareLink.findById(link._id).lean();
+    expect(stored.tokenHash).to.not.equal(token);
+    expect(JSON.stringify(stored)).to.not.include(token);
+  });
+
+  describe("view limits", function () {
+    it("stops serving once the views are used up", async function () {
+      const { token } = await createLink({ maxViews: 2 });
+
+      await request(app).get(`/s/${token}`).expect(200);
+      await request(app).get(`/s/${token}`).expect(200);
+      const res = await request(app).get(`/s/${token}`).expect(410);
+      expect(res.body.error).to.match(/view limit/);
+    });
+
+    it("counts a suffix range as a view", async function () {
+      const { token } = await createLink({ maxViews: 1 });
+
+      // The last CONTENT.length bytes — the whole document
+      const suffix = `bytes=-${CONTENT.length}`;
+      const res = await request(app).get(`/s/${token}`).set("Range", suffix).expect(206);
+      expect(res.text).to.equal(CONTENT);
+
+      await request(app).get(`/s/${token}`).set("Range", suffix).expect(410);
+      await request(app).get(`/s/${token}`).expect(410);
+    });
+
+    it("counts a range that skips the first byte as a view", async function () {
+      const { token } = await createLink({ maxViews: 1 });
+
+      await request(app).get(`/s/${token}`).set("Range", "bytes=1-").expect(206);
+      await request(app).get(`/s/${token}`).set("Range", "bytes=1-").expect(410);
+    });
+
+    it("gives the view back when no bytes are sent", async function () {
+      const { link, token } = await createLink({ maxViews: 1 });
+
+      await request(app).get(`/s/${token}`).set("Range", `bytes=${CONTENT.length + 10}-`).expect(416);
+      expect((await ShareLink.findById(link._id)).viewCount).to.equal(0);
+      await request(app).get(`/s/${token}`).expect(200);
+    });
+
+    it("lets only maxViews of several concurrent requests through", async function () {
+      const { token } = await createLink({ maxViews: 2 });
+
+      const statuses = (await Promise.all([1, 2, 3, 4].map(() => request(app).get(`/s/${token}`))))
+        .map((res) => res.status)
+        .sort();
+      expect(statuses).to.deep.equal([200, 200, 410, 410]);
+    });
+
+    it("does not use a view to show the link's details", async function () {
+      const { token } = await createLink({ maxViews: 1 });
+
+      const info = await request(app).get(`/s/${token}/info`).expect(200);
+      expect(info.body.link.viewsRemaining).to.equal(1);
+      await request(app).get(`/s/${token}`).expect(200);
+    });
+  });
+
+  it("stops serving once expired", async function () {
+    const { link, token } = await createLink();
+    await ShareLink.updateOne({ _id: link._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await request(app).get(`/s/${token}`).expect(410);
+    expect(res.body.error).to.match(/expired/);
+  });
+
+  it("stops serving once revoked", async function () {
+    const { link, token } = await createLink();
+    await request(app).get(`/s/${token}`).expect(200);
+
+    await asOwner(request(app).delete(`/api/documents/${document._id}/links/${link._id}`)).expect(200);
+
+    await request(app).get(`/s/${token}`).expect(404);
+    await request(app).get(`/s/${token}/info`).expect(404);
+  });
+
+  it("stops serving once the document has a new owner", async function () {
+    const { token } = await createLink();
+    document.owner = chain.account(11).address;
+    await document.save();
+
+    await request(app).get(`/s/${token}`).expect(404);
+  });
+
+  it("asks for the password of a protected link", async function () {
+    const { token } = await createLink({ password: "hunter22" });
+
+    const missing = await request(app).get(`/s/${token}`).expect(401);
+    expect(missing.body.passwordRequired).to.equal(true);
+    await request(app).get(`/s/${token}`).set("x-link-password", "wrong-one").expect(401);
+    await request(app).get(`/s/${token}`).set("x-link-password", "hunter22").expect(200);
+  });
+
+  it("only lets the owner create links", async function () {
+    const other = await sessionFor(app, chain.account(11));
+    await request(app).post(`/api/documents/${document._id}/links`)
+      .set("Authorization", `Bearer ${other.accessToken}`)
+      .send({ expiresAt: inOneHour() })
+      .expect(403);
+  });
+});
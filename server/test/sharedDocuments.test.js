@@ -0,0 +1,124 @@
+/**
+ * test/sharedDocuments.test.js
+ *
+ * GET /api/documents/shared: the index nominates documents shared with the
+ * caller, directly or through a group, and the registry on the Hardhat node
+ * decides which of those grants still hold — and with which role.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const { ethers } = require("ethers");
+const { ROLES, getRegistryContract } = require("shared");
+const app = require("../src/app");
+const Group = require("../src/models/Group");
+const indexerService = require("../src/services/indexerService");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+const { sessionFor } = require("./helpers/auth");
+const { storeDocument } = require("./helpers/documents");
+
+describe("GET /api/documents/shared", function () {
+  useDatabase();
+
+  let owner;
+  let reader;
+  let registry;
+  let accessToken;
+
+  before(function () {
+    owner = chain.account(13);
+    reader = chain.account(14);
+    registry = getRegistryContract(process.env.REGISTRY_CONTRACT_ADDRESS, owner);
+  });
+
+  beforeEach(async function () {
+    ({ accessToken } = await sessionFor(app, reader));
+  });
+
+  const inOneHour = () => Math.floor(Date.now() / 1000) + 60 * 60;
+
+  const listShared = async () =>
+    (await request(app).get("/api/documents/shared").set("Authorization", `Bearer ${accessToken}`).expect(200))
+      .body.documents;
+
+  /** A document of `owner`'s, indexed and registered on-chain. */
+  async function registeredDocument(name) {
+    const document = await storeDocument(owner.address, { name });
+    await (await registry.registerDocument(document.documentHash, document.ipfsHash, ethers.ZeroHash)).wait();
+    return document;
+  }
+
+  /** A group of `owner`'s with `reader` in it, indexed and created on-chain. */
+  async function groupWithReader(name) {
+    const groupId = ethers.id(`${name}:${Date.now()}:${Math.random()}`);
+    await Group.create({ groupId, name, owner: owner.address });
+    await (await registry.createGroup(groupId, [reader.address])).wait();
+    return groupId;
+  }
+
+  it("lists a direct grant with its role and expiry once indexed", async function () {
+    const document = await registeredDocument("direct.txt");
+    const expiresAt = inOneHour();
+    await (await registry.grantRole(document.documentHash, reader.address, ROLES.EDITOR, expiresAt)).wait();
+
+    expect(await listShared()).to.deep.equal([]);
+
+    await indexerService.syncOnce();
+    const [shared, ...rest] = await listShared();
+    expect(rest).to.deep.equal([]);
+    expect(shared).to.include({
+      _id: String(document._id),
+      role: ROLES.EDITOR,
+      accessExpiresAt: expiresAt,
+      group: null,
+    });
+  });
+
+  it("drops a grant revoked on-chain before the indexer has seen the revocation", async function () {
+    const document = await registeredDocument("revoked.txt");
+    await (await registry.grantRole(document.documentHash, reader.address, ROLES.VIEWER, ethers.MaxUint256)).wait();
+    await indexerService.syncOnce();
+    expect(await listShared()).to.have.length(1);
+
+    await (await registry.revokeAccess(document.documentHash, reader.address)).wait();
+    expect(await listShared()).to.deep.equal([]);
+  });
+
+  it("lists a group grant under the group's name", async function () {
+    const document = await registeredDocument("group.txt");
+    const groupId = await groupWithReader("Legal");
+    await (await registry.grantGroupRole(document.documentHash, groupId, ROLES.VIEWER, ethers.MaxUint256)).wait();
+
+    await indexerService.syncOnce();
+    const [shared] = await listShared();
+    expect(shared.role).to.equal(ROLES.VIEWER);
+    expect(shared.accessExpiresAt).to.equal(null);
+    expect(shared.group).to.deep.equal({ groupId, name: "Legal" });
+  });
+
+  it("reports the highest role when a document is shared several ways", async function () {
+    const document = await registeredDocument("both.txt");
+    const groupId = await groupWithReader("Editors");
+    await (await registry.grantRole(document.documentHash, reader.address, ROLES.VIEWER, ethers.MaxUint256)).wait();
+    await (await registry.grantGroupRole(document.documentHash, groupId, ROLES.EDITOR, ethers.MaxUint256)).wait();
+
+    await indexerService.syncOnce();
+    const [shared] = await listShared();
+    expect(shared.role).to.equal(ROLES.EDITOR);
+    expect(shared.group.groupId).to.equal(groupId);
+  });
+
+  it("drops a group grant once the caller leaves the group on-chain", async function () {
+    const document = await registeredDocument("left.txt");
+    const groupId = await groupWithReader("Leavers");
+    await (await registry.grantGroupRole(document.documentHash, groupId, ROLES.VIEWER, ethers.MaxUint256)).wait();
+    await indexerService.syncOnce();
+    expect(await listShared()).to.have.length(1);
+
+    await (await registry.removeGroupMembers(groupId, [reader.address])).wait();
+    expect(await listShared()).to.deep.equal([]);
+  });
+});
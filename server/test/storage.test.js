@@ -0,0 +1,90 @@
+/**
+ * test/storage.test.js
+ *
+ * The local and S3 storage backends against the same expectations: content is
+ * keyed by the CID Kubo would give it, read back by byte range, and unpinned
+ * at most once. The S3 suite needs a real S3-compatible store — it runs when
+ * S3_ENDPOINT and S3_BUCKET are set (e.g. a local MinIO) and is skipped
+ * otherwise.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const { expect } = require("chai");
+
+// `ipfs add` of "hello world\n" with Kubo's defaults
+const HELLO_WORLD_CID = "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o";
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+const statusOf = (promise) => promise.then(() => null, (err) => err.status);
+
+/** The shared expectations; `load` returns the backend once it can run. */
+function describeBackend(name, load) {
+  describe(`${name} storage backend`, function () {
+    let storage;
+    let bytes;
+    let cid;
+
+    before(function () {
+      storage = load.call(this);
+    });
+
+    beforeEach(async function () {
+      // Fresh bytes each time, so nothing already in the store is touched
+      bytes = Buffer.concat([Buffer.from("storage test "), crypto.randomBytes(16)]);
+      cid = await storage.add(bytes);
+    });
+
+    afterEach(async function () {
+      await storage.unpin(cid);
+    });
+
+    it("keys content by the CID Kubo gives it", async function () {
+      expect(cid).to.equal(await storage.hash(bytes));
+      expect(await storage.add(bytes)).to.equal(cid);
+
+      const hello = await storage.add(Buffer.from("hello world\n"));
+      expect(hello).to.equal(HELLO_WORLD_CID);
+      await storage.unpin(hello);
+    });
+
+    it("reads content whole or by byte range", async function () {
+      expect(await readAll(await storage.get(cid))).to.deep.equal(bytes);
+      expect(await readAll(await storage.get(cid, { offset: 8 }))).to.deep.equal(bytes.subarray(8));
+      expect(await readAll(await storage.get(cid, { offset: 8, length: 4 }))).to.deep.equal(bytes.subarray(8, 12));
+      expect(await storage.stat(cid)).to.deep.equal({ size: bytes.length });
+    });
+
+    it("unpins content once", async function () {
+      await storage.pin(cid);
+      expect(await storage.unpin(cid)).to.equal(true);
+      expect(await storage.unpin(cid)).to.equal(false);
+
+      expect(await statusOf(storage.stat(cid))).to.equal(404);
+      expect(await statusOf(storage.get(cid))).to.equal(404);
+      expect(await statusOf(storage.pin(cid))).to.equal(404);
+    });
+
+    it("treats anything but a CID as missing content", async function () {
+      for (const bad of ["../../etc/passwd", `${cid}/..`, ""]) {
+        expect(await statusOf(storage.stat(bad))).to.equal(404);
+        expect(await statusOf(storage.get(bad))).to.equal(404);
+      }
+    });
+  });
+}
+
+describeBackend("local", function () {
+  return require("../src/services/storage/local");
+});
+
+describeBackend("S3", function () {
+  if (!process.env.S3_ENDPOINT || !process.env.S3_BUCKET) this.skip();
+  return require("../src/services/storage/s3");
+});
@@ -0,0 +1,120 @@
+/**
+ * test/verify.test.js
+ *
+ * Public verification: POST /api/verify matches a file — by its CID or its
+ * anchored plaintext hash — against the registrations and updates the chain
+ * indexer has recorded.
+ */
+
+"use strict";
+
+const { expect } = require("chai");
+const request = require("supertest");
+const { ethers } = require("ethers");
+const { getRegistryContract, computeContentHash } = require("shared");
+const app = require("../src/app");
+const ipfsService = require("../src/services/ipfsService");
+const indexerService = require("../src/services/indexerService");
+const chain = require("./helpers/chain");
+const { useDatabase } = require("./helpers/db");
+
+describe("POST /api/verify", function () {
+  useDatabase();
+
+  let owner;
+  let registry;
+
+  before(function () {
+    owner = chain.account(12);
+    registry = getRegistryContract(process.env.REGISTRY_CONTRACT_ADDRESS, owner);
+  });
+
+  const verify = (bytes) => request(app).post("/api/verify").attach("file", Buffer.from(bytes), "file.txt");
+
+  const anchor = async (bytes) => ({
+    cid: await ipfsService.computeCid(Buffer.from(bytes)),
+    contentHash: computeContentHash(Buffer.from(bytes)),
+  });
+
+  /**
+   * Registers `bytes` as a new document and returns the receipt. `stored`
+   * stands in for what goes to IPFS — the ciphertext of an encrypted document.
+   */
+  async function register(bytes, { stored = bytes, contentHash = computeContentHash(Buffer.from(bytes)) } = {}) {
+    const cid = await ipfsService.computeCid(Buffer.from(stored));
+    const documentHash = ethers.id(`verify:${bytes}:${Date.now()}`);
+    const receipt = await (await registry.registerDocument(documentHash, cid, contentHash)).wait();
+    return { documentHash, cid, receipt };
+  }
+
+  it("finds a registered file once it is indexed", async function () {
+    const { documentHash, receipt } = await register("verify: registered");
+
+    const before = await verify("verify: registered").expect(200);
+    expect(before.body.verified).to.equal(false);
+
+    await indexerService.syncOnce();
+    const res = await verify("verify: registered").expect(200);
+    expect(res.body.verified).to.equal(true);
+    expect(res.body.indexedThrough).to.be.at.least(receipt.blockNumber);
+    expect(res.body.matches).to.have.length(1);
+    expect(res.body.matches[0]).to.include({
+      event: "DocumentRegistered",
+      documentHash,
+      owner: owner.address,
+      version: 1,
+      matchedBy: "cid",
+      blockNumber: receipt.blockNumber,
+      txHash: receipt.hash,
+    });
+    expect(res.body.matches[0].timestamp).to.be.a("number");
+  });
+
+  it("finds the original of a file stored encrypted by its plaintext hash", async function () {
+    const { documentHash, cid } = await register("verify: plaintext", { stored: "verify: ciphertext" });
+    await indexerService.syncOnce();
+
+    const res = await verify("verify: plaintext").expect(200);
+    expect(res.body.cid).to.not.equal(cid);
+    expect(res.body.verified).to.equal(true);
+    expect(res.body.matches).to.have.length(1);
+    expect(res.body.matches[0]).to.include({
+      documentHash,
+      cid,
+      contentHash: res.body.contentHash,
+      matchedBy: "contentHash",
+    });
+  });
+
+  it("matches a version anchored without a plaintext hash only by its CID", async function () {
+    await register("verify: no hash", { stored: "verify: no hash, stored", contentHash: ethers.ZeroHash });
+    await indexerService.syncOnce();
+
+    expect((await verify("verify: no hash").expect(200)).body.verified).to.equal(false);
+    const res = await verify("verify: no hash, stored").expect(200);
+    expect(res.body.matches[0]).to.include({ contentHash: null, matchedBy: "cid" });
+  });
+
+  it("finds a file published as a later version", async function () {
+    const { documentHash } = await register("verify: v1");
+    const { cid, contentHash } = await anchor("verify: v2");
+    await (await registry.updateDocument(documentHash, cid, contentHash)).wait();
+    await indexerService.syncOnce();
+
+    const res = await verify("verify: v2").expect(200);
+    expect(res.body.matches.map((m) => [m.event, m.version, m.owner])).to.deep.equal([
+      ["DocumentUpdated", 2, owner.address],
+    ]);
+  });
+
+  it("reports a file nobody registered", async function () {
+    await indexerService.syncOnce();
+    const res = await verify("verify: never registered").expect(200);
+    expect(res.body.verified).to.equal(false);
+    expect(res.body.matches).to.deep.equal([]);
+  });
+
+  it("requires a file", async function () {
+    await request(app).post("/api/verify").expect(400);
+  });
+});
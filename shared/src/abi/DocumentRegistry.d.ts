@@ -0,0 +1,80 @@
+// Generated by blockchain/scripts/generate-abi.js from contracts/DocumentRegistry.sol — do not edit.
+
+import type {
+  AddressLike,
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  ContractTransactionResponse,
+  Overrides
+} from "ethers";
+
+export interface DocumentRegistryFunctions {
+  DOMAIN_SEPARATOR(overrides?: Overrides): Promise<string>;
+  GRANT_ACCESS_TYPEHASH(overrides?: Overrides): Promise<string>;
+  MAX_BATCH_PAIRS(overrides?: Overrides): Promise<bigint>;
+  MAX_GROUPS_PER_DOCUMENT(overrides?: Overrides): Promise<bigint>;
+  MAX_GROUP_MEMBERS_PER_CALL(overrides?: Overrides): Promise<bigint>;
+  NO_EXPIRY(overrides?: Overrides): Promise<bigint>;
+  REGISTER_DOCUMENT_TYPEHASH(overrides?: Overrides): Promise<string>;
+  REVOKE_ACCESS_TYPEHASH(overrides?: Overrides): Promise<string>;
+  UPDATE_DOCUMENT_TYPEHASH(overrides?: Overrides): Promise<string>;
+  acceptOwnership(documentHash: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  accessExpiry(documentHash: BytesLike, user: AddressLike, overrides?: Overrides): Promise<bigint>;
+  addGroupMembers(groupId: BytesLike, members: AddressLike[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  archiveDocument(documentHash: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  cancelOwnershipOffer(documentHash: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createGroup(groupId: BytesLike, members: AddressLike[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  disbandGroup(groupId: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  getDocument(documentHash: BytesLike, overrides?: Overrides): Promise<[string, string, bigint, bigint, bigint] & { owner: string; cid: string; createdAt: bigint; updatedAt: bigint; versionCount: bigint }>;
+  getGroup(groupId: BytesLike, overrides?: Overrides): Promise<[string, boolean] & { owner: string; disbanded: boolean }>;
+  getVersionAtIndex(documentHash: BytesLike, index: BigNumberish, overrides?: Overrides): Promise<string>;
+  getVersionCount(documentHash: BytesLike, overrides?: Overrides): Promise<bigint>;
+  grantAccess(documentHash: BytesLike, user: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  grantAccessBySig(owner: AddressLike, documentHash: BytesLike, user: AddressLike, role: BigNumberish, expiresAt: BigNumberish, deadline: BigNumberish, signature: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  grantAccessUntil(documentHash: BytesLike, user: AddressLike, expiresAt: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  grantGroupRole(documentHash: BytesLike, groupId: BytesLike, role: BigNumberish, expiresAt: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  grantOf(documentHash: BytesLike, user: AddressLike, overrides?: Overrides): Promise<[bigint, bigint] & { role: bigint; expiresAt: bigint }>;
+  grantRole(documentHash: BytesLike, user: AddressLike, role: BigNumberish, expiresAt: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  grantRoleBatch(documentHashes: BytesLike[], users: AddressLike[], role: BigNumberish, expiresAt: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  groupGrantOf(documentHash: BytesLike, groupId: BytesLike, overrides?: Overrides): Promise<[bigint, bigint] & { role: bigint; expiresAt: bigint }>;
+  groupsOf(documentHash: BytesLike, overrides?: Overrides): Promise<string[]>;
+  hasAccess(documentHash: BytesLike, user: AddressLike, overrides?: Overrides): Promise<boolean>;
+  isArchived(documentHash: BytesLike, overrides?: Overrides): Promise<boolean>;
+  isGroupMember(groupId: BytesLike, user: AddressLike, overrides?: Overrides): Promise<boolean>;
+  nonces(arg0: AddressLike, overrides?: Overrides): Promise<bigint>;
+  offerOwnership(documentHash: BytesLike, newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  pendingOwnerOf(documentHash: BytesLike, overrides?: Overrides): Promise<string>;
+  registerDocument(documentHash: BytesLike, cid: string, contentHash: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  registerDocumentBySig(owner: AddressLike, documentHash: BytesLike, cid: string, contentHash: BytesLike, deadline: BigNumberish, signature: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  removeGroupMembers(groupId: BytesLike, members: AddressLike[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  revokeAccess(documentHash: BytesLike, user: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  revokeAccessBatch(documentHashes: BytesLike[], users: AddressLike[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  revokeAccessBySig(owner: AddressLike, documentHash: BytesLike, user: AddressLike, deadline: BigNumberish, signature: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  revokeGroupAccess(documentHash: BytesLike, groupId: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  roleOf(documentHash: BytesLike, user: AddressLike, overrides?: Overrides): Promise<bigint>;
+  updateDocument(documentHash: BytesLike, newCid: string, contentHash: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  updateDocumentBySig(editor: AddressLike, documentHash: BytesLike, newCid: string, contentHash: BytesLike, deadline: BigNumberish, signature: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+}
+
+/** Decoded arguments of each event, by event name. */
+export interface DocumentRegistryEvents {
+  AccessGranted: { documentHash: string; owner: string; user: string; role: bigint; expiresAt: bigint };
+  AccessRevoked: { documentHash: string; owner: string; user: string };
+  DocumentArchived: { documentHash: string; owner: string };
+  DocumentRegistered: { documentHash: string; owner: string; cid: string; contentHash: string };
+  DocumentUpdated: { documentHash: string; owner: string; editor: string; version: bigint; newCid: string; contentHash: string };
+  GroupAccessGranted: { documentHash: string; owner: string; groupId: string; role: bigint; expiresAt: bigint };
+  GroupAccessRevoked: { documentHash: string; owner: string; groupId: string };
+  GroupCreated: { groupId: string; owner: string };
+  GroupDisbanded: { groupId: string; owner: string };
+  GroupMemberAdded: { groupId: string; owner: string; member: string };
+  GroupMemberRemoved: { groupId: string; owner: string; member: string };
+  OwnershipTransferCancelled: { documentHash: string; owner: string; newOwner: string };
+  OwnershipTransferOffered: { documentHash: string; owner: string; newOwner: string };
+  OwnershipTransferred: { documentHash: string; owner: string; newOwner: string };
+}
+
+export type DocumentRegistryEventName = keyof DocumentRegistryEvents;
+
+export type DocumentRegistry = BaseContract & DocumentRegistryFunctions;
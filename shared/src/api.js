@@ -0,0 +1,250 @@
+// REST API client — the one place that knows the routes, the auth headers
+// and the { success, error } envelope. Used by the web client and the CLI;
+// the types are in index.d.ts.
+//
+//   const api = createApiClient({
+//     baseUrl: "http://localhost:4000",
+//     getCredentials: () => ({ address, accessToken })   // or { apiKey }
+//   });
+//   const documents = await api.documents.list({ scope: "shared" });
+//
+// Failures throw ApiError with the server's message and HTTP status.
+
+class ApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// uint256 fields such as NO_EXPIRY don't fit in a JSON number
+const toJson = (value) => JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+
+function toQueryString(query) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== "") params.set(key, String(value));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+/** Multipart body with `file` first; Blobs without a name get `fileName`. */
+function fileForm(file, fileName, fields = {}) {
+  const form = new FormData();
+  if (file.name) form.append("file", file);
+  else form.append("file", file, fileName ?? "file");
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null && value !== "") {
+      form.append(key, typeof value === "string" ? value : JSON.stringify(value));
+    }
+  }
+  return form;
+}
+
+/**
+ * createApiClient({ baseUrl, getCredentials?, fetch?, headers? })
+ *
+ * `getCredentials` is called before every request, so a refreshed access
+ * token is picked up without rebuilding the client. It returns
+ * { address, accessToken } for a wallet session, { apiKey } for an API
+ * key, or null for public endpoints only.
+ */
+function createApiClient({ baseUrl, getCredentials = () => null, fetch: fetchImpl, headers = {} }) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const doFetch = fetchImpl ?? ((...args) => globalThis.fetch(...args));
+
+  async function request(path, { method = "GET", query, body, form, raw = false, headers: extraHeaders } = {}) {
+    const requestHeaders = { ...headers, ...extraHeaders };
+    const credentials = await getCredentials();
+    if (credentials?.apiKey) {
+      requestHeaders.Authorization = `Bearer ${credentials.apiKey}`;
+    } else if (credentials?.accessToken) {
+      requestHeaders["x-wallet-address"] = credentials.address;
+      requestHeaders.Authorization = `Bearer ${credentials.accessToken}`;
+    }
+    if (body !== undefined) requestHeaders["Content-Type"] = "application/json";
+
+    const res = await doFetch(`${base}${path}${query ? toQueryString(query) : ""}`, {
+      method,
+      headers: requestHeaders,
+      body: form ?? (body !== undefined ? toJson(body) : undefined)
+    });
+    if (raw && res.ok) return res;
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.success === false) {
+      throw new ApiError(data.error ?? `Request failed (${res.status})`, res.status, data);
+    }
+    return data;
+  }
+
+  const documentPath = (id, rest = "") => `/api/documents/${encodeURIComponent(id)}${rest}`;
+  const groupPath = (id, rest = "") => `/api/groups/${encodeURIComponent(id)}${rest}`;
+  const linkPath = (token, rest = "") => `/s/${encodeURIComponent(token)}${rest}`;
+  const linkHeaders = (password) => (password ? { "x-link-password": password } : {});
+
+  return {
+    baseUrl: base,
+    request,
+
+    auth: {
+      nonce: (address) => request("/api/auth/nonce", { method: "POST", body: { address } }),
+      verify: (message, signature) => request("/api/auth/verify", { method: "POST", body: { message, signature } }),
+      refresh: (refreshToken) => request("/api/auth/refresh", { method: "POST", body: { refreshToken } }),
+      logout: async () => {
+        await request("/api/auth/logout", { method: "POST" });
+      }
+    },
+
+    users: {
+      me: async () => (await request("/api/user/me")).user,
+      setEncryptionKey: async (publicKey) => {
+        await request("/api/user/encryption-key", { method: "PUT", body: { publicKey } });
+      },
+      /** A wallet's published encryption key, or null if it has none. */
+      encryptionKey: async (address) => {
+        try {
+          return (await request(`/api/user/${address}/encryption-key`)).publicKey;
+        } catch (err) {
+          if (err.status === 404) return null;
+          throw err;
+        }
+      },
+      /** Signed-in devices, most recently used first; `current` marks this one. */
+      sessions: {
+        list: async () => (await request("/api/user/sessions")).sessions,
+        revoke: async (id) => {
+          await request(`/api/user/sessions/${encodeURIComponent(id)}`, { method: "DELETE" });
+        }
+      }
+    },
+
+    documents: {
+      list: async ({ scope = "my", search, sort } = {}) =>
+        (await request(`/api/documents/${scope}`, { query: { search, sort } })).documents,
+      get: async (id) => (await request(documentPath(id))).document,
+      upload: ({ file, name, description, wrappedKey }) =>
+        request("/api/documents/upload", {
+          method: "POST",
+          form: fileForm(file, name, { name, description, wrappedKey })
+        }),
+      confirm: async (id, txHash) => {
+        await request(documentPath(id, "/confirm"), { method: "POST", body: { txHash } });
+      },
+      remove: async (id) => (await request(documentPath(id), { method: "DELETE" })).document,
+      restore: async (id) => (await request(documentPath(id, "/restore"), { method: "POST" })).document,
+      purge: async (id, txHash) => {
+        await request(documentPath(id, "/purge"), { method: "POST", body: { txHash } });
+      },
+      contentUrl: (id, version) =>
+        `${base}${documentPath(id, version ? `/versions/${version}/content` : "/content")}`,
+      /** The stored bytes (ciphertext for encrypted documents). */
+      content: async (id, version) => {
+        const res = await request(documentPath(id, version ? `/versions/${version}/content` : "/content"), { raw: true });
+        return res.arrayBuffer();
+      },
+      /** Log a reader's CID check of `version` against the registry. */
+      reportIntegrity: async (id, { version, expectedCid, computedCid }) =>
+        (await request(documentPath(id, "/integrity"), { method: "POST", body: { version, expectedCid, computedCid } })).verified,
+      keys: {
+        mine: async (id) => (await request(documentPath(id, "/keys/me"))).key,
+        /** Group members still waiting for a wrapped key to one of the caller's documents. */
+        pending: async () => (await request("/api/documents/keys/pending")).pending,
+        put: async (id, recipient, wrappedKey) => {
+          await request(documentPath(id, `/keys/${recipient}`), { method: "PUT", body: wrappedKey });
+        },
+        remove: async (id, recipient) => {
+          await request(documentPath(id, `/keys/${recipient}`), { method: "DELETE" });
+        }
+      },
+      /** Two-step ownership transfer; each step reports the registry transaction. */
+      transfers: {
+        incoming: async () => (await request("/api/documents/transfers/incoming")).documents,
+        offer: async (id, txHash) =>
+          (await request(documentPath(id, "/transfer/offer"), { method: "POST", body: { txHash } })).document,
+        cancel: async (id, txHash) =>
+          (await request(documentPath(id, "/transfer/cancel"), { method: "POST", body: { txHash } })).document,
+        accept: async (id, txHash) =>
+          (await request(documentPath(id, "/transfer/accept"), { method: "POST", body: { txHash } })).document
+      },
+      /** Share links (owner). `create` resolves { link, token } — the token is only returned once. */
+      links: {
+        create: (id, options) => request(documentPath(id, "/links"), { method: "POST", body: options }),
+        list: async (id) => (await request(documentPath(id, "/links"))).links,
+        revoke: async (id, linkId) => {
+          await request(documentPath(id, `/links/${encodeURIComponent(linkId)}`), { method: "DELETE" });
+        }
+      }
+    },
+
+    versions: {
+      list: async (id) => {
+        const { success, ...history } = await request(documentPath(id, "/versions"));
+        return history;
+      },
+      prepare: ({ documentId, file, name }) =>
+        request(documentPath(documentId, "/prepare-version"), { method: "POST", form: fileForm(file, name) }),
+      confirm: async ({ documentId, newCid, txHash }) =>
+        (await request(documentPath(documentId, "/confirm-version"), { method: "POST", body: { newCid, txHash } })).document
+    },
+
+    groups: {
+      list: async () => (await request("/api/groups")).groups,
+      get: async (id) => (await request(groupPath(id))).group,
+      documents: async (id) => (await request(groupPath(id, "/documents"))).documents,
+      create: async (name) => (await request("/api/groups", { method: "POST", body: { name } })).group,
+      confirm: async (id, txHash) => (await request(groupPath(id, "/confirm"), { method: "POST", body: { txHash } })).group,
+      confirmMembers: async (id, txHash) =>
+        (await request(groupPath(id, "/confirm-members"), { method: "POST", body: { txHash } })).group,
+      rename: async (id, name) => (await request(groupPath(id), { method: "PATCH", body: { name } })).group,
+      /** Retire a group — `txHash` of disbandGroup, or null for one never created on-chain. */
+      remove: async (id, txHash) => {
+        await request(groupPath(id), { method: "DELETE", body: { txHash } });
+      }
+    },
+
+    /**
+     * Public share-link calls — no credentials needed. A password-protected
+     * link rejects with a 401 ApiError whose body has passwordRequired.
+     */
+    shareLinks: {
+      info: async (token, password) => (await request(linkPath(token, "/info"), { headers: linkHeaders(password) })).link,
+      /** The document bytes (ciphertext for encrypted documents); uses one of the link's views. */
+      content: async (token, password) => {
+        const res = await request(linkPath(token), { headers: linkHeaders(password), raw: true });
+        return res.arrayBuffer();
+      }
+    },
+
+    /** Gasless registry writes — the server's relayer submits signed EIP-712 intents. */
+    relay: {
+      /** { enabled: false } or { enabled, relayer, domain, nonce } for the caller. */
+      status: async () => {
+        const { success, ...status } = await request("/api/relay");
+        return status;
+      },
+      /** Resolves to the mined txHash. */
+      submit: async ({ type, message, signature }) =>
+        (await request("/api/relay", { method: "POST", body: { type, message, signature } })).txHash
+    },
+
+    audits: {
+      mine: async () => (await request("/api/audits/my")).audits,
+      org: async (orgId) => (await request(`/api/audits/org/${encodeURIComponent(orgId)}`)).audits
+    },
+
+    /** Public verification — no credentials needed. */
+    verify: async (file, name) => {
+      const { success, ...result } = await request("/api/verify", { method: "POST", form: fileForm(file, name) });
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  ApiError,
+  createApiClient
+};
@@ -0,0 +1,73 @@
+// IPFS content identifiers, computed without an IPFS node.
+// computeCid reproduces `ipfs add` with Kubo's defaults — CIDv0, 256 KiB chunks,
+// UnixFS file leaves, balanced DAG of up to 174 links per node — so the server's
+// local and S3 backends key content the way Kubo does, and the client can check
+// a CID before signing it.
+// The IPLD packages are ESM-only, so they are loaded with import().
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS_PER_NODE = 174;
+
+let libs;
+
+function loadLibs() {
+  libs ??= Promise.all([
+    import("@ipld/dag-pb"),
+    import("ipfs-unixfs"),
+    import("multiformats/cid"),
+    import("multiformats/hashes/sha2")
+  ]).then(([dagPb, { UnixFS }, { CID }, { sha256 }]) => ({ dagPb, UnixFS, CID, sha256 }));
+  return libs;
+}
+
+async function encodeNode({ dagPb, CID, sha256 }, unixfs, links = []) {
+  const bytes = dagPb.encode(dagPb.prepare({ Data: unixfs.marshal(), Links: links }));
+  const cid = CID.createV0(await sha256.digest(bytes));
+  // Tsize: this block plus everything below it
+  const size = links.reduce((total, link) => total + link.Tsize, bytes.length);
+  return { cid, size, fileSize: unixfs.fileSize() };
+}
+
+// The CIDv0 `ipfs add` gives `bytes` (a Uint8Array or Buffer), without uploading it.
+async function computeCid(bytes) {
+  const lib = await loadLibs();
+  const data = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // An empty file is a single leaf with no data
+  const chunks = [];
+  for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+    chunks.push(data.subarray(offset, offset + CHUNK_SIZE));
+  }
+  if (chunks.length === 0) chunks.push(undefined);
+
+  let nodes = [];
+  for (const chunk of chunks) {
+    nodes.push(await encodeNode(lib, new lib.UnixFS({ type: "file", data: chunk })));
+  }
+
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += MAX_LINKS_PER_NODE) {
+      const children = nodes.slice(i, i + MAX_LINKS_PER_NODE);
+      const unixfs = new lib.UnixFS({ type: "file" });
+      children.forEach((child) => unixfs.addBlockSize(child.fileSize));
+      parents.push(await encodeNode(lib, unixfs,
+        children.map((child) => ({ Hash: child.cid, Name: "", Tsize: child.size }))));
+    }
+    nodes = parents;
+  }
+  return nodes[0].cid.toString();
+}
+
+// Whether `cid` parses as a CID — anything else never reaches a path or key.
+async function isCid(cid) {
+  const { CID } = await loadLibs();
+  try {
+    CID.parse(cid);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { computeCid, isCid };
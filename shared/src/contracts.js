@@ -0,0 +1,105 @@
+// DocumentRegistry helpers — the ABI is generated from the Hardhat artifacts
+// (blockchain/scripts/generate-abi.js), so client, server and CLI can't drift
+// from the deployed contract or from each other.
+
+const { ethers } = require("ethers");
+const { abi: REGISTRY_ABI } = require("./abi/DocumentRegistry.json");
+
+const REGISTRY_INTERFACE = new ethers.Interface(REGISTRY_ABI);
+
+class RegistryDeploymentError extends Error {
+  constructor(message, address) {
+    super(message);
+    this.name = "RegistryDeploymentError";
+    this.address = address;
+  }
+}
+
+/**
+ * getRegistryContract
+ *
+ * DocumentRegistry at `address`, connected to `runner` — a provider for
+ * reads, a signer for transactions. Nothing is checked until the first call;
+ * run checkRegistryDeployment once per process to fail up front.
+ */
+function getRegistryContract(address, runner) {
+  return new ethers.Contract(address, REGISTRY_ABI, runner);
+}
+
+/**
+ * checkRegistryDeployment
+ *
+ * Resolves if the contract at `address` was built from this ABI: every
+ * function selector has to appear in its bytecode. Otherwise rejects with
+ * RegistryDeploymentError — an address left over from an older deployment
+ * would fail only at the first call whose signature changed, often after the
+ * wallet has signed. The fix is a redeploy (blockchain/scripts/deploy.js).
+ *
+ * @param {string} address
+ * @param {import("ethers").Provider} provider
+ */
+async function checkRegistryDeployment(address, provider) {
+  const code = await provider.getCode(address);
+  if (code === "0x") {
+    throw new RegistryDeploymentError(`No contract is deployed at ${address} on this network.`, address);
+  }
+
+  const missing = [];
+  REGISTRY_INTERFACE.forEachFunction((fn) => {
+    if (!code.toLowerCase().includes(fn.selector.slice(2))) missing.push(fn.name);
+  });
+  if (missing.length > 0) {
+    throw new RegistryDeploymentError(
+      `The contract at ${address} is an older DocumentRegistry — ${missing.length} function(s) of ` +
+        `this build are missing, e.g. ${missing.slice(0, 3).join(", ")}. ` +
+        "Redeploy it with blockchain/scripts/deploy.js.",
+      address
+    );
+  }
+}
+
+/**
+ * computeDocumentHash
+ *
+ * A document's bytes32 registry key:
+ *   keccak256(abi.encodePacked(owner, cid, name, mimeType, timestamp))
+ *
+ * The server computes it at upload; anyone holding the metadata can
+ * recompute it to check the key they are asked to sign.
+ *
+ * @param {string} owner     - checksummed wallet address
+ * @param {string} cid       - IPFS CID of the first version
+ * @param {string} name      - original filename
+ * @param {string} mimeType  - MIME type of the file
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} 0x-prefixed bytes32 hex string
+ */
+function computeDocumentHash(owner, cid, name, mimeType, timestamp) {
+  return ethers.solidityPackedKeccak256(
+    ["address", "string", "string", "string", "uint256"],
+    [owner, cid, name, mimeType, timestamp]
+  );
+}
+
+/**
+ * computeContentHash
+ *
+ * SHA-256 of a file's plaintext, anchored on-chain next to its CID. For an
+ * encrypted document the CID names the ciphertext, so this is what lets the
+ * original file be verified.
+ *
+ * @param {Uint8Array} bytes - the file as the user has it
+ * @returns {string} 0x-prefixed bytes32 hex string
+ */
+function computeContentHash(bytes) {
+  return ethers.sha256(bytes);
+}
+
+module.exports = {
+  REGISTRY_ABI,
+  RegistryDeploymentError,
+  getRegistryContract,
+  checkRegistryDeployment,
+  computeDocumentHash,
+  computeContentHash
+};
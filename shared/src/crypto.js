@@ -0,0 +1,169 @@
+// Envelope encryption for documents — the one implementation the web client
+// and the CLI share, so a file encrypted by either opens in the other and a
+// wallet derives the same keypair everywhere.
+//
+//   - Each document gets a random AES-256-GCM content key. Wire format of
+//     the stored bytes: iv (12 bytes) || AES-GCM ciphertext+tag.
+//   - The content key is wrapped for every reader with ECIES over secp256k1:
+//       ephemeral ECDH → HKDF-SHA256 → AES-256-GCM(contentKey)
+//   - A wallet's encryption keypair is keccak256 of its signature over
+//     KEY_DERIVATION_MESSAGE, so it can be re-derived on any device without
+//     storing it.
+//
+// Uses WebCrypto (globalThis.crypto) — browsers and Node 19+.
+
+const { ethers } = require("ethers");
+
+// Changing a byte of this changes every wallet's keypair
+const KEY_DERIVATION_MESSAGE =
+  "Blockchain Secure Docs — Encryption Key\n\nSign this message to unlock your document encryption key.\n\nThis request will not trigger any blockchain transaction or cost any gas.";
+
+const WRAP_INFO = new TextEncoder().encode("bsd-content-key-wrap-v1");
+const IV_LENGTH = 12;
+
+// address (lowercase) → { privateKey, publicKey } — kept in memory only
+const keyPairCache = new Map();
+
+// ---------------------------------------------------------------------------
+// Content encryption
+// ---------------------------------------------------------------------------
+
+/** A fresh 32-byte content key. */
+function generateContentKey() {
+  return crypto.getRandomValues(new Uint8Array(32));
+}
+
+function importAesKey(rawKey, usages) {
+  return crypto.subtle.importKey("raw", rawKey, { name: "AES-GCM" }, false, usages);
+}
+
+/** Encrypt bytes with the content key → iv || ciphertext. */
+async function encryptBytes(bytes, contentKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await importAesKey(contentKey, ["encrypt"]);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes));
+  const out = new Uint8Array(IV_LENGTH + ciphertext.length);
+  out.set(iv);
+  out.set(ciphertext, IV_LENGTH);
+  return out;
+}
+
+/** Decrypt bytes produced by encryptBytes(). */
+async function decryptBytes(bytes, contentKey) {
+  const data = new Uint8Array(bytes);
+  const key = await importAesKey(contentKey, ["decrypt"]);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: data.slice(0, IV_LENGTH) },
+    key,
+    data.slice(IV_LENGTH)
+  );
+  return new Uint8Array(plaintext);
+}
+
+// ---------------------------------------------------------------------------
+// Key wrapping (ECIES over secp256k1)
+// ---------------------------------------------------------------------------
+
+async function deriveWrappingKey(sharedPoint, salt, usages) {
+  // computeSharedSecret returns an uncompressed point — use the x coordinate
+  const secret = ethers.getBytes(sharedPoint).slice(1, 33);
+  const material = await crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info: WRAP_INFO },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    usages
+  );
+}
+
+/**
+ * wrapContentKey
+ *
+ * Wraps a content key for a recipient's compressed secp256k1 public key.
+ *
+ * @returns {Promise<{ ephemeralPublicKey: string, iv: string, wrappedKey: string }>} hex fields
+ */
+async function wrapContentKey(contentKey, recipientPublicKey) {
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const shared = ephemeral.computeSharedSecret(recipientPublicKey);
+  const ephemeralPublicKey = ephemeral.compressedPublicKey;
+
+  const kek = await deriveWrappingKey(shared, ethers.getBytes(ephemeralPublicKey), ["encrypt"]);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const wrapped = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, kek, contentKey);
+
+  return {
+    ephemeralPublicKey,
+    iv: ethers.hexlify(iv),
+    wrappedKey: ethers.hexlify(new Uint8Array(wrapped))
+  };
+}
+
+/** Unwrap a content key with the reader's derived private key. */
+async function unwrapContentKey(entry, privateKey) {
+  const signingKey = new ethers.SigningKey(privateKey);
+  const shared = signingKey.computeSharedSecret(entry.ephemeralPublicKey);
+
+  const kek = await deriveWrappingKey(shared, ethers.getBytes(entry.ephemeralPublicKey), ["decrypt"]);
+  const raw = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: ethers.getBytes(entry.iv) },
+    kek,
+    ethers.getBytes(entry.wrappedKey)
+  );
+  return new Uint8Array(raw);
+}
+
+// ---------------------------------------------------------------------------
+// Wallet keypair and server round-trips (through an API client, see api.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * getEncryptionKeyPair
+ *
+ * Derives (or returns the cached) encryption keypair for `signer`'s wallet
+ * and publishes the public half the first time, so owners can wrap content
+ * keys for it. Prompts for the key-derivation signature once per wallet.
+ */
+async function getEncryptionKeyPair(signer, api) {
+  const cacheKey = (await signer.getAddress()).toLowerCase();
+  if (keyPairCache.has(cacheKey)) return keyPairCache.get(cacheKey);
+
+  const privateKey = ethers.keccak256(await signer.signMessage(KEY_DERIVATION_MESSAGE));
+  const keyPair = { privateKey, publicKey: new ethers.SigningKey(privateKey).compressedPublicKey };
+  await api.users.setEncryptionKey(keyPair.publicKey);
+
+  keyPairCache.set(cacheKey, keyPair);
+  return keyPair;
+}
+
+/**
+ * loadContentKey
+ *
+ * Fetches the caller's wrapped key for a document and unwraps it. A 404
+ * means access is granted but the owner hasn't wrapped a key for this
+ * wallet yet (e.g. it joined a group after the document was shared) — the
+ * error then carries code "KEY_NOT_SHARED".
+ */
+async function loadContentKey(api, signer, documentId) {
+  let entry;
+  try {
+    entry = await api.documents.keys.mine(documentId);
+  } catch (err) {
+    if (err.status === 404) err.code = "KEY_NOT_SHARED";
+    throw err;
+  }
+  const { privateKey } = await getEncryptionKeyPair(signer, api);
+  return unwrapContentKey(entry, privateKey);
+}
+
+module.exports = {
+  KEY_DERIVATION_MESSAGE,
+  generateContentKey,
+  encryptBytes,
+  decryptBytes,
+  wrapContentKey,
+  unwrapContentKey,
+  getEncryptionKeyPair,
+  loadContentKey
+};
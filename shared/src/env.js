@@ -0,0 +1,13 @@
+// Deployment settings every package reads from here rather than its own copy.
+//
+// REGISTRY_ADDRESS is patched by blockchain/scripts/deploy.js after each
+// deploy — do not edit it manually. The server takes its address from
+// REGISTRY_CONTRACT_ADDRESS in server/.env, which the deploy updates too.
+//
+// Server, CLI and web client check the contract found there against the ABI
+// (checkRegistryDeployment) and refuse an older build — after changing
+// DocumentRegistry.sol, redeploy rather than point them at the old address.
+
+const REGISTRY_ADDRESS = "0xD2aD2651026bE58e90F50a1dec73e3Ecf70eC43D";
+
+module.exports = { REGISTRY_ADDRESS };
@@ -0,0 +1,416 @@
+// Type declarations for the shared package (src/index.js). Keep in step with
+// the implementation; the DocumentRegistry types are generated.
+
+import type { ContractRunner, InterfaceAbi, Provider, Signer, TypedDataDomain } from "ethers";
+import type { DocumentRegistry } from "./abi/DocumentRegistry";
+
+export type {
+  DocumentRegistry,
+  DocumentRegistryEvents,
+  DocumentRegistryEventName
+} from "./abi/DocumentRegistry";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+export const APP_NAME: string;
+
+export const NETWORKS: Record<string, { chainId: number; name: string }>;
+
+export const ROLES: { NONE: 0; VIEWER: 1; EDITOR: 2; OWNER: 3 };
+export type Role = (typeof ROLES)[keyof typeof ROLES];
+export const GRANTABLE_ROLES: Role[];
+export const ROLE_LABELS: Record<Role, string>;
+
+export type IntentType = "RegisterDocument" | "UpdateDocument" | "GrantAccess" | "RevokeAccess";
+export const INTENT_DOMAIN: { name: string; version: string };
+export const INTENT_TYPES: Record<IntentType, Array<{ name: string; type: string }>>;
+export const INTENT_SIGNER_FIELD: Record<IntentType, string>;
+
+export type ApiKeyScope = "documents:read" | "documents:write" | "audits:read";
+export const API_KEY_PREFIX: string;
+export const API_KEY_SCOPES: Record<ApiKeyScope, string>;
+
+// ---------------------------------------------------------------------------
+// Sign-In with Ethereum
+// ---------------------------------------------------------------------------
+
+export interface SiweFields {
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version?: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources?: string[];
+}
+
+export const SIWE_VERSION: string;
+export const SIWE_STATEMENT: string;
+export function buildSiweMessage(fields: SiweFields): string;
+export function parseSiweMessage(message: string): SiweFields & { version: string };
+
+// ---------------------------------------------------------------------------
+// DocumentRegistry
+// ---------------------------------------------------------------------------
+
+/** Deployed DocumentRegistry address — patched by blockchain/scripts/deploy.js. */
+export const REGISTRY_ADDRESS: string;
+export const REGISTRY_ABI: InterfaceAbi;
+export function getRegistryContract(address: string, runner?: ContractRunner | null): DocumentRegistry;
+/** The address holds no contract, or one built from an older ABI — redeploy. */
+export class RegistryDeploymentError extends Error {
+  address: string;
+  constructor(message: string, address: string);
+}
+/** Rejects with RegistryDeploymentError unless every ABI function is in the deployed bytecode. */
+export function checkRegistryDeployment(address: string, provider: Provider): Promise<void>;
+export function computeDocumentHash(
+  owner: string,
+  cid: string,
+  name: string,
+  mimeType: string,
+  timestamp: number
+): string;
+/** SHA-256 of the plaintext, anchored next to the CID (0x-prefixed bytes32). */
+export function computeContentHash(bytes: Uint8Array): string;
+
+// ---------------------------------------------------------------------------
+// REST API
+// ---------------------------------------------------------------------------
+
+export interface WrappedKey {
+  ephemeralPublicKey: string;
+  iv: string;
+  wrappedKey: string;
+}
+
+export interface DocumentVersion {
+  version: number;
+  ipfsHash: string;
+  size: number;
+  createdAt: string;
+}
+
+export interface Document {
+  _id: string;
+  documentHash: string;
+  ipfsHash: string;
+  owner: string;
+  name: string;
+  mimeType: string;
+  size: number;
+  description: string;
+  currentVersion: number;
+  versions: DocumentVersion[];
+  registeredOnChain: boolean;
+  txHash?: string | null;
+  encrypted: boolean;
+  organization?: string | null;
+  pendingOwner?: string | null;
+  isDeleted: boolean;
+  deletedAt?: string | null;
+  archivedOnChain: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** A document in the "shared" scope, with the caller's grant. */
+export interface SharedDocument extends Document {
+  role: Role;
+  accessExpiresAt: number | null;
+  group: { groupId: string; name: string | null } | null;
+}
+
+export interface Group {
+  _id: string;
+  groupId: string;
+  name: string;
+  owner: string;
+  members: string[];
+  registeredOnChain: boolean;
+  txHash?: string | null;
+  disbandedAt?: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** An encrypted document of the caller's whose key group members are waiting for. */
+export interface PendingKeys {
+  documentId: string;
+  name: string;
+  recipients: string[];
+}
+
+/** A share link as the owner sees it — the token itself is only returned by create. */
+export interface ShareLink {
+  _id: string;
+  document: string;
+  owner: string;
+  expiresAt: string;
+  passwordProtected: boolean;
+  maxViews: number | null;
+  viewCount: number;
+  lastAccessedAt: string | null;
+  revokedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** What a share link points to, as anyone holding it sees it. */
+export interface ShareLinkInfo {
+  name: string;
+  mimeType: string;
+  size: number;
+  encrypted: boolean;
+  /** Unix seconds */
+  expiresAt: number;
+  viewsRemaining: number | null;
+}
+
+/** A signed-in device. */
+export interface DeviceSession {
+  _id: string;
+  address: string;
+  accessExpiresAt: string;
+  expiresAt: string;
+  userAgent: string | null;
+  ip: string | null;
+  lastUsedAt: string;
+  revokedAt: string | null;
+  /** The session making the request */
+  current: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type RelayStatus =
+  | { enabled: false }
+  | { enabled: true; relayer: string; domain: TypedDataDomain; nonce: number };
+
+export interface VersionHistory {
+  documentHash: string;
+  name: string;
+  currentVersion: number;
+  versions: DocumentVersion[];
+}
+
+export interface AuditEntry {
+  _id: string;
+  walletAddress: string;
+  action: string;
+  documentId: { _id: string; name: string } | string | null;
+  ipfsHash?: string;
+  metadata: Record<string, unknown>;
+  apiKey?: { id: string; name: string; prefix: string } | null;
+  txHash?: string;
+  blockNumber?: number;
+  createdAt: string;
+}
+
+export interface AuthTokens {
+  accessToken: string;
+  accessTokenExpiresAt: string;
+  refreshToken: string;
+  refreshTokenExpiresAt: string;
+}
+
+export interface AuthSession extends AuthTokens {
+  address: string;
+  sessionId: string;
+  authenticatedAt?: string;
+}
+
+export interface VerifyMatch {
+  event: "DocumentRegistered" | "DocumentUpdated";
+  documentHash: string;
+  owner: string;
+  version: number;
+  cid: string;
+  /** SHA-256 of the plaintext anchored with this version, if any */
+  contentHash: string | null;
+  /** Whether the file matched the anchored CID or the anchored plaintext hash */
+  matchedBy: "cid" | "contentHash";
+  blockNumber: number;
+  timestamp: number;
+  txHash: string;
+}
+
+export type ApiCredentials =
+  | { address: string; accessToken: string }
+  | { apiKey: string }
+  | null;
+
+export interface ApiClientOptions {
+  baseUrl: string;
+  /** Called before every request. */
+  getCredentials?: () => ApiCredentials | undefined | Promise<ApiCredentials | undefined>;
+  fetch?: typeof fetch;
+  headers?: Record<string, string>;
+}
+
+export interface RequestOptions {
+  method?: string;
+  query?: Record<string, string | number | boolean | null | undefined>;
+  body?: unknown;
+  form?: FormData;
+  /** Resolve to the Response instead of parsed JSON. */
+  raw?: boolean;
+  /** Sent on top of the client's own headers. */
+  headers?: Record<string, string>;
+}
+
+export class ApiError extends Error {
+  status: number;
+  body: unknown;
+  constructor(message: string, status: number, body: unknown);
+}
+
+export interface ApiClient {
+  baseUrl: string;
+  request<T = any>(path: string, options?: RequestOptions): Promise<T>;
+
+  auth: {
+    nonce(address: string): Promise<{ address: string; nonce: string }>;
+    verify(message: string, signature: string): Promise<AuthSession>;
+    refresh(refreshToken: string): Promise<AuthSession>;
+    logout(): Promise<void>;
+  };
+
+  users: {
+    me(): Promise<{ address: string; lastSeen: string; createdAt: string }>;
+    setEncryptionKey(publicKey: string): Promise<void>;
+    encryptionKey(address: string): Promise<string | null>;
+    sessions: {
+      list(): Promise<DeviceSession[]>;
+      revoke(id: string): Promise<void>;
+    };
+  };
+
+  documents: {
+    list(options?: { scope?: "my" | "trash"; search?: string; sort?: "date" | "name" }): Promise<Document[]>;
+    list(options: { scope: "shared"; search?: string; sort?: "date" | "name" }): Promise<SharedDocument[]>;
+    get(id: string): Promise<Document>;
+    upload(input: {
+      file: Blob;
+      name?: string;
+      description?: string;
+      wrappedKey?: WrappedKey;
+    }): Promise<{
+      cid: string;
+      documentHash: string;
+      documentId: string;
+      /** computeDocumentHash inputs, for checking documentHash before signing */
+      owner: string;
+      name: string;
+      mimeType: string;
+      timestamp: number;
+    }>;
+    confirm(id: string, txHash: string): Promise<void>;
+    remove(id: string): Promise<Document>;
+    restore(id: string): Promise<Document>;
+    purge(id: string, txHash: string): Promise<void>;
+    contentUrl(id: string, version?: number): string;
+    content(id: string, version?: number): Promise<ArrayBuffer>;
+    /** Records an INTEGRITY_CHECK audit entry; resolves to whether the CIDs matched. */
+    reportIntegrity(
+      id: string,
+      check: { version: number; expectedCid: string; computedCid: string }
+    ): Promise<boolean>;
+    keys: {
+      mine(id: string): Promise<WrappedKey>;
+      pending(): Promise<PendingKeys[]>;
+      put(id: string, recipient: string, wrappedKey: WrappedKey): Promise<void>;
+      remove(id: string, recipient: string): Promise<void>;
+    };
+    transfers: {
+      /** Documents other wallets have offered the caller */
+      incoming(): Promise<Document[]>;
+      offer(id: string, txHash: string): Promise<Document>;
+      cancel(id: string, txHash: string): Promise<Document>;
+      accept(id: string, txHash: string): Promise<Document>;
+    };
+    links: {
+      create(
+        id: string,
+        options: { expiresAt: number; password?: string; maxViews?: number | null }
+      ): Promise<{ link: ShareLink; token: string }>;
+      list(id: string): Promise<ShareLink[]>;
+      revoke(id: string, linkId: string): Promise<void>;
+    };
+  };
+
+  versions: {
+    list(id: string): Promise<VersionHistory>;
+    prepare(input: { documentId: string; file: Blob; name?: string }): Promise<{
+      newCid: string;
+      documentHash: string;
+      documentId: string;
+    }>;
+    confirm(input: { documentId: string; newCid: string; txHash: string }): Promise<Document>;
+  };
+
+  groups: {
+    list(): Promise<Group[]>;
+    get(id: string): Promise<Group>;
+    documents(id: string): Promise<Document[]>;
+    create(name: string): Promise<Group>;
+    confirm(id: string, txHash: string): Promise<Group>;
+    confirmMembers(id: string, txHash: string): Promise<Group>;
+    rename(id: string, name: string): Promise<Group>;
+    /** `txHash` of disbandGroup, or null for a group never created on-chain. */
+    remove(id: string, txHash: string | null): Promise<void>;
+  };
+
+  relay: {
+    status(): Promise<RelayStatus>;
+    /** `type` is one of the INTENT_TYPES; resolves to the mined txHash. */
+    submit(intent: { type: string; message: Record<string, unknown>; signature: string }): Promise<string>;
+  };
+
+  /** Public; a password-protected link rejects with a 401 ApiError whose body has passwordRequired. */
+  shareLinks: {
+    info(token: string, password?: string): Promise<ShareLinkInfo>;
+    content(token: string, password?: string): Promise<ArrayBuffer>;
+  };
+
+  audits: {
+    mine(): Promise<AuditEntry[]>;
+    org(orgId: string): Promise<AuditEntry[]>;
+  };
+
+  /** `indexedThrough`: last block the server has indexed — newer anchors aren't found yet. */
+  verify(file: Blob, name?: string): Promise<{ cid: string; contentHash: string; verified: boolean; indexedThrough: number | null; matches: VerifyMatch[] }>;
+}
+
+export function createApiClient(options: ApiClientOptions): ApiClient;
+
+// ---------------------------------------------------------------------------
+// Envelope encryption
+// ---------------------------------------------------------------------------
+
+export const KEY_DERIVATION_MESSAGE: string;
+export function generateContentKey(): Uint8Array;
+/** iv (12 bytes) || AES-256-GCM ciphertext+tag */
+export function encryptBytes(bytes: BufferSource, contentKey: Uint8Array): Promise<Uint8Array>;
+export function decryptBytes(bytes: ArrayBuffer | Uint8Array, contentKey: Uint8Array): Promise<Uint8Array>;
+export function wrapContentKey(contentKey: Uint8Array, recipientPublicKey: string): Promise<WrappedKey>;
+export function unwrapContentKey(entry: WrappedKey, privateKey: string): Promise<Uint8Array>;
+/** Derives the wallet's keypair (one signature per wallet) and publishes the public key. */
+export function getEncryptionKeyPair(signer: Signer, api: ApiClient): Promise<{ privateKey: string; publicKey: string }>;
+/** Rejects with code "KEY_NOT_SHARED" when no key has been wrapped for the caller. */
+export function loadContentKey(api: ApiClient, signer: Signer, documentId: string): Promise<Uint8Array>;
+
+// ---------------------------------------------------------------------------
+// IPFS CIDs
+// ---------------------------------------------------------------------------
+
+/** The CIDv0 `ipfs add` (Kubo defaults) gives `bytes`, without uploading it. */
+export function computeCid(bytes: Uint8Array): Promise<string>;
+export function isCid(cid: string): Promise<boolean>;
@@ -1,4 +1,30 @@
-// Shared configuration and basic types for the secure document management system.
+// Shared configuration, types and SDK for the secure document management system:
+// constants, SIWE messages, DocumentRegistry helpers, the REST API client,
+// document envelope encryption and IPFS CIDs.
+// Type declarations are in index.d.ts.
+
+const { SIWE_VERSION, SIWE_STATEMENT, buildSiweMessage, parseSiweMessage } = require("./siwe");
+const {
+  REGISTRY_ABI,
+  RegistryDeploymentError,
+  getRegistryContract,
+  checkRegistryDeployment,
+  computeDocumentHash,
+  computeContentHash
+} = require("./contracts");
+const { ApiError, createApiClient } = require("./api");
+const { REGISTRY_ADDRESS } = require("./env");
+const {
+  KEY_DERIVATION_MESSAGE,
+  generateContentKey,
+  encryptBytes,
+  decryptBytes,
+  wrapContentKey,
+  unwrapContentKey,
+  getEncryptionKeyPair,
+  loadContentKey
+} = require("./crypto");
+const { computeCid, isCid } = require("./cid");
 
 const APP_NAME = "Blockchain Secure Docs";
 
@@ -13,14 +39,119 @@ const NETWORKS = {
   }
 };
 
+// Per-document roles. Values mirror the DocumentRegistry.Role enum, so they
+// can be passed to grantRole() and compared with roleOf() directly.
 const ROLES = {
-  OWNER: "OWNER",
-  AUTHORIZED_USER: "AUTHORIZED_USER"
+  NONE: 0,
+  VIEWER: 1,   // read
+  EDITOR: 2,   // read + publish new versions
+  OWNER: 3     // implicit for the registering wallet — never granted
+};
+
+// Roles an owner may grant when sharing
+const GRANTABLE_ROLES = [ROLES.VIEWER, ROLES.EDITOR];
+
+const ROLE_LABELS = {
+  [ROLES.NONE]: "No access",
+  [ROLES.VIEWER]: "Viewer",
+  [ROLES.EDITOR]: "Editor",
+  [ROLES.OWNER]: "Owner"
+};
+
+// EIP-712 intents accepted by DocumentRegistry's *BySig functions — signed
+// by the wallet with eth_signTypedData_v4 and submitted by the relayer.
+// Field order must match the contract's typehashes.
+const INTENT_DOMAIN = {
+  name: "DocumentRegistry",
+  version: "1"
+};
+
+const INTENT_TYPES = {
+  RegisterDocument: [
+    { name: "owner", type: "address" },
+    { name: "documentHash", type: "bytes32" },
+    { name: "cid", type: "string" },
+    { name: "contentHash", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ],
+  UpdateDocument: [
+    { name: "editor", type: "address" },
+    { name: "documentHash", type: "bytes32" },
+    { name: "newCid", type: "string" },
+    { name: "contentHash", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ],
+  GrantAccess: [
+    { name: "owner", type: "address" },
+    { name: "documentHash", type: "bytes32" },
+    { name: "user", type: "address" },
+    { name: "role", type: "uint8" },
+    { name: "expiresAt", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ],
+  RevokeAccess: [
+    { name: "owner", type: "address" },
+    { name: "documentHash", type: "bytes32" },
+    { name: "user", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// The field naming the wallet that must sign each intent
+const INTENT_SIGNER_FIELD = {
+  RegisterDocument: "owner",
+  UpdateDocument: "editor",
+  GrantAccess: "owner",
+  RevokeAccess: "owner"
+};
+
+// API keys for scripts and CI — sent as `Authorization: Bearer bsd_…`. Each
+// key carries a subset of these scopes; everything else needs a wallet session.
+const API_KEY_PREFIX = "bsd_";
+
+const API_KEY_SCOPES = {
+  "documents:read": "List, look up and download documents",
+  "documents:write": "Upload, version, trash and restore documents (incl. relayed transactions)",
+  "audits:read": "Read activity logs"
 };
 
 module.exports = {
   APP_NAME,
   NETWORKS,
-  ROLES
+  ROLES,
+  GRANTABLE_ROLES,
+  ROLE_LABELS,
+  INTENT_DOMAIN,
+  INTENT_TYPES,
+  INTENT_SIGNER_FIELD,
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  SIWE_VERSION,
+  SIWE_STATEMENT,
+  buildSiweMessage,
+  parseSiweMessage,
+  REGISTRY_ADDRESS,
+  REGISTRY_ABI,
+  RegistryDeploymentError,
+  getRegistryContract,
+  checkRegistryDeployment,
+  computeDocumentHash,
+  computeContentHash,
+  ApiError,
+  createApiClient,
+  KEY_DERIVATION_MESSAGE,
+  generateContentKey,
+  encryptBytes,
+  decryptBytes,
+  wrapContentKey,
+  unwrapContentKey,
+  getEncryptionKeyPair,
+  loadContentKey,
+  computeCid,
+  isCid
 };
 
@@ -0,0 +1,105 @@
+// Sign-In with Ethereum (EIP-4361) messages — built by the client, parsed and
+// checked by the server, so both sides agree on the exact text signed.
+
+const SIWE_VERSION = "1";
+
+const SIWE_STATEMENT =
+  "Sign in to Blockchain Secure Docs. This request will not trigger a blockchain transaction or cost any gas.";
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+
+// Optional fields, in the order the spec requires them
+const OPTIONAL_FIELDS = [
+  ["expirationTime", "Expiration Time"],
+  ["notBefore", "Not Before"],
+  ["requestId", "Request ID"]
+];
+
+/**
+ * buildSiweMessage
+ *
+ * { domain, address, statement?, uri, version?, chainId, nonce, issuedAt,
+ *   expirationTime?, notBefore?, requestId?, resources? } → message text.
+ * `address` must be EIP-55 checksummed; timestamps are ISO 8601 strings.
+ */
+function buildSiweMessage(fields) {
+  const lines = [`${fields.domain}${HEADER_SUFFIX}`, fields.address, ""];
+  if (fields.statement) lines.push(fields.statement, "");
+  lines.push(
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version ?? SIWE_VERSION}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+  for (const [key, label] of OPTIONAL_FIELDS) {
+    if (fields[key]) lines.push(`${label}: ${fields[key]}`);
+  }
+  if (fields.resources?.length) {
+    lines.push("Resources:", ...fields.resources.map((r) => `- ${r}`));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * parseSiweMessage
+ *
+ * Inverse of buildSiweMessage for any spec-compliant message. Throws on
+ * malformed input; checking the values is left to the caller.
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== "string") throw new Error("SIWE message must be a string");
+  const lines = message.split("\n");
+  let i = 0;
+  const next = () => {
+    if (i >= lines.length) throw new Error("SIWE message is truncated");
+    return lines[i++];
+  };
+  const field = (label) => {
+    const line = next();
+    if (!line.startsWith(`${label}: `)) throw new Error(`SIWE message is missing "${label}"`);
+    return line.slice(label.length + 2);
+  };
+
+  const header = next();
+  if (!header.endsWith(HEADER_SUFFIX)) throw new Error("Not a SIWE message");
+  const fields = { domain: header.slice(0, -HEADER_SUFFIX.length).replace(/^[a-z][a-z0-9+.-]*:\/\//i, "") };
+
+  fields.address = next();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(fields.address)) throw new Error("SIWE message has an invalid address");
+  if (next() !== "") throw new Error("SIWE message is malformed");
+
+  // Optional statement, then a blank line (spec: [ statement LF ] LF)
+  if (lines[i] !== "" && !lines[i]?.startsWith("URI: ")) {
+    fields.statement = next();
+    if (next() !== "") throw new Error("SIWE message is malformed");
+  } else if (lines[i] === "") {
+    i++;
+  }
+
+  fields.uri = field("URI");
+  fields.version = field("Version");
+  fields.chainId = Number(field("Chain ID"));
+  fields.nonce = field("Nonce");
+  fields.issuedAt = field("Issued At");
+  for (const [key, label] of OPTIONAL_FIELDS) {
+    if (lines[i]?.startsWith(`${label}: `)) fields[key] = field(label);
+  }
+  if (lines[i] === "Resources:") {
+    i++;
+    fields.resources = [];
+    while (lines[i]?.startsWith("- ")) fields.resources.push(next().slice(2));
+  }
+  if (i !== lines.length) throw new Error("SIWE message has unexpected trailing lines");
+
+  if (!Number.isSafeInteger(fields.chainId)) throw new Error("SIWE message has an invalid chain ID");
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) throw new Error("SIWE message has an invalid nonce");
+  return fields;
+}
+
+module.exports = {
+  SIWE_VERSION,
+  SIWE_STATEMENT,
+  buildSiweMessage,
+  parseSiweMessage
+};